@@ -0,0 +1,117 @@
+/*
+  File: cart.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Shopping cart for the Sweet Life website, kept in localStorage so it
+  lasts across pages, visits and browser tabs.
+  The cart holds flavour quantities keyed by flavour id (e.g. { "vanilla": 2 }).
+  Flavours are added from the home page (index.html), the cart count is shown in the
+  nav on every page, and order.html's quantity controls read and write the cart
+  (see script.js). Changes made in another tab are picked up with the "storage" event.
+*/
+
+"use strict";
+
+const CART_STORAGE_KEY = "cart";
+const CART_CHANGE_EVENT = "cartchange"; // Fired on window when this tab changes the cart
+
+/**
+ * Reads the cart from localStorage.
+ * @returns {Object<string, number>} - Quantities keyed by flavour id (only quantities above 0).
+ */
+function getCart() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+        const cart = {};
+        Object.keys(saved || {}).forEach(flavorId => {
+            const quantity = parseInt(saved[flavorId]) || 0;
+            if (quantity > 0) {
+                cart[flavorId] = quantity;
+            }
+        });
+        return cart;
+    } catch (error) {
+        return {}; // Missing or corrupted cart
+    }
+}
+
+/**
+ * Saves the cart to localStorage and lets this tab know it changed.
+ * (Other tabs are told by the browser, through the "storage" event.)
+ * @param {Object<string, number>} cart - Quantities keyed by flavour id.
+ */
+function saveCart(cart) {
+    const cleaned = {};
+    Object.keys(cart).forEach(flavorId => {
+        if (cart[flavorId] > 0) {
+            cleaned[flavorId] = cart[flavorId];
+        }
+    });
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cleaned));
+    window.dispatchEvent(new CustomEvent(CART_CHANGE_EVENT, { detail: { cart: cleaned } }));
+}
+
+/**
+ * Sets the quantity of one flavour in the cart. Nothing is saved if it hasn't changed.
+ * @param {string} flavorId - The flavour id (e.g. "vanilla").
+ * @param {number} quantity - The new quantity (0 removes the flavour).
+ */
+function setCartQuantity(flavorId, quantity) {
+    const cart = getCart();
+    const newQuantity = Math.max(0, parseInt(quantity) || 0);
+    if ((cart[flavorId] || 0) === newQuantity) {
+        return;
+    }
+    cart[flavorId] = newQuantity;
+    saveCart(cart);
+}
+
+/**
+ * Adds scoops of a flavour to the cart.
+ * @param {string} flavorId - The flavour id (e.g. "vanilla").
+ * @param {number} [quantity=1] - The number of scoops to add.
+ */
+function addToCart(flavorId, quantity = 1) {
+    setCartQuantity(flavorId, (getCart()[flavorId] || 0) + quantity);
+}
+
+/**
+ * Replaces everything in the cart (e.g. when reordering a past order).
+ * @param {Object<string, number>} quantities - Quantities keyed by flavour id.
+ */
+function replaceCart(quantities) {
+    const cart = {};
+    Object.keys(quantities).forEach(flavorId => {
+        cart[flavorId] = Math.max(0, parseInt(quantities[flavorId]) || 0);
+    });
+    saveCart(cart);
+}
+
+/**
+ * Empties the cart (e.g. once the order has been placed).
+ */
+function clearCart() {
+    saveCart({});
+}
+
+/**
+ * Counts the scoops in the cart.
+ * @returns {number} - The total quantity of all flavours.
+ */
+function getCartCount() {
+    return Object.values(getCart()).reduce((sum, qty) => sum + qty, 0);
+}
+
+/**
+ * Calls a function whenever the cart changes, in this tab or in another tab.
+ * @param {function(Object<string, number>): void} callback - Called with the new cart.
+ */
+function onCartChange(callback) {
+    window.addEventListener(CART_CHANGE_EVENT, () => callback(getCart()));
+    window.addEventListener("storage", event => {
+        // event.key is null when another tab clears all of localStorage
+        if (event.key === CART_STORAGE_KEY || event.key === null) {
+            callback(getCart());
+        }
+    });
+}
@@ -0,0 +1,116 @@
+/*
+  File: catalogue.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Flavour catalogue for the Sweet Life website.
+  This is the single source of truth for the flavours we sell. It is used to:
+  - Render the "Our Signature Flavours" cards on index.html
+  - Render the flavour quantity controls on order.html
+  - Drive the quantity, session storage and validation logic in script.js
+  To add a seasonal flavour, add one entry below, with its name, description and
+  photo text in each language of i18n.js. Set "available" to false
+  to hide a flavour from index.html and order.html (the server ignores any
+  quantity sent for it) without deleting its entry.
+
+  Stock: the local server (server/server.js) keeps count of the scoops left of each
+  flavour, starting from "stock" below, and takes each order's scoops off when it is
+  placed. Pages get the current counts from GET /api/stock and pass them to
+  setFlavorStock(); until then only MAX_SCOOPS_PER_FLAVOR limits the quantities.
+*/
+
+"use strict";
+
+/**
+ * @typedef {Object} Flavor
+ * @property {string} id - Short identifier, used in the "flavor-{id}" and "qty-{id}" element IDs.
+ * @property {string} nameKey - Display name (its key in i18n.js).
+ * @property {number} price - Price per scoop in dollars.
+ * @property {string} descriptionKey - Short description shown on the home page (its key in i18n.js).
+ * @property {string} image - Path to the flavour photo (relative to the site root).
+ * @property {string} imageAltKey - Alternative text for the photo (its key in i18n.js).
+ * @property {boolean} available - Whether the flavour can currently be ordered.
+ * @property {number} stock - Scoops in stock when the local server starts with a new data file.
+ */
+
+// The most scoops of one flavour that can be ordered at once
+const MAX_SCOOPS_PER_FLAVOR = 12;
+
+// "Only N left" is shown once a flavour's stock is down to this many scoops
+const LOW_STOCK_THRESHOLD = 5;
+
+/** @type {Flavor[]} */
+const FLAVOR_CATALOGUE = [
+    {
+        id: "vanilla",
+        nameKey: "flavor.vanilla.name",
+        price: 5.50,
+        descriptionKey: "flavor.vanilla.description",
+        image: "images/icecream1.jpg",
+        imageAltKey: "flavor.vanilla.imageAlt",
+        available: true,
+        stock: 60
+    },
+    {
+        id: "chocolate",
+        nameKey: "flavor.chocolate.name",
+        price: 6.00,
+        descriptionKey: "flavor.chocolate.description",
+        image: "images/icecream2.jpg",
+        imageAltKey: "flavor.chocolate.imageAlt",
+        available: true,
+        stock: 50
+    },
+    {
+        id: "strawberry",
+        nameKey: "flavor.strawberry.name",
+        price: 5.50,
+        descriptionKey: "flavor.strawberry.description",
+        image: "images/icecream3.jpg",
+        imageAltKey: "flavor.strawberry.imageAlt",
+        available: true,
+        stock: 40
+    }
+];
+
+// Scoops left of each flavour, keyed by flavour id (see setFlavorStock())
+let flavorStock = {};
+
+/**
+ * Sets the number of scoops left of each flavour, as reported by the server.
+ * @param {Object<string, number>|null} stock - Scoops left keyed by flavour id, or null if unknown.
+ */
+function setFlavorStock(stock) {
+    flavorStock = stock || {};
+}
+
+/**
+ * Gets the number of scoops left of a flavour.
+ * @param {string} flavorId - The flavour id (e.g. "vanilla").
+ * @returns {number|null} - The scoops left, or null if the stock isn't known.
+ */
+function getFlavorStock(flavorId) {
+    return typeof flavorStock[flavorId] === "number" ? flavorStock[flavorId] : null;
+}
+
+/**
+ * Gets the name of a flavour in an order, in the current language. Orders keep the
+ * flavour's English name from when they were placed, which is shown if the flavour
+ * has since been taken out of the catalogue.
+ * @param {{flavor: string, name: string}} item - The order line.
+ * @returns {string} - The flavour name.
+ */
+function getOrderItemName(item) {
+    const flavor = FLAVOR_CATALOGUE.find(entry => entry.id === item.flavor);
+    return flavor ? t(flavor.nameKey) : item.name;
+}
+
+/**
+ * Gets the most scoops of a flavour that can be ordered: the per-order maximum,
+ * or the scoops left if there are fewer.
+ * @param {string} flavorId - The flavour id (e.g. "vanilla").
+ * @returns {number} - The limit (0 when sold out).
+ */
+function getFlavorLimit(flavorId) {
+    const stock = getFlavorStock(flavorId);
+    return stock === null ? MAX_SCOOPS_PER_FLAVOR : Math.max(0, Math.min(stock, MAX_SCOOPS_PER_FLAVOR));
+}
@@ -0,0 +1,23 @@
+/*
+  File: common-passwords.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Local list of common and frequently breached passwords.
+  Used by the password strength meter on registration.html (see isCommonPassword()
+  in validation.js). Entries are lowercase; variations such as "P@ssw0rd1!" are
+  matched by normalising the password before it is looked up.
+*/
+
+"use strict";
+
+const COMMON_PASSWORDS = [
+    "123456", "1234567", "12345678", "123456789", "1234567890", "111111", "000000",
+    "password", "passw", "pass", "passwd", "letmein", "welcome", "admin", "administrator",
+    "qwerty", "qwertyuiop", "asdfgh", "asdfghjkl", "zxcvbnm", "1q2w3e4r", "qazwsx",
+    "abc", "abcdef", "iloveyou", "monkey", "dragon", "master", "sunshine", "princess",
+    "football", "baseball", "soccer", "hockey", "superman", "batman", "trustno",
+    "shadow", "michael", "jennifer", "jordan", "charlie", "freedom", "whatever",
+    "starwars", "pokemon", "ninja", "mustang", "access", "secret", "login", "hello",
+    "flower", "summer", "winter", "autumn", "spring", "changeme", "default", "guest",
+    "icecream", "sweetlife", "chocolate", "vanilla", "strawberry"
+];
@@ -0,0 +1,82 @@
+/*
+  File: delivery.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Delivery zones, delivery time slots and shop hours for the order form (order.html).
+  The delivery fee comes from the zone of the delivery postcode (getDeliveryZone() in pricing.js).
+  Dates and times are checked in validation.js, and the local server (server/server.js)
+  turns away bookings for slots that are already full.
+
+  Zone options:
+  - id        : short identifier, stored with the order
+  - nameKey   : display name (its key in i18n.js)
+  - postcodes : the postcodes the zone covers
+  - fee       : delivery fee, in dollars
+  - minOrder  : minimum subtotal (before discounts) for delivery, in dollars
+  - available : set to false to stop delivering to the zone for now
+
+  Slot options:
+  - id       : short identifier, submitted with the form
+  - label    : display text
+  - start    : start time ("HH:MM", 24-hour)
+  - end      : end time ("HH:MM", 24-hour)
+  - capacity : the number of deliveries that can be booked in the slot on one day
+*/
+
+"use strict";
+
+const DELIVERY_ZONES = [
+    {
+        id: "hawthorn",
+        nameKey: "zone.hawthorn",
+        postcodes: ["3101", "3102", "3103", "3121", "3122", "3123", "3124", "3126", "3127", "3141", "3142", "3143", "3144", "3146"],
+        fee: 5.00,
+        minOrder: 0,
+        available: true
+    },
+    {
+        id: "city",
+        nameKey: "zone.city",
+        postcodes: ["3000", "3002", "3003", "3004", "3006", "3008", "3051", "3052", "3053", "3054", "3065", "3066", "3067", "3068"],
+        fee: 7.50,
+        minOrder: 15,
+        available: true
+    },
+    {
+        id: "east",
+        nameKey: "zone.east",
+        postcodes: ["3104", "3125", "3128", "3129", "3130", "3131", "3132", "3134", "3145", "3147", "3148", "3149", "3150"],
+        fee: 10.00,
+        minOrder: 25,
+        available: true
+    },
+    {
+        id: "bayside",
+        nameKey: "zone.bayside",
+        postcodes: ["3181", "3182", "3184", "3185", "3186", "3205", "3206", "3207"],
+        fee: 9.00,
+        minOrder: 20,
+        available: false
+    }
+];
+
+const DELIVERY_SLOTS = [
+    { id: "12-14", label: "12:00pm - 2:00pm", start: "12:00", end: "14:00", capacity: 4 },
+    { id: "14-16", label: "2:00pm - 4:00pm", start: "14:00", end: "16:00", capacity: 4 },
+    { id: "16-18", label: "4:00pm - 6:00pm", start: "16:00", end: "18:00", capacity: 6 },
+    { id: "18-20", label: "6:00pm - 8:00pm", start: "18:00", end: "20:00", capacity: 6 }
+];
+
+// Opening hours by day of the week (0 = Sunday ... 6 = Saturday); null = closed
+const SHOP_HOURS = [
+    { open: "12:00", close: "20:00" },
+    null,
+    { open: "12:00", close: "21:00" },
+    { open: "12:00", close: "21:00" },
+    { open: "12:00", close: "21:00" },
+    { open: "11:00", close: "22:00" },
+    { open: "11:00", close: "22:00" }
+];
+
+const BOOKING_DAYS_AHEAD = 14;   // How far ahead deliveries and pickups can be booked
+const BOOKING_LEAD_MINUTES = 30; // Slots and pickup times must be at least this far away
@@ -0,0 +1,269 @@
+/*
+  File: drafts.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Saved drafts of the order form (order.html), kept in sessionStorage so a
+  half-filled form survives a page reload (see saveFormDataToSession() and restoreFormData()
+  in script.js).
+  Each field is saved according to DRAFT_FIELD_POLICY:
+  - "never"   : not saved at all (card number and CVV)
+  - "encrypt" : encrypted with AES-GCM (Web Crypto API) before it is saved
+  - "plain"   : saved as it is
+  The encryption key can't be read by scripts; it is kept in IndexedDB. If the browser
+  can't encrypt (no Web Crypto or IndexedDB), "encrypt" fields are not saved at all.
+  Drafts expire DRAFT_MAX_AGE_MINUTES after they were last saved, and drafts saved with
+  a different DRAFT_VERSION are thrown away.
+*/
+
+"use strict";
+
+const DRAFT_STORAGE_KEY = "orderFormData";
+
+// Bump this whenever order form fields are added, removed, renamed or change meaning,
+// so drafts saved for the old layout aren't restored into the wrong fields
+const DRAFT_VERSION = 2;
+
+const DRAFT_MAX_AGE_MINUTES = 30; // How long a draft is kept after it was last saved
+
+// How each order form field is saved (keyed by field id, or name for radio buttons)
+const DRAFT_FIELD_POLICY = {
+    "order-type": "plain",
+    "delivery-street": "encrypt",
+    "delivery-suburb": "encrypt",
+    "delivery-postcode": "encrypt",
+    "delivery-date": "plain",
+    "delivery-slot": "plain",
+    "pickup-date": "plain",
+    "pickup-time": "plain",
+    "same-as-delivery": "plain",
+    "billing-street": "encrypt",
+    "billing-suburb": "encrypt",
+    "billing-postcode": "encrypt",
+    "contact-number": "encrypt",
+    "sms-updates": "plain",
+    "email": "encrypt",
+    "remarks": "encrypt",
+    "pay-method": "plain",
+    "card-type": "plain",
+    "card-name": "encrypt",
+    "card-number": "never",
+    "card-expiry": "encrypt",
+    "card-cvv": "never",
+    "promo-code": "plain",
+    "save-details": "plain"
+};
+
+// Fields that aren't listed above are treated as personal details, to be safe
+const DRAFT_DEFAULT_POLICY = "encrypt";
+
+const DRAFT_KEY_DATABASE = "sweetlife-drafts";
+const DRAFT_KEY_STORE = "keys";
+const DRAFT_KEY_ID = "order-form";
+
+let draftKeyRequest = null;
+let draftSaveCount = 0; // Lets an earlier save that is still encrypting know it has been overtaken
+let draftEncryptionWarningShown = false;
+
+/**
+ * Gets how a draft field is saved.
+ * @param {string} key - The field id (or name, for radio buttons).
+ * @returns {"never"|"encrypt"|"plain"} - The field's policy.
+ */
+function getDraftFieldPolicy(key) {
+    if (key.startsWith("flavor-")) {
+        return "plain"; // Flavour quantities (from reorder() in script.js)
+    }
+    return DRAFT_FIELD_POLICY[key] || DRAFT_DEFAULT_POLICY;
+}
+
+/**
+ * Saves a draft of the order form, replacing any earlier draft.
+ * @param {Object<string, string|boolean>} formData - Field values keyed by field id (or name, for radio buttons).
+ * @returns {Promise<void>}
+ */
+async function saveDraft(formData) {
+    const saveNumber = ++draftSaveCount;
+
+    const plainFields = {};
+    const secretFields = {};
+    Object.keys(formData).forEach(key => {
+        const policy = getDraftFieldPolicy(key);
+        if (policy === "plain") {
+            plainFields[key] = formData[key];
+        } else if (policy === "encrypt") {
+            secretFields[key] = formData[key];
+        }
+    });
+
+    let encrypted = null;
+    try {
+        encrypted = await encryptDraftFields(secretFields);
+    } catch (error) {
+        if (!draftEncryptionWarningShown) {
+            console.warn("Personal details can't be encrypted in this browser, so they won't be saved:", error);
+            draftEncryptionWarningShown = true;
+        }
+    }
+
+    // A newer save (or clearDraft()) happened while this one was encrypting
+    if (saveNumber !== draftSaveCount) {
+        return;
+    }
+
+    const draft = { version: DRAFT_VERSION, savedAt: Date.now(), fields: plainFields, encrypted };
+    sessionStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+}
+
+/**
+ * Loads the saved draft of the order form.
+ * Expired drafts, drafts from another version of the form and unreadable drafts are deleted.
+ * @returns {Promise<Object<string, string|boolean>|null>} - Field values keyed by field id (or name,
+ *   for radio buttons), or null if there is no usable draft.
+ */
+async function loadDraft() {
+    let draft;
+    try {
+        draft = JSON.parse(sessionStorage.getItem(DRAFT_STORAGE_KEY));
+    } catch (error) {
+        draft = null; // Corrupted draft
+    }
+
+    if (!draft || draft.version !== DRAFT_VERSION || isDraftExpired(draft)) {
+        sessionStorage.removeItem(DRAFT_STORAGE_KEY);
+        return null;
+    }
+
+    const formData = Object.assign({}, draft.fields);
+    if (draft.encrypted) {
+        try {
+            Object.assign(formData, await decryptDraftFields(draft.encrypted));
+        } catch (error) {
+            // E.g. the key was cleared along with the browser's site data; keep the rest of the draft
+            console.warn("Saved personal details couldn't be decrypted:", error);
+        }
+    }
+    return formData;
+}
+
+/**
+ * Deletes the saved draft, including any save that is still being encrypted.
+ */
+function clearDraft() {
+    draftSaveCount++;
+    sessionStorage.removeItem(DRAFT_STORAGE_KEY);
+}
+
+/**
+ * Checks whether a draft is older than DRAFT_MAX_AGE_MINUTES.
+ * @param {{savedAt: number}} draft - The saved draft.
+ * @returns {boolean} - True if the draft has expired.
+ */
+function isDraftExpired(draft) {
+    const age = Date.now() - draft.savedAt;
+    return !(age >= 0 && age <= DRAFT_MAX_AGE_MINUTES * 60 * 1000);
+}
+
+// --- Encryption ---
+
+/**
+ * Encrypts draft fields with the draft key.
+ * @param {Object<string, string|boolean>} fields - The fields to encrypt.
+ * @returns {Promise<{iv: string, data: string}>} - The random IV and the encrypted fields, base64-encoded.
+ */
+async function encryptDraftFields(fields) {
+    const key = await getDraftKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(fields));
+    const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+/**
+ * Decrypts draft fields encrypted by encryptDraftFields().
+ * @param {{iv: string, data: string}} encrypted - The IV and encrypted fields, base64-encoded.
+ * @returns {Promise<Object<string, string|boolean>>} - The decrypted fields.
+ */
+async function decryptDraftFields(encrypted) {
+    const key = await getDraftKey();
+    const plaintext = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: base64ToBytes(encrypted.iv) },
+        key,
+        base64ToBytes(encrypted.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Gets the key drafts are encrypted with, creating it the first time.
+ * The key is non-extractable: it is stored in IndexedDB as a CryptoKey, and its raw bytes
+ * can't be read back by any script.
+ * @returns {Promise<CryptoKey>} - The AES-GCM key.
+ */
+function getDraftKey() {
+    if (!draftKeyRequest) {
+        draftKeyRequest = (async () => {
+            const database = await openDraftKeyDatabase();
+            const savedKey = await promisifyRequest(
+                database.transaction(DRAFT_KEY_STORE).objectStore(DRAFT_KEY_STORE).get(DRAFT_KEY_ID)
+            );
+            if (savedKey) {
+                return savedKey;
+            }
+
+            const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, false, ["encrypt", "decrypt"]);
+            await promisifyRequest(
+                database.transaction(DRAFT_KEY_STORE, "readwrite").objectStore(DRAFT_KEY_STORE).put(key, DRAFT_KEY_ID)
+            );
+            return key;
+        })();
+
+        // Try again next time rather than remembering the failure
+        draftKeyRequest.catch(() => {
+            draftKeyRequest = null;
+        });
+    }
+    return draftKeyRequest;
+}
+
+/**
+ * Opens the IndexedDB database that holds the draft key.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDraftKeyDatabase() {
+    if (typeof indexedDB === "undefined" || !window.crypto || !crypto.subtle) {
+        return Promise.reject(new Error("Web Crypto or IndexedDB is not available"));
+    }
+    const request = indexedDB.open(DRAFT_KEY_DATABASE, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DRAFT_KEY_STORE);
+    return promisifyRequest(request);
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} - Resolves with the request's result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Encodes bytes as base64 text.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} - The base64 text.
+ */
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decodes base64 text to bytes.
+ * @param {string} text - The base64 text.
+ * @returns {Uint8Array} - The bytes.
+ */
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,1163 @@
+/*
+  File: i18n.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Translations for the Sweet Life website.
+  All text shown by the website's JavaScript (validation messages, order summary, receipts...)
+  comes from the message catalogue below through t(), and static text in the HTML pages is
+  marked with data-i18n attributes that applyTranslations() fills in.
+  The chosen language is saved in localStorage, so it is kept across pages and visits
+  (see initLanguageSwitcher() in script.js). Numbers, prices and dates are formatted for the
+  chosen language with the Intl API.
+  This file is also loaded by the local server (server/shared.js), which always uses English.
+
+  Messages:
+  - Placeholders in braces are filled in from the params given to t(), e.g. "{count} scoops".
+  - A message can be an object of plural forms ("one", "other", ...), chosen with
+    Intl.PluralRules from params.count.
+  - Messages missing from a language fall back to English.
+*/
+
+"use strict";
+
+const DEFAULT_LOCALE = "en";
+const LOCALE_STORAGE_KEY = "locale";
+
+// Supported languages: the name shown in the language switcher and the locale used by Intl
+const LOCALES = {
+    en: { name: "English", intl: "en-AU" },
+    zh: { name: "中文", intl: "zh-CN" }
+};
+
+const MESSAGES = {
+    en: {
+        // Page titles, header and navigation
+        "title.home": "Sweet Life - Home",
+        "title.register": "Register - Sweet Life",
+        "title.login": "Log In - Sweet Life",
+        "title.order": "Order Now - Sweet Life",
+        "title.orders": "My Orders - Sweet Life",
+        "title.confirmation": "Order Confirmation - Sweet Life",
+        "title.dashboard": "Staff Dashboard - Sweet Life",
+        "title.report": "Marketing Report - Sweet Life",
+        "title.track": "Track Your Order - Sweet Life",
+        "title.features": "Website Enhancements - Sweet Life",
+        "site.heading": "Sweet Life Ice-Cream",
+        "site.logoAlt": "Sweet Life Logo",
+        "nav.home": "Home",
+        "nav.register": "Register",
+        "nav.order": "Order",
+        "nav.orders": "My Orders",
+        "nav.track": "Track Order",
+        "nav.features": "Enhancements",
+        "nav.login": "Log In",
+        "nav.dashboard": "Dashboard",
+        "nav.report": "Report",
+        "language.label": "Language",
+
+        // Customer account (nav)
+        "account.signedInAs": "Signed in as {username}",
+        "account.logOut": "Log Out",
+        "account.logOutFailed": "We couldn't reach the Sweet Life server to log you out. Please try again.",
+
+        // Home page
+        "home.welcomeHeading": "Welcome to Sweet Life!",
+        "home.welcomeText": "Since 2005, Sweet Life has been serving up the creamiest, most delicious artisanal ice-cream. Our mission is to bring a scoop of happiness into your life. We use only the freshest local ingredients, and our flavours change with the seasons. Come visit us and find your new favourite!",
+        "home.location": "Location:",
+        "home.hours": "Hours:",
+        "home.hoursValue": "7 days a week, 10:00 AM - 10:00 PM",
+        "home.menuHeading": "Our Signature Flavours",
+        "home.menuIntroBefore": "We have dozens of flavours, but here are a few you ",
+        "home.menuIntroStrong": "must",
+        "home.menuIntroAfter": " try.",
+
+        // Cart
+        "cart.add": "Add to Order",
+        "cart.addLabel": "Add {flavor} to your order",
+        "cart.inOrder": "{count} in your order",
+        "cart.badgeLabel": { one: "scoop in your cart", other: "scoops in your cart" },
+
+        // Shared form text
+        "form.loginDetails": "Login Details",
+        "form.username": "Username:",
+        "form.password": "Password:",
+        "form.email": "Email:",
+
+        // Login page
+        "login.heading": "Log In",
+        "login.intro": "Log in to fill in your saved details when you order.",
+        "login.submit": "Log In",
+        "login.noAccount": "Don't have an account? ",
+        "login.registerLink": "Register here",
+        "login.noAccountEnd": ".",
+
+        // Registration page
+        "register.heading": "Create Your Account",
+        "register.intro": "Register to save your favourite orders and get exclusive deals!",
+        "register.passwordHint": "At least 9 characters with uppercase, lowercase, number, and symbol.",
+        "register.strengthMeter": "Password strength",
+        "register.confirmPassword": "Confirm Password:",
+        "register.personalInfo": "Personal Information",
+        "register.gender": "Gender:",
+        "register.male": "Male",
+        "register.female": "Female",
+        "register.preferences": "Your Preferences",
+        "register.favourites": "Favourite Ice-Cream Types:",
+        "register.vanilla": "Vanilla",
+        "register.chocolate": "Chocolate",
+        "register.strawberry": "Strawberry",
+        "register.referral": "How did you hear about us?",
+        "register.referralSelect": "Please select",
+        "register.referralFriend": "Friend",
+        "register.referralSearch": "Search Engine",
+        "register.referralSocial": "Social Media",
+        "register.referralWalkIn": "Walked In",
+        "register.referralNone": "None of the above",
+        "register.submit": "Register",
+        "register.usernameHint": "3 to 20 characters: letters, numbers, dots, hyphens and underscores, starting with a letter.",
+        "register.usernameChecking": "Checking whether {username} is available…",
+        "register.usernameAvailable": "{username} is available.",
+        "verify.heading": "Verify Your Email",
+        "verify.intro": "We've emailed a 6-digit code to {email}. Enter it below to activate your account.",
+        "verify.introNoEmail": "Enter the 6-digit code we emailed you when you registered to activate your account.",
+        "verify.code": "Verification Code:",
+        "verify.submit": "Verify Email",
+        "verify.resend": "Send a New Code",
+        "verify.codeSent": "We've sent a new code to the email address you registered with.",
+        "verify.success": "Welcome, {username}! Your email address is verified and you're now logged in.",
+
+        // Password strength meter
+        "password.rule.length": "At least 9 characters",
+        "password.rule.upper": "An uppercase letter",
+        "password.rule.lower": "A lowercase letter",
+        "password.rule.digit": "A number",
+        "password.rule.symbol": "A symbol (e.g. ! @ # $)",
+        "password.ruleStatus": "{rule}: {status}",
+        "password.ruleMet": "done",
+        "password.ruleNotMet": "not yet",
+        "password.strength.0": "Very weak",
+        "password.strength.1": "Weak",
+        "password.strength.2": "Fair",
+        "password.strength.3": "Strong",
+        "password.strength.4": "Very strong",
+        "password.strengthLabel": "Strength: {label}",
+        "password.entropy": " (about {bits} bits)",
+        "password.info.username": "username",
+        "password.info.email": "email address",
+        "password.warning.common": "This password is too common and appears in breach lists.",
+        "password.warning.personal": "Your password shouldn't contain your {info}.",
+        "password.match": "✓ Passwords match",
+        "password.mismatch": "✗ Passwords do not match",
+
+        // Flavours (catalogue.js)
+        "flavor.vanilla.name": "Classic Vanilla Bean",
+        "flavor.vanilla.description": "Simple, elegant, and timeless. Made with real Madagascar vanilla beans for a rich, aromatic flavour.",
+        "flavor.vanilla.imageAlt": "A scoop of vanilla bean ice-cream.",
+        "flavor.chocolate.name": "Decadent Dark Chocolate",
+        "flavor.chocolate.description": "For the true chocoholic. A deep, rich cocoa flavour that's perfectly balanced—not too sweet, just right.",
+        "flavor.chocolate.imageAlt": "A scoop of dark chocolate ice-cream.",
+        "flavor.strawberry.name": "Strawberry Fields Sorbet",
+        "flavor.strawberry.description": "A refreshing, dairy-free option bursting with the taste of fresh-picked strawberries. Vibrant and light.",
+        "flavor.strawberry.imageAlt": "A scoop of strawberry sorbet.",
+
+        // Order page
+        "order.heading": "Place Your Order",
+        "order.intro": "Get your ice-cream delivered or ready for pickup!",
+        "order.details": "Order Details",
+        "order.type": "Order Type:",
+        "orderType.delivery": "Delivery",
+        "orderType.pickup": "Pickup",
+        "order.deliveryDetails": "Delivery Details",
+        "address.street": "Street Address:",
+        "address.suburb": "Suburb:",
+        "address.postcode": "Postcode (4 digits):",
+        "order.deliveryDate": "Delivery Date:",
+        "order.deliveryTime": "Delivery Time:",
+        "order.selectSlot": "Select a time slot",
+        "order.pickupDetails": "Pickup Details",
+        "order.pickupDate": "Pickup Date:",
+        "order.pickupTime": "Pickup Time:",
+        "order.billingDetails": "Billing Details",
+        "order.sameAsDelivery": "Same as delivery address",
+        "order.selection": "Ice Cream Selection",
+        "order.selectFlavours": "Select flavors and quantities:",
+        "order.flavourGroup": "Flavours and quantities",
+        "order.remarks": "Remarks (Optional):",
+        "order.remarksPlaceholder": "Any special instructions or requests...",
+        "order.contactDetails": "Contact Details",
+        "order.contactNumber": "Contact Number:",
+        "order.email": "Email for Receipt:",
+        "order.saveDetails": "Save my contact number and addresses to my account",
+        "order.smsUpdates": "Text me updates about my order (Australian mobiles only)",
+        "order.contactNumberPlaceholder": "e.g. 0412 345 678 or +44 20 7946 0958",
+        "order.payment": "Payment",
+        "order.payMethod": "Payment Method:",
+        "order.payOnline": "Pay Online",
+        "order.payOnPickup": "Pay on Pickup",
+        "order.cardDetails": "Credit Card Information",
+        "order.cardType": "Card Type:",
+        "order.selectCardType": "Select card type",
+        "order.cardName": "Name on Card:",
+        "order.cardNameHint": "Name on card should contain letters and spaces only.",
+        "order.cardNumber": "Card Number:",
+        "order.cardExpiry": "Expiry Date (MM/YY):",
+        "order.cardCvv": "CVV:",
+        "order.cardDigits": "{count} digits",
+        "order.summary": "Order Summary",
+        "order.promoCode": "Promo Code (Optional):",
+        "order.applyPromo": "Apply",
+        "order.submit": "Place Order",
+        "order.needDeliveryAddress": "Please enter your delivery address first.",
+        "order.deliveryAddressMismatch": "Your delivery suburb and postcode don't match. Please check them first.",
+        "flavor.decrease": "Decrease {flavor} quantity",
+        "flavor.increase": "Increase {flavor} quantity",
+        "stock.soldOut": "Sold out",
+        "stock.onlyLeft": "Only {count} left",
+        "stock.limitReached": "Limit of {count} per order reached",
+
+        // Step-by-step checkout (order.html)
+        "wizard.turnOn": "Check out step by step",
+        "wizard.turnOff": "Show the whole form",
+        "wizard.progress": "Checkout steps",
+        "wizard.status": "Step {current} of {total}: {step}",
+        "wizard.step.flavors": "Flavours",
+        "wizard.step.delivery": "Delivery/Pickup",
+        "wizard.step.contact": "Contact & Billing",
+        "wizard.step.payment": "Payment",
+        "wizard.step.review": "Review",
+        "wizard.back": "Back",
+        "wizard.next": "Next: {step}",
+        "wizard.edit": "Edit",
+        "wizard.editStep": "Edit {step}",
+        "wizard.scoops": { one: "{count} scoop", other: "{count} scoops" },
+        "wizard.smsUpdates": "Order updates by SMS",
+
+        // Delivery zones, time slots and opening hours
+        "delivery.zoneInfo": "{zone}: {fee} delivery, {minimum}.",
+        "zone.hawthorn": "Hawthorn and surrounds",
+        "zone.city": "Melbourne CBD and inner north",
+        "zone.east": "Eastern suburbs",
+        "zone.bayside": "Bayside",
+        "delivery.minimumOrder": "minimum order {amount}",
+        "delivery.noMinimumOrder": "no minimum order",
+        "delivery.slotRange": "{start} - {end}",
+        "delivery.slotFull": "{slot} (full)",
+        "pickup.hours": "We're open from {open} to {close} on {day}.",
+
+        // Order summary and totals
+        "table.order": "Order",
+        "table.date": "Date",
+        "table.flavour": "Flavour",
+        "table.flavours": "Flavours",
+        "table.qty": "Qty",
+        "table.price": "Price",
+        "table.type": "Type",
+        "table.total": "Total",
+        "table.actions": "Actions",
+        "table.placed": "Placed",
+        "table.deliveryPickup": "Delivery / Pickup",
+        "table.contact": "Contact",
+        "table.payment": "Payment",
+        "table.remarks": "Remarks",
+        "table.status": "Status",
+        "totals.subtotal": "Subtotal",
+        "totals.discount": "Discount",
+        "totals.discountWithCode": "Discount ({code})",
+        "totals.deliveryFee": "Delivery Fee",
+        "totals.gst": "GST (10%)",
+        "totals.total": "Total",
+        "summary.empty": "No flavours selected yet.",
+
+        // Promo codes (pricing.js)
+        "promo.applied": "{description} applied.",
+        "promo.unknown": "Promo code \"{code}\" is not recognised.",
+        "promo.notYetValid": "This code is not valid until {date}.",
+        "promo.expired": "This code expired on {date}.",
+        "promo.days": "This code is only valid on {days}.",
+        "promo.weekday": "{day}s",
+        "promo.orderTypes": "This code is only valid for {types} orders.",
+        "promo.orderType.delivery": "delivery",
+        "promo.orderType.pickup": "pickup",
+        "promo.minQuantity": "Add at least {count} scoops to use this code.",
+        "promo.minFlavor": "Add at least {count} {flavor} to use this code.",
+        "promo.cannotApply": "Promo code \"{code}\" cannot be applied.",
+        "promo.rule.vanillaTues": "2 for 1 vanilla Tuesdays",
+        "promo.rule.pickup10": "10% off pickup orders",
+        "promo.rule.sweet5": "$5 off orders of 4 or more scoops",
+        "promo.rule.summer15": "15% off over summer",
+
+        // Confirmation page and receipt
+        "confirmation.heading": "Thank You for Your Order!",
+        "confirmation.loading": "Loading your order...",
+        "confirmation.notFound": "Sorry, we couldn't find that order. Please check your order number.",
+        "confirmation.delivery": "Your order has been received and will be delivered to you soon.",
+        "confirmation.pickup": "Your order has been received. We'll have it ready for pickup soon.",
+        "confirmation.track": "Track this order",
+        "receipt.orderNumber": "Order Number:",
+        "receipt.orderDate": "Order Date:",
+        "receipt.orderType": "Order Type:",
+        "receipt.deliveryDetails": "Delivery Details",
+        "receipt.pickupDetails": "Pickup Details",
+        "receipt.pickupFromShop": "Pick up from our shop: {address}",
+        "receipt.billingAddress": "Billing Address",
+        "receipt.contact": "Contact",
+        "receipt.payment": "Payment",
+        "receipt.remarks": "Remarks",
+        "receipt.print": "Print Receipt",
+        "receipt.downloadText": "Download as Text",
+        "receipt.downloadJson": "Download as JSON",
+        "schedule.slot": "{day}, {start} - {end}",
+        "schedule.time": "{day} at {time}",
+        "payment.onPickup": "Pay on pickup",
+        "payment.card": "{brand} ending in {last4}",
+        "payment.cardGeneric": "Card",
+
+        // Plain-text receipt (Download as Text)
+        "receiptText.title": "Sweet Life Ice-Cream - Order Receipt",
+        "receiptText.orderNumber": "Order number:",
+        "receiptText.orderDate": "Order date:",
+        "receiptText.orderType": "Order type:",
+        "receiptText.items": "Items:",
+        "receiptText.subtotal": "Subtotal:",
+        "receiptText.discount": "Discount:",
+        "receiptText.deliveryFee": "Delivery fee:",
+        "receiptText.gst": "GST (10%):",
+        "receiptText.total": "Total:",
+        "receiptText.deliverTo": "Deliver to:",
+        "receiptText.pickupFrom": "Pickup from:",
+        "receiptText.deliveryTime": "Delivery:",
+        "receiptText.pickupTime": "Pickup:",
+        "receiptText.billing": "Billing:",
+        "receiptText.contact": "Contact:",
+        "receiptText.payment": "Payment:",
+        "receiptText.remarks": "Remarks:",
+
+        // Order history page
+        "orders.heading": "My Orders",
+        "orders.loading": "Loading your orders...",
+        "orders.loadFailed": "Sorry, we couldn't load your orders. Please try again later.",
+        "orders.empty": "You haven't placed any orders yet.",
+        "orders.accountOrders": "Your orders, {username}:",
+        "orders.deviceOrders": "Orders placed on this device. Log in to see all the orders on your account.",
+        "orders.reorder": "Reorder",
+        "orders.reorderLabel": "Reorder {order}",
+
+        // Staff dashboard and order statuses (order-status.js)
+        "dashboard.heading": "Staff Dashboard",
+        "dashboard.loading": "Loading orders...",
+        "dashboard.loginRequired": "Please log in with a staff account to see incoming orders.",
+        "dashboard.staffOnly": "This page is for Sweet Life staff only.",
+        "dashboard.loadFailed": "Sorry, we couldn't load the orders. Please try again.",
+        "dashboard.empty": "No orders match these filters.",
+        "dashboard.count": { one: "{count} order", other: "{count} orders" },
+        "dashboard.filters": "Filter orders",
+        "dashboard.filterType": "Order type:",
+        "dashboard.filterStatus": "Status:",
+        "dashboard.all": "All",
+        "dashboard.refresh": "Refresh",
+        "dashboard.changeStatusLabel": "{action}: {order}",
+        "dashboard.confirmCancel": "Cancel order {order}? This can't be undone.",
+        "dashboard.statusChanged": "Order {order} is now {status}.",
+        "dashboard.statusChangeFailed": "Order {order} couldn't be updated: {reason}",
+
+        // Marketing report (report.html)
+        "report.heading": "Marketing Report",
+        "report.loading": "Loading registrations...",
+        "report.loginRequired": "Please log in with a staff account to see the marketing report.",
+        "report.loadFailed": "Sorry, we couldn't load the report. Please try again.",
+        "report.empty": "No customers have registered yet.",
+        "report.summary": {
+            one: "{count} registration, on {from}.",
+            other: "{count} registrations, from {from} to {to}."
+        },
+        "report.exportCsv": "Export All Data (CSV)",
+        "report.referralHeading": "How New Customers Heard About Us",
+        "report.referralIntro": "Registrations each month, by the answer to \"How did you hear about us?\".",
+        "report.referralNotGiven": "Not given",
+        "report.month": "Month",
+        "report.flavorHeading": "Favourite Flavours and What Customers Order",
+        "report.flavorIntro": "How many customers ticked each flavour as a favourite when registering, how many of them have ordered it, and each flavour's share of the scoops registered customers have ordered.",
+        "report.favourites": "Favourite of",
+        "report.fansWhoOrdered": "Fans who ordered it",
+        "report.scoops": "Scoops ordered",
+        "report.countShare": "{count} ({percent})",
+        "report.barLabel": "{category}, {series}: {count}",
+
+        // Order tracking page (track.html)
+        "track.heading": "Track Your Order",
+        "track.intro": "Enter your order number and the email address you ordered with to see how your order is going.",
+        "track.orderNumber": "Order Number:",
+        "track.email": "Email:",
+        "track.submit": "Track Order",
+        "track.orderHeading": "Order {order}",
+        "track.progress": "Progress",
+        "track.contents": "Your Order",
+        "track.message.received": "We've got your order and will start on it soon.",
+        "track.message.preparing": "We're scooping your ice-cream now.",
+        "track.message.ready": "Your order is ready to collect from the shop.",
+        "track.message.out-for-delivery": "Your order is on its way to you.",
+        "track.message.delivered": "Your order has been delivered. Enjoy!",
+        "track.message.collected": "Your order has been picked up. Enjoy!",
+        "track.message.cancelled": "This order has been cancelled. Please contact the shop if you have any questions.",
+        "track.estimatedDelivery": "Estimated Delivery:",
+        "track.estimatedPickup": "Estimated Pickup:",
+        "track.delivered": "Delivered:",
+        "track.pickedUp": "Picked Up:",
+        "track.around": "Around {time}",
+        "track.updated": "Last updated at {time}. This page updates by itself.",
+        "track.refreshFailed": "We couldn't check for updates just now. We'll try again shortly.",
+
+        "orderStatus.received": "Received",
+        "orderStatus.preparing": "Preparing",
+        "orderStatus.ready": "Ready for pickup",
+        "orderStatus.out-for-delivery": "Out for delivery",
+        "orderStatus.completed": "Completed",
+        "orderStatus.cancelled": "Cancelled",
+        "orderStatus.action.preparing": "Start preparing",
+        "orderStatus.action.ready": "Ready for pickup",
+        "orderStatus.action.out-for-delivery": "Send out",
+        "orderStatus.action.completed": "Complete",
+        "orderStatus.action.cancelled": "Cancel",
+
+        // Error summary and server errors
+        "errors.summaryHeading": {
+            one: "Please fix the following error:",
+            other: "Please fix the following {count} errors:"
+        },
+        "errors.serverUnreachable": "We couldn't reach the Sweet Life server. Please check that it is running and try again.",
+        "server.usernameTaken": "That username is already taken.",
+        "server.emailTaken": "An account with that email already exists.",
+        "server.emailNotVerified": "Please verify your email address before logging in, using the code we emailed you when you registered.",
+        "server.noPendingVerification": "There's no account waiting to be verified with that username. It may already be verified (try logging in), or the registration may have expired.",
+        "server.codeIncorrect": "That code isn't right. Please check the email we sent and try again.",
+        "server.codeExpired": "That code has expired. Please ask for a new one.",
+        "server.codeTooManyAttempts": "Too many incorrect codes. Please ask for a new one.",
+        "server.codeResendTooSoon": "We sent a code less than a minute ago. Please check your email, or wait a moment before asking again.",
+        "server.loginFailed": "Incorrect username or password.",
+        "server.slotFull": "Sorry, that delivery time slot is now full. Please choose another one.",
+        "server.dateUnavailable": "Please choose a date we can deliver on.",
+        "server.loginRequired": "Please log in to see your orders.",
+        "server.staffLoginRequired": "Please log in with a staff account.",
+        "server.staffOnly": "Only Sweet Life staff can do this.",
+        "server.statusChange": "This order can't be moved to that status.",
+        "server.trackNotFound": "We couldn't find an order with that number and email address. Please check them and try again.",
+        "server.error": "Something went wrong. Please try again.",
+
+        // Emails sent by the local server (server/mailer.js)
+        "email.verify.subject": "Your Sweet Life verification code",
+        "email.verify.body": "Hi {username},\n\nYour Sweet Life verification code is {code}. It expires in {minutes} minutes.\n\nEnter it on the registration page to activate your account:\n{link}\n\nIf you didn't create a Sweet Life account, you can ignore this email.",
+
+        // Validation messages (validation.js)
+        "validation.username.required": "Username is required.",
+        "validation.username.length": "Username must be 3 to 20 characters long.",
+        "validation.username.characters": "Username must start with a letter and contain only letters, numbers, dots (.), hyphens (-) and underscores (_).",
+        "validation.username.reserved": "That username is reserved. Please choose another one.",
+        "validation.username.taken": "That username is already taken. Please choose another one.",
+        "validation.password.required": "Password is required.",
+        "validation.password.minLength": "Password must be at least 9 characters long.",
+        "validation.password.strong": "Password must include uppercase, lowercase, number, and symbol.",
+        "validation.confirmPassword.match": "Passwords do not match.",
+        "validation.email.required": "Email is required.",
+        "validation.email.format": "Please enter a valid email address (e.g., name@domain.com).",
+        "validation.verificationCode.required": "Please enter the verification code we emailed you.",
+        "validation.verificationCode.format": "The verification code is the 6 digits in the email we sent you.",
+        "validation.trackOrder.required": "Order number is required.",
+        "validation.trackOrder.format": "Order numbers look like SL-000123. You'll find yours on your receipt.",
+        "validation.gender.required": "Please select a gender.",
+        "validation.flavor.required": "Please select at least one ice cream flavor.",
+        "validation.flavor.deliveryMinimum": "Delivery to {zone} needs an order of at least {amount} (before discounts).",
+        "validation.flavor.soldOut": "Sorry, {flavor} has sold out. Please take it out of your order.",
+        "validation.flavor.onlyLeft": {
+            one: "Sorry, there is only {count} scoop of {flavor} left.",
+            other: "Sorry, there are only {count} scoops of {flavor} left."
+        },
+        "validation.flavor.maxPerOrder": "You can order up to {count} scoops of each flavour.",
+        "validation.orderType.required": "Please choose delivery or pickup.",
+        "validation.payMethod.required": "Please choose a payment method.",
+        "validation.deliveryStreet.required": "Delivery street is required.",
+        "validation.deliverySuburb.required": "Delivery suburb is required.",
+        "validation.deliveryPostcode.format": "Delivery postcode must be exactly 4 digits.",
+        "validation.deliveryPostcode.noZone": "Sorry, we don't deliver to postcode {postcode} yet.",
+        "validation.deliveryPostcode.zoneUnavailable": "Delivery to {zone} is unavailable at the moment.",
+        "validation.postcode.mismatch": "Postcode {postcode} doesn't match {suburb} (expected {expected}).",
+        "validation.deliveryDate.required": "Please choose a delivery date.",
+        "validation.pickupDate.required": "Please choose a pickup date.",
+        "validation.date.invalid": "Please enter a valid date.",
+        "validation.date.past": "That date has already passed.",
+        "validation.date.tooFarAhead": { one: "You can only book up to {count} day ahead.", other: "You can only book up to {count} days ahead." },
+        "validation.date.closed": "Sorry, we're closed on {day}s. Please choose another day.",
+        "validation.deliverySlot.required": "Please choose a delivery time slot.",
+        "validation.deliverySlot.tooSoon": "That time slot has already started or is about to. Please choose a later one.",
+        "validation.pickupTime.required": "Please choose a pickup time.",
+        "validation.time.invalid": "Please enter a valid time.",
+        "validation.pickupTime.outsideHours": "On {day}s we're open from {open} to {close}.",
+        "validation.pickupTime.tooSoon": { one: "Pickup time must be at least {count} minute from now.", other: "Pickup time must be at least {count} minutes from now." },
+        "validation.billingStreet.required": "Billing street is required.",
+        "validation.billingSuburb.required": "Billing suburb is required.",
+        "validation.billingPostcode.format": "Billing postcode must be exactly 4 digits.",
+        "validation.contactNumber.required": "Contact number is required.",
+        "validation.contactNumber.invalidCharacters": "Phone numbers can only contain digits, spaces, dashes, brackets and a leading +.",
+        "validation.contactNumber.noAreaCode": "Please include the area code (e.g. 03 9123 4567), or a country code for numbers outside Australia (e.g. +44).",
+        "validation.contactNumber.invalidAreaCode": "{areaCode} isn't an Australian area code. Mobile numbers start with 04, and landlines with 02, 03, 07 or 08.",
+        "validation.contactNumber.tooShort": "This phone number is too short. Australian numbers have 10 digits, including the area code.",
+        "validation.contactNumber.tooLong": "This phone number is too long. Australian numbers have 10 digits, including the area code.",
+        "validation.contactNumber.invalidCountryCode": "Please enter a country code after the + (e.g. +44 for the UK).",
+        "validation.contactNumber.intlTooShort": "This phone number is too short. International numbers need at least 8 digits, including the country code.",
+        "validation.contactNumber.intlTooLong": "This phone number is too long. International numbers have at most 15 digits, including the country code.",
+        "validation.contactNumber.smsNeedsMobile": "SMS updates can only be sent to an Australian mobile number (e.g. 0412 345 678).",
+        "validation.cardType.required": "Please select a card type.",
+        "validation.cardName.required": "Name on card is required.",
+        "validation.cardName.format": "Name on card must contain letters and spaces only.",
+        "validation.cardNumber.required": "Card number is required.",
+        "validation.cardNumber.digits": "Card number must contain digits only.",
+        "validation.cardNumber.brandMismatch": "This looks like a {detected} number, but {selected} is selected.",
+        "validation.cardNumber.length": "{brand} card numbers must be {length} digits.",
+        "validation.cardNumber.luhn": "Card number is invalid. Please check it and try again.",
+        "validation.cardExpiry.required": "Card expiry date is required.",
+        "validation.cardExpiry.format": "Expiry date must be in MM/YY format (e.g., 08/27).",
+        "validation.cardExpiry.expired": "This card has expired.",
+        "validation.cardCvv.required": "Card CVV is required.",
+        "validation.cardCvv.brandLength": "CVV must be {length} digits for {brand}.",
+        "validation.cardCvv.length": "CVV must be 3 or 4 digits."
+    },
+
+    zh: {
+        // Page titles, header and navigation
+        "title.home": "Sweet Life - 首页",
+        "title.register": "注册 - Sweet Life",
+        "title.login": "登录 - Sweet Life",
+        "title.order": "立即订购 - Sweet Life",
+        "title.orders": "我的订单 - Sweet Life",
+        "title.confirmation": "订单确认 - Sweet Life",
+        "title.dashboard": "员工订单面板 - Sweet Life",
+        "title.report": "营销报告 - Sweet Life",
+        "title.track": "追踪订单 - Sweet Life",
+        "title.features": "网站功能增强 - Sweet Life",
+        "site.heading": "Sweet Life 冰淇淋",
+        "site.logoAlt": "Sweet Life 标志",
+        "nav.home": "首页",
+        "nav.register": "注册",
+        "nav.order": "订购",
+        "nav.orders": "我的订单",
+        "nav.track": "追踪订单",
+        "nav.features": "功能增强",
+        "nav.login": "登录",
+        "nav.dashboard": "订单面板",
+        "nav.report": "营销报告",
+        "language.label": "语言",
+
+        // Customer account (nav)
+        "account.signedInAs": "已登录：{username}",
+        "account.logOut": "退出登录",
+        "account.logOutFailed": "无法连接 Sweet Life 服务器，未能退出登录。请重试。",
+
+        // Home page
+        "home.welcomeHeading": "欢迎来到 Sweet Life！",
+        "home.welcomeText": "自 2005 年以来，Sweet Life 一直为您奉上最香浓、最美味的手工冰淇淋。我们的使命是为您的生活带来一勺快乐。我们只使用最新鲜的本地食材，口味随季节变换。欢迎光临，发现您的新最爱！",
+        "home.location": "地址：",
+        "home.hours": "营业时间：",
+        "home.hoursValue": "每周 7 天，上午 10:00 - 晚上 10:00",
+        "home.menuHeading": "招牌口味",
+        "home.menuIntroBefore": "我们有几十种口味，但这几款你",
+        "home.menuIntroStrong": "一定",
+        "home.menuIntroAfter": "要尝尝。",
+
+        // Cart
+        "cart.add": "加入订单",
+        "cart.addLabel": "将{flavor}加入订单",
+        "cart.inOrder": "订单中已有 {count} 份",
+        "cart.badgeLabel": { other: "份在购物车中" },
+
+        // Shared form text
+        "form.loginDetails": "登录信息",
+        "form.username": "用户名：",
+        "form.password": "密码：",
+        "form.email": "电子邮箱：",
+
+        // Login page
+        "login.heading": "登录",
+        "login.intro": "登录后，下单时将自动填入您保存的信息。",
+        "login.submit": "登录",
+        "login.noAccount": "还没有账户？",
+        "login.registerLink": "在此注册",
+        "login.noAccountEnd": "。",
+
+        // Registration page
+        "register.heading": "创建您的账户",
+        "register.intro": "注册即可保存您喜爱的订单并获得专属优惠！",
+        "register.passwordHint": "至少 9 个字符，包含大写字母、小写字母、数字和符号。",
+        "register.strengthMeter": "密码强度",
+        "register.confirmPassword": "确认密码：",
+        "register.personalInfo": "个人信息",
+        "register.gender": "性别：",
+        "register.male": "男",
+        "register.female": "女",
+        "register.preferences": "您的偏好",
+        "register.favourites": "喜爱的冰淇淋种类：",
+        "register.vanilla": "香草",
+        "register.chocolate": "巧克力",
+        "register.strawberry": "草莓",
+        "register.referral": "您是如何了解到我们的？",
+        "register.referralSelect": "请选择",
+        "register.referralFriend": "朋友",
+        "register.referralSearch": "搜索引擎",
+        "register.referralSocial": "社交媒体",
+        "register.referralWalkIn": "路过进店",
+        "register.referralNone": "以上都不是",
+        "register.submit": "注册",
+        "register.usernameHint": "3 至 20 个字符：字母、数字、点、连字符和下划线，并以字母开头。",
+        "register.usernameChecking": "正在检查 {username} 是否可用…",
+        "register.usernameAvailable": "{username} 可以使用。",
+        "verify.heading": "验证您的电子邮箱",
+        "verify.intro": "我们已向 {email} 发送了 6 位验证码。请在下方输入以激活您的账户。",
+        "verify.introNoEmail": "请输入注册时我们通过电子邮件发送给您的 6 位验证码，以激活您的账户。",
+        "verify.code": "验证码：",
+        "verify.submit": "验证邮箱",
+        "verify.resend": "重新发送验证码",
+        "verify.codeSent": "我们已向您注册时使用的电子邮箱发送了新的验证码。",
+        "verify.success": "欢迎，{username}！您的电子邮箱已验证，现已登录。",
+
+        // Password strength meter
+        "password.rule.length": "至少 9 个字符",
+        "password.rule.upper": "一个大写字母",
+        "password.rule.lower": "一个小写字母",
+        "password.rule.digit": "一个数字",
+        "password.rule.symbol": "一个符号（例如 ! @ # $）",
+        "password.ruleStatus": "{rule}：{status}",
+        "password.ruleMet": "已满足",
+        "password.ruleNotMet": "未满足",
+        "password.strength.0": "非常弱",
+        "password.strength.1": "弱",
+        "password.strength.2": "一般",
+        "password.strength.3": "强",
+        "password.strength.4": "非常强",
+        "password.strengthLabel": "强度：{label}",
+        "password.entropy": "（约 {bits} 位）",
+        "password.info.username": "用户名",
+        "password.info.email": "电子邮箱地址",
+        "password.warning.common": "此密码过于常见，已出现在泄露密码列表中。",
+        "password.warning.personal": "密码不应包含您的{info}。",
+        "password.match": "✓ 两次输入的密码一致",
+        "password.mismatch": "✗ 两次输入的密码不一致",
+
+        // Flavours (catalogue.js)
+        "flavor.vanilla.name": "经典香草豆",
+        "flavor.vanilla.description": "简单、优雅、经典。选用马达加斯加真香草豆，香气浓郁。",
+        "flavor.vanilla.imageAlt": "一球香草豆冰淇淋。",
+        "flavor.chocolate.name": "浓情黑巧克力",
+        "flavor.chocolate.description": "巧克力控的首选。可可味浓郁醇厚，甜度恰到好处。",
+        "flavor.chocolate.imageAlt": "一球黑巧克力冰淇淋。",
+        "flavor.strawberry.name": "草莓园雪葩",
+        "flavor.strawberry.description": "清爽无乳制品，满是新鲜采摘草莓的味道，鲜艳又轻盈。",
+        "flavor.strawberry.imageAlt": "一球草莓雪葩。",
+
+        // Order page
+        "order.heading": "下订单",
+        "order.intro": "冰淇淋可送货上门，也可到店自取！",
+        "order.details": "订单信息",
+        "order.type": "订单类型：",
+        "orderType.delivery": "配送",
+        "orderType.pickup": "自取",
+        "order.deliveryDetails": "配送信息",
+        "address.street": "街道地址：",
+        "address.suburb": "城区：",
+        "address.postcode": "邮编（4 位数字）：",
+        "order.deliveryDate": "配送日期：",
+        "order.deliveryTime": "配送时间：",
+        "order.selectSlot": "请选择时段",
+        "order.pickupDetails": "自取信息",
+        "order.pickupDate": "自取日期：",
+        "order.pickupTime": "自取时间：",
+        "order.billingDetails": "账单信息",
+        "order.sameAsDelivery": "与配送地址相同",
+        "order.selection": "冰淇淋选择",
+        "order.selectFlavours": "选择口味和数量：",
+        "order.flavourGroup": "口味和数量",
+        "order.remarks": "备注（选填）：",
+        "order.remarksPlaceholder": "任何特殊说明或要求...",
+        "order.contactDetails": "联系方式",
+        "order.contactNumber": "联系电话：",
+        "order.email": "接收收据的电子邮箱：",
+        "order.saveDetails": "将我的联系电话和地址保存到账户",
+        "order.smsUpdates": "通过短信向我发送订单动态（仅限澳大利亚手机号码）",
+        "order.contactNumberPlaceholder": "例如 0412 345 678 或 +44 20 7946 0958",
+        "order.payment": "付款",
+        "order.payMethod": "付款方式：",
+        "order.payOnline": "在线付款",
+        "order.payOnPickup": "自取时付款",
+        "order.cardDetails": "信用卡信息",
+        "order.cardType": "卡类型：",
+        "order.selectCardType": "请选择卡类型",
+        "order.cardName": "持卡人姓名：",
+        "order.cardNameHint": "持卡人姓名只能包含字母和空格。",
+        "order.cardNumber": "卡号：",
+        "order.cardExpiry": "有效期（MM/YY）：",
+        "order.cardCvv": "CVV：",
+        "order.cardDigits": "{count} 位数字",
+        "order.summary": "订单摘要",
+        "order.promoCode": "优惠码（选填）：",
+        "order.applyPromo": "使用",
+        "order.submit": "提交订单",
+        "order.needDeliveryAddress": "请先填写配送地址。",
+        "order.deliveryAddressMismatch": "您的配送城区与邮编不符，请先检查。",
+        "flavor.decrease": "减少{flavor}的数量",
+        "flavor.increase": "增加{flavor}的数量",
+        "stock.soldOut": "已售罄",
+        "stock.onlyLeft": "仅剩 {count} 球",
+        "stock.limitReached": "已达到每单 {count} 球的上限",
+
+        // Step-by-step checkout (order.html)
+        "wizard.turnOn": "分步结账",
+        "wizard.turnOff": "显示完整表单",
+        "wizard.progress": "结账步骤",
+        "wizard.status": "第 {current} 步，共 {total} 步：{step}",
+        "wizard.step.flavors": "口味",
+        "wizard.step.delivery": "配送/自取",
+        "wizard.step.contact": "联系方式和账单",
+        "wizard.step.payment": "付款",
+        "wizard.step.review": "确认",
+        "wizard.back": "上一步",
+        "wizard.next": "下一步：{step}",
+        "wizard.edit": "修改",
+        "wizard.editStep": "修改{step}",
+        "wizard.scoops": { other: "{count} 球" },
+        "wizard.smsUpdates": "通过短信接收订单动态",
+
+        // Delivery zones, time slots and opening hours
+        "delivery.zoneInfo": "{zone}：配送费 {fee}，{minimum}。",
+        "zone.hawthorn": "霍索恩及周边",
+        "zone.city": "墨尔本市中心及内北区",
+        "zone.east": "东区",
+        "zone.bayside": "海湾区",
+        "delivery.minimumOrder": "最低订单金额 {amount}",
+        "delivery.noMinimumOrder": "无最低订单金额",
+        "delivery.slotRange": "{start} - {end}",
+        "delivery.slotFull": "{slot}（已满）",
+        "pickup.hours": "我们{day}的营业时间为 {open} 至 {close}。",
+
+        // Order summary and totals
+        "table.order": "订单",
+        "table.date": "日期",
+        "table.flavour": "口味",
+        "table.flavours": "口味",
+        "table.qty": "数量",
+        "table.price": "单价",
+        "table.type": "类型",
+        "table.total": "合计",
+        "table.actions": "操作",
+        "table.placed": "下单时间",
+        "table.deliveryPickup": "配送 / 自取",
+        "table.contact": "联系方式",
+        "table.payment": "付款",
+        "table.remarks": "备注",
+        "table.status": "状态",
+        "totals.subtotal": "小计",
+        "totals.discount": "折扣",
+        "totals.discountWithCode": "折扣（{code}）",
+        "totals.deliveryFee": "配送费",
+        "totals.gst": "消费税 GST (10%)",
+        "totals.total": "合计",
+        "summary.empty": "尚未选择口味。",
+
+        // Promo codes (pricing.js)
+        "promo.applied": "已使用优惠：{description}。",
+        "promo.unknown": "无法识别优惠码“{code}”。",
+        "promo.notYetValid": "此优惠码在 {date} 之前无效。",
+        "promo.expired": "此优惠码已于 {date} 过期。",
+        "promo.days": "此优惠码仅在{days}有效。",
+        "promo.weekday": "{day}",
+        "promo.orderTypes": "此优惠码仅适用于{types}订单。",
+        "promo.orderType.delivery": "配送",
+        "promo.orderType.pickup": "自取",
+        "promo.minQuantity": "至少需要 {count} 份才能使用此优惠码。",
+        "promo.minFlavor": "至少需要 {count} 份{flavor}才能使用此优惠码。",
+        "promo.cannotApply": "无法使用优惠码“{code}”。",
+        "promo.rule.vanillaTues": "周二香草买一送一",
+        "promo.rule.pickup10": "自取订单九折",
+        "promo.rule.sweet5": "满 4 份立减 $5",
+        "promo.rule.summer15": "夏季八五折",
+
+        // Confirmation page and receipt
+        "confirmation.heading": "感谢您的订购！",
+        "confirmation.loading": "正在加载您的订单...",
+        "confirmation.notFound": "抱歉，找不到该订单。请检查您的订单号。",
+        "confirmation.delivery": "我们已收到您的订单，将尽快为您配送。",
+        "confirmation.pickup": "我们已收到您的订单，将尽快备好供您自取。",
+        "confirmation.track": "追踪此订单",
+        "receipt.orderNumber": "订单号：",
+        "receipt.orderDate": "下单日期：",
+        "receipt.orderType": "订单类型：",
+        "receipt.deliveryDetails": "配送信息",
+        "receipt.pickupDetails": "自取信息",
+        "receipt.pickupFromShop": "请到我们的店铺自取：{address}",
+        "receipt.billingAddress": "账单地址",
+        "receipt.contact": "联系方式",
+        "receipt.payment": "付款",
+        "receipt.remarks": "备注",
+        "receipt.print": "打印收据",
+        "receipt.downloadText": "下载文本文件",
+        "receipt.downloadJson": "下载 JSON 文件",
+        "schedule.slot": "{day}，{start} - {end}",
+        "schedule.time": "{day} {time}",
+        "payment.onPickup": "自取时付款",
+        "payment.card": "尾号为 {last4} 的 {brand}",
+        "payment.cardGeneric": "银行卡",
+
+        // Plain-text receipt (Download as Text)
+        "receiptText.title": "Sweet Life 冰淇淋 - 订单收据",
+        "receiptText.orderNumber": "订单号：",
+        "receiptText.orderDate": "下单日期：",
+        "receiptText.orderType": "订单类型：",
+        "receiptText.items": "商品：",
+        "receiptText.subtotal": "小计：",
+        "receiptText.discount": "折扣：",
+        "receiptText.deliveryFee": "配送费：",
+        "receiptText.gst": "消费税 GST (10%)：",
+        "receiptText.total": "合计：",
+        "receiptText.deliverTo": "配送至：",
+        "receiptText.pickupFrom": "自取地点：",
+        "receiptText.deliveryTime": "配送时间：",
+        "receiptText.pickupTime": "自取时间：",
+        "receiptText.billing": "账单地址：",
+        "receiptText.contact": "联系方式：",
+        "receiptText.payment": "付款：",
+        "receiptText.remarks": "备注：",
+
+        // Order history page
+        "orders.heading": "我的订单",
+        "orders.loading": "正在加载您的订单...",
+        "orders.loadFailed": "抱歉，无法加载您的订单，请稍后重试。",
+        "orders.empty": "您还没有下过订单。",
+        "orders.accountOrders": "{username}，您的订单：",
+        "orders.deviceOrders": "以下是在此设备上下的订单。登录后可查看您账户中的所有订单。",
+        "orders.reorder": "再次订购",
+        "orders.reorderLabel": "再次订购 {order}",
+
+        // Staff dashboard and order statuses (order-status.js)
+        "dashboard.heading": "员工订单面板",
+        "dashboard.loading": "正在加载订单...",
+        "dashboard.loginRequired": "请使用员工账户登录以查看新订单。",
+        "dashboard.staffOnly": "此页面仅供 Sweet Life 员工使用。",
+        "dashboard.loadFailed": "抱歉，无法加载订单，请重试。",
+        "dashboard.empty": "没有符合筛选条件的订单。",
+        "dashboard.count": { other: "{count} 个订单" },
+        "dashboard.filters": "筛选订单",
+        "dashboard.filterType": "订单类型：",
+        "dashboard.filterStatus": "状态：",
+        "dashboard.all": "全部",
+        "dashboard.refresh": "刷新",
+        "dashboard.changeStatusLabel": "{action}：{order}",
+        "dashboard.confirmCancel": "取消订单 {order}？此操作无法撤销。",
+        "dashboard.statusChanged": "订单 {order} 现在的状态是：{status}。",
+        "dashboard.statusChangeFailed": "订单 {order} 无法更新：{reason}",
+
+        // Marketing report (report.html)
+        "report.heading": "营销报告",
+        "report.loading": "正在加载注册数据...",
+        "report.loginRequired": "请使用员工账户登录以查看营销报告。",
+        "report.loadFailed": "抱歉，无法加载报告，请重试。",
+        "report.empty": "还没有顾客注册。",
+        "report.summary": {
+            other: "共 {count} 位顾客注册，时间为 {from} 至 {to}。"
+        },
+        "report.exportCsv": "导出全部数据（CSV）",
+        "report.referralHeading": "新顾客如何了解到我们",
+        "report.referralIntro": "每月注册人数，按“您是如何了解到我们的？”的回答分类。",
+        "report.referralNotGiven": "未填写",
+        "report.month": "月份",
+        "report.flavorHeading": "喜爱的口味与实际订购",
+        "report.flavorIntro": "注册时将各口味选为喜爱口味的顾客人数、其中订购过该口味的人数，以及各口味在注册顾客订购总球数中的占比。",
+        "report.favourites": "选为喜爱口味",
+        "report.fansWhoOrdered": "其中订购过",
+        "report.scoops": "订购球数",
+        "report.countShare": "{count}（{percent}）",
+        "report.barLabel": "{category}，{series}：{count}",
+
+        // Order tracking page (track.html)
+        "track.heading": "追踪您的订单",
+        "track.intro": "请输入订单号和下单时使用的电子邮箱，查看订单进度。",
+        "track.orderNumber": "订单号：",
+        "track.email": "电子邮箱：",
+        "track.submit": "追踪订单",
+        "track.orderHeading": "订单 {order}",
+        "track.progress": "进度",
+        "track.contents": "订单内容",
+        "track.message.received": "我们已收到您的订单，很快就会开始准备。",
+        "track.message.preparing": "我们正在为您挖冰淇淋。",
+        "track.message.ready": "您的订单已备好，可到店自取。",
+        "track.message.out-for-delivery": "您的订单正在配送途中。",
+        "track.message.delivered": "您的订单已送达，请慢用！",
+        "track.message.collected": "您的订单已取走，请慢用！",
+        "track.message.cancelled": "此订单已取消。如有疑问，请联系本店。",
+        "track.estimatedDelivery": "预计送达：",
+        "track.estimatedPickup": "预计自取：",
+        "track.delivered": "送达时间：",
+        "track.pickedUp": "取餐时间：",
+        "track.around": "约 {time}",
+        "track.updated": "最后更新于 {time}。本页面会自动更新。",
+        "track.refreshFailed": "暂时无法检查更新，我们稍后会再试。",
+
+        "orderStatus.received": "已接单",
+        "orderStatus.preparing": "制作中",
+        "orderStatus.ready": "待自取",
+        "orderStatus.out-for-delivery": "配送中",
+        "orderStatus.completed": "已完成",
+        "orderStatus.cancelled": "已取消",
+        "orderStatus.action.preparing": "开始制作",
+        "orderStatus.action.ready": "可以自取",
+        "orderStatus.action.out-for-delivery": "发出配送",
+        "orderStatus.action.completed": "完成",
+        "orderStatus.action.cancelled": "取消",
+
+        // Error summary and server errors
+        "errors.summaryHeading": { other: "请修正以下 {count} 个错误：" },
+        "errors.serverUnreachable": "无法连接 Sweet Life 服务器。请确认服务器正在运行后重试。",
+        "server.usernameTaken": "该用户名已被使用。",
+        "server.emailTaken": "该电子邮箱已注册过账户。",
+        "server.emailNotVerified": "登录前请先使用注册时我们通过电子邮件发送的验证码验证您的电子邮箱。",
+        "server.noPendingVerification": "没有使用该用户名等待验证的账户。账户可能已经验证（请尝试登录），或注册已过期。",
+        "server.codeIncorrect": "验证码不正确。请检查我们发送的电子邮件后重试。",
+        "server.codeExpired": "验证码已过期，请重新获取。",
+        "server.codeTooManyAttempts": "输入错误的验证码次数过多，请重新获取。",
+        "server.codeResendTooSoon": "我们在一分钟内刚发送过验证码。请查看您的电子邮箱，或稍后再试。",
+        "server.loginFailed": "用户名或密码错误。",
+        "server.slotFull": "抱歉，该配送时段已满，请选择其他时段。",
+        "server.dateUnavailable": "请选择我们可以配送的日期。",
+        "server.loginRequired": "请登录以查看您的订单。",
+        "server.staffLoginRequired": "请使用员工账户登录。",
+        "server.staffOnly": "只有 Sweet Life 员工才能执行此操作。",
+        "server.statusChange": "此订单无法更改为该状态。",
+        "server.trackNotFound": "找不到与该订单号和电子邮箱匹配的订单。请检查后重试。",
+        "server.error": "出错了，请重试。",
+
+        // Emails sent by the local server (server/mailer.js)
+        "email.verify.subject": "您的 Sweet Life 验证码",
+        "email.verify.body": "{username}，您好：\n\n您的 Sweet Life 验证码是 {code}，有效期为 {minutes} 分钟。\n\n请在注册页面输入验证码以激活您的账户：\n{link}\n\n如果您没有创建 Sweet Life 账户，请忽略此邮件。",
+
+        // Validation messages (validation.js)
+        "validation.username.required": "请输入用户名。",
+        "validation.username.length": "用户名长度必须为 3 至 20 个字符。",
+        "validation.username.characters": "用户名必须以字母开头，且只能包含字母、数字、点（.）、连字符（-）和下划线（_）。",
+        "validation.username.reserved": "该用户名为保留名称，请选择其他用户名。",
+        "validation.username.taken": "该用户名已被使用，请选择其他用户名。",
+        "validation.password.required": "请输入密码。",
+        "validation.password.minLength": "密码长度至少为 9 个字符。",
+        "validation.password.strong": "密码必须包含大写字母、小写字母、数字和符号。",
+        "validation.confirmPassword.match": "两次输入的密码不一致。",
+        "validation.email.required": "请输入电子邮箱。",
+        "validation.email.format": "请输入有效的电子邮箱地址（例如 name@domain.com）。",
+        "validation.verificationCode.required": "请输入我们通过电子邮件发送的验证码。",
+        "validation.verificationCode.format": "验证码是我们发送的电子邮件中的 6 位数字。",
+        "validation.trackOrder.required": "请输入订单号。",
+        "validation.trackOrder.format": "订单号的格式为 SL-000123，可在收据上找到。",
+        "validation.gender.required": "请选择性别。",
+        "validation.flavor.required": "请至少选择一种冰淇淋口味。",
+        "validation.flavor.deliveryMinimum": "配送至{zone}的订单金额（折扣前）至少为 {amount}。",
+        "validation.flavor.soldOut": "抱歉，{flavor}已售罄，请将其从订单中移除。",
+        "validation.flavor.onlyLeft": { other: "抱歉，{flavor}只剩 {count} 球了。" },
+        "validation.flavor.maxPerOrder": "每种口味最多可订购 {count} 球。",
+        "validation.orderType.required": "请选择配送或自取。",
+        "validation.payMethod.required": "请选择付款方式。",
+        "validation.deliveryStreet.required": "请输入配送街道地址。",
+        "validation.deliverySuburb.required": "请输入配送地址所在城区。",
+        "validation.deliveryPostcode.format": "配送邮编必须为 4 位数字。",
+        "validation.deliveryPostcode.noZone": "抱歉，我们暂未提供到邮编 {postcode} 的配送服务。",
+        "validation.deliveryPostcode.zoneUnavailable": "目前暂停配送至{zone}。",
+        "validation.postcode.mismatch": "邮编 {postcode} 与 {suburb} 不符（应为 {expected}）。",
+        "validation.deliveryDate.required": "请选择配送日期。",
+        "validation.pickupDate.required": "请选择自取日期。",
+        "validation.date.invalid": "请输入有效的日期。",
+        "validation.date.past": "该日期已过。",
+        "validation.date.tooFarAhead": { other: "最多只能提前 {count} 天预订。" },
+        "validation.date.closed": "抱歉，我们{day}不营业。请选择其他日期。",
+        "validation.deliverySlot.required": "请选择配送时段。",
+        "validation.deliverySlot.tooSoon": "该时段已经开始或即将开始，请选择较晚的时段。",
+        "validation.pickupTime.required": "请选择自取时间。",
+        "validation.time.invalid": "请输入有效的时间。",
+        "validation.pickupTime.outsideHours": "我们{day}的营业时间为 {open} 至 {close}。",
+        "validation.pickupTime.tooSoon": { other: "自取时间必须在至少 {count} 分钟之后。" },
+        "validation.billingStreet.required": "请输入账单街道地址。",
+        "validation.billingSuburb.required": "请输入账单地址所在城区。",
+        "validation.billingPostcode.format": "账单邮编必须为 4 位数字。",
+        "validation.contactNumber.required": "请输入联系电话。",
+        "validation.contactNumber.invalidCharacters": "电话号码只能包含数字、空格、短横线、括号和开头的 +。",
+        "validation.contactNumber.noAreaCode": "请填写区号（例如 03 9123 4567）；澳大利亚以外的号码请填写国家代码（例如 +44）。",
+        "validation.contactNumber.invalidAreaCode": "{areaCode} 不是澳大利亚的区号。手机号码以 04 开头，固定电话以 02、03、07 或 08 开头。",
+        "validation.contactNumber.tooShort": "电话号码太短。澳大利亚号码（含区号）为 10 位数字。",
+        "validation.contactNumber.tooLong": "电话号码太长。澳大利亚号码（含区号）为 10 位数字。",
+        "validation.contactNumber.invalidCountryCode": "请在 + 后填写国家代码（例如英国为 +44）。",
+        "validation.contactNumber.intlTooShort": "电话号码太短。国际号码（含国家代码）至少为 8 位数字。",
+        "validation.contactNumber.intlTooLong": "电话号码太长。国际号码（含国家代码）最多为 15 位数字。",
+        "validation.contactNumber.smsNeedsMobile": "短信通知只能发送到澳大利亚手机号码（例如 0412 345 678）。",
+        "validation.cardType.required": "请选择卡类型。",
+        "validation.cardName.required": "请输入持卡人姓名。",
+        "validation.cardName.format": "持卡人姓名只能包含字母和空格。",
+        "validation.cardNumber.required": "请输入卡号。",
+        "validation.cardNumber.digits": "卡号只能包含数字。",
+        "validation.cardNumber.brandMismatch": "这看起来是 {detected} 卡号，但您选择的是 {selected}。",
+        "validation.cardNumber.length": "{brand} 卡号必须为 {length} 位数字。",
+        "validation.cardNumber.luhn": "卡号无效，请检查后重试。",
+        "validation.cardExpiry.required": "请输入卡片有效期。",
+        "validation.cardExpiry.format": "有效期格式必须为 MM/YY（例如 08/27）。",
+        "validation.cardExpiry.expired": "此卡已过期。",
+        "validation.cardCvv.required": "请输入 CVV 安全码。",
+        "validation.cardCvv.brandLength": "{brand} 的 CVV 必须为 {length} 位数字。",
+        "validation.cardCvv.length": "CVV 必须为 3 位或 4 位数字。"
+    }
+};
+
+let currentLocale = detectLocale();
+
+/**
+ * Works out which language to use: the one chosen with the language switcher,
+ * else the first of the browser's languages that is supported, else English.
+ * @returns {string} - A key of LOCALES (e.g. "en").
+ */
+function detectLocale() {
+    try {
+        const savedLocale = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (savedLocale in LOCALES) {
+            return savedLocale;
+        }
+    } catch (error) {
+        // No localStorage (e.g. on the server, or blocked by the browser)
+    }
+
+    const browserLanguages = typeof navigator !== "undefined" && navigator.languages ? navigator.languages : [];
+    const match = browserLanguages
+        .map(language => language.split("-")[0].toLowerCase())
+        .find(language => language in LOCALES);
+    return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Gets the current language.
+ * @returns {string} - A key of LOCALES (e.g. "en").
+ */
+function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * Gets the Intl locale of the current language, for formatting numbers and dates.
+ * @returns {string} - e.g. "en-AU".
+ */
+function getIntlLocale() {
+    return LOCALES[currentLocale].intl;
+}
+
+/**
+ * Changes the language and saves the choice for the other pages.
+ * Text that is already showing is not changed; the page needs to be reloaded (or re-rendered).
+ * @param {string} locale - A key of LOCALES.
+ */
+function setLocale(locale) {
+    if (!(locale in LOCALES)) {
+        return;
+    }
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+/**
+ * Checks whether the catalogue has a message (in English, which every language falls back to).
+ * @param {string} key - The message key.
+ * @returns {boolean} - True if the message exists.
+ */
+function hasMessage(key) {
+    return key in MESSAGES[DEFAULT_LOCALE];
+}
+
+/**
+ * Translates a message into the current language.
+ * @param {string} key - The message key (e.g. "validation.email.required").
+ * @param {Object<string, string|number>} [params={}] - Values for the placeholders.
+ *   Numbers are formatted for the language; "count" also chooses the plural form.
+ * @returns {string} - The translated message (or the key itself if the message doesn't exist).
+ */
+function t(key, params = {}) {
+    let message = key in MESSAGES[currentLocale] ? MESSAGES[currentLocale][key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.warn(`Missing translation: ${key}`);
+        return key;
+    }
+
+    // Plural forms, e.g. { one: "1 error", other: "{count} errors" }
+    if (typeof message === "object") {
+        const pluralForm = new Intl.PluralRules(getIntlLocale()).select(params.count);
+        message = message[pluralForm] || message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) {
+            return placeholder;
+        }
+        return typeof params[name] === "number" ? formatNumber(params[name]) : String(params[name]);
+    });
+}
+
+/**
+ * Formats a number for the current language (e.g. 1,234.5).
+ * @param {number} number - The number.
+ * @returns {string} - The formatted number.
+ */
+function formatNumber(number) {
+    return new Intl.NumberFormat(getIntlLocale()).format(number);
+}
+
+/**
+ * Formats a share as a whole percentage for the current language.
+ * @param {number} share - The share, from 0 to 1.
+ * @returns {string} - e.g. "13%" for 0.125.
+ */
+function formatPercent(share) {
+    return new Intl.NumberFormat(getIntlLocale(), { style: "percent", maximumFractionDigits: 0 }).format(share);
+}
+
+/**
+ * Formats a dollar amount as Australian dollars, for the current language.
+ * @param {number} amount - The amount in dollars.
+ * @returns {string} - e.g. "$12.50" in English or "A$12.50" in Chinese.
+ */
+function formatCurrency(amount) {
+    return new Intl.NumberFormat(getIntlLocale(), { style: "currency", currency: "AUD" }).format(amount);
+}
+
+/**
+ * Formats a date for the current language.
+ * @param {Date} date - The date.
+ * @param {Intl.DateTimeFormatOptions} [options] - What to show (defaults to the short date, e.g. 28/02/2027).
+ * @returns {string} - The formatted date.
+ */
+function formatDate(date, options = { day: "2-digit", month: "2-digit", year: "numeric" }) {
+    return new Intl.DateTimeFormat(getIntlLocale(), options).format(date);
+}
+
+/**
+ * Joins a list of words for the current language (e.g. "Hawthorn, Kew and Richmond").
+ * @param {string[]} items - The words.
+ * @param {string} [type="conjunction"] - "conjunction" ("and"), "disjunction" ("or") or "unit" (just commas).
+ * @returns {string} - The joined list.
+ */
+function formatList(items, type = "conjunction") {
+    return new Intl.ListFormat(getIntlLocale(), { type: type }).format(items);
+}
+
+/**
+ * Fills in the static text of the page in the current language.
+ * Elements are marked in the HTML with the key of their text:
+ * - data-i18n : the element's text
+ * - data-i18n-placeholder, data-i18n-title, data-i18n-alt, data-i18n-aria-label : that attribute
+ */
+function applyTranslations() {
+    document.documentElement.lang = getIntlLocale();
+
+    document.querySelectorAll("[data-i18n]").forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    ["placeholder", "title", "alt", "aria-label"].forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
@@ -0,0 +1,109 @@
+/*
+  File: order-status.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: The order status workflow, shared by the staff dashboard (dashboard.html),
+  the customer's order tracking page (track.html) and the local server (server/server.js),
+  which only allows the changes listed here.
+
+  Every order starts as "received" and moves through:
+      received -> preparing -> ready (pickup) or out-for-delivery (delivery) -> completed
+  An order can be cancelled at any point before it is completed.
+  "completed" and "cancelled" are final.
+*/
+
+"use strict";
+
+// All statuses, in workflow order (for the dashboard's status filter)
+const ORDER_STATUSES = ["received", "preparing", "ready", "out-for-delivery", "completed", "cancelled"];
+
+// The statuses each status can move to, by order type
+const ORDER_STATUS_FLOW = {
+    "received": { delivery: ["preparing", "cancelled"], pickup: ["preparing", "cancelled"] },
+    "preparing": { delivery: ["out-for-delivery", "cancelled"], pickup: ["ready", "cancelled"] },
+    "ready": { delivery: [], pickup: ["completed", "cancelled"] },
+    "out-for-delivery": { delivery: ["completed", "cancelled"], pickup: [] },
+    "completed": { delivery: [], pickup: [] },
+    "cancelled": { delivery: [], pickup: [] }
+};
+
+// How long an order usually takes to reach the customer, in minutes, by order type;
+// used to estimate the time for orders without a booked delivery slot or pickup time
+const ESTIMATED_ORDER_MINUTES = { delivery: 60, pickup: 20 };
+
+/**
+ * Gets the statuses an order can move to next.
+ * @param {{status: string, orderType: string}} order - The order.
+ * @returns {string[]} - The next statuses (none once the order is completed or cancelled).
+ */
+function getNextOrderStatuses(order) {
+    const flow = ORDER_STATUS_FLOW[order.status];
+    return flow && flow[order.orderType] ? flow[order.orderType] : [];
+}
+
+/**
+ * Checks whether an order can move to a status.
+ * @param {{status: string, orderType: string}} order - The order.
+ * @param {string} status - The new status.
+ * @returns {boolean} - True if the change is allowed.
+ */
+function canChangeOrderStatus(order, status) {
+    return getNextOrderStatuses(order).includes(status);
+}
+
+/**
+ * Lists the steps an order goes through on its way to the customer, for the tracking page (track.html):
+ * "received", then the first status it can move to each time (skipping "cancelled") until "completed".
+ * @param {string} orderType - "delivery" or "pickup".
+ * @returns {string[]} - e.g. ["received", "preparing", "ready", "completed"] for pickup.
+ */
+function getOrderStatusSteps(orderType) {
+    const steps = ["received"];
+    let next = getNextOrderStatuses({ status: "received", orderType: orderType }).filter(status => status !== "cancelled");
+    while (next.length > 0) {
+        steps.push(next[0]);
+        next = getNextOrderStatuses({ status: next[0], orderType: orderType }).filter(status => status !== "cancelled");
+    }
+    return steps;
+}
+
+/**
+ * Builds an order's status timeline: every step it has been through, when it got there,
+ * and (unless it was cancelled) the steps still to come.
+ * @param {{status: string, orderType: string, createdAt: string,
+ *   statusHistory: {status: string, changedAt: string}[]}} order - The order.
+ * @returns {{status: string, changedAt: string|null, state: string}[]} - The steps in order, each
+ *   "done", "current" or "upcoming"; changedAt is null for steps not reached yet.
+ */
+function getOrderTimeline(order) {
+    const history = order.statusHistory || [];
+    const reachedAt = status => {
+        if (status === "received") {
+            return order.createdAt;
+        }
+        const change = history.find(entry => entry.status === status);
+        return change ? change.changedAt : null;
+    };
+
+    // A cancelled order stops at the last step it reached
+    const steps = getOrderStatusSteps(order.orderType);
+    const lastStep = order.status === "cancelled"
+        ? steps.filter(status => status === "received" || reachedAt(status) !== null).pop()
+        : order.status;
+    const current = steps.indexOf(lastStep);
+    const timeline = steps
+        .filter((status, index) => order.status !== "cancelled" || index <= current)
+        .map((status, index) => {
+            const isDone = index < current || (index === current && order.status === "cancelled");
+            return {
+                status: status,
+                changedAt: index <= current ? reachedAt(status) : null,
+                state: isDone ? "done" : index === current ? "current" : "upcoming"
+            };
+        });
+
+    if (order.status === "cancelled") {
+        timeline.push({ status: "cancelled", changedAt: reachedAt("cancelled"), state: "current" });
+    }
+    return timeline;
+}
@@ -0,0 +1,160 @@
+/*
+  File: phone.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Phone number parsing for the order form's contact number (order.html).
+  Accepts Australian mobile and landline numbers (with or without +61) and international
+  numbers with a country code (+ or 0011), and converts them to E.164 (e.g. "+61412345678"),
+  the form the server stores them in. formatPhoneNumber() spaces numbers out as they are typed.
+  Used by the contact number rules in validation.js and by the local server (server/shared.js).
+*/
+
+"use strict";
+
+const AU_COUNTRY_CODE = "61";
+const AU_NATIONAL_LENGTH = 9;                      // Digits after the leading 0 (e.g. 412 345 678)
+const AU_MOBILE_PREFIXES = ["4"];                  // 04xx xxx xxx
+const AU_LANDLINE_AREA_CODES = ["2", "3", "7", "8"]; // (02), (03), (07), (08)
+
+// E.164 allows up to 15 digits including the country code; no real number is shorter than 8
+const INTERNATIONAL_MIN_DIGITS = 8;
+const INTERNATIONAL_MAX_DIGITS = 15;
+
+/**
+ * @typedef {Object} PhoneNumber
+ * @property {boolean} valid - Whether the number can be used.
+ * @property {string} type - "mobile" or "landline" (Australian numbers), "international", or "" if invalid.
+ * @property {string} e164 - The number in E.164 format (e.g. "+61412345678"), or "" if invalid.
+ * @property {string} error - Why the number is invalid: "invalidCharacters", "noAreaCode", "invalidAreaCode",
+ *   "tooShort", "tooLong", "invalidCountryCode", "intlTooShort" or "intlTooLong" ("" if valid).
+ * @property {string} areaCode - The area code that was entered (e.g. "05"), for "invalidAreaCode" errors.
+ */
+
+/**
+ * Parses a phone number as typed by the customer.
+ * Spaces, dashes, dots and brackets are ignored.
+ * @param {string} input - The phone number.
+ * @returns {PhoneNumber} - The parsed number.
+ */
+function parsePhoneNumber(input) {
+    const text = String(input || "").trim();
+    const invalid = (error, areaCode = "") => ({ valid: false, type: "", e164: "", error: error, areaCode: areaCode });
+
+    if (!/^\+?[\d\s().-]*$/.test(text)) {
+        return invalid("invalidCharacters");
+    }
+
+    let digits = text.replace(/\D/g, "");
+    const isInternational = text.startsWith("+") || digits.startsWith("0011");
+    if (isInternational) {
+        digits = text.startsWith("+") ? digits : digits.slice("0011".length);
+        if (!digits.startsWith(AU_COUNTRY_CODE)) {
+            return parseInternationalNumber(digits);
+        }
+        // An Australian number written with +61: the leading 0 is dropped (though people often leave it in)
+        digits = digits.slice(AU_COUNTRY_CODE.length).replace(/^0/, "");
+    } else if (digits.startsWith("0")) {
+        digits = digits.slice(1);
+    } else {
+        return digits.length === 0 ? invalid("tooShort") : invalid("noAreaCode");
+    }
+
+    // digits is now the national number without the leading 0, e.g. "412345678"
+    const prefix = digits.charAt(0);
+    let type = "";
+    if (AU_MOBILE_PREFIXES.includes(prefix)) {
+        type = "mobile";
+    } else if (AU_LANDLINE_AREA_CODES.includes(prefix)) {
+        type = "landline";
+    } else if (prefix !== "") {
+        return invalid("invalidAreaCode", `0${prefix}`);
+    }
+
+    if (digits.length < AU_NATIONAL_LENGTH) {
+        return invalid("tooShort");
+    }
+    if (digits.length > AU_NATIONAL_LENGTH) {
+        return invalid("tooLong");
+    }
+    return { valid: true, type: type, e164: `+${AU_COUNTRY_CODE}${digits}`, error: "", areaCode: "" };
+}
+
+/**
+ * Parses an international (non-Australian) number. Only the length can be checked,
+ * since numbering plans differ from country to country.
+ * @param {string} digits - The digits after the + (country code first).
+ * @returns {PhoneNumber} - The parsed number.
+ */
+function parseInternationalNumber(digits) {
+    const invalid = error => ({ valid: false, type: "", e164: "", error: error, areaCode: "" });
+    if (digits === "" || digits.startsWith("0")) {
+        return invalid("invalidCountryCode");
+    }
+    if (digits.length < INTERNATIONAL_MIN_DIGITS) {
+        return invalid("intlTooShort");
+    }
+    if (digits.length > INTERNATIONAL_MAX_DIGITS) {
+        return invalid("intlTooLong");
+    }
+    return { valid: true, type: "international", e164: `+${digits}`, error: "", areaCode: "" };
+}
+
+/**
+ * Converts a phone number to E.164 format.
+ * @param {string} input - The phone number, as typed.
+ * @returns {string} - e.g. "+61412345678" for "0412 345 678", or the input unchanged if it isn't valid.
+ */
+function toE164(input) {
+    const phone = parsePhoneNumber(input);
+    return phone.valid ? phone.e164 : input;
+}
+
+/**
+ * Spaces out an Australian phone number the way it is usually written, e.g. "0412 345 678",
+ * "03 9123 4567" or "+61 412 345 678". Works on partly typed numbers too.
+ * International numbers are left as typed, since their grouping depends on the country.
+ * @param {string} input - The phone number, as typed.
+ * @returns {string} - The formatted number.
+ */
+function formatPhoneNumber(input) {
+    const text = String(input || "");
+    if (!/^\+?[\d\s().-]*$/.test(text.trim())) {
+        return text; // Leave it alone so the customer can see what they typed
+    }
+
+    const digits = text.replace(/\D/g, "");
+    let nationalPrefix;
+    let national;
+    if (text.trim().startsWith("+")) {
+        if (!digits.startsWith(AU_COUNTRY_CODE)) {
+            return text;
+        }
+        nationalPrefix = `+${AU_COUNTRY_CODE} `;
+        national = digits.slice(AU_COUNTRY_CODE.length).replace(/^0/, "");
+    } else if (digits.startsWith("0") && !digits.startsWith("0011")) {
+        nationalPrefix = "0";
+        national = digits.slice(1);
+    } else {
+        return text;
+    }
+
+    if (national.length > AU_NATIONAL_LENGTH) {
+        return text; // Too long to group; validation explains the problem
+    }
+
+    // Mobiles are grouped 4-3-3 ("0412 345 678"), landlines 2-4-4 ("03 9123 4567")
+    const isMobile = AU_MOBILE_PREFIXES.includes(national.charAt(0));
+    const groups = isMobile ? [3, 3, 3] : [1, 4, 4];
+    const parts = [];
+    let position = 0;
+    groups.forEach(size => {
+        if (position < national.length) {
+            parts.push(national.slice(position, position + size));
+            position += size;
+        }
+    });
+
+    // The 0 belongs with the first group ("0412", "03"); +61 is followed by a space
+    const joined = parts.join(" ");
+    return nationalPrefix === "0" ? `0${joined}` : `${nationalPrefix}${joined}`.trimEnd();
+}
@@ -0,0 +1,143 @@
+/*
+  File: pricing.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Order pricing for the Sweet Life website.
+  Works out line totals, promo code discounts, delivery fee, GST and the grand total
+  from flavour quantities. Used by the order summary on order.html (script.js),
+  by the promo code rule in validation.js, and by the local server (server/server.js)
+  so that totals are calculated the same way on both sides.
+*/
+
+"use strict";
+
+// Per-flavour prices live in catalogue.js, promo code rules in promotions.js,
+// delivery zones (and their fees) in delivery.js
+const DELIVERY_FEE = 5.00; // Delivery fee until the postcode's zone is known, in dollars
+const GST_RATE = 0.10;     // Australian GST (10%)
+
+/**
+ * Rounds a dollar amount to whole cents.
+ * @param {number} amount - The amount in dollars.
+ * @returns {number} - The rounded amount.
+ */
+function roundToCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Finds the delivery zone (delivery.js) that covers a postcode.
+ * @param {string} postcode - The delivery postcode.
+ * @returns {Object|null} - The zone, or null if we don't deliver there.
+ */
+function getDeliveryZone(postcode) {
+    const code = String(postcode || "").trim();
+    return DELIVERY_ZONES.find(zone => zone.postcodes.includes(code)) || null;
+}
+
+/**
+ * Checks a promo code against the rules in promotions.js and works out its discount.
+ * @param {string} code - The code entered by the customer (case-insensitive).
+ * @param {Object<string, number>} quantities - Quantities keyed by flavour id.
+ * @param {string} orderType - The selected order type ("delivery" or "pickup").
+ * @param {number} subtotal - The order subtotal before the discount.
+ * @param {Date} [today=new Date()] - The date to check date-based conditions against.
+ * @returns {{valid: boolean, code: string, rule?: Object, discount: number, reason?: string}}
+ */
+function evaluatePromoCode(code, quantities, orderType, subtotal, today = new Date()) {
+    const normalizedCode = code.trim().toUpperCase();
+    const reject = reason => ({ valid: false, code: normalizedCode, discount: 0, reason: reason });
+
+    const rule = PROMO_RULES.find(promo => promo.code === normalizedCode);
+    if (!rule) {
+        return reject(t("promo.unknown", { code: normalizedCode }));
+    }
+
+    // --- Conditions ---
+    // Compare calendar days only ("YYYY-MM-DD" strings in local time)
+    const pad = number => String(number).padStart(2, "0");
+    const todayKey = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+    const formatDay = key => formatDate(new Date(`${key}T00:00:00`)); // "2027-02-28" -> "28/02/2027" in English
+
+    if (rule.validFrom && todayKey < rule.validFrom) {
+        return reject(t("promo.notYetValid", { date: formatDay(rule.validFrom) }));
+    }
+    if (rule.validTo && todayKey > rule.validTo) {
+        return reject(t("promo.expired", { date: formatDay(rule.validTo) }));
+    }
+    if (rule.days && !rule.days.includes(today.getDay())) {
+        // 2 January 2000 was a Sunday, so day 0-6 of that week gives each weekday's name
+        const dayNames = rule.days.map(day => t("promo.weekday", { day: formatDate(new Date(2000, 0, 2 + day), { weekday: "long" }) }));
+        return reject(t("promo.days", { days: formatList(dayNames) }));
+    }
+    if (rule.orderTypes && !rule.orderTypes.includes(orderType)) {
+        const orderTypes = rule.orderTypes.map(type => t(`promo.orderType.${type}`));
+        return reject(t("promo.orderTypes", { types: formatList(orderTypes, "disjunction") }));
+    }
+
+    const totalQuantity = Object.values(quantities).reduce((sum, qty) => sum + qty, 0);
+    if (rule.minQuantity && totalQuantity < rule.minQuantity) {
+        return reject(t("promo.minQuantity", { count: rule.minQuantity }));
+    }
+
+    // --- Discount ---
+    let discount = 0;
+    switch (rule.type) {
+        case "percentage":
+            discount = subtotal * rule.percent / 100;
+            break;
+        case "fixed":
+            discount = rule.amount;
+            break;
+        case "buy-x-get-y": {
+            // For every (buy + get) scoops of the flavour, "get" of them are free
+            const flavor = FLAVOR_CATALOGUE.find(item => item.id === rule.flavor);
+            const flavorQty = quantities[rule.flavor] || 0;
+            const freeScoops = Math.floor(flavorQty / (rule.buy + rule.get)) * rule.get;
+            if (freeScoops === 0) {
+                return reject(t("promo.minFlavor", { count: rule.buy + rule.get, flavor: t(flavor.nameKey) }));
+            }
+            discount = freeScoops * flavor.price;
+            break;
+        }
+        default:
+            return reject(t("promo.cannotApply", { code: normalizedCode }));
+    }
+
+    // A discount can never take the subtotal below zero
+    discount = roundToCents(Math.min(discount, subtotal));
+    return { valid: true, code: normalizedCode, rule: rule, discount: discount };
+}
+
+/**
+ * Calculates line totals, subtotal, discount, delivery fee, GST and grand total for an order.
+ * GST is charged on the discounted subtotal plus the delivery fee. Amounts are rounded to whole cents.
+ * @param {Object<string, number>} quantities - Quantities keyed by flavour id.
+ * @param {string} orderType - The selected order type ("delivery" or "pickup").
+ * @param {string} [promoCode=""] - An optional promo code to apply.
+ * @param {string} [postcode=""] - The delivery postcode, which sets the delivery fee (see delivery.js).
+ * @returns {{lines: {flavor: Flavor, quantity: number, lineTotal: number}[], subtotal: number, promo: Object|null, discount: number, deliveryZone: Object|null, deliveryFee: number, gst: number, total: number}}
+ */
+function calculateOrderTotals(quantities, orderType, promoCode = "", postcode = "") {
+    const lines = FLAVOR_CATALOGUE
+        .filter(flavor => (quantities[flavor.id] || 0) > 0)
+        .map(flavor => ({
+            flavor: flavor,
+            quantity: quantities[flavor.id],
+            lineTotal: roundToCents(flavor.price * quantities[flavor.id])
+        }));
+
+    const subtotal = roundToCents(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+    const promo = promoCode.trim() === "" ? null : evaluatePromoCode(promoCode, quantities, orderType, subtotal);
+    const discount = promo ? promo.discount : 0;
+    // The delivery fee only applies to delivery orders that have something in them
+    const deliveryZone = orderType === "delivery" ? getDeliveryZone(postcode) : null;
+    let deliveryFee = 0;
+    if (orderType === "delivery" && lines.length > 0) {
+        deliveryFee = deliveryZone ? deliveryZone.fee : DELIVERY_FEE;
+    }
+    const gst = roundToCents((subtotal - discount + deliveryFee) * GST_RATE);
+    const total = roundToCents(subtotal - discount + deliveryFee + gst);
+
+    return { lines, subtotal, promo, discount, deliveryZone, deliveryFee, gst, total };
+}
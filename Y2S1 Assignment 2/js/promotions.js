@@ -0,0 +1,57 @@
+/*
+  File: promotions.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Promo code rules for the order form (order.html).
+  Each rule has a discount type, a description (descriptionKey, its key in i18n.js)
+  and optional conditions. evaluatePromoCode() in pricing.js checks a code against
+  these rules, for both the page and the local server (server/server.js).
+
+  Discount types:
+  - "percentage"  : percent off the subtotal            (percent)
+  - "fixed"       : dollar amount off the subtotal      (amount)
+  - "buy-x-get-y" : buy X scoops of a flavour, get Y free (flavor, buy, get)
+
+  Optional conditions (any rule type):
+  - minQuantity : minimum number of scoops in the order
+  - orderTypes  : order types the code is valid for, e.g. ["pickup"]
+  - validFrom   : first day the code can be used ("YYYY-MM-DD", inclusive)
+  - validTo     : last day the code can be used ("YYYY-MM-DD", inclusive)
+  - days        : days of the week the code can be used (0 = Sunday ... 6 = Saturday)
+*/
+
+"use strict";
+
+const PROMO_RULES = [
+    {
+        code: "VANILLATUES",
+        descriptionKey: "promo.rule.vanillaTues",
+        type: "buy-x-get-y",
+        flavor: "vanilla",
+        buy: 1,
+        get: 1,
+        days: [2]
+    },
+    {
+        code: "PICKUP10",
+        descriptionKey: "promo.rule.pickup10",
+        type: "percentage",
+        percent: 10,
+        orderTypes: ["pickup"]
+    },
+    {
+        code: "SWEET5",
+        descriptionKey: "promo.rule.sweet5",
+        type: "fixed",
+        amount: 5,
+        minQuantity: 4
+    },
+    {
+        code: "SUMMER15",
+        descriptionKey: "promo.rule.summer15",
+        type: "percentage",
+        percent: 15,
+        validFrom: "2026-12-01",
+        validTo: "2027-02-28"
+    }
+];
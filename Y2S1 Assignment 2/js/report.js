@@ -0,0 +1,167 @@
+/*
+  File: report.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Marketing insights for the staff report page (report.html), worked out from
+  the registrations the local server (server/server.js) sends to staff at GET /api/staff/report.
+  Each registration is one verified account, with no name or contact details:
+      { registeredAt, referral, gender, favs, orders, scoops }
+  where "orders" counts the account's orders (not counting cancelled ones) and "scoops" is
+  the scoops of each flavour in them. The page turns the figures below into charts and
+  tables, and buildReportCsv() exports the whole dataset.
+*/
+
+"use strict";
+
+/**
+ * @typedef {Object} Registration
+ * @property {string} registeredAt - When the account was created (ISO 8601).
+ * @property {string} referral - How they heard about us (a REFERRAL_SOURCES id, or "" if not given).
+ * @property {string} gender - "male", "female" or "".
+ * @property {string[]} favs - Favourite flavour ids, as ticked on registration.html.
+ * @property {number} orders - Orders placed with the account (not counting cancelled ones).
+ * @property {Object<string, number>} scoops - Scoops ordered with the account, keyed by flavour id.
+ */
+
+// The answers to "How did you hear about us?" on registration.html (labelKey is the answer's text in i18n.js),
+// then "not-given" for registrations that skipped the question
+const REFERRAL_SOURCES = [
+    { id: "friend", labelKey: "register.referralFriend" },
+    { id: "search", labelKey: "register.referralSearch" },
+    { id: "social", labelKey: "register.referralSocial" },
+    { id: "walk-in", labelKey: "register.referralWalkIn" },
+    { id: "none", labelKey: "register.referralNone" },
+    { id: "not-given", labelKey: "report.referralNotGiven" }
+];
+
+/**
+ * Gets the referral source of a registration, counting blank or unknown answers as "not-given".
+ * @param {Registration} registration - The registration.
+ * @returns {string} - A REFERRAL_SOURCES id.
+ */
+function getReferralSource(registration) {
+    const known = REFERRAL_SOURCES.some(source => source.id === registration.referral && source.id !== "not-given");
+    return known ? registration.referral : "not-given";
+}
+
+/**
+ * Gets the month a timestamp falls in (local time).
+ * @param {string} timestamp - An ISO 8601 timestamp.
+ * @returns {string} - The month as "YYYY-MM".
+ */
+function getMonthKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Lists every month from one month to another, so months without registrations still show.
+ * @param {string} firstMonth - The first month ("YYYY-MM").
+ * @param {string} lastMonth - The last month ("YYYY-MM").
+ * @returns {string[]} - The months in order, both ends included.
+ */
+function listMonths(firstMonth, lastMonth) {
+    const months = [];
+    let [year, month] = firstMonth.split("-").map(Number);
+    let key = firstMonth;
+    while (key <= lastMonth) {
+        months.push(key);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+        key = `${year}-${String(month).padStart(2, "0")}`;
+    }
+    return months;
+}
+
+/**
+ * Counts registrations by month and referral source.
+ * @param {Registration[]} registrations - The registrations.
+ * @returns {{months: string[], counts: Object<string, Object<string, number>>, totals: Object<string, number>}}
+ *   Every month from the first registration to the last; the count for each source in each month
+ *   (counts[month][source]); and each source's total.
+ */
+function countReferralsByMonth(registrations) {
+    const emptyCounts = () => Object.fromEntries(REFERRAL_SOURCES.map(source => [source.id, 0]));
+    const totals = emptyCounts();
+    if (registrations.length === 0) {
+        return { months: [], counts: {}, totals: totals };
+    }
+
+    const monthKeys = registrations.map(registration => getMonthKey(registration.registeredAt)).sort();
+    const months = listMonths(monthKeys[0], monthKeys[monthKeys.length - 1]);
+    const counts = Object.fromEntries(months.map(month => [month, emptyCounts()]));
+    registrations.forEach(registration => {
+        const source = getReferralSource(registration);
+        counts[getMonthKey(registration.registeredAt)][source]++;
+        totals[source]++;
+    });
+    return { months: months, counts: counts, totals: totals };
+}
+
+/**
+ * Compares how many customers picked each flavour as a favourite with what they actually ordered.
+ * Unknown flavour ids (e.g. from a hand-crafted request) are ignored.
+ * @param {Registration[]} registrations - The registrations.
+ * @returns {{flavor: Flavor, favourites: number, favouriteShare: number, fansWhoOrdered: number,
+ *   fansWhoOrderedShare: number, scoops: number, scoopShare: number}[]} - One entry per catalogue flavour,
+ *   most popular favourite first: how many picked it as a favourite (and what share of all registrations that is),
+ *   how many of those ordered it (and their share of its fans), and the scoops of it ordered
+ *   by all registered customers (and their share of all scoops ordered).
+ */
+function compareFavoritesWithOrders(registrations) {
+    const totalScoops = registrations.reduce((sum, registration) =>
+        sum + FLAVOR_CATALOGUE.reduce((flavorSum, flavor) => flavorSum + (registration.scoops[flavor.id] || 0), 0), 0);
+    const share = (part, whole) => whole === 0 ? 0 : part / whole;
+
+    return FLAVOR_CATALOGUE.map(flavor => {
+        const fans = registrations.filter(registration => registration.favs.includes(flavor.id));
+        const fansWhoOrdered = fans.filter(registration => (registration.scoops[flavor.id] || 0) > 0).length;
+        const scoops = registrations.reduce((sum, registration) => sum + (registration.scoops[flavor.id] || 0), 0);
+        return {
+            flavor: flavor,
+            favourites: fans.length,
+            favouriteShare: share(fans.length, registrations.length),
+            fansWhoOrdered: fansWhoOrdered,
+            fansWhoOrderedShare: share(fansWhoOrdered, fans.length),
+            scoops: scoops,
+            scoopShare: share(scoops, totalScoops)
+        };
+    }).sort((a, b) => b.favourites - a.favourites);
+}
+
+/**
+ * Quotes a CSV value if it needs it (RFC 4180).
+ * @param {string|number} value - The value.
+ * @returns {string} - The value, quoted if it has a comma, quote or line break.
+ */
+function toCsvValue(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV file of every registration, one row each, for use in a spreadsheet.
+ * Columns: registered (ISO 8601), referral, gender, favourites (separated by ";"), orders,
+ * then the scoops ordered of each catalogue flavour. Only the answers the form offers are
+ * written out, so a hand-crafted registration can't put anything else in the file.
+ * @param {Registration[]} registrations - The registrations.
+ * @returns {string} - The CSV text (CRLF line endings).
+ */
+function buildReportCsv(registrations) {
+    const header = ["registered", "referral", "gender", "favourites", "orders"]
+        .concat(FLAVOR_CATALOGUE.map(flavor => `scoops_${flavor.id}`));
+    const rows = registrations.map(registration => [
+        registration.registeredAt,
+        getReferralSource(registration),
+        ["male", "female"].includes(registration.gender) ? registration.gender : "",
+        FLAVOR_CATALOGUE.filter(flavor => registration.favs.includes(flavor.id)).map(flavor => flavor.id).join(";"),
+        registration.orders
+    ].concat(FLAVOR_CATALOGUE.map(flavor => registration.scoops[flavor.id] || 0)));
+
+    return [header].concat(rows)
+        .map(row => row.map(toCsvValue).join(","))
+        .join("\r\n") + "\r\n";
+}
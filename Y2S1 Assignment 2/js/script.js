@@ -4,40 +4,127 @@
   Date: 25/10/2025
   Description: Main JavaScript file for COS10005 Assignment 2.
   Handles:
-  - Form validation for register.html and order.html
+  - Form validation for register.html and order.html (rules are defined in validation.js)
   - Check blank required fields 
   - Check password strength (length & character types)
   - Check postcode (4 digits)
-  - Show all errors (inline + summary)
+  - Show all errors (inline + summary), linked to their fields for screen readers
   - Allow submit only if valid
   - Website Enhancements
     - Highlight current nav item
     - Auto-fill billing address
     - Adaptive credit card length
+  - Render flavours from the catalogue (catalogue.js) on index.html and order.html
+  - Live order summary with subtotal, delivery fee, GST and total
+  - Promo codes checked against the rules in promotions.js (pricing is in pricing.js)
+  - Card payment checks (Luhn checksum, expiry date, brand detection, CVV length)
+  - Live validation of each field as the user leaves it
+  - Password strength meter and confirm-password match indicator
+  - Submit both forms to the local server (server/server.js) with fetch
+  - Order confirmation page with a printable and downloadable receipt
+  - Suburb typeahead (suburbs.js) that fills in the postcode, and suburb/postcode matching
+  - Delivery zones, delivery time slots and pickup times (delivery.js)
+  - Customer login/logout, a logged-in indicator in the nav, and saved details on the order form
+  - Order history with one-click reorder (orders.html)
+  - Order form drafts kept in session storage (drafts.js), encrypted and expiring
+  - Cart shared by all pages and tabs (cart.js): "Add to Order" on index.html and a nav badge
+  - English and Chinese text (i18n.js), with a language switcher in the header of every page
+  - Contact number checks for Australian and international numbers, formatted as typed and sent as E.164 (phone.js)
+  - Optional step-by-step checkout on order.html, with a progress indicator and a URL for each step
+  - Per-flavour stock and a per-order maximum on the quantity controls, with "sold out" and "only N left" notes
+  - Staff dashboard of incoming orders with type/status filters and the status workflow (dashboard.html, order-status.js)
+  - Username rules with a live "username available" check, and email verification with a one-time code on registration.html
+  - Marketing report for staff: registrations by referral source and favourite flavours vs. orders, as charts, tables and CSV (report.html, report.js)
+  - Order tracking for customers by order number and email, with a status timeline and estimated time that refresh by themselves (track.html)
 */
 
 "use strict"; // Enforce strict mode for better code quality
 
+// Shop address, shown for pickup orders
+const SHOP_ADDRESS = "3, Jalan SS 15/8, Ss 15, 47500 Subang Jaya, Selangor";
+
+// The most order numbers remembered on this device for customers who aren't logged in
+const MAX_REMEMBERED_ORDERS = 20;
+
+// The logged-in user, fetched from the server once per page (see getCurrentUser())
+let currentUserRequest = null;
+
+// How long to wait after the last keystroke before checking whether a username is free, in milliseconds
+const USERNAME_CHECK_DELAY = 400;
+
+// How often the tracking page checks the server for updates to the order, in milliseconds
+const TRACKING_REFRESH_INTERVAL = 30 * 1000;
+
+// The order being followed on the tracking page, as { id, values } (the tracking form values it was
+// found with), and the timer for its next refresh (see trackOrder())
+let trackedOrder = null;
+let trackingTimer = null;
+
 /**
  * Main initialization function.
  */
 function init() {
     console.log("Sweet Life site initialized.");
 
+    // Show the page in the chosen language, and the language switcher, on all pages
+    applyTranslations();
+    initLanguageSwitcher();
+
     // Enhancement 1: Highlight current nav link on all pages
     highlightCurrentNav();
 
+    // Show the number of scoops in the cart next to the "Order" link on all pages
+    initCartBadge();
+
+    // Show who is logged in (or a "Log In" link) in the nav on all pages
+    initAccountNav();
+
     // Check which page we're on and run page-specific init functions
+    const menuHighlight = document.getElementById("menu-highlight");
     const regForm = document.getElementById("register-form");
+    const loginForm = document.getElementById("login-form");
     const orderForm = document.getElementById("order-form");
+    const orderConfirmation = document.getElementById("order-confirmation");
+    const orderHistory = document.getElementById("order-history");
+    const staffDashboard = document.getElementById("staff-dashboard");
+    const marketingReport = document.getElementById("marketing-report");
+    const trackForm = document.getElementById("track-form");
+
+    if (menuHighlight) {
+        renderMenuHighlight(menuHighlight);
+    }
 
     if (regForm) {
         initRegisterPage(regForm);
     }
 
+    if (loginForm) {
+        initLoginPage(loginForm);
+    }
+
     if (orderForm) {
         initOrderPage(orderForm);
     }
+
+    if (orderConfirmation) {
+        initConfirmationPage();
+    }
+
+    if (orderHistory) {
+        initOrderHistoryPage();
+    }
+
+    if (staffDashboard) {
+        initStaffDashboardPage();
+    }
+
+    if (marketingReport) {
+        initMarketingReportPage();
+    }
+
+    if (trackForm) {
+        initTrackingPage(trackForm);
+    }
 }
 
 // --- Global Enhancements ---
@@ -60,6 +147,260 @@ function highlightCurrentNav() {
     });
 }
 
+/**
+ * Adds a language switcher to the header. The choice is saved (see setLocale() in i18n.js)
+ * and the page is reloaded so that everything on it is shown in the new language.
+ */
+function initLanguageSwitcher() {
+    const headerContent = document.querySelector(".header-content");
+    if (!headerContent) {
+        return;
+    }
+
+    const select = document.createElement("select");
+    select.id = "language-select";
+    select.className = "language-switcher";
+    select.setAttribute("aria-label", t("language.label"));
+    Object.keys(LOCALES).forEach(locale => {
+        const option = new Option(LOCALES[locale].name, locale, false, locale === getLocale());
+        option.lang = LOCALES[locale].intl;
+        select.add(option);
+    });
+    select.addEventListener("change", () => {
+        setLocale(select.value);
+        window.location.reload();
+    });
+
+    headerContent.appendChild(select);
+}
+
+/**
+ * Adds a badge with the number of scoops in the cart (cart.js) to the "Order" nav link,
+ * kept up to date as the cart changes on this page or in another tab.
+ */
+function initCartBadge() {
+    const orderLink = document.querySelector('nav a[href="order.html"]');
+    if (!orderLink) {
+        return;
+    }
+
+    const badge = document.createElement("span");
+    badge.id = "cart-badge";
+    badge.className = "cart-badge";
+    orderLink.appendChild(badge);
+
+    updateCartBadge();
+    onCartChange(updateCartBadge);
+}
+
+/**
+ * Shows the current number of scoops in the cart on the nav badge (hidden when the cart is empty).
+ */
+function updateCartBadge() {
+    const badge = document.getElementById("cart-badge");
+    const count = getCartCount();
+
+    const label = document.createElement("span");
+    label.className = "visually-hidden";
+    label.textContent = ` ${t("cart.badgeLabel", { count: count })}`;
+
+    badge.replaceChildren(String(count), label);
+    badge.style.display = count > 0 ? "" : "none";
+}
+
+/**
+ * Returns the flavours from the catalogue (catalogue.js) that can currently be ordered.
+ * @returns {Flavor[]} - The available flavours, in catalogue order.
+ */
+function getAvailableFlavors() {
+    return FLAVOR_CATALOGUE.filter(flavor => flavor.available);
+}
+
+/**
+ * Gets the scoops left of each flavour from the server and passes them to setFlavorStock() (catalogue.js).
+ * If the server can't be reached, the stock already known is kept.
+ * @returns {Promise<void>}
+ */
+async function loadFlavorStock() {
+    try {
+        const response = await fetch("/api/stock");
+        if (response.ok) {
+            setFlavorStock((await response.json()).stock);
+        }
+    } catch (error) {
+        console.error("Error loading stock:", error);
+    }
+}
+
+/**
+ * Describes how many scoops of a flavour can still be ordered, for the note next to it.
+ * @param {string} flavorId - The flavour id (e.g. "vanilla").
+ * @param {number} quantity - The scoops already in the order.
+ * @returns {string} - e.g. "Sold out" or "Only 3 left", or "" if there's plenty left.
+ */
+function describeFlavorStock(flavorId, quantity) {
+    const stock = getFlavorStock(flavorId);
+    if (stock !== null && stock <= 0) {
+        return t("stock.soldOut");
+    }
+    if (stock !== null && stock <= LOW_STOCK_THRESHOLD) {
+        return t("stock.onlyLeft", { count: stock });
+    }
+    if (quantity >= MAX_SCOOPS_PER_FLAVOR) {
+        return t("stock.limitReached", { count: MAX_SCOOPS_PER_FLAVOR });
+    }
+    return "";
+}
+
+
+// --- Customer Account (all pages) ---
+
+/**
+ * Gets the logged-in user from the server. The request is only made once per page.
+ * @returns {Promise<Object|null>} - The user's profile, or null if not logged in (or the server can't be reached).
+ */
+function getCurrentUser() {
+    if (!currentUserRequest) {
+        currentUserRequest = fetch("/api/me")
+            .then(response => response.ok ? response.json() : { user: null })
+            .then(result => result.user)
+            .catch(error => {
+                console.error("Error checking login:", error);
+                return null;
+            });
+    }
+    return currentUserRequest;
+}
+
+/**
+ * Shows the logged-in user and a "Log Out" button in the nav, in place of the "Log In" link.
+ * When logged out, the "Log In" link returns to the current page after logging in.
+ */
+async function initAccountNav() {
+    const navAccount = document.getElementById("nav-account");
+    if (!navAccount) {
+        return;
+    }
+
+    const user = await getCurrentUser();
+    if (!user) {
+        const currentPage = window.location.pathname.split("/").pop();
+        if (currentPage !== "" && currentPage !== "login.html") {
+            navAccount.querySelector("a").href = `login.html?next=${encodeURIComponent(currentPage)}`;
+        }
+        return;
+    }
+
+    const userName = document.createElement("span");
+    userName.className = "nav-user";
+    userName.textContent = t("account.signedInAs", { username: user.username });
+
+    const logoutButton = document.createElement("button");
+    logoutButton.type = "button";
+    logoutButton.className = "nav-logout";
+    logoutButton.textContent = t("account.logOut");
+    logoutButton.addEventListener("click", logOut);
+
+    navAccount.replaceChildren(userName, logoutButton);
+
+    // Staff also get links to the staff dashboard and the marketing report
+    if (user.staff) {
+        [["dashboard.html", "nav.dashboard"], ["report.html", "nav.report"]].forEach(([page, labelKey]) => {
+            const staffLink = document.createElement("a");
+            staffLink.href = page;
+            staffLink.textContent = t(labelKey);
+            if (window.location.pathname.split("/").pop() === page) {
+                staffLink.classList.add("active-link");
+            }
+            const staffItem = document.createElement("li");
+            staffItem.appendChild(staffLink);
+            navAccount.before(staffItem);
+        });
+    }
+}
+
+/**
+ * Logs out, then reloads the page so it no longer shows the customer's details.
+ */
+async function logOut() {
+    try {
+        await fetch("/api/logout", { method: "POST" });
+        window.location.reload();
+    } catch (error) {
+        console.error("Error logging out:", error);
+        alert(t("account.logOutFailed"));
+    }
+}
+
+
+// --- Home Page Logic (index.html) ---
+
+/**
+ * Renders a card for each available flavour in the catalogue into the
+ * "Our Signature Flavours" section.
+ * @param {HTMLElement} menuHighlight - The #menu-highlight section element.
+ */
+function renderMenuHighlight(menuHighlight) {
+    const menuGrid = menuHighlight.querySelector(".menu-grid");
+
+    getAvailableFlavors().forEach(flavor => {
+        const article = document.createElement("article");
+        article.className = "menu-item";
+
+        const img = document.createElement("img");
+        img.src = flavor.image;
+        img.alt = t(flavor.imageAltKey);
+
+        const heading = document.createElement("h3");
+        heading.textContent = t(flavor.nameKey);
+
+        const description = document.createElement("p");
+        description.textContent = t(flavor.descriptionKey);
+
+        // Add a scoop to the cart, which the order form picks up
+        const addButton = document.createElement("button");
+        addButton.type = "button";
+        addButton.className = "secondary-btn add-to-cart-btn";
+        addButton.id = `add-to-cart-${flavor.id}`;
+        addButton.textContent = t("cart.add");
+        addButton.setAttribute("aria-label", t("cart.addLabel", { flavor: t(flavor.nameKey) }));
+        addButton.addEventListener("click", () => addToCart(flavor.id));
+
+        const cartNote = document.createElement("p");
+        cartNote.className = "cart-note";
+        cartNote.id = `cart-note-${flavor.id}`;
+        cartNote.setAttribute("aria-live", "polite");
+
+        const stockNote = document.createElement("p");
+        stockNote.className = "stock-note";
+        stockNote.id = `stock-note-${flavor.id}`;
+
+        article.append(img, heading, description, addButton, cartNote, stockNote);
+        menuGrid.appendChild(article);
+    });
+
+    updateMenuCartNotes(getCart());
+    onCartChange(updateMenuCartNotes);
+
+    // Sold-out and nearly sold-out flavours are shown once the stock is known
+    loadFlavorStock().then(() => updateMenuCartNotes(getCart()));
+}
+
+/**
+ * Shows how many scoops of each flavour are in the cart and how many are left, under its
+ * card on the home page. "Add to Order" is disabled once no more can be ordered.
+ * @param {Object<string, number>} cart - Quantities keyed by flavour id.
+ */
+function updateMenuCartNotes(cart) {
+    getAvailableFlavors().forEach(flavor => {
+        const quantity = cart[flavor.id] || 0;
+        const cartNote = document.getElementById(`cart-note-${flavor.id}`);
+        cartNote.textContent = quantity > 0 ? t("cart.inOrder", { count: quantity }) : "";
+        document.getElementById(`stock-note-${flavor.id}`).textContent = describeFlavorStock(flavor.id, quantity);
+        document.getElementById(`add-to-cart-${flavor.id}`).disabled = quantity >= getFlavorLimit(flavor.id);
+    });
+}
+
 
 // --- Registration Page Logic (register.html) ---
 
@@ -68,82 +409,283 @@ function highlightCurrentNav() {
  * @param {HTMLFormElement} regForm - The registration form element.
  */
 function initRegisterPage(regForm) {
+    // Validate each field as the user leaves it
+    initLiveValidation(regForm, REGISTER_SCHEMA);
+
+    // Check whether the username is free once the user stops typing
+    initUsernameAvailabilityCheck();
+
+    // Show password strength and whether the passwords match as the user types
+    initPasswordStrengthMeter();
+
     // Validate form on submit
     regForm.addEventListener("submit", validateRegisterForm);
+
+    // Second step: the code emailed to the new account
+    const verifyForm = document.getElementById("verify-form");
+    initLiveValidation(verifyForm, VERIFY_EMAIL_SCHEMA);
+    verifyForm.addEventListener("submit", validateVerifyForm);
+    document.getElementById("resend-code").addEventListener("click", resendVerificationCode);
+
+    // The link in the email (registration.html?verify=username) goes straight to the second step
+    const verifyUsername = new URLSearchParams(window.location.search).get("verify");
+    if (verifyUsername) {
+        showEmailVerification(verifyUsername);
+    }
+}
+
+/**
+ * Checks whether the username is free each time the user pauses typing (debounced by USERNAME_CHECK_DELAY).
+ */
+function initUsernameAvailabilityCheck() {
+    const usernameInput = document.getElementById("username");
+    let checkTimer = null;
+    usernameInput.addEventListener("input", () => {
+        clearTimeout(checkTimer);
+        document.getElementById("username-status").textContent = "";
+        checkTimer = setTimeout(checkUsernameAvailability, USERNAME_CHECK_DELAY);
+    });
+}
+
+/**
+ * Asks the server whether the username is free, then shows that it is available or the "taken" error.
+ * Usernames that break the other rules aren't sent; live validation explains those when the user leaves the field.
+ */
+async function checkUsernameAvailability() {
+    const usernameInput = document.getElementById("username");
+    const status = document.getElementById("username-status");
+    const username = usernameInput.value.trim();
+    const usernameSchema = REGISTER_SCHEMA.find(field => field.field === "username");
+    if (validateField(usernameSchema, { username: username }) !== "") {
+        return;
+    }
+
+    status.textContent = t("register.usernameChecking", { username: username });
+    try {
+        const response = await fetch(`/api/username-available?username=${encodeURIComponent(username)}`);
+        const result = await response.json();
+        // The user has kept typing since; a newer check is on its way
+        if (usernameInput.value.trim() !== username) {
+            return;
+        }
+        if (!response.ok) {
+            status.textContent = "";
+            return;
+        }
+
+        setUsernameTaken(username, !result.available);
+        status.textContent = result.available ? t("register.usernameAvailable", { username: username }) : "";
+        validateFieldLive(document.getElementById("register-form"), usernameSchema);
+        refreshErrorSummary(REGISTER_SCHEMA);
+    } catch (error) {
+        console.error("Error checking username:", error);
+        status.textContent = "";
+    }
+}
+
+/**
+ * Renders the password rule checklist and keeps the strength meter and
+ * confirm-password indicator up to date as the user types.
+ */
+function initPasswordStrengthMeter() {
+    const checklist = document.getElementById("password-checklist");
+    PASSWORD_RULES.forEach(rule => {
+        const item = document.createElement("li");
+        item.dataset.rule = rule.id;
+        item.textContent = t(rule.labelKey);
+        checklist.appendChild(item);
+    });
+
+    // The username and email matter too: the password shouldn't contain them
+    ["password", "username", "email"].forEach(id => {
+        document.getElementById(id).addEventListener("input", updatePasswordStrength);
+    });
+    ["password", "confirm-password"].forEach(id => {
+        document.getElementById(id).addEventListener("input", updatePasswordMatch);
+    });
+
+    updatePasswordStrength();
+    updatePasswordMatch();
+}
+
+/**
+ * Ticks off the password rules that are met and updates the strength meter and warnings.
+ */
+function updatePasswordStrength() {
+    const password = document.getElementById("password").value;
+    const username = document.getElementById("username").value;
+    const emailLocalPart = document.getElementById("email").value.split("@")[0];
+
+    // Checklist
+    PASSWORD_RULES.forEach(rule => {
+        const item = document.querySelector(`#password-checklist li[data-rule="${rule.id}"]`);
+        const isMet = rule.test(password);
+        item.classList.toggle("rule-met", isMet);
+        item.setAttribute("aria-label", t("password.ruleStatus", {
+            rule: t(rule.labelKey),
+            status: t(isMet ? "password.ruleMet" : "password.ruleNotMet")
+        }));
+    });
+
+    // Meter and warnings
+    const strength = estimatePasswordStrength(password, [
+        { label: t("password.info.username"), value: username },
+        { label: t("password.info.email"), value: emailLocalPart }
+    ]);
+    const meter = document.getElementById("password-meter");
+    meter.value = password === "" ? 0 : strength.score + 1; // 1-5, so "Very weak" still shows a sliver
+    // The entropy estimate is left out when a warning has marked the password down
+    let strengthText = password === "" ? "" : t("password.strengthLabel", { label: strength.label });
+    if (password !== "" && strength.warnings.length === 0) {
+        strengthText += t("password.entropy", { bits: strength.entropy });
+    }
+    document.getElementById("password-strength-label").textContent = strengthText;
+    document.getElementById("password-warning").textContent = strength.warnings.join(" ");
+}
+
+/**
+ * Shows whether confirm-password matches password (once something has been typed in it).
+ */
+function updatePasswordMatch() {
+    const password = document.getElementById("password").value;
+    const confirmPassword = document.getElementById("confirm-password").value;
+    const indicator = document.getElementById("confirm-password-match");
+
+    indicator.classList.remove("match-ok", "match-bad");
+    if (confirmPassword === "") {
+        indicator.textContent = "";
+    } else if (confirmPassword === password) {
+        indicator.textContent = t("password.match");
+        indicator.classList.add("match-ok");
+    } else {
+        indicator.textContent = t("password.mismatch");
+        indicator.classList.add("match-bad");
+    }
 }
 
 /**
- * Validates the entire registration form.
+ * Validates the entire registration form against REGISTER_SCHEMA (validation.js)
+ * and, if valid, sends it to the server.
  * @param {Event} event - The form submission event.
  */
-function validateRegisterForm(event) {
+async function validateRegisterForm(event) {
     event.preventDefault(); // Stop form submission
-    
-    let isValid = true;
-    let errors = [];
+    const regForm = event.target;
 
-    // Clear all previous errors
-    clearAllErrors();
+    // --- Final Decision ---
+    if (!validateFormWithSchema(regForm, REGISTER_SCHEMA)) {
+        return;
+    }
 
-    // --- Validation Rules ---
-
-    // 1. Username (Required)
-    const username = document.getElementById("username");
-    if (username.value.trim() === "") {
-        isValid = false;
-        errors.push("Username is required.");
-        showError("username-error", "Username is required.");
-    }
-
-    // 2. Password (Required & strong: 9+ chars, upper, lower, number, symbol)
-    const password = document.getElementById("password");
-    if (password.value === "") {
-        isValid = false;
-        errors.push("Password is required.");
-        showError("password-error", "Password is required.");
-    } else if (!validateStrongPassword(password.value)) {
-        isValid = false;
-        errors.push("Password must be at least 9 characters long and include uppercase, lowercase, number, and symbol.");
-        showError("password-error", "Password must be at least 9 characters long and include uppercase, lowercase, number, and symbol.");
-    }
-
-    // 3. Confirm Password (Matches password)
-    //    (Assumption: This is a standard and necessary validation)
-    const confirmPassword = document.getElementById("confirm-password");
-    if (confirmPassword.value !== password.value) {
-        isValid = false;
-        errors.push("Passwords do not match.");
-        showError("confirm-password-error", "Passwords do not match.");
-    }
-
-    // 4. Email (Required & basic format)
-    const email = document.getElementById("email");
-    if (email.value.trim() === "") {
-        isValid = false;
-        errors.push("Email is required.");
-        showError("email-error", "Email is required.");
-    } else if (!validateEmailFormat(email.value)) {
-        isValid = false;
-        errors.push("Please enter a valid email address.");
-        showError("email-error", "Please enter a valid email address (e.g., name@domain.com).");
-    }
-
-    // 5. Gender (Required - Radio button check)
-    const gender = document.querySelector('input[name="gender"]:checked');
-    if (!gender) {
-        isValid = false;
-        errors.push("Please select a gender.");
-        showError("gender-error", "Please select a gender.");
+    // If all valid, send the registration to the server
+    console.log("Registration form is valid. Submitting...");
+    const result = await submitFormToServer(regForm);
+    if (result) {
+        regForm.reset();
+        updatePasswordStrength();
+        updatePasswordMatch();
+        showEmailVerification(result.user.username, result.user.email);
     }
+}
 
-    // --- Final Decision ---
-    if (isValid) {
-        // If all valid, allow the form to be submitted
-        console.log("Registration form is valid. Submitting...");
-        event.target.submit();
-    } else {
-        // If invalid, show a summary of all errors
-        showErrorSummary(errors);
+/**
+ * Swaps the registration form for the email verification form.
+ * @param {string} username - The username of the account to verify.
+ * @param {string} [email] - The address the code was sent to (not known when opened from the email's link).
+ */
+function showEmailVerification(username, email) {
+    document.getElementById("register-form").hidden = true;
+    document.getElementById("username-status").textContent = "";
+    document.getElementById("verify-form").hidden = false;
+    document.getElementById("verify-username").value = username;
+    document.getElementById("verify-intro").textContent = email
+        ? t("verify.intro", { email: email })
+        : t("verify.introNoEmail");
+    document.getElementById("verification-code").focus();
+}
+
+/**
+ * Validates the verification code against VERIFY_EMAIL_SCHEMA (validation.js) and, if valid,
+ * sends it to the server. Verifying logs the new user in, so the nav is updated to show them.
+ * @param {Event} event - The form submission event.
+ */
+async function validateVerifyForm(event) {
+    event.preventDefault();
+    const verifyForm = event.target;
+
+    if (!validateFormWithSchema(verifyForm, VERIFY_EMAIL_SCHEMA)) {
+        return;
+    }
+
+    const result = await submitFormToServer(verifyForm);
+    if (result) {
+        verifyForm.hidden = true;
+        showFormStatus(t("verify.success", { username: result.user.username }));
+        currentUserRequest = Promise.resolve(result.user);
+        initAccountNav();
+    }
+}
+
+/**
+ * Asks the server to email a new verification code, replacing the old one.
+ */
+async function resendVerificationCode() {
+    const resendButton = document.getElementById("resend-code");
+    resendButton.disabled = true; // Prevent sending several codes at once
+
+    try {
+        const response = await fetch("/api/resend-code", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ "verify-username": document.getElementById("verify-username").value })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showServerErrors(result.errors || []);
+            return;
+        }
+        clearAllErrors();
+        document.getElementById("verification-code").value = "";
+        showFormStatus(t("verify.codeSent"));
+    } catch (error) {
+        console.error("Error requesting a new code:", error);
+        showErrorSummary([{ message: t("errors.serverUnreachable") }]);
+    } finally {
+        resendButton.disabled = false;
+    }
+}
+
+
+// --- Login Page Logic (login.html) ---
+
+/**
+ * Initializes the login page.
+ * @param {HTMLFormElement} loginForm - The login form element.
+ */
+function initLoginPage(loginForm) {
+    initLiveValidation(loginForm, LOGIN_SCHEMA);
+    loginForm.addEventListener("submit", validateLoginForm);
+}
+
+/**
+ * Validates the login form, logs in with the server and goes back to the page the
+ * customer came from (?next=...), or the home page.
+ * @param {Event} event - The form submission event.
+ */
+async function validateLoginForm(event) {
+    event.preventDefault();
+    const loginForm = event.target;
+
+    if (!validateFormWithSchema(loginForm, LOGIN_SCHEMA)) {
+        return;
+    }
+
+    const result = await submitFormToServer(loginForm);
+    if (result) {
+        // Only go back to one of our own pages
+        const next = new URLSearchParams(window.location.search).get("next") || "";
+        window.location.href = /^[\w-]+\.html$/.test(next) ? next : "index.html";
     }
 }
 
@@ -160,14 +702,30 @@ function initOrderPage(orderForm) {
     const sameAsDelivery = document.getElementById("same-as-delivery");
     sameAsDelivery.addEventListener("change", copyDeliveryToBilling);
 
+    // Suggest suburbs as the user types, filling in the postcode when one is picked
+    initSuburbTypeahead("delivery");
+    initSuburbTypeahead("billing");
+
     // --- Enhancement 3: Adaptive credit card length ---
     const cardType = document.getElementById("card-type");
     cardType.addEventListener("change", updateCardLength);
+    cardType.addEventListener("change", function() {
+        // The customer picked a type themselves, so stop auto-detecting it
+        delete this.dataset.autoDetected;
+        checkCardBrand();
+    });
+
+    // Detect the card brand from the number as the user types
+    document.getElementById("card-number").addEventListener("input", checkCardBrand);
+
+    // Space out the contact number as the user types, and re-check it when SMS updates are turned on or off
+    initContactNumberField(orderForm);
 
     // --- Conditional Fields (Show/Hide) ---
     // Show/hide delivery fields
     document.querySelectorAll('input[name="order-type"]').forEach(radio => {
         radio.addEventListener("change", toggleDeliveryFields);
+        radio.addEventListener("change", updateOrderSummary);
     });
     
     // Show/hide payment fields
@@ -179,16 +737,111 @@ function initOrderPage(orderForm) {
     toggleDeliveryFields();
     togglePaymentFields();
 
-    // Initialize flavor quantity controls
+    // Render the flavour list from the catalogue, then initialize its quantity controls
+    renderFlavorList(orderForm.querySelector(".flavor-list"));
     initFlavorQuantityControls();
 
+    // Limit the quantities to the stock left (the per-order maximum applies until it is known)
+    refreshFlavorStock();
+
+    // Take the quantities from the cart, and keep the two in step both ways
+    applyCartToOrderForm(getCart());
+    initCartSync();
+
+    // Delivery zone, date and time slot (delivery orders) or pickup date and time (pickup orders)
+    initBookingFields();
+
+    // Show the order summary (recalculated whenever quantities, order type or delivery postcode change)
+    updateOrderSummary();
+
+    // Re-check the promo code when it is applied or changed
+    document.getElementById("apply-promo").addEventListener("click", updateOrderSummary);
+    document.getElementById("promo-code").addEventListener("change", updateOrderSummary);
+
     // Initialize session storage for form data (restores saved data)
     initSessionStorage(orderForm);
 
+    // Fill in a logged-in customer's saved contact number and addresses
+    prefillFromAccount();
+
+    // Validate each field as the user leaves it
+    initLiveValidation(orderForm, ORDER_SCHEMA);
+
+    // Offer step-by-step checkout, showing one part of the form at a time
+    initOrderWizard(orderForm);
+
     // Validate form on submit
     orderForm.addEventListener("submit", validateOrderForm);
 }
 
+/**
+ * Fills in the logged-in customer's email, contact number and saved addresses,
+ * and offers to save the details used on this order back to their account.
+ * Only empty fields are filled, so nothing the customer has typed is replaced.
+ */
+async function prefillFromAccount() {
+    const user = await getCurrentUser();
+    if (!user) {
+        return;
+    }
+
+    document.getElementById("save-details-group").style.display = "";
+
+    const fillIfEmpty = (id, value) => {
+        const field = document.getElementById(id);
+        if (field.value.trim() === "" && value) {
+            field.value = value;
+        }
+    };
+    fillIfEmpty("email", user.email);
+    fillIfEmpty("contact-number", user.contactNumber);
+    formatContactNumber();
+
+    [["delivery", user.deliveryAddress], ["billing", user.billingAddress]].forEach(([section, address]) => {
+        const fields = ["street", "suburb", "postcode"].map(part => document.getElementById(`${section}-${part}`));
+        if (address && fields.every(field => field.value.trim() === "")) {
+            fields[0].value = address.street;
+            fields[1].value = address.suburb;
+            fields[2].value = address.postcode;
+        }
+    });
+
+    // The delivery postcode sets the delivery fee and zone
+    updateOrderSummary();
+    updateDeliveryZoneInfo();
+    saveFormDataToSession();
+}
+
+/**
+ * Formats the contact number as the user types it (see formatPhoneNumber() in phone.js),
+ * and re-checks it when "SMS updates" changes, since SMS updates need a mobile number.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ */
+function initContactNumberField(orderForm) {
+    const contactInput = document.getElementById("contact-number");
+    contactInput.addEventListener("input", () => {
+        // Only while typing at the end, so editing the middle of the number doesn't move the cursor
+        if (contactInput.selectionStart === contactInput.value.length) {
+            formatContactNumber();
+        }
+    });
+    contactInput.addEventListener("change", formatContactNumber);
+
+    document.getElementById("sms-updates").addEventListener("change", () => {
+        if (contactInput.value.trim() !== "") {
+            validateFieldLive(orderForm, ORDER_SCHEMA.find(field => field.field === "contact-number"));
+        }
+    });
+}
+
+/**
+ * Spaces out the number in the contact number field (e.g. "0412345678" -> "0412 345 678").
+ */
+function formatContactNumber() {
+    const contactInput = document.getElementById("contact-number");
+    contactInput.value = formatPhoneNumber(contactInput.value);
+}
+
 /**
  * Copies delivery address to billing address
  */
@@ -209,7 +862,12 @@ function copyDeliveryToBilling() {
         // Check if delivery address is complete
         if (delStreet.value.trim() === "" || delSuburb.value.trim() === "" || delPostcode.value.trim() === "") {
             // Requirement: "display an alert"
-            alert("Please enter your delivery address first.");
+            alert(t("order.needDeliveryAddress"));
+            checkbox.checked = false;
+        } else if (!suburbMatchesPostcode(delSuburb.value, delPostcode.value)) {
+            // Don't copy a suburb and postcode that don't belong together
+            showError("delivery-postcode-error", getPostcodeMismatchMessage(delSuburb.value, delPostcode.value));
+            alert(t("order.deliveryAddressMismatch"));
             checkbox.checked = false;
         } else {
             // Copy values
@@ -226,28 +884,101 @@ function copyDeliveryToBilling() {
 }
 
 /**
- * Updates credit card number maxLength
+ * Adds suburb suggestions (from suburbs.js) to a suburb field, using its <datalist>.
+ * Picking a suggestion fills in both the suburb and its postcode. Typing a suburb
+ * that has only one postcode fills in the postcode too, if it is still empty.
+ * @param {string} section - The address section: "delivery" or "billing".
+ */
+function initSuburbTypeahead(section) {
+    const suburbInput = document.getElementById(`${section}-suburb`);
+    const postcodeInput = document.getElementById(`${section}-postcode`);
+    const suggestionList = document.getElementById(`${section}-suburb-list`);
+    let suggestions = [];
+
+    suburbInput.addEventListener("input", () => {
+        // A suggestion was picked: split it back into the suburb and postcode
+        const picked = suggestions.find(entry => formatSuburbSuggestion(entry) === suburbInput.value);
+        if (picked) {
+            suburbInput.value = picked.suburb;
+            postcodeInput.value = picked.postcode;
+            suggestions = [];
+            suggestionList.replaceChildren();
+            return;
+        }
+
+        suggestions = findSuburbs(suburbInput.value);
+        suggestionList.replaceChildren(...suggestions.map(entry => {
+            const option = document.createElement("option");
+            option.value = formatSuburbSuggestion(entry);
+            return option;
+        }));
+    });
+
+    suburbInput.addEventListener("change", () => {
+        const postcodes = getSuburbPostcodes(suburbInput.value);
+        if (postcodeInput.value.trim() === "" && postcodes.length === 1) {
+            postcodeInput.value = postcodes[0];
+        }
+    });
+}
+
+/**
+ * Formats a suburb for the typeahead suggestions.
+ * @param {Suburb} entry - The suburb from suburbs.js.
+ * @returns {string} - e.g. "Hawthorn, VIC 3122".
+ */
+function formatSuburbSuggestion(entry) {
+    return `${entry.suburb}, ${entry.state} ${entry.postcode}`;
+}
+
+/**
+ * Updates credit card number and CVV maxLength for the selected card type
  */
 function updateCardLength() {
-    const cardType = document.getElementById("card-type").value;
+    const brand = CARD_BRANDS[document.getElementById("card-type").value];
     const cardNumberInput = document.getElementById("card-number");
+    const cvvInput = document.getElementById("card-cvv");
+
+    if (brand) {
+        // 16 digits for Visa/MC, 15 for Amex
+        cardNumberInput.maxLength = brand.length;
+        cardNumberInput.pattern = `\\d{${brand.length}}`;
+        cardNumberInput.placeholder = t("order.cardDigits", { count: brand.length });
+        // 4 digits for Amex, 3 for others
+        cvvInput.maxLength = brand.cvvLength;
+        cvvInput.placeholder = t("order.cardDigits", { count: brand.cvvLength });
+    } else {
+        cardNumberInput.maxLength = 19; // Default max
+        cardNumberInput.pattern = "\\d{15,16}";
+        cardNumberInput.placeholder = t("order.cardDigits", { count: "15-16" });
+        cvvInput.maxLength = 4;
+        cvvInput.placeholder = t("order.cardDigits", { count: "3-4" });
+    }
+}
+
+/**
+ * Detects the card brand from the number typed so far.
+ * If the customer hasn't picked a card type, the detected brand is selected for them
+ * (and the length rules updated). If they have, a mismatch error is shown instead.
+ * Clearing the error once it's fixed is left to live validation (initLiveValidation).
+ */
+function checkCardBrand() {
+    const cardType = document.getElementById("card-type");
+    const cardNumber = document.getElementById("card-number").value.trim();
+    const detectedBrand = detectCardBrand(cardNumber);
+
+    if (detectedBrand && (cardType.value === "" || cardType.dataset.autoDetected)) {
+        if (cardType.value !== detectedBrand) {
+            cardType.value = detectedBrand;
+            cardType.dataset.autoDetected = "true";
+            updateCardLength();
+        }
+        return;
+    }
 
-    switch (cardType) {
-        case "visa":
-        case "mastercard":
-            cardNumberInput.maxLength = 16; // 16 digits for Visa/MC
-            cardNumberInput.pattern = "\\d{16}";
-            cardNumberInput.placeholder = "16 digits";
-            break;
-        case "amex":
-            cardNumberInput.maxLength = 15; // 15 digits for Amex
-            cardNumberInput.pattern = "\\d{15}";
-            cardNumberInput.placeholder = "15 digits";
-            break;
-        default:
-            cardNumberInput.maxLength = 19; // Default max
-            cardNumberInput.pattern = "\\d{15,16}";
-            cardNumberInput.placeholder = "15-16 digits";
+    const mismatch = getCardBrandMismatch(cardType.value, cardNumber);
+    if (mismatch) {
+        showError("card-number-error", mismatch);
     }
 }
 
@@ -257,14 +988,17 @@ function updateCardLength() {
 function toggleDeliveryFields() {
     const orderType = document.querySelector('input[name="order-type"]:checked').value;
     const deliveryDetails = document.getElementById("delivery-details");
+    const pickupDetails = document.getElementById("pickup-details");
     const sameAsDeliveryCheckbox = document.getElementById("same-as-delivery");
     const sameAsDeliveryGroup = sameAsDeliveryCheckbox.closest(".form-group");
     
     if (orderType === "delivery") {
         deliveryDetails.style.display = "block";
+        pickupDetails.style.display = "none";
         sameAsDeliveryGroup.style.display = "block";
     } else {
         deliveryDetails.style.display = "none";
+        pickupDetails.style.display = "block";
         sameAsDeliveryGroup.style.display = "none";
         // Uncheck the checkbox and clear billing fields if they were auto-filled
         if (sameAsDeliveryCheckbox.checked) {
@@ -276,6 +1010,137 @@ function toggleDeliveryFields() {
     }
 }
 
+/**
+ * Sets up the delivery date and time slot and the pickup date and time (delivery.js):
+ * limits the dates to the booking window, lists the time slots, and keeps the delivery
+ * zone, slot availability and opening hours up to date as the customer fills them in.
+ */
+function initBookingFields() {
+    const today = new Date();
+    const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + BOOKING_DAYS_AHEAD);
+    ["delivery-date", "pickup-date"].forEach(id => {
+        const dateInput = document.getElementById(id);
+        dateInput.min = toDateKey(today);
+        dateInput.max = toDateKey(lastDay);
+    });
+
+    const slotSelect = document.getElementById("delivery-slot");
+    DELIVERY_SLOTS.forEach(slot => {
+        slotSelect.add(new Option(formatSlotLabel(slot), slot.id));
+    });
+
+    const postcodeInput = document.getElementById("delivery-postcode");
+    postcodeInput.addEventListener("input", updateOrderSummary);
+    postcodeInput.addEventListener("input", updateDeliveryZoneInfo);
+    document.getElementById("delivery-date").addEventListener("change", updateDeliverySlots);
+    document.getElementById("pickup-date").addEventListener("change", updatePickupHours);
+
+    updateDeliveryZoneInfo();
+    updateDeliverySlots();
+    updatePickupHours();
+}
+
+/**
+ * Shows the delivery zone for the postcode entered, with its fee and minimum order.
+ * (Postcodes we don't deliver to are reported by validation.)
+ */
+function updateDeliveryZoneInfo() {
+    const zoneInfo = document.getElementById("delivery-zone-info");
+    const zone = getDeliveryZone(document.getElementById("delivery-postcode").value);
+
+    if (!zone || !zone.available) {
+        zoneInfo.textContent = "";
+        return;
+    }
+    const minimum = zone.minOrder > 0
+        ? t("delivery.minimumOrder", { amount: formatCurrency(zone.minOrder) })
+        : t("delivery.noMinimumOrder");
+    zoneInfo.textContent = t("delivery.zoneInfo", { zone: t(zone.nameKey), fee: formatCurrency(zone.fee), minimum: minimum });
+}
+
+/**
+ * Formats a delivery time slot (delivery.js) for display, in the current language.
+ * @param {{start: string, end: string}} slot - The time slot.
+ * @returns {string} - e.g. "12:00 pm - 2:00 pm".
+ */
+function formatSlotLabel(slot) {
+    return t("delivery.slotRange", { start: formatTime(slot.start), end: formatTime(slot.end) });
+}
+
+/**
+ * Disables the delivery time slots that can't be booked on the chosen date:
+ * slots that start too soon, and slots that are full (according to the server).
+ */
+async function updateDeliverySlots() {
+    const dateKey = document.getElementById("delivery-date").value;
+    const slotSelect = document.getElementById("delivery-slot");
+    const remaining = await fetchSlotAvailability(dateKey);
+
+    DELIVERY_SLOTS.forEach(slot => {
+        const option = slotSelect.querySelector(`option[value="${slot.id}"]`);
+        const isFull = remaining[slot.id] === 0;
+        const isTooSoon = isBookableDate(dateKey) && !isTimeBookable(dateKey, slot.start);
+        option.disabled = isFull || isTooSoon;
+        option.textContent = isFull ? t("delivery.slotFull", { slot: formatSlotLabel(slot) }) : formatSlotLabel(slot);
+    });
+
+    // Don't leave a slot selected that can no longer be booked
+    if (slotSelect.selectedOptions.length > 0 && slotSelect.selectedOptions[0].disabled) {
+        slotSelect.value = "";
+    }
+}
+
+/**
+ * Asks the server how many deliveries can still be booked in each time slot on a date.
+ * @param {string} dateKey - The delivery date ("YYYY-MM-DD").
+ * @returns {Promise<Object<string, number>>} - Places left, keyed by slot id (empty if unknown).
+ */
+async function fetchSlotAvailability(dateKey) {
+    if (!isBookableDate(dateKey)) {
+        return {};
+    }
+    try {
+        const response = await fetch(`/api/delivery-slots?date=${encodeURIComponent(dateKey)}`);
+        if (!response.ok) {
+            return {};
+        }
+        const result = await response.json();
+        const remaining = {};
+        result.slots.forEach(slot => {
+            remaining[slot.id] = slot.remaining;
+        });
+        return remaining;
+    } catch (error) {
+        // Without the server, full slots are only caught when the order is placed
+        console.error("Error checking delivery slots:", error);
+        return {};
+    }
+}
+
+/**
+ * Shows the shop's opening hours on the chosen pickup date, and limits the pickup time to them.
+ */
+function updatePickupHours() {
+    const dateKey = document.getElementById("pickup-date").value;
+    const pickupHours = document.getElementById("pickup-hours");
+    const timeInput = document.getElementById("pickup-time");
+    const hours = isBookableDate(dateKey) ? getShopHours(dateKey) : null;
+
+    if (hours) {
+        pickupHours.textContent = t("pickup.hours", {
+            open: formatTime(hours.open),
+            close: formatTime(hours.close),
+            day: getDayName(dateKey)
+        });
+        timeInput.min = hours.open;
+        timeInput.max = hours.close;
+    } else {
+        pickupHours.textContent = "";
+        timeInput.removeAttribute("min");
+        timeInput.removeAttribute("max");
+    }
+}
+
 /**
  * Toggles the visibility of the Payment Details fieldset
  */
@@ -290,6 +1155,65 @@ function togglePaymentFields() {
     }
 }
 
+/**
+ * Renders a quantity row (name, -/+ buttons, display and hidden input) for each
+ * available flavour in the catalogue.
+ * @param {HTMLElement} flavorList - The .flavor-list container on the order form.
+ */
+function renderFlavorList(flavorList) {
+    getAvailableFlavors().forEach(flavor => {
+        const item = document.createElement("div");
+        item.className = "flavor-item";
+
+        const info = document.createElement("div");
+        info.className = "flavor-info";
+
+        const name = document.createElement("span");
+        name.className = "flavor-name";
+        name.textContent = t(flavor.nameKey);
+
+        // "Sold out", "Only N left" or "Limit reached" (see updateQuantityButtonStates())
+        const stockNote = document.createElement("span");
+        stockNote.className = "stock-note";
+        stockNote.id = `stock-note-${flavor.id}`;
+        stockNote.setAttribute("aria-live", "polite");
+        info.append(name, stockNote);
+
+        const controls = document.createElement("div");
+        controls.className = "quantity-controls";
+
+        const downButton = document.createElement("button");
+        downButton.type = "button";
+        downButton.className = "qty-btn qty-down";
+        downButton.dataset.flavor = flavor.id;
+        downButton.setAttribute("aria-label", t("flavor.decrease", { flavor: t(flavor.nameKey) }));
+        downButton.textContent = "\u2212"; // Minus sign
+
+        const display = document.createElement("span");
+        display.className = "qty-display";
+        display.id = `qty-${flavor.id}`;
+        display.dataset.flavor = flavor.id;
+        display.textContent = "[0]";
+
+        const upButton = document.createElement("button");
+        upButton.type = "button";
+        upButton.className = "qty-btn qty-up";
+        upButton.dataset.flavor = flavor.id;
+        upButton.setAttribute("aria-label", t("flavor.increase", { flavor: t(flavor.nameKey) }));
+        upButton.textContent = "+";
+
+        const hiddenInput = document.createElement("input");
+        hiddenInput.type = "hidden";
+        hiddenInput.name = `flavor-${flavor.id}`;
+        hiddenInput.id = `flavor-${flavor.id}`;
+        hiddenInput.value = "0";
+
+        controls.append(downButton, display, upButton);
+        item.append(info, controls, hiddenInput);
+        flavorList.appendChild(item);
+    });
+}
+
 /**
  * Initializes the flavor quantity controls (up/down buttons)
  */
@@ -314,24 +1238,67 @@ function initFlavorQuantityControls() {
 }
 
 /**
- * Increments the quantity for a specific flavor
- * @param {string} flavor - The flavor identifier (vanilla, chocolate, strawberry)
+ * Keeps the order form's quantities and the cart (cart.js) in step: changes made with the
+ * quantity buttons are saved to the cart, and changes to the cart (from another tab, or
+ * the home page) are shown on the form.
+ */
+function initCartSync() {
+    getAvailableFlavors().forEach(({ id: flavor }) => {
+        const hiddenInput = document.getElementById(`flavor-${flavor}`);
+        hiddenInput.addEventListener("change", () => setCartQuantity(flavor, hiddenInput.value));
+    });
+    onCartChange(applyCartToOrderForm);
+}
+
+/**
+ * Shows the cart's quantities on the order form's quantity controls.
+ * @param {Object<string, number>} cart - Quantities keyed by flavour id.
+ */
+function applyCartToOrderForm(cart) {
+    getAvailableFlavors().forEach(({ id: flavor }) => {
+        const hiddenInput = document.getElementById(`flavor-${flavor}`);
+        const quantity = cart[flavor] || 0;
+        if ((parseInt(hiddenInput.value) || 0) !== quantity) {
+            hiddenInput.value = quantity;
+            document.getElementById(`qty-${flavor}`).textContent = `[${quantity}]`;
+
+            // Let the form know the quantity changed (e.g. for live validation)
+            hiddenInput.dispatchEvent(new Event("change", { bubbles: true }));
+        }
+    });
+
+    updateQuantityButtonStates();
+    updateOrderSummary();
+}
+
+/**
+ * Increments the quantity for a specific flavor, up to its limit (the stock left or the per-order maximum)
+ * @param {string} flavor - The flavor identifier from the catalogue (e.g. "vanilla")
  */
 function incrementQuantity(flavor) {
     const hiddenInput = document.getElementById(`flavor-${flavor}`);
     const display = document.getElementById(`qty-${flavor}`);
     let currentQty = parseInt(hiddenInput.value) || 0;
-    
+
+    if (currentQty >= getFlavorLimit(flavor)) {
+        updateQuantityButtonStates();
+        return;
+    }
+
     currentQty++;
     hiddenInput.value = currentQty;
     display.textContent = `[${currentQty}]`;
     
     updateQuantityButtonStates();
+    updateOrderSummary();
+
+    // Let the form know the quantity changed (e.g. for live validation)
+    hiddenInput.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
 /**
  * Decrements the quantity for a specific flavor
- * @param {string} flavor - The flavor identifier (vanilla, chocolate, strawberry)
+ * @param {string} flavor - The flavor identifier from the catalogue (e.g. "vanilla")
  */
 function decrementQuantity(flavor) {
     const hiddenInput = document.getElementById(`flavor-${flavor}`);
@@ -345,23 +1312,124 @@ function decrementQuantity(flavor) {
     }
     
     updateQuantityButtonStates();
+    updateOrderSummary();
+
+    // Let the form know the quantity changed (e.g. for live validation)
+    hiddenInput.dispatchEvent(new Event("change", { bubbles: true }));
 }
 
 /**
- * Updates the disabled state of quantity buttons (disable down button when quantity is 0)
+ * Updates the disabled state of quantity buttons (disable down button when quantity is 0,
+ * and up button at the flavour's limit) and the stock note next to each flavour
  */
 function updateQuantityButtonStates() {
-    const flavors = ["vanilla", "chocolate", "strawberry"];
-    
-    flavors.forEach(flavor => {
+    getAvailableFlavors().forEach(({ id: flavor }) => {
         const hiddenInput = document.getElementById(`flavor-${flavor}`);
         const currentQty = parseInt(hiddenInput.value) || 0;
         const downButton = document.querySelector(`.qty-down[data-flavor="${flavor}"]`);
-        
+        const upButton = document.querySelector(`.qty-up[data-flavor="${flavor}"]`);
+        const stockNote = document.getElementById(`stock-note-${flavor}`);
+
         if (downButton) {
             downButton.disabled = currentQty === 0;
         }
+        if (upButton) {
+            upButton.disabled = currentQty >= getFlavorLimit(flavor);
+        }
+        if (stockNote) {
+            stockNote.textContent = describeFlavorStock(flavor, currentQty);
+        }
+    });
+}
+
+/**
+ * Loads the latest stock from the server and updates the quantity buttons and stock notes to match.
+ * @returns {Promise<void>}
+ */
+async function refreshFlavorStock() {
+    await loadFlavorStock();
+    updateQuantityButtonStates();
+}
+
+/**
+ * Reads the current quantity of each available flavour from the hidden inputs.
+ * @returns {Object<string, number>} - Quantities keyed by flavour id.
+ */
+function getFlavorQuantities() {
+    const quantities = {};
+    getAvailableFlavors().forEach(flavor => {
+        const hiddenInput = document.getElementById(`flavor-${flavor.id}`);
+        quantities[flavor.id] = hiddenInput ? parseInt(hiddenInput.value) || 0 : 0;
     });
+    return quantities;
+}
+
+/**
+ * Recalculates the order and re-renders the order summary panel.
+ * Also copies the totals into the hidden inputs so they are submitted with the form.
+ */
+function updateOrderSummary() {
+    const summary = document.getElementById("order-summary");
+    if (!summary) {
+        return;
+    }
+
+    const orderType = document.querySelector('input[name="order-type"]:checked').value;
+    const promoCode = document.getElementById("promo-code").value;
+    const postcode = document.getElementById("delivery-postcode").value;
+    const totals = calculateOrderTotals(getFlavorQuantities(), orderType, promoCode, postcode);
+
+    // Line items
+    const linesBody = document.getElementById("summary-lines");
+    linesBody.replaceChildren();
+    if (totals.lines.length === 0) {
+        const row = linesBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.className = "summary-empty";
+        cell.textContent = t("summary.empty");
+    } else {
+        totals.lines.forEach(line => {
+            const row = linesBody.insertRow();
+            row.insertCell().textContent = t(line.flavor.nameKey);
+            row.insertCell().textContent = line.quantity;
+            row.insertCell().textContent = formatCurrency(line.flavor.price);
+            row.insertCell().textContent = formatCurrency(line.lineTotal);
+        });
+    }
+
+    // Totals
+    document.getElementById("summary-subtotal").textContent = formatCurrency(totals.subtotal);
+    document.getElementById("summary-delivery-fee").textContent = formatCurrency(totals.deliveryFee);
+    document.getElementById("summary-gst").textContent = formatCurrency(totals.gst);
+    document.getElementById("summary-total").textContent = formatCurrency(totals.total);
+
+    // Hide the delivery fee row for pickup orders
+    document.getElementById("summary-delivery-row").style.display = orderType === "delivery" ? "" : "none";
+
+    // Promo code: show the discount, or the reason the code was rejected
+    const discountRow = document.getElementById("summary-discount-row");
+    const promoStatus = document.getElementById("promo-code-status");
+    clearError("promo-code-error");
+    promoStatus.textContent = "";
+    if (totals.promo && totals.promo.valid) {
+        document.getElementById("summary-discount-label").textContent = t("totals.discountWithCode", { code: totals.promo.code });
+        document.getElementById("summary-discount").textContent = `-${formatCurrency(totals.discount)}`;
+        discountRow.style.display = "";
+        promoStatus.textContent = t("promo.applied", { description: t(totals.promo.rule.descriptionKey) });
+    } else {
+        discountRow.style.display = "none";
+        if (totals.promo) {
+            showError("promo-code-error", totals.promo.reason);
+        }
+    }
+
+    // Submitted with the form
+    document.getElementById("order-subtotal").value = totals.subtotal.toFixed(2);
+    document.getElementById("order-discount").value = totals.discount.toFixed(2);
+    document.getElementById("order-delivery-fee").value = totals.deliveryFee.toFixed(2);
+    document.getElementById("order-gst").value = totals.gst.toFixed(2);
+    document.getElementById("order-total").value = totals.total.toFixed(2);
 }
 
 /**
@@ -424,13 +1492,14 @@ function initSessionStorage(orderForm) {
 }
 
 /**
- * Saves all form data to session storage
+ * Saves all form data to session storage, as a draft (drafts.js): card numbers and CVVs
+ * are left out and personal details are encrypted
  */
 function saveFormDataToSession() {
     const formData = {};
     
     // Save all text inputs, selects, and textareas
-    const inputs = document.querySelectorAll('#order-form input[type="text"], #order-form input[type="email"], #order-form input[type="tel"], #order-form select, #order-form textarea');
+    const inputs = document.querySelectorAll('#order-form input[type="text"], #order-form input[type="email"], #order-form input[type="tel"], #order-form input[type="date"], #order-form input[type="time"], #order-form select, #order-form textarea');
     inputs.forEach(input => {
         if (input.id) {
             formData[input.id] = input.value;
@@ -453,33 +1522,28 @@ function saveFormDataToSession() {
         }
     });
 
-    // Save flavor quantities
-    const flavors = ["vanilla", "chocolate", "strawberry"];
-    flavors.forEach(flavor => {
-        const flavorInput = document.getElementById(`flavor-${flavor}`);
-        if (flavorInput) {
-            formData[`flavor-${flavor}`] = flavorInput.value;
-        }
-    });
+    // (Flavour quantities are kept in the cart instead; see cart.js)
 
     // Save to session storage
-    sessionStorage.setItem('orderFormData', JSON.stringify(formData));
+    saveDraft(formData);
 }
 
 /**
- * Restores form data from session storage
+ * Restores form data from session storage (unless the draft has expired)
  */
-function restoreFormData() {
-    const savedData = sessionStorage.getItem('orderFormData');
-    if (!savedData) {
+async function restoreFormData() {
+    const formData = await loadDraft();
+    if (!formData) {
         return; // No saved data
     }
 
     try {
-        const formData = JSON.parse(savedData);
-
         // Restore text inputs, selects, and textareas
         Object.keys(formData).forEach(key => {
+            // Blank fields are skipped, so they don't wipe out details filled in from the customer's account
+            if (formData[key] === "" || key.startsWith("flavor-")) {
+                return;
+            }
             const element = document.getElementById(key);
             if (element) {
                 if (element.type === 'checkbox') {
@@ -496,24 +1560,29 @@ function restoreFormData() {
             }
         });
 
-        // Restore flavor quantities and update displays
-        const flavors = ["vanilla", "chocolate", "strawberry"];
-        flavors.forEach(flavor => {
-            const flavorInput = document.getElementById(`flavor-${flavor}`);
-            const display = document.getElementById(`qty-${flavor}`);
-            if (flavorInput && formData[`flavor-${flavor}`] !== undefined) {
-                const qty = parseInt(formData[`flavor-${flavor}`]) || 0;
-                flavorInput.value = qty;
-                if (display) {
-                    display.textContent = `[${qty}]`;
-                }
-            }
-        });
+        // Flavour quantities live in the cart. Saved quantities (from reorder()) replace the
+        // cart once, and are then dropped so a page reload doesn't replace it again.
+        const flavorKeys = Object.keys(formData).filter(key => key.startsWith("flavor-"));
+        if (flavorKeys.length > 0) {
+            const quantities = {};
+            getAvailableFlavors().forEach(({ id: flavor }) => {
+                quantities[flavor] = parseInt(formData[`flavor-${flavor}`]) || 0;
+            });
+            replaceCart(quantities);
+            flavorKeys.forEach(key => delete formData[key]);
+            saveDraft(formData);
+        }
+        applyCartToOrderForm(getCart());
 
         // Trigger conditional field updates
+        formatContactNumber();
         toggleDeliveryFields();
         togglePaymentFields();
         updateQuantityButtonStates();
+        updateOrderSummary();
+        updateDeliveryZoneInfo();
+        updateDeliverySlots();
+        updatePickupHours();
 
         // If "same as delivery" was checked, restore that functionality
         const sameAsDelivery = document.getElementById("same-as-delivery");
@@ -530,270 +1599,1808 @@ function restoreFormData() {
  * Clears session storage for the order form
  */
 function clearOrderFormSessionStorage() {
-    sessionStorage.removeItem('orderFormData');
+    clearDraft();
 }
 
 /**
- * Validates the entire order form.
+ * Validates the entire order form against ORDER_SCHEMA (validation.js)
+ * and, if valid, sends it to the server.
  * @param {Event} event - The form submission event.
  */
-function validateOrderForm(event) {
+async function validateOrderForm(event) {
     event.preventDefault(); // Stop form submission
+    const orderForm = event.target;
+
+    // Check the flavours against the latest stock, which may have changed since they were added
+    await refreshFlavorStock();
+
+    // In step-by-step mode, go back to the first step with a problem and show just its errors
+    if (isOrderWizardActive(orderForm)) {
+        const invalidStep = findFirstInvalidOrderStep(orderForm);
+        if (invalidStep) {
+            goToOrderStep(orderForm, invalidStep);
+            validateFormWithSchema(orderForm, getOrderStepSchema(invalidStep));
+            return;
+        }
+    }
 
-    let isValid = true;
-    let errors = [];
+    // --- Final Decision ---
+    if (!validateFormWithSchema(orderForm, ORDER_SCHEMA)) {
+        return;
+    }
 
-    // Clear all previous errors
-    clearAllErrors();
+    // Send the contact number in E.164 format (e.g. "+61412345678"), the way it is stored,
+    // leaving the field (and the draft) as the customer typed it
+    const values = getFormValues(orderForm);
+    values["contact-number"] = toE164(values["contact-number"]);
 
-    // --- Validation Rules ---
-    const orderType = document.querySelector('input[name="order-type"]:checked').value;
-    const payMethod = document.querySelector('input[name="pay-method"]:checked').value;
-    const isDelivery = orderType === "delivery";
-    const isPayOnline = payMethod === "online";
-
-    // 1. Flavor Selection - Check if at least one flavor has quantity > 0
-    const vanillaQty = parseInt(document.getElementById("flavor-vanilla").value) || 0;
-    const chocolateQty = parseInt(document.getElementById("flavor-chocolate").value) || 0;
-    const strawberryQty = parseInt(document.getElementById("flavor-strawberry").value) || 0;
-    const totalQuantity = vanillaQty + chocolateQty + strawberryQty;
-    
-    if (totalQuantity === 0) {
-        isValid = false;
-        errors.push("Please select at least one ice cream flavor.");
-        showError("flavor-error", "Please select at least one ice cream flavor.");
+    // If all valid, send the order to the server, clear session storage and show the confirmation page
+    console.log("Order form is valid. Submitting...");
+    const result = await submitFormToServer(orderForm, values);
+    if (result) {
+        clearOrderFormSessionStorage();
+        sessionStorage.setItem("lastOrder", JSON.stringify(result.order));
+        rememberOrder(result.order);
+        clearCart();
+        window.location.href = `confirmation.html?order=${encodeURIComponent(result.order.id)}`;
+        return;
     }
 
-    // 2. Delivery Address
-    if (isDelivery) {
-        if (document.getElementById("delivery-street").value.trim() === "") {
-            isValid = false;
-            errors.push("Delivery street is required.");
-            showError("delivery-street-error", "Delivery street is required.");
-        }
-        if (document.getElementById("delivery-suburb").value.trim() === "") {
-            isValid = false;
-            errors.push("Delivery suburb is required.");
-            showError("delivery-suburb-error", "Delivery suburb is required.");
-        }
-        
-        // Postcode (4 digits)
-        const delPostcode = document.getElementById("delivery-postcode");
-        if (!validatePostcode(delPostcode.value)) {
-            isValid = false;
-            errors.push("Delivery postcode must be 4 digits.");
-            showError("delivery-postcode-error", "Postcode must be exactly 4 digits.");
-        }
-    }
-
-    // 3. Billing Address
-    //    (Unless "same as delivery" is checked and valid)
-    const sameAsDelivery = document.getElementById("same-as-delivery").checked;
-    if (!sameAsDelivery) {
-        if (document.getElementById("billing-street").value.trim() === "") {
-            isValid = false;
-            errors.push("Billing street is required.");
-            showError("billing-street-error", "Billing street is required.");
-        }
-        if (document.getElementById("billing-suburb").value.trim() === "") {
-            isValid = false;
-            errors.push("Billing suburb is required.");
-            showError("billing-suburb-error", "Billing suburb is required.");
-        }
-
-        // Postcode (4 digits)
-        const billPostcode = document.getElementById("billing-postcode");
-        if (!validatePostcode(billPostcode.value)) {
-            isValid = false;
-            errors.push("Billing postcode must be 4 digits.");
-            showError("billing-postcode-error", "Postcode must be exactly 4 digits.");
-        }
-    }
-
-    // 4. Contact Number
-    if (document.getElementById("contact-number").value.trim() === "") {
-        isValid = false;
-        errors.push("Contact number is required.");
-        showError("contact-number-error", "Contact number is required.");
-    }
-
-    // 5. Email
-    const email = document.getElementById("email");
-    if (email.value.trim() === "") {
-        isValid = false;
-        errors.push("Email is required.");
-        showError("email-error", "Email is required.");
-    } else if (!validateEmailFormat(email.value)) {
-        isValid = false;
-        errors.push("Please enter a valid email address.");
-        showError("email-error", "Please enter a valid email address.");
-    }
-
-    // 6. Payment Details
-    if (isPayOnline) {
-        const cardType = document.getElementById("card-type");
-        if (cardType.value === "") {
-            isValid = false;
-            errors.push("Credit card type is required.");
-            showError("card-type-error", "Please select a card type.");
-        }
-
-        const cardNameValue = document.getElementById("card-name").value.trim();
-        if (cardNameValue === "") {
-            isValid = false;
-            errors.push("Name on card is required.");
-            showError("card-name-error", "Name on card is required.");
-        } else if (!/^[A-Za-z ]+$/.test(cardNameValue)) {
-            isValid = false;
-            errors.push("Name on card must contain letters and spaces only.");
-            showError("card-name-error", "Name on card must contain letters and spaces only.");
+    // The order may have been turned away because a flavour sold out in the meantime
+    refreshFlavorStock();
+    if (isOrderWizardActive(orderForm)) {
+        showOrderStepWithServerErrors(orderForm);
+    }
+}
+
+// --- Step-by-Step Checkout (order.html) ---
+
+// Whether the customer prefers step-by-step checkout ("on" or "off"), remembered in localStorage
+const ORDER_WIZARD_STORAGE_KEY = "orderWizard";
+
+/**
+ * Sets up the optional step-by-step checkout. The order form is split into steps
+ * (the .order-step sections in order.html): Flavours, Delivery/Pickup, Contact & Billing,
+ * Payment and Review. In step-by-step mode only the current step is shown, with a progress
+ * indicator and Back/Next buttons; Next only checks the current step's fields.
+ * Every step has its own URL (e.g. order.html#step-payment), so the browser's back button
+ * and links to a step work, and links to a part of the form (e.g. order.html#payment-details)
+ * open the step it is in. Hidden steps keep what has been entered in them.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ */
+function initOrderWizard(orderForm) {
+    const steps = getOrderSteps(orderForm);
+
+    // Button to switch between the whole form and step-by-step mode
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.id = "wizard-toggle";
+    toggle.className = "secondary-btn wizard-toggle";
+    toggle.addEventListener("click", () => {
+        const turnOn = !isOrderWizardActive(orderForm);
+        localStorage.setItem(ORDER_WIZARD_STORAGE_KEY, turnOn ? "on" : "off");
+        setOrderWizardMode(orderForm, turnOn);
+        if (turnOn) {
+            goToOrderStep(orderForm, steps[0]);
         }
-        
-        // Validate card number based on type (Enhancement 3)
-        const cardNum = document.getElementById("card-number");
-        let cardLengthOK = true;
-        if (cardType.value === "amex" && cardNum.value.length !== 15) {
-            cardLengthOK = false;
-        } else if ((cardType.value === "visa" || cardType.value === "mastercard") && cardNum.value.length !== 16) {
-            cardLengthOK = false;
-        } else if (cardType.value !== "" && !/^\d+$/.test(cardNum.value)) {
-             cardLengthOK = false; // Check if it's all digits
+    });
+
+    // Progress indicator: a link to each step, and which step this is
+    const progress = document.createElement("nav");
+    progress.id = "wizard-progress";
+    progress.className = "wizard-progress";
+    progress.setAttribute("aria-label", t("wizard.progress"));
+    const stepList = document.createElement("ol");
+    steps.forEach(step => {
+        const link = document.createElement("a");
+        link.href = `#${step.id}`;
+        link.textContent = t(step.dataset.stepLabel);
+        const item = document.createElement("li");
+        item.appendChild(link);
+        stepList.appendChild(item);
+    });
+    const status = document.createElement("h3");
+    status.id = "wizard-status";
+    status.className = "wizard-status";
+    status.tabIndex = -1;
+    progress.append(stepList, status);
+
+    document.getElementById("form-status").before(toggle, progress);
+
+    // Back and Next buttons at the bottom of each step
+    steps.forEach((step, index) => {
+        const buttons = document.createElement("div");
+        buttons.className = "wizard-nav";
+
+        if (index > 0) {
+            const backButton = document.createElement("button");
+            backButton.type = "button";
+            backButton.className = "secondary-btn";
+            backButton.textContent = t("wizard.back");
+            backButton.addEventListener("click", () => goToOrderStep(orderForm, steps[index - 1]));
+            buttons.appendChild(backButton);
         }
 
-        if (!cardLengthOK) {
-             isValid = false;
-             let msg = "Credit card number is invalid.";
-             if (cardType.value === "amex") msg = "American Express must be 15 digits.";
-             if (cardType.value === "visa" || cardType.value === "mastercard") msg = "Visa/MasterCard must be 16 digits.";
-             errors.push(msg);
-             showError("card-number-error", msg);
+        if (index < steps.length - 1) {
+            const nextStep = steps[index + 1];
+            const nextButton = document.createElement("button");
+            nextButton.type = "button";
+            nextButton.className = "wizard-next";
+            nextButton.textContent = t("wizard.next", { step: t(nextStep.dataset.stepLabel) });
+            nextButton.addEventListener("click", () => {
+                if (validateFormWithSchema(orderForm, getOrderStepSchema(step))) {
+                    goToOrderStep(orderForm, nextStep);
+                }
+            });
+            buttons.appendChild(nextButton);
         }
 
-        // Basic validation for Expiry and CVV
-        if (document.getElementById("card-expiry").value.trim() === "") {
-            isValid = false;
-            errors.push("Card expiry date is required.");
-            showError("card-expiry-error", "Card expiry is required.");
+        step.appendChild(buttons);
+    });
+
+    // Links to a step (the progress indicator, "Edit" links on the Review step, the back button)
+    window.addEventListener("hashchange", () => {
+        const step = getOrderStepForHash(orderForm, window.location.hash);
+        if (!step) {
+            return;
         }
-        if (document.getElementById("card-cvv").value.trim() === "") {
-            isValid = false;
-            errors.push("Card CVV is required.");
-            showError("card-cvv-error", "Card CVV is required.");
+        if (!isOrderWizardActive(orderForm) && window.location.hash !== `#${step.id}`) {
+            return; // An ordinary link to a part of the whole form
         }
-    }
+        setOrderWizardMode(orderForm, true);
+        showOrderStep(orderForm, step, window.location.hash === `#${step.id}`);
+        refreshErrorSummary(getOrderStepSchema(step));
+    });
 
-    // --- Final Decision ---
-    if (isValid) {
-        // If all valid, clear session storage and allow the form to be submitted
-        console.log("Order form is valid. Submitting...");
-        clearOrderFormSessionStorage();
-        event.target.submit();
-    } else {
-        // If invalid, show a summary of all errors
-        showErrorSummary(errors);
+    // Start in step-by-step mode if the URL names a step, or if the customer chose it last time
+    const linkedStep = getOrderStepForHash(orderForm, window.location.hash);
+    const isStepLink = linkedStep !== null && window.location.hash === `#${linkedStep.id}`;
+    const turnOn = isStepLink || localStorage.getItem(ORDER_WIZARD_STORAGE_KEY) === "on";
+    setOrderWizardMode(orderForm, turnOn);
+    if (turnOn) {
+        showOrderStep(orderForm, linkedStep || steps[0], false);
     }
 }
 
+/**
+ * Gets the steps of the order form, in order.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @returns {HTMLElement[]} - The .order-step sections.
+ */
+function getOrderSteps(orderForm) {
+    return Array.from(orderForm.querySelectorAll(".order-step"));
+}
 
-// --- Validation Helper Functions ---
+/**
+ * Checks whether the order form is in step-by-step mode.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @returns {boolean} - True if only one step is shown at a time.
+ */
+function isOrderWizardActive(orderForm) {
+    return orderForm.classList.contains("wizard-mode");
+}
 
 /**
- * Displays an inline error message for a specific field.
- * @param {string} errorId - The ID of the <span> element to show the error in.
- * @param {string} message - The error message to display.
+ * Switches the order form between showing every step and showing one step at a time.
+ * Turning step-by-step mode on leaves the steps as they are; showOrderStep() picks one.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @param {boolean} turnOn - True for step-by-step mode, false for the whole form.
  */
-function showError(errorId, message) {
-    const errorSpan = document.getElementById(errorId);
-    if (errorSpan) {
-        errorSpan.textContent = message;
-        errorSpan.style.display = "block";
-        
-        // Add error class to the corresponding input
-        const inputId = errorId.replace("-error", "");
-        const input = document.getElementById(inputId);
-        if (input) {
-            input.classList.add("error");
+function setOrderWizardMode(orderForm, turnOn) {
+    orderForm.classList.toggle("wizard-mode", turnOn);
+    document.getElementById("wizard-toggle").textContent = t(turnOn ? "wizard.turnOff" : "wizard.turnOn");
+    document.getElementById("wizard-progress").hidden = !turnOn;
+    orderForm.querySelectorAll(".wizard-nav").forEach(buttons => {
+        buttons.hidden = !turnOn;
+    });
+
+    if (!turnOn) {
+        getOrderSteps(orderForm).forEach(step => {
+            step.hidden = false;
+        });
+        document.getElementById("order-review").hidden = true;
+
+        // Drop a step from the URL, since it no longer means anything
+        if (/^#step-/.test(window.location.hash)) {
+            history.replaceState(null, "", window.location.pathname + window.location.search);
         }
     }
 }
 
 /**
- * Clears all inline error messages and summary.
+ * Finds the step a URL hash points to: either a step itself (e.g. "#step-payment")
+ * or something inside one (e.g. "#payment-details").
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @param {string} hash - The URL hash, including the "#".
+ * @returns {HTMLElement|null} - The step, or null if the hash isn't in the order form.
  */
-function clearAllErrors() {
-    // Clear all inline spans
-    const errorSpans = document.querySelectorAll(".error-message");
-    errorSpans.forEach(span => {
-        span.textContent = "";
-        span.style.display = "none";
+function getOrderStepForHash(orderForm, hash) {
+    let target = null;
+    try {
+        target = hash.length > 1 ? document.getElementById(decodeURIComponent(hash.slice(1))) : null;
+    } catch (error) {
+        target = null; // Badly encoded hash
+    }
+    return getOrderSteps(orderForm).find(step => step.contains(target)) || null;
+}
+
+/**
+ * Shows one step of the order form and hides the others, updating the progress indicator.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @param {HTMLElement} step - The step to show.
+ * @param {boolean} moveFocus - Whether to move focus to the step's heading (not wanted when the page loads).
+ */
+function showOrderStep(orderForm, step, moveFocus) {
+    const steps = getOrderSteps(orderForm);
+    const stepIndex = steps.indexOf(step);
+    steps.forEach(otherStep => {
+        otherStep.hidden = otherStep !== step;
     });
 
-    // Clear all input error classes
-    const errorInputs = document.querySelectorAll(".error");
-    errorInputs.forEach(input => {
-        input.classList.remove("error");
+    document.querySelectorAll("#wizard-progress li").forEach((item, index) => {
+        const link = item.querySelector("a");
+        item.classList.toggle("step-done", index < stepIndex);
+        if (index === stepIndex) {
+            link.setAttribute("aria-current", "step");
+        } else {
+            link.removeAttribute("aria-current");
+        }
     });
 
-    // Hide the summary box
-    const errorSummary = document.getElementById("form-errors");
-    if (errorSummary) {
-        errorSummary.style.display = "none";
-        errorSummary.innerHTML = "";
+    const status = document.getElementById("wizard-status");
+    status.textContent = t("wizard.status", {
+        current: stepIndex + 1,
+        total: steps.length,
+        step: t(step.dataset.stepLabel)
+    });
+
+    // The Review step lists everything entered in the other steps
+    const review = document.getElementById("order-review");
+    review.hidden = step.id !== "step-review";
+    if (!review.hidden) {
+        renderOrderReview(orderForm);
+    }
+
+    if (moveFocus) {
+        status.focus();
     }
 }
 
 /**
- * Displays a summary of all validation errors at the top of the form.
- * [Requirement 2.3.4: "show an... message... to display ALL the errors"]
- * @param {string[]} errors - An array of error message strings.
+ * Moves to a step of the order form, adding it to the browser history so the back button returns here.
+ * The error summary is updated to list only the errors in that step.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @param {HTMLElement} step - The step to move to.
  */
-function showErrorSummary(errors) {
-    const errorSummary = document.getElementById("form-errors");
-    if (errorSummary) {
-        let errorList = errors.map(error => `<li>${error}</li>`).join("");
-        errorSummary.innerHTML = `
-            <h3>Please fill in the following ${errors.length} fields:</h3>
-            <ul>${errorList}</ul>
-        `;
-        errorSummary.style.display = "block";
-        // Focus the summary box for accessibility
-        errorSummary.tabIndex = -1;
-        errorSummary.focus();
+function goToOrderStep(orderForm, step) {
+    if (window.location.hash !== `#${step.id}`) {
+        history.pushState(null, "", `#${step.id}`);
     }
+    showOrderStep(orderForm, step, true);
+    refreshErrorSummary(getOrderStepSchema(step));
+}
+
+/**
+ * Gets the part of ORDER_SCHEMA (validation.js) for the fields in one step:
+ * those whose error message is shown inside the step.
+ * @param {HTMLElement} step - The step.
+ * @returns {Object[]} - The step's field definitions.
+ */
+function getOrderStepSchema(step) {
+    return ORDER_SCHEMA.filter(fieldSchema => step.contains(document.getElementById(getErrorId(fieldSchema))));
 }
 
 /**
- * Validates a postcode is exactly 4 digits.
- * @param {string} postcode - The postcode to validate.
- * @returns {boolean} - True if valid, false otherwise.
+ * Finds the first step of the order form that has a field that isn't valid.
+ * @param {HTMLFormElement} orderForm - The order form element.
+ * @returns {HTMLElement|undefined} - The step, or undefined if every step is valid.
  */
-function validatePostcode(postcode) {
-    const postcodeRegex = /^\d{4}$/; // Regex for exactly 4 digits
-    return postcodeRegex.test(postcode);
+function findFirstInvalidOrderStep(orderForm) {
+    const values = getFormValues(orderForm);
+    return getOrderSteps(orderForm).find(step => validateValues(getOrderStepSchema(step), values).length > 0);
 }
 
 /**
- * Validates a strong password: at least 9 chars, 1 upper, 1 lower, 1 digit, 1 symbol.
- * @param {string} password - The password to validate.
- * @returns {boolean} - True if valid, false otherwise.
+ * After the server has rejected the order, shows the step with the first field it complained about.
+ * The error summary is left as it is, listing everything the server said.
+ * @param {HTMLFormElement} orderForm - The order form element.
  */
-function validateStrongPassword(password) {
-    const strongPasswordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[^A-Za-z0-9]).{9,}$/;
-    return strongPasswordRegex.test(password);
+function showOrderStepWithServerErrors(orderForm) {
+    const firstError = Array.from(orderForm.querySelectorAll(".error-message"))
+        .find(errorSpan => errorSpan.textContent !== "");
+    const step = firstError ? getOrderSteps(orderForm).find(otherStep => otherStep.contains(firstError)) : null;
+    if (step && step.hidden) {
+        history.pushState(null, "", `#${step.id}`);
+        showOrderStep(orderForm, step, false);
+    }
 }
 
 /**
- * Validates a basic email format.
- * @param {string} email - The email to validate.
- * @returns {boolean} - True if valid, false otherwise.
+ * Fills in the Review step with what has been entered in the other steps,
+ * each with a link back to its step.
+ * @param {HTMLFormElement} orderForm - The order form element.
  */
-function validateEmailFormat(email) {
-    // A simple regex for email validation (not perfect, but sufficient)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function renderOrderReview(orderForm) {
+    const values = getFormValues(orderForm);
+    const sections = [];
+    const addSection = (stepId, heading, lines) => {
+        const section = document.createElement("section");
+        const title = document.createElement("h3");
+        title.textContent = heading;
+        section.appendChild(title);
+        lines.filter(line => line !== "").forEach(line => {
+            const paragraph = document.createElement("p");
+            paragraph.textContent = line;
+            section.appendChild(paragraph);
+        });
+        const editLink = document.createElement("a");
+        editLink.href = `#${stepId}`;
+        editLink.textContent = t("wizard.edit");
+        editLink.setAttribute("aria-label", t("wizard.editStep", { step: heading }));
+        section.appendChild(editLink);
+        sections.push(section);
+    };
+    const addressOf = prefix => formatAddress({
+        street: values[`${prefix}-street`].trim(),
+        suburb: values[`${prefix}-suburb`].trim(),
+        postcode: values[`${prefix}-postcode`].trim()
+    });
+
+    // Flavours (itemised in the order summary below) and remarks
+    const scoops = Object.values(getFlavorQuantities()).reduce((sum, qty) => sum + qty, 0);
+    addSection("step-flavors", t("wizard.step.flavors"), [t("wizard.scoops", { count: scoops }), values["remarks"].trim()]);
+
+    // Delivery address or pickup, and when
+    if (values["order-type"] === "delivery") {
+        const slot = DELIVERY_SLOTS.find(deliverySlot => deliverySlot.id === values["delivery-slot"]);
+        const schedule = values["delivery-date"] && slot
+            ? describeSchedule({ schedule: { date: values["delivery-date"], start: slot.start, end: slot.end } })
+            : "";
+        addSection("step-delivery", t("receipt.deliveryDetails"), [addressOf("delivery"), schedule]);
+    } else {
+        const schedule = values["pickup-date"] && values["pickup-time"]
+            ? describeSchedule({ schedule: { date: values["pickup-date"], start: values["pickup-time"], end: null } })
+            : "";
+        addSection("step-delivery", t("receipt.pickupDetails"), [t("receipt.pickupFromShop", { address: SHOP_ADDRESS }), schedule]);
+    }
+
+    // Billing address and contact details
+    addSection("step-contact", t("wizard.step.contact"), [
+        addressOf("billing"),
+        `${formatPhoneNumber(values["contact-number"].trim())} | ${values["email"].trim()}`,
+        values["sms-updates"] ? t("wizard.smsUpdates") : ""
+    ]);
+
+    // Payment, with the card masked the way the receipt shows it
+    const cardNumber = values["card-number"].replace(/\D/g, "");
+    addSection("step-payment", t("receipt.payment"), [describePayment({
+        method: values["pay-method"],
+        card: cardNumber ? { brand: values["card-type"], last4: cardNumber.slice(-4) } : null
+    })]);
+
+    document.getElementById("order-review").replaceChildren(...sections);
 }
 
 
-// --- Global ---
-// Run the init function once the DOM is ready.
-window.addEventListener("DOMContentLoaded", init);
\ No newline at end of file
+// --- Confirmation Page Logic (confirmation.html) ---
+
+/**
+ * Loads the order named in the URL (?order=...) and shows it as a receipt.
+ * The order saved by validateOrderForm() is used if it matches; otherwise it is fetched from the server.
+ */
+async function initConfirmationPage() {
+    const orderId = new URLSearchParams(window.location.search).get("order") || "";
+    const message = document.getElementById("confirmation-message");
+
+    let order = null;
+    try {
+        const savedOrder = JSON.parse(sessionStorage.getItem("lastOrder"));
+        if (savedOrder && savedOrder.id === orderId) {
+            order = savedOrder;
+        } else if (orderId !== "") {
+            const response = await fetch(`/api/orders/${encodeURIComponent(orderId)}`);
+            if (response.ok) {
+                order = (await response.json()).order;
+            }
+        }
+    } catch (error) {
+        console.error("Error loading order:", error);
+    }
+
+    if (!order) {
+        message.textContent = t("confirmation.notFound");
+        return;
+    }
+
+    message.textContent = t(order.orderType === "delivery" ? "confirmation.delivery" : "confirmation.pickup");
+    renderReceipt(order);
+    // The tracking page finds the email address in lastOrder, so it stays out of the URL
+    document.getElementById("track-order-link").href = `track.html?order=${encodeURIComponent(order.id)}`;
+
+    document.getElementById("print-receipt").addEventListener("click", () => window.print());
+    document.getElementById("download-text").addEventListener("click", () => {
+        downloadFile(`sweet-life-order-${order.id}.txt`, formatReceiptText(order), "text/plain");
+    });
+    document.getElementById("download-json").addEventListener("click", () => {
+        downloadFile(`sweet-life-order-${order.id}.json`, JSON.stringify(order, null, 2), "application/json");
+    });
+}
+
+/**
+ * Fills in the receipt on the confirmation page.
+ * @param {Object} order - The order, as returned by the server.
+ */
+function renderReceipt(order) {
+    document.getElementById("receipt-order-number").textContent = order.id;
+    document.getElementById("receipt-date").textContent = formatDateTime(order.createdAt);
+    document.getElementById("receipt-order-type").textContent = t(`orderType.${order.orderType}`);
+
+    // Flavour quantities
+    const linesBody = document.getElementById("receipt-lines");
+    order.items.forEach(item => {
+        const row = linesBody.insertRow();
+        row.insertCell().textContent = getOrderItemName(item);
+        row.insertCell().textContent = item.quantity;
+        row.insertCell().textContent = formatCurrency(item.price);
+        row.insertCell().textContent = formatCurrency(item.lineTotal);
+    });
+
+    // Totals (discount and delivery fee rows only when they apply)
+    document.getElementById("receipt-subtotal").textContent = formatCurrency(order.totals.subtotal);
+    document.getElementById("receipt-discount-label").textContent = t("totals.discountWithCode", { code: order.promoCode });
+    document.getElementById("receipt-discount").textContent = `-${formatCurrency(order.totals.discount)}`;
+    document.getElementById("receipt-discount-row").hidden = order.totals.discount === 0;
+    document.getElementById("receipt-delivery-fee").textContent = formatCurrency(order.totals.deliveryFee);
+    document.getElementById("receipt-delivery-row").hidden = order.orderType !== "delivery";
+    document.getElementById("receipt-gst").textContent = formatCurrency(order.totals.gst);
+    document.getElementById("receipt-total").textContent = formatCurrency(order.totals.total);
+
+    // Delivery/pickup, billing, contact, payment and remarks
+    if (order.orderType === "delivery") {
+        document.getElementById("receipt-fulfilment-heading").textContent = t("receipt.deliveryDetails");
+        document.getElementById("receipt-fulfilment").textContent = formatAddress(order.delivery);
+    } else {
+        document.getElementById("receipt-fulfilment-heading").textContent = t("receipt.pickupDetails");
+        document.getElementById("receipt-fulfilment").textContent = t("receipt.pickupFromShop", { address: SHOP_ADDRESS });
+    }
+    document.getElementById("receipt-schedule").textContent = describeSchedule(order);
+    document.getElementById("receipt-billing").textContent = formatAddress(order.billing);
+    document.getElementById("receipt-contact").textContent = `${formatPhoneNumber(order.contactNumber)} | ${order.email}`;
+    document.getElementById("receipt-payment").textContent = describePayment(order.payment);
+    document.getElementById("receipt-remarks").textContent = order.remarks;
+    document.getElementById("receipt-remarks-section").hidden = order.remarks === "";
+
+    document.getElementById("receipt").hidden = false;
+}
+
+/**
+ * Formats the date and time an order was placed, in the current language.
+ * @param {string} timestamp - The time, as an ISO string (e.g. order.createdAt).
+ * @returns {string} - e.g. "19/10/2026, 3:30:00 pm".
+ */
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(getIntlLocale());
+}
+
+/**
+ * Formats a street address on one line.
+ * @param {{street: string, suburb: string, postcode: string}} address - The address.
+ * @returns {string} - e.g. "1 Main St, Hawthorn 3122".
+ */
+function formatAddress(address) {
+    return `${address.street}, ${address.suburb} ${address.postcode}`;
+}
+
+/**
+ * Describes when an order will be delivered or picked up.
+ * @param {Object} order - The order, as returned by the server.
+ * @returns {string} - e.g. "Tuesday 20 October 2026, 12:00 pm - 2:00 pm", or "" if it has no booking.
+ */
+function describeSchedule(order) {
+    if (!order.schedule) {
+        return "";
+    }
+    const { date, start, end } = order.schedule;
+    const day = formatDate(parseDateKey(date), { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+    return end
+        ? t("schedule.slot", { day: day, start: formatTime(start), end: formatTime(end) })
+        : t("schedule.time", { day: day, time: formatTime(start) });
+}
+
+/**
+ * Describes how an order was paid, masking the card to its brand and last 4 digits.
+ * @param {{method: string, card: {brand: string, last4: string}|null}} payment - The order's payment details.
+ * @returns {string} - e.g. "Visa ending in 1111", or "Pay on pickup".
+ */
+function describePayment(payment) {
+    if (payment.method !== "online" || !payment.card) {
+        return t("payment.onPickup");
+    }
+    const brand = CARD_BRANDS[payment.card.brand];
+    return t("payment.card", { brand: brand ? brand.name : t("payment.cardGeneric"), last4: payment.card.last4 });
+}
+
+/**
+ * Builds a plain-text copy of an order's receipt.
+ * @param {Object} order - The order, as returned by the server.
+ * @returns {string} - The receipt text.
+ */
+function formatReceiptText(order) {
+    // One "Label:  value" line, with the values lined up (at least one space after long labels)
+    const row = (labelKey, value) => `${(t(labelKey) + " ").padEnd(14)}${value}`;
+
+    const lines = [
+        t("receiptText.title"),
+        "",
+        row("receiptText.orderNumber", order.id),
+        row("receiptText.orderDate", formatDateTime(order.createdAt)),
+        row("receiptText.orderType", t(`orderType.${order.orderType}`)),
+        "",
+        t("receiptText.items")
+    ];
+    order.items.forEach(item => {
+        lines.push(`  ${item.quantity} x ${getOrderItemName(item)} @ ${formatCurrency(item.price)} = ${formatCurrency(item.lineTotal)}`);
+    });
+
+    lines.push("", row("receiptText.subtotal", formatCurrency(order.totals.subtotal)));
+    if (order.totals.discount > 0) {
+        lines.push(row("receiptText.discount", `-${formatCurrency(order.totals.discount)} (${order.promoCode})`));
+    }
+    if (order.orderType === "delivery") {
+        lines.push(row("receiptText.deliveryFee", formatCurrency(order.totals.deliveryFee)));
+    }
+    lines.push(row("receiptText.gst", formatCurrency(order.totals.gst)));
+    lines.push(row("receiptText.total", formatCurrency(order.totals.total)));
+
+    lines.push("");
+    if (order.orderType === "delivery") {
+        lines.push(row("receiptText.deliverTo", formatAddress(order.delivery)));
+    } else {
+        lines.push(row("receiptText.pickupFrom", SHOP_ADDRESS));
+    }
+    if (order.schedule) {
+        const scheduleKey = order.orderType === "delivery" ? "receiptText.deliveryTime" : "receiptText.pickupTime";
+        lines.push(row(scheduleKey, describeSchedule(order)));
+    }
+    lines.push(row("receiptText.billing", formatAddress(order.billing)));
+    lines.push(row("receiptText.contact", `${formatPhoneNumber(order.contactNumber)} | ${order.email}`));
+    lines.push(row("receiptText.payment", describePayment(order.payment)));
+    if (order.remarks !== "") {
+        lines.push(row("receiptText.remarks", order.remarks));
+    }
+
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Makes the browser download some text as a file.
+ * @param {string} filename - The name to save the file as.
+ * @param {string} content - The file contents.
+ * @param {string} type - The MIME type (e.g. "text/plain").
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+
+// --- Order History Page Logic (orders.html) ---
+
+/**
+ * Lists the customer's past orders, each with a "Reorder" button.
+ * Logged-in customers see all their orders; otherwise the orders placed on this device are shown.
+ */
+async function initOrderHistoryPage() {
+    const message = document.getElementById("order-history-message");
+    const user = await getCurrentUser();
+    const orders = await loadOrderHistory(user);
+
+    if (orders === null) {
+        message.textContent = t("orders.loadFailed");
+        return;
+    }
+    if (orders.length === 0) {
+        message.textContent = t("orders.empty");
+        return;
+    }
+
+    message.textContent = user ? t("orders.accountOrders", { username: user.username }) : t("orders.deviceOrders");
+    renderOrderHistory(orders, user ? "confirmation.html" : "track.html");
+}
+
+/**
+ * Loads the customer's past orders from the server, newest first.
+ * @param {Object|null} user - The logged-in user, or null to load the orders remembered on this device.
+ * @returns {Promise<Object[]|null>} - The orders, or null if they couldn't be loaded.
+ */
+async function loadOrderHistory(user) {
+    try {
+        if (user) {
+            const response = await fetch("/api/orders");
+            return response.ok ? (await response.json()).orders : null;
+        }
+
+        // Looked up the way the tracking page does, so without billing, contact or payment details.
+        // Orders that can no longer be found are left out
+        const results = await Promise.all(getRememberedOrders().map(async remembered => {
+            const response = await fetch("/api/track", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ "track-order": remembered.id, "track-email": remembered.email })
+            });
+            return response.ok ? Object.assign({ email: remembered.email }, (await response.json()).order) : null;
+        }));
+        return results.filter(order => order !== null);
+    } catch (error) {
+        console.error("Error loading order history:", error);
+        return null;
+    }
+}
+
+/**
+ * Shows past orders in the order history table.
+ * @param {Object[]} orders - The orders, newest first.
+ * @param {string} detailsPage - The page each order number links to: "confirmation.html" for the
+ *   logged-in customer's orders, or "track.html" for the orders remembered on this device.
+ */
+function renderOrderHistory(orders, detailsPage) {
+    const historyBody = document.getElementById("order-history-lines");
+    historyBody.replaceChildren();
+
+    orders.forEach(order => {
+        const row = historyBody.insertRow();
+
+        const orderLink = document.createElement("a");
+        orderLink.href = `${detailsPage}?order=${encodeURIComponent(order.id)}`;
+        orderLink.textContent = order.id;
+        row.insertCell().appendChild(orderLink);
+
+        row.insertCell().textContent = formatDate(new Date(order.createdAt));
+        row.insertCell().textContent = formatList(order.items.map(item => `${item.quantity} x ${getOrderItemName(item)}`), "unit");
+        row.insertCell().textContent = t(`orderType.${order.orderType}`);
+        row.insertCell().textContent = formatCurrency(order.totals.total);
+
+        const reorderButton = document.createElement("button");
+        reorderButton.type = "button";
+        reorderButton.className = "secondary-btn";
+        reorderButton.textContent = t("orders.reorder");
+        reorderButton.setAttribute("aria-label", t("orders.reorderLabel", { order: order.id }));
+        reorderButton.addEventListener("click", () => reorder(order));
+        row.insertCell().appendChild(reorderButton);
+    });
+
+    document.getElementById("order-history-table").hidden = false;
+}
+
+/**
+ * Starts a new order with the same flavours, order type and addresses as a past order.
+ * The order form is saved as a draft (drafts.js) the same way saveFormDataToSession() does,
+ * so restoreFormData() fills it in when order.html opens.
+ * Orders remembered on this device are looked up without their billing, contact and payment
+ * details (see loadOrderHistory()), so those are left for the customer to fill in.
+ * @param {Object} order - The past order.
+ */
+async function reorder(order) {
+    const formData = { "order-type": order.orderType };
+
+    // These replace the cart; flavours that are no longer available are skipped by restoreFormData()
+    order.items.forEach(item => {
+        formData[`flavor-${item.flavor}`] = String(item.quantity);
+    });
+
+    if (order.delivery) {
+        formData["delivery-street"] = order.delivery.street;
+        formData["delivery-suburb"] = order.delivery.suburb;
+        formData["delivery-postcode"] = order.delivery.postcode;
+    }
+    if (order.billing) {
+        const sameAsDelivery = order.delivery !== null
+            && ["street", "suburb", "postcode"].every(part => order.billing[part] === order.delivery[part]);
+        formData["same-as-delivery"] = sameAsDelivery;
+        if (!sameAsDelivery) {
+            formData["billing-street"] = order.billing.street;
+            formData["billing-suburb"] = order.billing.suburb;
+            formData["billing-postcode"] = order.billing.postcode;
+        }
+    }
+
+    if (order.contactNumber) {
+        formData["contact-number"] = order.contactNumber;
+        formData["sms-updates"] = order.smsUpdates === true;
+    }
+    formData.email = order.email;
+    if (order.payment) {
+        formData["pay-method"] = order.payment.method;
+    }
+
+    await saveDraft(formData);
+    window.location.href = "order.html";
+}
+
+/**
+ * Remembers an order's number and email address on this device, for the order history and
+ * tracking page of customers who aren't logged in (the server needs both to look it up).
+ * @param {{id: string, email: string}} order - The order, as returned by the server.
+ */
+function rememberOrder(order) {
+    const orders = [{ id: order.id, email: order.email }, ...getRememberedOrders().filter(item => item.id !== order.id)];
+    localStorage.setItem("orderHistory", JSON.stringify(orders.slice(0, MAX_REMEMBERED_ORDERS)));
+}
+
+/**
+ * Gets the orders remembered on this device, newest first.
+ * Order numbers saved on their own (before the email address was kept too) can't be looked up, so are left out.
+ * @returns {{id: string, email: string}[]} - The order numbers and email addresses.
+ */
+function getRememberedOrders() {
+    try {
+        const orders = JSON.parse(localStorage.getItem("orderHistory"));
+        return Array.isArray(orders)
+            ? orders.filter(item => item && typeof item.id === "string" && typeof item.email === "string")
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Finds the email address an order was placed with on this device: the order just placed
+ * (lastOrder) or one remembered for the order history.
+ * @param {string} orderId - The order number.
+ * @returns {string} - The email address, or "" if this device doesn't know it.
+ */
+function getRememberedOrderEmail(orderId) {
+    try {
+        const lastOrder = JSON.parse(sessionStorage.getItem("lastOrder"));
+        if (lastOrder && lastOrder.id === orderId && lastOrder.email) {
+            return lastOrder.email;
+        }
+    } catch (error) {
+        // Fall back to the order history
+    }
+    const remembered = getRememberedOrders().find(item => item.id === orderId);
+    return remembered ? remembered.email : "";
+}
+
+
+// --- Order Tracking Page Logic (track.html) ---
+
+/**
+ * Initializes the tracking form. Links from the confirmation page and order history (?order=...)
+ * fill in the order number. The email address is never put in the URL: if the order was placed
+ * on this device, it is filled in from storage and the order is looked up straight away.
+ * @param {HTMLFormElement} trackForm - The tracking form element.
+ */
+function initTrackingPage(trackForm) {
+    initLiveValidation(trackForm, TRACK_ORDER_SCHEMA);
+    trackForm.addEventListener("submit", event => {
+        event.preventDefault();
+        trackOrder(trackForm);
+    });
+
+    const orderId = new URLSearchParams(window.location.search).get("order");
+    if (orderId) {
+        const email = getRememberedOrderEmail(orderId);
+        document.getElementById("track-order").value = orderId;
+        document.getElementById("track-email").value = email;
+        if (email !== "") {
+            trackOrder(trackForm);
+        } else {
+            document.getElementById("track-email").focus();
+        }
+    }
+}
+
+/**
+ * Validates the tracking form, looks the order up on the server and shows it.
+ * Until the order is completed or cancelled, it is then checked again TRACKING_REFRESH_INTERVAL
+ * after each check finishes, so the page keeps up as staff move it on.
+ * @param {HTMLFormElement} trackForm - The tracking form element.
+ */
+async function trackOrder(trackForm) {
+    if (!validateFormWithSchema(trackForm, TRACK_ORDER_SCHEMA)) {
+        return;
+    }
+
+    // Stop following the order shown before, if any
+    stopTrackingRefresh();
+
+    const values = {
+        "track-order": document.getElementById("track-order").value.trim(),
+        "track-email": document.getElementById("track-email").value.trim()
+    };
+    const result = await submitFormToServer(trackForm, values);
+    if (!result) {
+        document.getElementById("tracking").hidden = true;
+        return;
+    }
+    trackedOrder = { id: result.order.id, values: values };
+    renderTrackedOrder(result.order);
+    scheduleTrackingRefresh(result.order);
+}
+
+/**
+ * Stops following the order on the tracking page: cancels the next check, and makes any
+ * check already on its way be ignored when it comes back.
+ */
+function stopTrackingRefresh() {
+    clearTimeout(trackingTimer);
+    trackingTimer = null;
+    trackedOrder = null;
+}
+
+/**
+ * Checks the order again after TRACKING_REFRESH_INTERVAL, unless it is completed or
+ * cancelled and so there is nothing more to wait for.
+ * @param {Object} order - The order as last shown.
+ */
+function scheduleTrackingRefresh(order) {
+    clearTimeout(trackingTimer);
+    trackingTimer = getNextOrderStatuses(order).length > 0
+        ? setTimeout(refreshTrackedOrder, TRACKING_REFRESH_INTERVAL)
+        : null;
+}
+
+/**
+ * Checks the server for updates to the order being tracked, then schedules the next check.
+ */
+async function refreshTrackedOrder() {
+    const tracking = trackedOrder;
+    if (!tracking) {
+        return;
+    }
+    clearTimeout(trackingTimer);
+    trackingTimer = null;
+
+    let order = null;
+    try {
+        const response = await fetch("/api/track", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(tracking.values)
+        });
+        if (response.ok) {
+            order = (await response.json()).order;
+        }
+    } catch (error) {
+        console.error("Error refreshing order:", error);
+    }
+
+    // The customer may have looked up another order (or the same one again) while this check was on its way
+    if (tracking !== trackedOrder || (order && order.id !== tracking.id)) {
+        return;
+    }
+    if (!order) {
+        // Keep showing what we had, and try again next time
+        document.getElementById("tracking-updated").textContent = t("track.refreshFailed");
+        trackingTimer = setTimeout(refreshTrackedOrder, TRACKING_REFRESH_INTERVAL);
+        return;
+    }
+    renderTrackedOrder(order);
+    scheduleTrackingRefresh(order);
+}
+
+/**
+ * Shows an order's status, estimated time, timeline and contents on the tracking page.
+ * @param {Object} order - The order, as returned by POST /api/track.
+ */
+function renderTrackedOrder(order) {
+    const isDelivery = order.orderType === "delivery";
+    document.getElementById("tracking-heading").textContent = t("track.orderHeading", { order: order.id });
+
+    // Only changes to the status are announced, not every refresh
+    const statusLine = document.getElementById("tracking-status");
+    if (statusLine.dataset.order !== order.id || statusLine.dataset.status !== order.status) {
+        const statusBadge = document.createElement("span");
+        statusBadge.className = `order-status order-status-${order.status}`;
+        statusBadge.textContent = t(`orderStatus.${order.status}`);
+        const completedKey = isDelivery ? "track.message.delivered" : "track.message.collected";
+        statusLine.replaceChildren(statusBadge, " ", t(order.status === "completed" ? completedKey : `track.message.${order.status}`));
+        statusLine.dataset.order = order.id;
+        statusLine.dataset.status = order.status;
+    }
+
+    document.getElementById("tracking-placed").textContent = formatDateTime(order.createdAt);
+    document.getElementById("tracking-order-type").textContent = t(`orderType.${order.orderType}`);
+    document.getElementById("tracking-fulfilment-label").textContent = t(isDelivery ? "receiptText.deliverTo" : "receiptText.pickupFrom");
+    document.getElementById("tracking-fulfilment").textContent = isDelivery ? formatAddress(order.delivery) : SHOP_ADDRESS;
+
+    // The estimated time, or when it was delivered or picked up (cancelled orders have neither)
+    const estimateLabel = document.getElementById("tracking-estimate-label");
+    const estimate = document.getElementById("tracking-estimate");
+    const timeline = getOrderTimeline(order);
+    if (order.status === "completed") {
+        estimateLabel.textContent = t(isDelivery ? "track.delivered" : "track.pickedUp");
+        estimate.textContent = formatDateTime(timeline[timeline.length - 1].changedAt || order.createdAt);
+    } else {
+        estimateLabel.textContent = t(isDelivery ? "track.estimatedDelivery" : "track.estimatedPickup");
+        estimate.textContent = describeEstimatedTime(order);
+    }
+    estimateLabel.hidden = order.status === "cancelled";
+    estimate.hidden = order.status === "cancelled";
+
+    // One step per status, with the time it was reached
+    const timelineList = document.getElementById("tracking-timeline");
+    timelineList.replaceChildren(...timeline.map(step => {
+        const item = document.createElement("li");
+        item.className = `timeline-step timeline-step-${step.state}`;
+        if (step.state === "current") {
+            item.setAttribute("aria-current", "step");
+        }
+        const label = document.createElement("span");
+        label.className = "timeline-label";
+        label.textContent = t(`orderStatus.${step.status}`);
+        item.appendChild(label);
+        if (step.changedAt) {
+            const time = document.createElement("time");
+            time.dateTime = step.changedAt;
+            time.textContent = formatDateTime(step.changedAt);
+            item.appendChild(time);
+        }
+        return item;
+    }));
+
+    // Flavour quantities
+    const linesBody = document.getElementById("tracking-lines");
+    linesBody.replaceChildren();
+    order.items.forEach(item => {
+        const row = linesBody.insertRow();
+        row.insertCell().textContent = getOrderItemName(item);
+        row.insertCell().textContent = item.quantity;
+        row.insertCell().textContent = formatCurrency(item.lineTotal);
+    });
+    document.getElementById("tracking-total").textContent = formatCurrency(order.totals.total);
+
+    document.getElementById("tracking-updated").textContent = t("track.updated", {
+        time: formatDate(new Date(), { hour: "numeric", minute: "2-digit", second: "2-digit" })
+    });
+    document.getElementById("tracking").hidden = false;
+}
+
+/**
+ * Describes when an order should be delivered or ready for pickup: its booked delivery slot or
+ * pickup time, or for orders without one, ESTIMATED_ORDER_MINUTES (order-status.js) after it was placed.
+ * @param {Object} order - The order.
+ * @returns {string} - e.g. "Tuesday 20 October 2026, 12:00 pm - 2:00 pm".
+ */
+function describeEstimatedTime(order) {
+    if (order.schedule) {
+        return describeSchedule(order);
+    }
+    const estimate = new Date(Date.parse(order.createdAt) + ESTIMATED_ORDER_MINUTES[order.orderType] * 60 * 1000);
+    return t("track.around", { time: formatDateTime(estimate.toISOString()) });
+}
+
+
+// --- Staff Dashboard Logic (dashboard.html) ---
+
+/**
+ * Lists incoming orders for staff, with filters for the order type and status, and buttons
+ * that move each order on to its next status (order-status.js). The server only sends
+ * the orders to staff accounts.
+ */
+async function initStaffDashboardPage() {
+    const message = document.getElementById("dashboard-message");
+    const user = await getCurrentUser();
+    if (!user) {
+        message.textContent = t("dashboard.loginRequired");
+        return;
+    }
+    if (!user.staff) {
+        message.textContent = t("dashboard.staffOnly");
+        return;
+    }
+
+    const statusFilter = document.getElementById("filter-status");
+    ORDER_STATUSES.forEach(status => statusFilter.add(new Option(t(`orderStatus.${status}`), status)));
+
+    const filters = document.getElementById("dashboard-filters");
+    filters.addEventListener("change", () => loadStaffOrders());
+    filters.addEventListener("submit", event => event.preventDefault());
+    document.getElementById("dashboard-refresh").addEventListener("click", () => loadStaffOrders());
+    filters.hidden = false;
+
+    await loadStaffOrders();
+}
+
+/**
+ * Loads the orders matching the dashboard's filters from the server and shows them.
+ */
+async function loadStaffOrders() {
+    const message = document.getElementById("dashboard-message");
+    const params = new URLSearchParams({
+        type: document.getElementById("filter-type").value,
+        status: document.getElementById("filter-status").value
+    });
+
+    let orders = null;
+    try {
+        const response = await fetch(`/api/staff/orders?${params}`);
+        if (response.ok) {
+            orders = (await response.json()).orders;
+        }
+    } catch (error) {
+        console.error("Error loading orders:", error);
+    }
+
+    if (orders === null) {
+        message.textContent = t("dashboard.loadFailed");
+        document.getElementById("dashboard-table").hidden = true;
+        return;
+    }
+    message.textContent = orders.length === 0 ? t("dashboard.empty") : t("dashboard.count", { count: orders.length });
+    renderStaffOrders(orders);
+}
+
+/**
+ * Shows orders in the dashboard table, each with buttons for the statuses it can move to.
+ * @param {Object[]} orders - The orders, newest first.
+ */
+function renderStaffOrders(orders) {
+    const linesBody = document.getElementById("dashboard-lines");
+    linesBody.replaceChildren();
+
+    // A cell with one line of text per item (lines that are "" are left out)
+    const addLinesCell = (row, lines) => {
+        const cell = row.insertCell();
+        lines.filter(line => line !== "").forEach(line => {
+            const lineElement = document.createElement("div");
+            lineElement.textContent = line;
+            cell.appendChild(lineElement);
+        });
+    };
+
+    orders.forEach(order => {
+        const row = linesBody.insertRow();
+        row.dataset.order = order.id;
+
+        const orderLink = document.createElement("a");
+        orderLink.href = `confirmation.html?order=${encodeURIComponent(order.id)}`;
+        orderLink.textContent = order.id;
+        row.insertCell().appendChild(orderLink);
+
+        row.insertCell().textContent = formatDateTime(order.createdAt);
+        addLinesCell(row, order.items.map(item => `${item.quantity} x ${getOrderItemName(item)}`));
+        row.insertCell().textContent = t(`orderType.${order.orderType}`);
+        addLinesCell(row, [order.delivery ? formatAddress(order.delivery) : t("receipt.pickupDetails"), describeSchedule(order)]);
+        addLinesCell(row, [formatPhoneNumber(order.contactNumber), order.email]);
+        row.insertCell().textContent = describePayment(order.payment);
+        row.insertCell().textContent = order.remarks;
+
+        const statusBadge = document.createElement("span");
+        statusBadge.className = `order-status order-status-${order.status}`;
+        statusBadge.textContent = t(`orderStatus.${order.status}`);
+        row.insertCell().appendChild(statusBadge);
+
+        const actionsCell = row.insertCell();
+        actionsCell.className = "dashboard-actions";
+        getNextOrderStatuses(order).forEach(status => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = status === "cancelled" ? "secondary-btn cancel-order-btn" : "secondary-btn";
+            button.textContent = t(`orderStatus.action.${status}`);
+            button.setAttribute("aria-label", t("dashboard.changeStatusLabel", { action: button.textContent, order: order.id }));
+            button.addEventListener("click", () => changeOrderStatus(order, status));
+            actionsCell.appendChild(button);
+        });
+    });
+
+    document.getElementById("dashboard-table").hidden = orders.length === 0;
+}
+
+/**
+ * Moves an order to a new status on the server, then reloads the list.
+ * Cancelling has to be confirmed first, as it can't be undone.
+ * @param {Object} order - The order.
+ * @param {string} status - The new status.
+ */
+async function changeOrderStatus(order, status) {
+    if (status === "cancelled" && !confirm(t("dashboard.confirmCancel", { order: order.id }))) {
+        return;
+    }
+
+    const statusMessage = document.getElementById("dashboard-status");
+    try {
+        const response = await fetch(`/api/staff/orders/${encodeURIComponent(order.id)}/status`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ status: status })
+        });
+        const result = await response.json();
+
+        if (response.ok) {
+            statusMessage.textContent = t("dashboard.statusChanged", { order: order.id, status: t(`orderStatus.${status}`) });
+        } else {
+            // e.g. another member of staff has already moved the order on
+            const error = (result.errors || [])[0] || { message: t("server.error") };
+            const reason = error.messageKey && hasMessage(error.messageKey) ? t(error.messageKey) : error.message;
+            statusMessage.textContent = t("dashboard.statusChangeFailed", { order: order.id, reason: reason });
+        }
+    } catch (error) {
+        console.error("Error updating order:", error);
+        statusMessage.textContent = t("errors.serverUnreachable");
+        return;
+    }
+
+    await loadStaffOrders();
+
+    // The clicked button has gone, so keep the keyboard focus on the same order
+    const orderLink = document.querySelector(`#dashboard-lines tr[data-order="${order.id}"] a`);
+    if (orderLink) {
+        orderLink.focus();
+    }
+}
+
+
+// --- Marketing Report Page Logic (report.html) ---
+
+// The SVG namespace, for building the report's charts
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Loads the registrations and shows the marketing report. Only staff can see it.
+ */
+async function initMarketingReportPage() {
+    const message = document.getElementById("report-message");
+    const user = await getCurrentUser();
+    if (!user) {
+        message.textContent = t("report.loginRequired");
+        return;
+    }
+    if (!user.staff) {
+        message.textContent = t("dashboard.staffOnly");
+        return;
+    }
+
+    let registrations = null;
+    try {
+        const response = await fetch("/api/staff/report");
+        if (response.ok) {
+            registrations = (await response.json()).registrations;
+        }
+    } catch (error) {
+        console.error("Error loading the report:", error);
+    }
+
+    if (registrations === null) {
+        message.textContent = t("report.loadFailed");
+        return;
+    }
+    if (registrations.length === 0) {
+        message.textContent = t("report.empty");
+        return;
+    }
+
+    message.hidden = true;
+    renderMarketingReport(registrations);
+    document.getElementById("export-csv").addEventListener("click", () => {
+        downloadFile(`sweetlife-registrations-${toDateKey(new Date())}.csv`, buildReportCsv(registrations), "text/csv");
+    });
+    document.getElementById("report-content").hidden = false;
+}
+
+/**
+ * Fills in the report's summary, charts and tables.
+ * @param {Registration[]} registrations - The registrations, oldest first (see report.js).
+ */
+function renderMarketingReport(registrations) {
+    document.getElementById("report-summary").textContent = t("report.summary", {
+        count: registrations.length,
+        from: formatDate(new Date(registrations[0].registeredAt)),
+        to: formatDate(new Date(registrations[registrations.length - 1].registeredAt))
+    });
+
+    // Registrations by referral source and month
+    const referrals = countReferralsByMonth(registrations);
+    const monthLabels = referrals.months.map(formatMonth);
+    renderBarChart(document.getElementById("referral-chart"), {
+        title: t("report.referralHeading"),
+        categories: monthLabels,
+        series: REFERRAL_SOURCES.map(source => ({
+            label: t(source.labelKey),
+            values: referrals.months.map(month => referrals.counts[month][source.id])
+        })),
+        stacked: true
+    });
+
+    const referralTable = document.getElementById("referral-table");
+    const headRow = referralTable.createTHead().insertRow();
+    [t("report.month")].concat(REFERRAL_SOURCES.map(source => t(source.labelKey)), t("table.total")).forEach(label => {
+        const cell = document.createElement("th");
+        cell.scope = "col";
+        cell.textContent = label;
+        headRow.appendChild(cell);
+    });
+    const referralBody = referralTable.createTBody();
+    referrals.months.forEach((month, index) => {
+        const counts = REFERRAL_SOURCES.map(source => referrals.counts[month][source.id]);
+        addReportRow(referralBody, monthLabels[index], counts.concat(counts.reduce((sum, count) => sum + count, 0)));
+    });
+    const totals = REFERRAL_SOURCES.map(source => referrals.totals[source.id]);
+    addReportRow(referralTable.createTFoot(), t("table.total"), totals.concat(registrations.length));
+
+    // Favourite flavours against what was ordered
+    const flavors = compareFavoritesWithOrders(registrations);
+    renderBarChart(document.getElementById("flavor-chart"), {
+        title: t("report.flavorHeading"),
+        categories: flavors.map(entry => t(entry.flavor.nameKey)),
+        series: [
+            { label: t("report.favourites"), values: flavors.map(entry => entry.favourites) },
+            { label: t("report.fansWhoOrdered"), values: flavors.map(entry => entry.fansWhoOrdered) }
+        ],
+        stacked: false
+    });
+
+    const flavorLines = document.getElementById("flavor-lines");
+    flavorLines.replaceChildren();
+    flavors.forEach(entry => addReportRow(flavorLines, t(entry.flavor.nameKey), [
+        t("report.countShare", { count: entry.favourites, percent: formatPercent(entry.favouriteShare) }),
+        t("report.countShare", { count: entry.fansWhoOrdered, percent: formatPercent(entry.fansWhoOrderedShare) }),
+        t("report.countShare", { count: entry.scoops, percent: formatPercent(entry.scoopShare) })
+    ]));
+}
+
+/**
+ * Adds a row to one of the report's tables: a row heading, then one cell per value.
+ * @param {HTMLTableSectionElement} section - The table body (or footer).
+ * @param {string} heading - The row's heading.
+ * @param {(string|number)[]} values - The cells.
+ */
+function addReportRow(section, heading, values) {
+    const row = section.insertRow();
+    const headingCell = document.createElement("th");
+    headingCell.scope = "row";
+    headingCell.textContent = heading;
+    row.appendChild(headingCell);
+    values.forEach(value => {
+        row.insertCell().textContent = typeof value === "number" ? formatNumber(value) : value;
+    });
+}
+
+/**
+ * Formats a month for the report, e.g. "Oct 2026".
+ * @param {string} month - The month ("YYYY-MM").
+ * @returns {string} - The month in the current language.
+ */
+function formatMonth(month) {
+    const [year, monthNumber] = month.split("-").map(Number);
+    return formatDate(new Date(year, monthNumber - 1, 1), { month: "short", year: "numeric" });
+}
+
+/**
+ * Creates an SVG element.
+ * @param {string} name - The element name (e.g. "rect").
+ * @param {Object<string, string|number>} [attributes={}] - Its attributes.
+ * @returns {SVGElement} - The element.
+ */
+function createSvgElement(name, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Draws a bar chart (an SVG) with a legend. Each category gets one bar per series, side by side,
+ * or a single bar with the series stacked. Hovering over a bar shows its value; the same figures
+ * are in the table under each chart, for screen readers.
+ * @param {HTMLElement} container - The element to draw the chart in (its contents are replaced).
+ * @param {{title: string, categories: string[], series: {label: string, values: number[]}[], stacked: boolean}} chart
+ *   The chart's title, the labels along the bottom, each series' label and its value for each category,
+ *   and whether to stack the series.
+ */
+function renderBarChart(container, chart) {
+    const width = 640;
+    const height = 280;
+    const margin = { top: 10, right: 10, bottom: 40, left: 40 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    // The y axis counts whole customers/scoops, with up to 5 gridlines
+    const barTotals = chart.categories.map((category, index) => chart.stacked
+        ? chart.series.reduce((sum, series) => sum + series.values[index], 0)
+        : Math.max(...chart.series.map(series => series.values[index])));
+    const step = Math.max(1, Math.ceil(Math.max(...barTotals, 1) / 5));
+    const axisMax = step * Math.ceil(Math.max(...barTotals, 1) / step);
+    const toY = value => margin.top + plotHeight - (value / axisMax) * plotHeight;
+
+    const svg = createSvgElement("svg", { viewBox: `0 0 ${width} ${height}`, class: "bar-chart", role: "img" });
+    svg.setAttribute("aria-label", chart.title);
+
+    for (let value = 0; value <= axisMax; value += step) {
+        svg.appendChild(createSvgElement("line", { x1: margin.left, x2: width - margin.right, y1: toY(value), y2: toY(value), class: "chart-gridline" }));
+        const tick = createSvgElement("text", { x: margin.left - 6, y: toY(value) + 4, class: "chart-tick" });
+        tick.textContent = formatNumber(value);
+        svg.appendChild(tick);
+    }
+
+    const groupWidth = plotWidth / chart.categories.length;
+    const barWidth = chart.stacked ? groupWidth * 0.6 : (groupWidth * 0.8) / chart.series.length;
+    chart.categories.forEach((category, categoryIndex) => {
+        const groupX = margin.left + categoryIndex * groupWidth;
+        let stackedValue = 0;
+        chart.series.forEach((series, seriesIndex) => {
+            const value = series.values[categoryIndex];
+            const x = chart.stacked ? groupX + groupWidth * 0.2 : groupX + groupWidth * 0.1 + seriesIndex * barWidth;
+            const top = toY(stackedValue + value);
+            const bar = createSvgElement("rect", {
+                x: x,
+                y: top,
+                width: barWidth,
+                height: toY(stackedValue) - top,
+                class: `chart-bar chart-series-${seriesIndex}`
+            });
+            const tooltip = createSvgElement("title");
+            tooltip.textContent = t("report.barLabel", { category: category, series: series.label, count: value });
+            bar.appendChild(tooltip);
+            svg.appendChild(bar);
+            if (chart.stacked) {
+                stackedValue += value;
+            }
+        });
+
+        const label = createSvgElement("text", { x: groupX + groupWidth / 2, y: height - margin.bottom + 18, class: "chart-label" });
+        label.textContent = category;
+        svg.appendChild(label);
+    });
+
+    const legend = document.createElement("ul");
+    legend.className = "chart-legend";
+    chart.series.forEach((series, seriesIndex) => {
+        const item = document.createElement("li");
+        const swatch = document.createElement("span");
+        swatch.className = `chart-swatch chart-series-${seriesIndex}`;
+        item.append(swatch, series.label);
+        legend.appendChild(item);
+    });
+
+    container.replaceChildren(svg, legend);
+}
+
+
+// --- Server Submission ---
+
+/**
+ * Sends a form's values to the local server (server/server.js) as JSON, using the
+ * form's action as the URL. Errors from the server's own validation are shown the
+ * same way as client-side errors.
+ * @param {HTMLFormElement} form - The form to submit.
+ * @param {Object} [values=getFormValues(form)] - The values to send, if not exactly what the form shows.
+ * @returns {Promise<Object|null>} - The server's response, or null if the submission failed.
+ */
+async function submitFormToServer(form, values = getFormValues(form)) {
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true; // Prevent double submission
+
+    try {
+        const response = await fetch(form.getAttribute("action"), {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(values)
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showServerErrors(result.errors || []);
+            return null;
+        }
+        return result;
+    } catch (error) {
+        console.error("Error submitting form:", error);
+        showErrorSummary([{ message: t("errors.serverUnreachable") }]);
+        return null;
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Shows validation errors returned by the server on the matching "*-error" spans and in the summary.
+ * Errors with a messageKey are shown in the current language; the server's messages are in English.
+ * @param {{errorId: string, message: string, messageKey?: string}[]} errors - The errors from the server.
+ */
+function showServerErrors(errors) {
+    const translatedErrors = errors.map(error => error.messageKey && hasMessage(error.messageKey)
+        ? Object.assign({}, error, { message: t(error.messageKey) })
+        : error);
+    clearAllErrors();
+    translatedErrors.forEach(error => showError(error.errorId, error.message));
+    showErrorSummary(translatedErrors);
+}
+
+/**
+ * Shows a success message at the top of the form.
+ * @param {string} message - The message to show.
+ */
+function showFormStatus(message) {
+    const formStatus = document.getElementById("form-status");
+    if (formStatus) {
+        formStatus.textContent = message;
+        formStatus.style.display = "block";
+        formStatus.tabIndex = -1;
+        formStatus.focus();
+    }
+}
+
+
+// --- Validation Helper Functions ---
+
+/**
+ * Collects the current values of a form, keyed the way the validation schemas expect:
+ * by id for most fields, by name for radio buttons and checkbox lists (e.g. "favs[]").
+ * Radio buttons and checkbox lists with nothing selected give "" and [] respectively.
+ * @param {HTMLFormElement} form - The form to read.
+ * @returns {Object} - The form values.
+ */
+function getFormValues(form) {
+    const values = {};
+    Array.from(form.elements).forEach(element => {
+        if (element.type === "radio") {
+            if (!(element.name in values)) {
+                values[element.name] = "";
+            }
+            if (element.checked) {
+                values[element.name] = element.value;
+            }
+        } else if (element.type === "checkbox" && element.name.endsWith("[]")) {
+            if (!(element.name in values)) {
+                values[element.name] = [];
+            }
+            if (element.checked) {
+                values[element.name].push(element.value);
+            }
+        } else if (element.type === "checkbox") {
+            values[element.id || element.name] = element.checked;
+        } else if (element.id || element.name) {
+            values[element.id || element.name] = element.value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Validates fields as the user works through the form, instead of only on submit:
+ * - A field is validated when the user leaves it (focusout).
+ * - Once a field shows an error, it is re-checked on every input/change anywhere in the
+ *   form, so the error clears as soon as it is fixed. This also covers fields that depend
+ *   on others (e.g. confirm-password when password changes).
+ * - The error summary, if showing, is kept in step with the inline errors.
+ * @param {HTMLFormElement} form - The form to validate.
+ * @param {Object[]} schema - The form's schema (validation.js).
+ */
+function initLiveValidation(form, schema) {
+    form.addEventListener("focusout", event => {
+        // Focus moving to the error summary after a submit isn't the user leaving the field
+        // (re-checking it then would hide errors that only the server can find)
+        if (event.relatedTarget && event.relatedTarget.id === "form-errors") {
+            return;
+        }
+
+        // Radio buttons are keyed by name, everything else by id
+        const key = event.target.type === "radio" ? event.target.name : event.target.id;
+        const fieldSchema = schema.find(field => field.field === key);
+        if (fieldSchema) {
+            validateFieldLive(form, fieldSchema);
+        }
+        revalidateInvalidFields(form, schema);
+    });
+
+    ["input", "change"].forEach(eventType => {
+        form.addEventListener(eventType, () => revalidateInvalidFields(form, schema));
+    });
+}
+
+/**
+ * Validates one field and shows or clears its inline error.
+ * @param {HTMLFormElement} form - The form the field belongs to.
+ * @param {Object} fieldSchema - The field's definition in the schema.
+ */
+function validateFieldLive(form, fieldSchema) {
+    const message = validateField(fieldSchema, getFormValues(form));
+    if (message !== "") {
+        // Read out new errors (the summary is read out when it gets focus on submit instead)
+        const errorSpan = document.getElementById(getErrorId(fieldSchema));
+        if (errorSpan && errorSpan.textContent !== message) {
+            announceError(message);
+        }
+        showError(getErrorId(fieldSchema), message);
+    } else {
+        clearError(getErrorId(fieldSchema));
+    }
+}
+
+/**
+ * Re-checks every field that is currently showing an error, then updates the summary.
+ * @param {HTMLFormElement} form - The form to re-check.
+ * @param {Object[]} schema - The form's schema (validation.js).
+ */
+function revalidateInvalidFields(form, schema) {
+    schema.forEach(fieldSchema => {
+        const errorSpan = document.getElementById(getErrorId(fieldSchema));
+        if (errorSpan && errorSpan.textContent !== "") {
+            validateFieldLive(form, fieldSchema);
+        }
+    });
+    refreshErrorSummary(schema);
+}
+
+/**
+ * Rebuilds the error summary from the inline errors currently showing.
+ * Only applies once the summary has been shown (i.e. after a submit attempt);
+ * it is hidden again when every error has been fixed.
+ * @param {Object[]} schema - The form's schema (validation.js).
+ */
+function refreshErrorSummary(schema) {
+    const errorSummary = document.getElementById("form-errors");
+    if (!errorSummary || errorSummary.style.display !== "block") {
+        return;
+    }
+
+    const errors = schema
+        .map(fieldSchema => document.getElementById(getErrorId(fieldSchema)))
+        .filter(errorSpan => errorSpan && errorSpan.textContent !== "")
+        .map(errorSpan => ({ errorId: errorSpan.id, message: errorSpan.textContent }));
+
+    if (errors.length === 0) {
+        errorSummary.style.display = "none";
+        errorSummary.replaceChildren();
+    } else {
+        showErrorSummary(errors, false);
+    }
+}
+
+/**
+ * Validates a form against a schema and shows the errors inline and in the summary.
+ * @param {HTMLFormElement} form - The form to validate.
+ * @param {Object[]} schema - The form's schema (validation.js).
+ * @returns {boolean} - True if the form is valid, false otherwise.
+ */
+function validateFormWithSchema(form, schema) {
+    // Clear all previous errors
+    clearAllErrors();
+
+    const errors = validateValues(schema, getFormValues(form));
+    errors.forEach(error => showError(error.errorId, error.message));
+
+    if (errors.length > 0) {
+        // If invalid, show a summary of all errors
+        showErrorSummary(errors);
+    }
+    return errors.length === 0;
+}
+
+/**
+ * Finds the field(s) an error message belongs to: the element whose id is the error id
+ * without "-error", or else the radio buttons/checkboxes with that name.
+ * @param {string} errorId - The ID of the <span> element the error is shown in.
+ * @returns {HTMLElement[]} - The field's elements (empty if there isn't one, e.g. for a general error).
+ */
+function getErrorFields(errorId) {
+    const fieldId = errorId.replace(/-error$/, "");
+    const field = document.getElementById(fieldId);
+    if (field) {
+        return [field];
+    }
+    return Array.from(document.getElementsByName(fieldId));
+}
+
+/**
+ * Moves focus to a field, e.g. from its entry in the error summary.
+ * Radio buttons focus the selected option (or the first one), and groups such as the
+ * flavour list focus their first control.
+ * @param {string} errorId - The ID of the <span> element the field's error is shown in.
+ */
+function focusErrorField(errorId) {
+    const fields = getErrorFields(errorId);
+    let target = fields.find(field => field.checked) || fields[0];
+    if (target && !target.matches("input, select, textarea, button")) {
+        target = target.querySelector("input:not([type='hidden']):enabled, select:enabled, textarea:enabled, button:enabled");
+    }
+    if (target) {
+        target.focus();
+    }
+}
+
+/**
+ * Reads an error message out to screen reader users, through a hidden live region.
+ * @param {string} message - The error message.
+ */
+function announceError(message) {
+    let announcer = document.getElementById("error-announcer");
+    if (!announcer) {
+        announcer = document.createElement("div");
+        announcer.id = "error-announcer";
+        announcer.className = "visually-hidden";
+        announcer.setAttribute("aria-live", "assertive");
+        announcer.setAttribute("aria-atomic", "true");
+        document.body.appendChild(announcer);
+    }
+
+    // Clear it first, so the same message is read out again if it comes up twice in a row
+    announcer.textContent = "";
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 100);
+}
+
+/**
+ * Adds or removes an ID in an element's aria-describedby list, leaving any other IDs in place.
+ * @param {HTMLElement} element - The element.
+ * @param {string} id - The ID of the describing element.
+ * @param {boolean} add - True to add the ID, false to remove it.
+ */
+function toggleDescribedBy(element, id, add) {
+    const ids = (element.getAttribute("aria-describedby") || "").split(" ").filter(existing => existing && existing !== id);
+    if (add) {
+        ids.push(id);
+    }
+    if (ids.length > 0) {
+        element.setAttribute("aria-describedby", ids.join(" "));
+    } else {
+        element.removeAttribute("aria-describedby");
+    }
+}
+
+/**
+ * Displays an inline error message for a specific field.
+ * The field is marked invalid (aria-invalid) and linked to the message (aria-describedby),
+ * so screen readers read the message out with the field.
+ * @param {string} errorId - The ID of the <span> element to show the error in.
+ * @param {string} message - The error message to display.
+ */
+function showError(errorId, message) {
+    const errorSpan = document.getElementById(errorId);
+    if (errorSpan) {
+        errorSpan.textContent = message;
+        errorSpan.style.display = "block";
+        
+        // Add error class and ARIA attributes to the corresponding input
+        getErrorFields(errorId).forEach(input => {
+            input.classList.add("error");
+            input.setAttribute("aria-invalid", "true");
+            toggleDescribedBy(input, errorId, true);
+        });
+    }
+}
+
+/**
+ * Clears the inline error message for a specific field.
+ * @param {string} errorId - The ID of the <span> element showing the error.
+ */
+function clearError(errorId) {
+    const errorSpan = document.getElementById(errorId);
+    if (errorSpan) {
+        errorSpan.textContent = "";
+        errorSpan.style.display = "none";
+
+        // Remove error class and ARIA attributes from the corresponding input
+        getErrorFields(errorId).forEach(input => {
+            input.classList.remove("error");
+            input.removeAttribute("aria-invalid");
+            toggleDescribedBy(input, errorId, false);
+        });
+    }
+}
+
+/**
+ * Clears all inline error messages and summary.
+ */
+function clearAllErrors() {
+    // Clear all inline spans (and the ARIA attributes on their inputs)
+    const errorSpans = document.querySelectorAll(".error-message");
+    errorSpans.forEach(span => {
+        if (span.id) {
+            clearError(span.id);
+        } else {
+            span.textContent = "";
+            span.style.display = "none";
+        }
+    });
+
+    // Clear all input error classes
+    const errorInputs = document.querySelectorAll(".error");
+    errorInputs.forEach(input => {
+        input.classList.remove("error");
+    });
+
+    // Hide the success message from an earlier submission
+    const formStatus = document.getElementById("form-status");
+    if (formStatus) {
+        formStatus.style.display = "none";
+        formStatus.textContent = "";
+    }
+
+    // Hide the summary box
+    const errorSummary = document.getElementById("form-errors");
+    if (errorSummary) {
+        errorSummary.style.display = "none";
+        errorSummary.replaceChildren();
+    }
+}
+
+/**
+ * Displays a summary of all validation errors at the top of the form.
+ * Each error that belongs to a field is a link that moves focus to that field.
+ * [Requirement 2.3.4: "show an... message... to display ALL the errors"]
+ * @param {{errorId: (string|undefined), message: string}[]} errors - The errors to list
+ *   (errorId is left out for errors that don't belong to a field).
+ * @param {boolean} [moveFocus=true] - Whether to move focus to the summary (not wanted while the user is typing).
+ */
+function showErrorSummary(errors, moveFocus = true) {
+    const errorSummary = document.getElementById("form-errors");
+    if (errorSummary) {
+        const heading = document.createElement("h3");
+        heading.id = "form-errors-heading";
+        heading.textContent = t("errors.summaryHeading", { count: errors.length });
+
+        const errorList = document.createElement("ul");
+        errors.forEach(error => {
+            const item = document.createElement("li");
+            const fields = error.errorId ? getErrorFields(error.errorId) : [];
+            if (fields.length > 0) {
+                const link = document.createElement("a");
+                link.href = `#${fields[0].id || error.errorId}`;
+                link.textContent = error.message;
+                link.addEventListener("click", event => {
+                    event.preventDefault();
+                    focusErrorField(error.errorId);
+                });
+                item.appendChild(link);
+            } else {
+                item.textContent = error.message;
+            }
+            errorList.appendChild(item);
+        });
+
+        errorSummary.replaceChildren(heading, errorList);
+        errorSummary.setAttribute("aria-labelledby", heading.id);
+        errorSummary.style.display = "block";
+        // Focus the summary box for accessibility
+        if (moveFocus) {
+            errorSummary.tabIndex = -1;
+            errorSummary.focus();
+        }
+    }
+}
+
+// --- Global ---
+// Run the init function once the DOM is ready (in the browser; there is no window under Node).
+if (typeof window !== "undefined") {
+    window.addEventListener("DOMContentLoaded", init);
+}
+
+// Under Node (e.g. the tests in test/), make the page functions available to require().
+// They still need a page to work on, with the other scripts loaded; see test/helpers/page.js.
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = {
+        init,
+        initRegisterPage,
+        initOrderPage,
+        validateRegisterForm,
+        validateVerifyForm,
+        checkUsernameAvailability,
+        validateLoginForm,
+        validateOrderForm,
+        copyDeliveryToBilling,
+        updateCardLength,
+        checkCardBrand,
+        toggleDeliveryFields,
+        togglePaymentFields,
+        incrementQuantity,
+        decrementQuantity,
+        updateQuantityButtonStates,
+        getFlavorQuantities,
+        updateOrderSummary,
+        saveFormDataToSession,
+        restoreFormData,
+        clearOrderFormSessionStorage,
+        getFormValues,
+        validateFormWithSchema,
+        formatAddress
+    };
+}
\ No newline at end of file
@@ -0,0 +1,171 @@
+/*
+  File: suburbs.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Offline list of Australian suburbs with their state and postcode.
+  Used by the suburb typeahead on order.html (initSuburbTypeahead() in script.js)
+  and to check that a suburb and postcode belong together (suburbMatchesPostcode()
+  in validation.js). A suburb can appear more than once: in different states
+  (e.g. Richmond VIC and Richmond NSW), or with more than one postcode.
+  Suburbs that aren't listed here can still be entered; they just can't be checked.
+*/
+
+"use strict";
+
+/**
+ * @typedef {Object} Suburb
+ * @property {string} suburb - Suburb name.
+ * @property {string} state - State or territory abbreviation (e.g. "VIC").
+ * @property {string} postcode - 4-digit postcode.
+ */
+
+/** @type {Suburb[]} */
+const SUBURBS = [
+    // Victoria - Melbourne and surrounds
+    { suburb: "Melbourne", state: "VIC", postcode: "3000" },
+    { suburb: "Melbourne", state: "VIC", postcode: "3004" },
+    { suburb: "East Melbourne", state: "VIC", postcode: "3002" },
+    { suburb: "West Melbourne", state: "VIC", postcode: "3003" },
+    { suburb: "Southbank", state: "VIC", postcode: "3006" },
+    { suburb: "Docklands", state: "VIC", postcode: "3008" },
+    { suburb: "Footscray", state: "VIC", postcode: "3011" },
+    { suburb: "Yarraville", state: "VIC", postcode: "3013" },
+    { suburb: "Williamstown", state: "VIC", postcode: "3016" },
+    { suburb: "Sunshine", state: "VIC", postcode: "3020" },
+    { suburb: "Flemington", state: "VIC", postcode: "3031" },
+    { suburb: "Kensington", state: "VIC", postcode: "3031" },
+    { suburb: "Ascot Vale", state: "VIC", postcode: "3032" },
+    { suburb: "Moonee Ponds", state: "VIC", postcode: "3039" },
+    { suburb: "Essendon", state: "VIC", postcode: "3040" },
+    { suburb: "North Melbourne", state: "VIC", postcode: "3051" },
+    { suburb: "Parkville", state: "VIC", postcode: "3052" },
+    { suburb: "Carlton", state: "VIC", postcode: "3053" },
+    { suburb: "Carlton North", state: "VIC", postcode: "3054" },
+    { suburb: "Brunswick", state: "VIC", postcode: "3056" },
+    { suburb: "Brunswick East", state: "VIC", postcode: "3057" },
+    { suburb: "Coburg", state: "VIC", postcode: "3058" },
+    { suburb: "Fitzroy", state: "VIC", postcode: "3065" },
+    { suburb: "Collingwood", state: "VIC", postcode: "3066" },
+    { suburb: "Abbotsford", state: "VIC", postcode: "3067" },
+    { suburb: "Fitzroy North", state: "VIC", postcode: "3068" },
+    { suburb: "Northcote", state: "VIC", postcode: "3070" },
+    { suburb: "Thornbury", state: "VIC", postcode: "3071" },
+    { suburb: "Preston", state: "VIC", postcode: "3072" },
+    { suburb: "Reservoir", state: "VIC", postcode: "3073" },
+    { suburb: "Ivanhoe", state: "VIC", postcode: "3079" },
+    { suburb: "Bundoora", state: "VIC", postcode: "3083" },
+    { suburb: "Heidelberg", state: "VIC", postcode: "3084" },
+    { suburb: "Kew", state: "VIC", postcode: "3101" },
+    { suburb: "Kew East", state: "VIC", postcode: "3102" },
+    { suburb: "Balwyn", state: "VIC", postcode: "3103" },
+    { suburb: "Balwyn North", state: "VIC", postcode: "3104" },
+    { suburb: "Templestowe", state: "VIC", postcode: "3106" },
+    { suburb: "Doncaster", state: "VIC", postcode: "3108" },
+    { suburb: "Richmond", state: "VIC", postcode: "3121" },
+    { suburb: "Cremorne", state: "VIC", postcode: "3121" },
+    { suburb: "Burnley", state: "VIC", postcode: "3121" },
+    { suburb: "Hawthorn", state: "VIC", postcode: "3122" },
+    { suburb: "Hawthorn East", state: "VIC", postcode: "3123" },
+    { suburb: "Camberwell", state: "VIC", postcode: "3124" },
+    { suburb: "Burwood", state: "VIC", postcode: "3125" },
+    { suburb: "Canterbury", state: "VIC", postcode: "3126" },
+    { suburb: "Surrey Hills", state: "VIC", postcode: "3127" },
+    { suburb: "Box Hill", state: "VIC", postcode: "3128" },
+    { suburb: "Box Hill North", state: "VIC", postcode: "3129" },
+    { suburb: "Blackburn", state: "VIC", postcode: "3130" },
+    { suburb: "Nunawading", state: "VIC", postcode: "3131" },
+    { suburb: "Mitcham", state: "VIC", postcode: "3132" },
+    { suburb: "Ringwood", state: "VIC", postcode: "3134" },
+    { suburb: "South Yarra", state: "VIC", postcode: "3141" },
+    { suburb: "Toorak", state: "VIC", postcode: "3142" },
+    { suburb: "Armadale", state: "VIC", postcode: "3143" },
+    { suburb: "Malvern", state: "VIC", postcode: "3144" },
+    { suburb: "Malvern East", state: "VIC", postcode: "3145" },
+    { suburb: "Glen Iris", state: "VIC", postcode: "3146" },
+    { suburb: "Ashburton", state: "VIC", postcode: "3147" },
+    { suburb: "Chadstone", state: "VIC", postcode: "3148" },
+    { suburb: "Mount Waverley", state: "VIC", postcode: "3149" },
+    { suburb: "Glen Waverley", state: "VIC", postcode: "3150" },
+    { suburb: "Caulfield", state: "VIC", postcode: "3162" },
+    { suburb: "Carnegie", state: "VIC", postcode: "3163" },
+    { suburb: "Oakleigh", state: "VIC", postcode: "3166" },
+    { suburb: "Clayton", state: "VIC", postcode: "3168" },
+    { suburb: "Dandenong", state: "VIC", postcode: "3175" },
+    { suburb: "Prahran", state: "VIC", postcode: "3181" },
+    { suburb: "Windsor", state: "VIC", postcode: "3181" },
+    { suburb: "St Kilda", state: "VIC", postcode: "3182" },
+    { suburb: "Elwood", state: "VIC", postcode: "3184" },
+    { suburb: "Elsternwick", state: "VIC", postcode: "3185" },
+    { suburb: "Brighton", state: "VIC", postcode: "3186" },
+    { suburb: "Frankston", state: "VIC", postcode: "3199" },
+    { suburb: "South Melbourne", state: "VIC", postcode: "3205" },
+    { suburb: "Albert Park", state: "VIC", postcode: "3206" },
+    { suburb: "Port Melbourne", state: "VIC", postcode: "3207" },
+    { suburb: "Geelong", state: "VIC", postcode: "3220" },
+    { suburb: "Ballarat Central", state: "VIC", postcode: "3350" },
+    { suburb: "Bendigo", state: "VIC", postcode: "3550" },
+
+    // New South Wales
+    { suburb: "Sydney", state: "NSW", postcode: "2000" },
+    { suburb: "Haymarket", state: "NSW", postcode: "2000" },
+    { suburb: "The Rocks", state: "NSW", postcode: "2000" },
+    { suburb: "Ultimo", state: "NSW", postcode: "2007" },
+    { suburb: "Pyrmont", state: "NSW", postcode: "2009" },
+    { suburb: "Surry Hills", state: "NSW", postcode: "2010" },
+    { suburb: "Darlinghurst", state: "NSW", postcode: "2010" },
+    { suburb: "Paddington", state: "NSW", postcode: "2021" },
+    { suburb: "Bondi", state: "NSW", postcode: "2026" },
+    { suburb: "Bondi Beach", state: "NSW", postcode: "2026" },
+    { suburb: "Glebe", state: "NSW", postcode: "2037" },
+    { suburb: "Newtown", state: "NSW", postcode: "2042" },
+    { suburb: "North Sydney", state: "NSW", postcode: "2060" },
+    { suburb: "Chatswood", state: "NSW", postcode: "2067" },
+    { suburb: "Manly", state: "NSW", postcode: "2095" },
+    { suburb: "Burwood", state: "NSW", postcode: "2134" },
+    { suburb: "Parramatta", state: "NSW", postcode: "2150" },
+    { suburb: "Newcastle", state: "NSW", postcode: "2300" },
+    { suburb: "Wollongong", state: "NSW", postcode: "2500" },
+    { suburb: "Penrith", state: "NSW", postcode: "2750" },
+    { suburb: "Richmond", state: "NSW", postcode: "2753" },
+
+    // Australian Capital Territory
+    { suburb: "Canberra", state: "ACT", postcode: "2601" },
+    { suburb: "Braddon", state: "ACT", postcode: "2612" },
+    { suburb: "Belconnen", state: "ACT", postcode: "2617" },
+
+    // Queensland
+    { suburb: "Brisbane City", state: "QLD", postcode: "4000" },
+    { suburb: "New Farm", state: "QLD", postcode: "4005" },
+    { suburb: "Fortitude Valley", state: "QLD", postcode: "4006" },
+    { suburb: "Toowong", state: "QLD", postcode: "4066" },
+    { suburb: "South Brisbane", state: "QLD", postcode: "4101" },
+    { suburb: "West End", state: "QLD", postcode: "4101" },
+    { suburb: "Surfers Paradise", state: "QLD", postcode: "4217" },
+    { suburb: "Townsville City", state: "QLD", postcode: "4810" },
+    { suburb: "Cairns City", state: "QLD", postcode: "4870" },
+
+    // South Australia
+    { suburb: "Adelaide", state: "SA", postcode: "5000" },
+    { suburb: "North Adelaide", state: "SA", postcode: "5006" },
+    { suburb: "Richmond", state: "SA", postcode: "5033" },
+    { suburb: "Glenelg", state: "SA", postcode: "5045" },
+    { suburb: "Norwood", state: "SA", postcode: "5067" },
+
+    // Western Australia
+    { suburb: "Perth", state: "WA", postcode: "6000" },
+    { suburb: "Northbridge", state: "WA", postcode: "6003" },
+    { suburb: "Subiaco", state: "WA", postcode: "6008" },
+    { suburb: "Scarborough", state: "WA", postcode: "6019" },
+    { suburb: "Fremantle", state: "WA", postcode: "6160" },
+
+    // Tasmania
+    { suburb: "Hobart", state: "TAS", postcode: "7000" },
+    { suburb: "Sandy Bay", state: "TAS", postcode: "7005" },
+    { suburb: "Richmond", state: "TAS", postcode: "7025" },
+    { suburb: "Launceston", state: "TAS", postcode: "7250" },
+
+    // Northern Territory
+    { suburb: "Darwin City", state: "NT", postcode: "0800" },
+    { suburb: "Palmerston City", state: "NT", postcode: "0830" },
+    { suburb: "Alice Springs", state: "NT", postcode: "0870" }
+];
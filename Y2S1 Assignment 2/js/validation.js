@@ -0,0 +1,1000 @@
+/*
+  File: validation.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Declarative form validation for registration.html, login.html and order.html.
+  Each form is described by a schema: a list of fields, each with a list of rules.
+  validateValues() runs a schema against the form's values and returns the errors,
+  which script.js then shows inline (showError) and in the summary (showErrorSummary).
+
+  Field options:
+  - field   : the field's key in the values object (its id, or name for radio buttons)
+  - errorId : the <span> the error is shown in (defaults to "{field}-error")
+  - when    : function(values) - only validate the field when this returns true
+  - rules   : checked in order; the first rule that fails gives the field's error
+
+  Rules (one check per rule, plus a "message"):
+  - message : the key of the error message in the message catalogue (i18n.js), or
+              function(value, values) returning the translated message (for messages with details)
+  - { required: true }          : value must not be blank
+  - { regex: /.../ }            : value must match the pattern (skipped when blank)
+  - { minLength: n }            : value must be at least n characters (skipped when blank)
+  - { matchesField: "other" }   : value must equal the value of another field
+  - { custom: function(value, values) } : must return true
+*/
+
+"use strict";
+
+// Accepted card brands: number length, CVV length and IIN (card number prefix) pattern
+const CARD_BRANDS = {
+    visa: { name: "Visa", length: 16, cvvLength: 3, iinPattern: /^4/ },
+    mastercard: { name: "MasterCard", length: 16, cvvLength: 3, iinPattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/ },
+    amex: { name: "American Express", length: 15, cvvLength: 4, iinPattern: /^3[47]/ }
+};
+
+// Password rules (labelKey is the checklist text in i18n.js), shown as a checklist on registration.html and checked by validateStrongPassword()
+const PASSWORD_RULES = [
+    { id: "length", labelKey: "password.rule.length", test: password => password.length >= 9 },
+    { id: "upper", labelKey: "password.rule.upper", test: password => /[A-Z]/.test(password) },
+    { id: "lower", labelKey: "password.rule.lower", test: password => /[a-z]/.test(password) },
+    { id: "digit", labelKey: "password.rule.digit", test: password => /\d/.test(password) },
+    { id: "symbol", labelKey: "password.rule.symbol", test: password => /[^A-Za-z0-9]/.test(password) }
+];
+
+// Message keys of the strength labels for the scores returned by estimatePasswordStrength() (0-4)
+const PASSWORD_STRENGTH_LABELS = [
+    "password.strength.0",
+    "password.strength.1",
+    "password.strength.2",
+    "password.strength.3",
+    "password.strength.4"
+];
+
+// Usernames: 3-20 characters, starting with a letter, then letters, numbers, ".", "_" or "-"
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 20;
+const USERNAME_PATTERN = /^[A-Za-z][A-Za-z0-9._-]*$/;
+
+// Usernames nobody can register, so no one can pass themselves off as the shop (compared ignoring case)
+const RESERVED_USERNAMES = [
+    "admin", "administrator", "root", "system", "staff", "support", "help", "info",
+    "owner", "manager", "moderator", "sweetlife", "sweet-life", "api", "null", "undefined"
+];
+
+// Usernames known to be taken, lower case (see setUsernameTaken())
+const takenUsernames = new Set();
+
+
+// --- Validation Engine ---
+
+/**
+ * Checks a single rule against a field value.
+ * @param {Object} rule - The rule to check.
+ * @param {*} value - The field value.
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {boolean} - True if the rule passes, false otherwise.
+ */
+function checkRule(rule, value, values) {
+    const text = typeof value === "string" ? value.trim() : value;
+    const isBlank = text === undefined || text === null || text === "" || text === false;
+
+    if (rule.required) {
+        return !isBlank;
+    }
+    if (rule.regex) {
+        return isBlank || rule.regex.test(text);
+    }
+    if (rule.minLength !== undefined) {
+        return isBlank || String(value).length >= rule.minLength;
+    }
+    if (rule.matchesField) {
+        return value === values[rule.matchesField];
+    }
+    if (rule.custom) {
+        return rule.custom(value, values);
+    }
+    return true;
+}
+
+/**
+ * Validates one field of a schema.
+ * @param {Object} fieldSchema - The field definition (field, errorId, when, rules).
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {string} - The error message of the first failing rule, or "" if the field is valid.
+ */
+function validateField(fieldSchema, values) {
+    if (fieldSchema.when && !fieldSchema.when(values)) {
+        return ""; // Field doesn't apply (e.g. delivery address on a pickup order)
+    }
+
+    const value = values[fieldSchema.field];
+    const failedRule = fieldSchema.rules.find(rule => !checkRule(rule, value, values));
+    if (!failedRule) {
+        return "";
+    }
+    return typeof failedRule.message === "function" ? failedRule.message(value, values) : t(failedRule.message);
+}
+
+/**
+ * Gets the ID of the <span> a field's error is shown in.
+ * @param {Object} fieldSchema - The field definition.
+ * @returns {string} - The error element ID (errorId, or "{field}-error" by default).
+ */
+function getErrorId(fieldSchema) {
+    return fieldSchema.errorId || `${fieldSchema.field}-error`;
+}
+
+/**
+ * Validates all fields of a schema.
+ * @param {Object[]} schema - The form schema.
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {{field: string, errorId: string, message: string}[]} - One entry per invalid field, in schema order.
+ */
+function validateValues(schema, values) {
+    const errors = [];
+    schema.forEach(fieldSchema => {
+        const message = validateField(fieldSchema, values);
+        if (message !== "") {
+            errors.push({
+                field: fieldSchema.field,
+                errorId: getErrorId(fieldSchema),
+                message: message
+            });
+        }
+    });
+    return errors;
+}
+
+
+// --- Form Schemas ---
+
+/** Registration form (registration.html) */
+const REGISTER_SCHEMA = [
+    {
+        field: "username",
+        rules: [
+            { required: true, message: "validation.username.required" },
+            { custom: isUsernameLengthValid, message: "validation.username.length" },
+            { regex: USERNAME_PATTERN, message: "validation.username.characters" },
+            { custom: value => !isReservedUsername(value), message: "validation.username.reserved" },
+            { custom: value => !isUsernameTaken(value), message: "validation.username.taken" }
+        ]
+    },
+    {
+        field: "password",
+        rules: [
+            { required: true, message: "validation.password.required" },
+            { minLength: 9, message: "validation.password.minLength" },
+            { custom: validateStrongPassword, message: "validation.password.strong" }
+        ]
+    },
+    {
+        field: "confirm-password",
+        rules: [
+            { matchesField: "password", message: "validation.confirmPassword.match" }
+        ]
+    },
+    {
+        field: "email",
+        rules: [
+            { required: true, message: "validation.email.required" },
+            { custom: validateEmailFormat, message: "validation.email.format" }
+        ]
+    },
+    {
+        field: "gender",
+        rules: [
+            { required: true, message: "validation.gender.required" }
+        ]
+    }
+];
+
+/** Email verification form (registration.html, shown once the account has been created) */
+const VERIFY_EMAIL_SCHEMA = [
+    {
+        field: "verification-code",
+        rules: [
+            { required: true, message: "validation.verificationCode.required" },
+            { regex: /^\d{6}$/, message: "validation.verificationCode.format" }
+        ]
+    }
+];
+
+/** Login form (login.html) */
+const LOGIN_SCHEMA = [
+    {
+        field: "username",
+        rules: [
+            { required: true, message: "validation.username.required" }
+        ]
+    },
+    {
+        field: "password",
+        rules: [
+            { required: true, message: "validation.password.required" }
+        ]
+    }
+];
+
+/** Order tracking form (track.html) */
+const TRACK_ORDER_SCHEMA = [
+    {
+        field: "track-order",
+        rules: [
+            { required: true, message: "validation.trackOrder.required" },
+            { regex: /^SL-\d{6}$/i, message: "validation.trackOrder.format" }
+        ]
+    },
+    {
+        field: "track-email",
+        rules: [
+            { required: true, message: "validation.email.required" },
+            { custom: validateEmailFormat, message: "validation.email.format" }
+        ]
+    }
+];
+
+// Conditions for the order form's optional sections
+const isDeliveryOrder = values => values["order-type"] === "delivery";
+const isPickupOrder = values => values["order-type"] === "pickup";
+const isPayOnline = values => values["pay-method"] === "online";
+// Pickup orders have no delivery address to copy, whatever "same as delivery" says
+const needsBillingAddress = values => isPickupOrder(values) || !values["same-as-delivery"];
+
+/** Order form (order.html) */
+const ORDER_SCHEMA = [
+    // 1. Flavor Selection - at least one flavor has quantity > 0
+    {
+        field: "flavor",
+        rules: [
+            {
+                custom: (value, values) => getQuantityTotal(getQuantitiesFromValues(values)) > 0,
+                message: "validation.flavor.required"
+            },
+            {
+                // No more than the per-order maximum, or the stock left (catalogue.js)
+                custom: (value, values) => findFlavorOverLimit(values) === null,
+                message: (value, values) => {
+                    const { flavor, limit } = findFlavorOverLimit(values);
+                    if (limit === 0) {
+                        return t("validation.flavor.soldOut", { flavor: t(flavor.nameKey) });
+                    }
+                    return limit < MAX_SCOOPS_PER_FLAVOR
+                        ? t("validation.flavor.onlyLeft", { flavor: t(flavor.nameKey), count: limit })
+                        : t("validation.flavor.maxPerOrder", { count: limit });
+                }
+            },
+            {
+                custom: (value, values) => meetsDeliveryMinimum(values),
+                message: (value, values) => {
+                    const zone = getDeliveryZone(values["delivery-postcode"]);
+                    return t("validation.flavor.deliveryMinimum", { zone: t(zone.nameKey), amount: formatCurrency(zone.minOrder) });
+                }
+            }
+        ]
+    },
+
+    // Order type and payment method (always set by the radio buttons on the page,
+    // but checked for requests sent straight to the server)
+    {
+        field: "order-type",
+        rules: [
+            { required: true, message: "validation.orderType.required" },
+            { regex: /^(delivery|pickup)$/, message: "validation.orderType.required" }
+        ]
+    },
+    {
+        field: "pay-method",
+        rules: [
+            { required: true, message: "validation.payMethod.required" },
+            { regex: /^(online|pickup)$/, message: "validation.payMethod.required" }
+        ]
+    },
+
+    // 2. Delivery Address
+    {
+        field: "delivery-street",
+        when: isDeliveryOrder,
+        rules: [
+            { required: true, message: "validation.deliveryStreet.required" }
+        ]
+    },
+    {
+        field: "delivery-suburb",
+        when: isDeliveryOrder,
+        rules: [
+            { required: true, message: "validation.deliverySuburb.required" }
+        ]
+    },
+    {
+        field: "delivery-postcode",
+        when: isDeliveryOrder,
+        rules: [
+            { custom: validatePostcode, message: "validation.deliveryPostcode.format" },
+            {
+                custom: (value, values) => suburbMatchesPostcode(values["delivery-suburb"], value),
+                message: (value, values) => getPostcodeMismatchMessage(values["delivery-suburb"], value)
+            },
+            {
+                custom: value => getDeliveryZone(value) !== null,
+                message: value => t("validation.deliveryPostcode.noZone", { postcode: String(value).trim() })
+            },
+            {
+                custom: value => getDeliveryZone(value).available,
+                message: value => t("validation.deliveryPostcode.zoneUnavailable", { zone: t(getDeliveryZone(value).nameKey) })
+            }
+        ]
+    },
+    {
+        field: "delivery-date",
+        when: isDeliveryOrder,
+        rules: getBookingDateRules("delivery")
+    },
+    {
+        field: "delivery-slot",
+        when: isDeliveryOrder,
+        rules: [
+            { required: true, message: "validation.deliverySlot.required" },
+            { custom: value => DELIVERY_SLOTS.some(slot => slot.id === value), message: "validation.deliverySlot.required" },
+            {
+                // Only checked once the date itself is valid
+                custom: (value, values) => !isBookableDate(values["delivery-date"])
+                    || isTimeBookable(values["delivery-date"], DELIVERY_SLOTS.find(slot => slot.id === value).start),
+                message: "validation.deliverySlot.tooSoon"
+            }
+        ]
+    },
+
+    // Pickup date and time (pickup orders only)
+    {
+        field: "pickup-date",
+        when: isPickupOrder,
+        rules: getBookingDateRules("pickup")
+    },
+    {
+        field: "pickup-time",
+        when: isPickupOrder,
+        rules: [
+            { required: true, message: "validation.pickupTime.required" },
+            { regex: /^([01]\d|2[0-3]):[0-5]\d$/, message: "validation.time.invalid" },
+            {
+                custom: (value, values) => !isBookableDate(values["pickup-date"]) || isWithinShopHours(values["pickup-date"], value),
+                message: (value, values) => {
+                    const hours = getShopHours(values["pickup-date"]);
+                    return t("validation.pickupTime.outsideHours", {
+                        day: getDayName(values["pickup-date"]),
+                        open: formatTime(hours.open),
+                        close: formatTime(hours.close)
+                    });
+                }
+            },
+            {
+                custom: (value, values) => !isBookableDate(values["pickup-date"]) || isTimeBookable(values["pickup-date"], value),
+                message: () => t("validation.pickupTime.tooSoon", { count: BOOKING_LEAD_MINUTES })
+            }
+        ]
+    },
+
+    // 3. Billing Address (unless "same as delivery" is checked on a delivery order)
+    {
+        field: "billing-street",
+        when: needsBillingAddress,
+        rules: [
+            { required: true, message: "validation.billingStreet.required" }
+        ]
+    },
+    {
+        field: "billing-suburb",
+        when: needsBillingAddress,
+        rules: [
+            { required: true, message: "validation.billingSuburb.required" }
+        ]
+    },
+    {
+        field: "billing-postcode",
+        when: needsBillingAddress,
+        rules: [
+            { custom: validatePostcode, message: "validation.billingPostcode.format" },
+            {
+                custom: (value, values) => suburbMatchesPostcode(values["billing-suburb"], value),
+                message: (value, values) => getPostcodeMismatchMessage(values["billing-suburb"], value)
+            }
+        ]
+    },
+
+    // 4. Contact Number (Australian mobile/landline, or international with a country code; see phone.js)
+    {
+        field: "contact-number",
+        rules: [
+            { required: true, message: "validation.contactNumber.required" },
+            {
+                custom: value => parsePhoneNumber(value).valid,
+                message: value => getPhoneErrorMessage(parsePhoneNumber(value))
+            },
+            {
+                custom: (value, values) => values["sms-updates"] !== true || parsePhoneNumber(value).type === "mobile",
+                message: "validation.contactNumber.smsNeedsMobile"
+            }
+        ]
+    },
+
+    // 5. Email
+    {
+        field: "email",
+        rules: [
+            { required: true, message: "validation.email.required" },
+            { custom: validateEmailFormat, message: "validation.email.format" }
+        ]
+    },
+
+    // 6. Payment Details (only when paying online)
+    {
+        field: "card-type",
+        when: isPayOnline,
+        rules: [
+            { required: true, message: "validation.cardType.required" },
+            { custom: value => Object.hasOwn(CARD_BRANDS, value), message: "validation.cardType.required" }
+        ]
+    },
+    {
+        field: "card-name",
+        when: isPayOnline,
+        rules: [
+            { required: true, message: "validation.cardName.required" },
+            { regex: /^[A-Za-z ]+$/, message: "validation.cardName.format" }
+        ]
+    },
+    {
+        // Digits, brand prefix, length for the type (Enhancement 3) and Luhn checksum
+        field: "card-number",
+        when: isPayOnline,
+        rules: [
+            { required: true, message: "validation.cardNumber.required" },
+            { regex: /^\d+$/, message: "validation.cardNumber.digits" },
+            {
+                custom: (value, values) => getCardBrandMismatch(values["card-type"], String(value).trim()) === "",
+                message: (value, values) => getCardBrandMismatch(values["card-type"], String(value).trim())
+            },
+            {
+                custom: (value, values) => !CARD_BRANDS[values["card-type"]] || String(value).trim().length === CARD_BRANDS[values["card-type"]].length,
+                message: (value, values) => t("validation.cardNumber.length", {
+                    brand: CARD_BRANDS[values["card-type"]].name,
+                    length: CARD_BRANDS[values["card-type"]].length
+                })
+            },
+            { custom: value => validateLuhn(String(value).trim()), message: "validation.cardNumber.luhn" }
+        ]
+    },
+    {
+        // MM/YY, not in the past
+        field: "card-expiry",
+        when: isPayOnline,
+        rules: [
+            { required: true, message: "validation.cardExpiry.required" },
+            { custom: value => parseCardExpiry(value) !== null, message: "validation.cardExpiry.format" },
+            { custom: value => !isCardExpired(parseCardExpiry(value)), message: "validation.cardExpiry.expired" }
+        ]
+    },
+    {
+        // 4 digits for Amex, 3 for others
+        field: "card-cvv",
+        when: isPayOnline,
+        rules: [
+            { required: true, message: "validation.cardCvv.required" },
+            {
+                custom: (value, values) => validateCvv(String(value).trim(), values["card-type"]),
+                message: (value, values) => CARD_BRANDS[values["card-type"]]
+                    ? t("validation.cardCvv.brandLength", {
+                        length: CARD_BRANDS[values["card-type"]].cvvLength,
+                        brand: CARD_BRANDS[values["card-type"]].name
+                    })
+                    : t("validation.cardCvv.length")
+            }
+        ]
+    },
+
+    // 7. Promo Code (optional, but must be valid if entered)
+    {
+        field: "promo-code",
+        when: values => String(values["promo-code"] || "").trim() !== "",
+        rules: [
+            {
+                custom: (value, values) => getPromoResult(value, values).valid,
+                message: (value, values) => getPromoResult(value, values).reason
+            }
+        ]
+    }
+];
+
+/**
+ * Reads flavour quantities from form values (the "flavor-{id}" fields).
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {Object<string, number>} - Quantities keyed by flavour id.
+ */
+function getQuantitiesFromValues(values) {
+    const quantities = {};
+    Object.keys(values).forEach(key => {
+        if (key.startsWith("flavor-")) {
+            quantities[key.slice("flavor-".length)] = parseInt(values[key]) || 0;
+        }
+    });
+    return quantities;
+}
+
+/**
+ * Finds the first flavour ordered in a larger quantity than can be ordered (getFlavorLimit() in catalogue.js).
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {{flavor: Flavor, limit: number}|null} - The flavour and its limit, or null if every quantity is allowed.
+ */
+function findFlavorOverLimit(values) {
+    const quantities = getQuantitiesFromValues(values);
+    const flavor = FLAVOR_CATALOGUE.find(item => (quantities[item.id] || 0) > getFlavorLimit(item.id));
+    return flavor ? { flavor: flavor, limit: getFlavorLimit(flavor.id) } : null;
+}
+
+/**
+ * Adds up the quantities of all flavours.
+ * @param {Object<string, number>} quantities - Quantities keyed by flavour id.
+ * @returns {number} - The total number of scoops.
+ */
+function getQuantityTotal(quantities) {
+    return Object.values(quantities).reduce((sum, qty) => sum + qty, 0);
+}
+
+/**
+ * Checks the promo code in the form values against the order it would apply to.
+ * @param {string} code - The promo code entered.
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {{valid: boolean, reason?: string}} - The result of evaluatePromoCode().
+ */
+function getPromoResult(code, values) {
+    return calculateOrderTotals(getQuantitiesFromValues(values), values["order-type"], code).promo;
+}
+
+/**
+ * Checks a delivery order reaches the minimum order of its delivery zone (delivery.js).
+ * @param {Object} values - All form values, keyed by field.
+ * @returns {boolean} - True if the minimum is met (or doesn't apply), false otherwise.
+ */
+function meetsDeliveryMinimum(values) {
+    if (!isDeliveryOrder(values)) {
+        return true;
+    }
+    const totals = calculateOrderTotals(getQuantitiesFromValues(values), "delivery", "", values["delivery-postcode"]);
+    return !totals.deliveryZone || totals.subtotal >= totals.deliveryZone.minOrder;
+}
+
+/**
+ * Builds the rules for a delivery or pickup date field.
+ * (Messages that use delivery.js are functions, as this file is also loaded on pages without it.)
+ * @param {string} kind - "delivery" or "pickup", used in the messages.
+ * @returns {Object[]} - The field's rules.
+ */
+function getBookingDateRules(kind) {
+    return [
+        { required: true, message: `validation.${kind}Date.required` },
+        { custom: value => parseDateKey(value) !== null, message: "validation.date.invalid" },
+        { custom: value => !isPastDate(value), message: "validation.date.past" },
+        {
+            custom: value => !isBeyondBookingWindow(value),
+            message: () => t("validation.date.tooFarAhead", { count: BOOKING_DAYS_AHEAD })
+        },
+        {
+            custom: value => getShopHours(value) !== null,
+            message: value => t("validation.date.closed", { day: getDayName(value) })
+        }
+    ];
+}
+
+
+// --- Validator Functions ---
+
+/**
+ * Validates a postcode is exactly 4 digits.
+ * @param {string} postcode - The postcode to validate.
+ * @returns {boolean} - True if valid, false otherwise.
+ */
+function validatePostcode(postcode) {
+    const postcodeRegex = /^\d{4}$/; // Regex for exactly 4 digits
+    return postcodeRegex.test(postcode);
+}
+
+/**
+ * Normalises a suburb name for comparison (case, extra spaces and "Saint" are ignored).
+ * @param {string} suburb - The suburb name as entered.
+ * @returns {string} - e.g. "st kilda" for " Saint  Kilda".
+ */
+function normalizeSuburb(suburb) {
+    return String(suburb || "").trim().toLowerCase().replace(/\s+/g, " ").replace(/^saint /, "st ");
+}
+
+/**
+ * Finds the suburbs (suburbs.js) whose name starts with what has been typed, for the typeahead.
+ * @param {string} query - The text typed so far.
+ * @param {number} [limit=8] - The maximum number of suburbs to return.
+ * @returns {Suburb[]} - Matching suburbs, sorted by name and then state.
+ */
+function findSuburbs(query, limit = 8) {
+    const search = normalizeSuburb(query);
+    if (search === "") {
+        return [];
+    }
+    return SUBURBS
+        .filter(entry => normalizeSuburb(entry.suburb).startsWith(search))
+        .sort((a, b) => a.suburb.localeCompare(b.suburb) || a.state.localeCompare(b.state))
+        .slice(0, limit);
+}
+
+/**
+ * Gets the postcodes listed for a suburb (in any state).
+ * @param {string} suburb - The suburb name.
+ * @returns {string[]} - The suburb's postcodes, or an empty array if it isn't in suburbs.js.
+ */
+function getSuburbPostcodes(suburb) {
+    const name = normalizeSuburb(suburb);
+    const postcodes = SUBURBS
+        .filter(entry => normalizeSuburb(entry.suburb) === name)
+        .map(entry => entry.postcode);
+    return [...new Set(postcodes)];
+}
+
+/**
+ * Checks that a postcode belongs to a suburb, e.g. "Hawthorn" and "9999" don't match.
+ * Suburbs that aren't in suburbs.js can't be checked, so they are accepted.
+ * @param {string} suburb - The suburb name.
+ * @param {string} postcode - The postcode.
+ * @returns {boolean} - True if they match (or the suburb is unknown), false otherwise.
+ */
+function suburbMatchesPostcode(suburb, postcode) {
+    const postcodes = getSuburbPostcodes(suburb);
+    return postcodes.length === 0 || postcodes.includes(String(postcode).trim());
+}
+
+/**
+ * Builds the error message for a suburb and postcode that don't match.
+ * @param {string} suburb - The suburb name.
+ * @param {string} postcode - The postcode.
+ * @returns {string} - e.g. "Postcode 9999 doesn't match Hawthorn (expected 3122)."
+ */
+function getPostcodeMismatchMessage(suburb, postcode) {
+    const postcodes = getSuburbPostcodes(suburb);
+    return t("validation.postcode.mismatch", {
+        postcode: String(postcode).trim(),
+        suburb: suburb.trim(),
+        expected: formatList(postcodes, "disjunction")
+    });
+}
+
+/**
+ * Builds the error message for a phone number that parsePhoneNumber() (phone.js) rejected.
+ * @param {PhoneNumber} phone - The parsed number.
+ * @returns {string} - e.g. "05 isn't an Australian area code. ..."
+ */
+function getPhoneErrorMessage(phone) {
+    return t(`validation.contactNumber.${phone.error}`, { areaCode: phone.areaCode });
+}
+
+/**
+ * Converts a date to a "YYYY-MM-DD" key (local time), the format used by <input type="date">.
+ * @param {Date} date - The date.
+ * @returns {string} - e.g. "2026-10-20".
+ */
+function toDateKey(date) {
+    const pad = number => String(number).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" date key.
+ * @param {string} dateKey - The date, as given by <input type="date">.
+ * @returns {Date|null} - Midnight on that day (local time), or null if it isn't a real date.
+ */
+function parseDateKey(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || "").trim());
+    if (!match) {
+        return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return toDateKey(date) === match[0] ? date : null; // Rejects dates like 2026-02-30
+}
+
+/**
+ * Checks whether a date is before today.
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} - True if the date has passed.
+ */
+function isPastDate(dateKey, now = new Date()) {
+    return dateKey.trim() < toDateKey(now);
+}
+
+/**
+ * Checks whether a date is further ahead than bookings are taken (BOOKING_DAYS_AHEAD in delivery.js).
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} - True if the date is too far ahead.
+ */
+function isBeyondBookingWindow(dateKey, now = new Date()) {
+    const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + BOOKING_DAYS_AHEAD);
+    return dateKey.trim() > toDateKey(lastDay);
+}
+
+/**
+ * Gets the shop's opening hours on a date (SHOP_HOURS in delivery.js).
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @returns {{open: string, close: string}|null} - The hours, or null if the shop is closed (or the date is invalid).
+ */
+function getShopHours(dateKey) {
+    const date = parseDateKey(dateKey);
+    return date ? SHOP_HOURS[date.getDay()] : null;
+}
+
+/**
+ * Checks a date can be booked: a real date, not in the past, not too far ahead and the shop is open.
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} - True if the date can be booked.
+ */
+function isBookableDate(dateKey, now = new Date()) {
+    return parseDateKey(dateKey) !== null
+        && !isPastDate(dateKey, now)
+        && !isBeyondBookingWindow(dateKey, now)
+        && getShopHours(dateKey) !== null;
+}
+
+/**
+ * Checks a time is within the shop's opening hours on a date.
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @param {string} time - The time ("HH:MM", 24-hour).
+ * @returns {boolean} - True if the shop is open at that time.
+ */
+function isWithinShopHours(dateKey, time) {
+    const hours = getShopHours(dateKey);
+    return hours !== null && time >= hours.open && time < hours.close;
+}
+
+/**
+ * Checks a time on a date is far enough away to book (BOOKING_LEAD_MINUTES in delivery.js).
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @param {string} time - The time ("HH:MM", 24-hour).
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} - True if the time is at least BOOKING_LEAD_MINUTES from now.
+ */
+function isTimeBookable(dateKey, time, now = new Date()) {
+    const date = parseDateKey(dateKey);
+    const [hours, minutes] = time.split(":").map(Number);
+    date.setHours(hours, minutes);
+    return date.getTime() - now.getTime() >= BOOKING_LEAD_MINUTES * 60 * 1000;
+}
+
+/**
+ * Gets the day of the week of a date, in the current language.
+ * @param {string} dateKey - The date ("YYYY-MM-DD").
+ * @returns {string} - e.g. "Monday".
+ */
+function getDayName(dateKey) {
+    return formatDate(parseDateKey(dateKey), { weekday: "long" });
+}
+
+/**
+ * Formats a 24-hour time for display, in the current language.
+ * @param {string} time - The time ("HH:MM", 24-hour).
+ * @returns {string} - e.g. "3:30 pm" for "15:30".
+ */
+function formatTime(time) {
+    const [hours, minutes] = time.split(":").map(Number);
+    return formatDate(new Date(2000, 0, 1, hours, minutes), { hour: "numeric", minute: "2-digit" });
+}
+
+/**
+ * Checks that a username is the right length (blank usernames are left to the "required" rule).
+ * @param {string} username - The username to check.
+ * @returns {boolean} - True if blank or between USERNAME_MIN_LENGTH and USERNAME_MAX_LENGTH characters.
+ */
+function isUsernameLengthValid(username) {
+    const length = String(username || "").trim().length;
+    return length === 0 || (length >= USERNAME_MIN_LENGTH && length <= USERNAME_MAX_LENGTH);
+}
+
+/**
+ * Checks whether a username is reserved for the shop.
+ * @param {string} username - The username to check.
+ * @returns {boolean} - True if the username is in RESERVED_USERNAMES (ignoring case).
+ */
+function isReservedUsername(username) {
+    return RESERVED_USERNAMES.includes(String(username || "").trim().toLowerCase());
+}
+
+/**
+ * Records whether a username is taken, as reported by the server's availability check.
+ * @param {string} username - The username.
+ * @param {boolean} taken - True if someone already has it.
+ */
+function setUsernameTaken(username, taken) {
+    const key = String(username || "").trim().toLowerCase();
+    if (taken) {
+        takenUsernames.add(key);
+    } else {
+        takenUsernames.delete(key);
+    }
+}
+
+/**
+ * Checks whether a username is known to be taken (see setUsernameTaken()).
+ * The server checks the user store itself when the form is submitted.
+ * @param {string} username - The username to check.
+ * @returns {boolean} - True if the username is known to be taken (ignoring case).
+ */
+function isUsernameTaken(username) {
+    return takenUsernames.has(String(username || "").trim().toLowerCase());
+}
+
+/**
+ * Validates a strong password: at least 9 chars, 1 upper, 1 lower, 1 digit, 1 symbol.
+ * @param {string} password - The password to validate.
+ * @returns {boolean} - True if valid, false otherwise.
+ */
+function validateStrongPassword(password) {
+    return PASSWORD_RULES.every(rule => rule.test(password));
+}
+
+/**
+ * Checks a password against the local list of common/breached passwords (common-passwords.js).
+ * Simple variations are caught too: different case, digits or symbols added to the end,
+ * and look-alike substitutions (e.g. "P@ssw0rd2024!" matches "password").
+ * @param {string} password - The password to check.
+ * @returns {boolean} - True if the password is (a variation of) a common password.
+ */
+function isCommonPassword(password) {
+    const lower = password.toLowerCase();
+    const lookAlikes = { "@": "a", "4": "a", "3": "e", "1": "i", "!": "i", "0": "o", "$": "s", "5": "s", "7": "t" };
+    const withoutSuffix = lower.replace(/[^a-z]+$/, "");
+
+    const candidates = [
+        lower,
+        lower.replace(/[^a-z0-9]+$/, ""),
+        withoutSuffix.replace(/[@43!10$57]/g, char => lookAlikes[char])
+    ];
+    return candidates.some(candidate => candidate !== "" && COMMON_PASSWORDS.includes(candidate));
+}
+
+/**
+ * Estimates how hard a password is to guess.
+ * The entropy is a rough estimate from the length and the types of characters used.
+ * Common passwords and passwords containing the user's own details are marked down and warned about.
+ * @param {string} password - The password to check.
+ * @param {{label: string, value: string}[]} [personalInfo=[]] - Details the password shouldn't contain (e.g. the username).
+ * @returns {{score: number, label: string, entropy: number, warnings: string[]}} - Score 0 (very weak) to 4 (very strong).
+ */
+function estimatePasswordStrength(password, personalInfo = []) {
+    let poolSize = 0;
+    if (/[a-z]/.test(password)) poolSize += 26;
+    if (/[A-Z]/.test(password)) poolSize += 26;
+    if (/\d/.test(password)) poolSize += 10;
+    if (/[^A-Za-z0-9]/.test(password)) poolSize += 33;
+    const entropy = poolSize > 0 ? Math.round(password.length * Math.log2(poolSize)) : 0;
+
+    // Score from the entropy: <28 bits very weak, <36 weak, <60 fair, <80 strong, otherwise very strong
+    let score = [28, 36, 60, 80].filter(threshold => entropy >= threshold).length;
+    const warnings = [];
+
+    if (password !== "" && isCommonPassword(password)) {
+        score = 0;
+        warnings.push(t("password.warning.common"));
+    }
+
+    personalInfo.forEach(info => {
+        const value = info.value.trim().toLowerCase();
+        if (value.length >= 3 && password.toLowerCase().includes(value)) {
+            score = Math.min(score, 1);
+            warnings.push(t("password.warning.personal", { info: info.label }));
+        }
+    });
+
+    return { score: score, label: t(PASSWORD_STRENGTH_LABELS[score]), entropy: entropy, warnings: warnings };
+}
+
+/**
+ * Validates a card number with the Luhn (mod 10) checksum.
+ * @param {string} cardNumber - The card number (digits only).
+ * @returns {boolean} - True if the checksum is valid, false otherwise.
+ */
+function validateLuhn(cardNumber) {
+    if (!/^\d+$/.test(cardNumber)) {
+        return false;
+    }
+
+    let sum = 0;
+    // Double every second digit, starting from the right-most digit's neighbour
+    for (let i = 0; i < cardNumber.length; i++) {
+        let digit = parseInt(cardNumber[cardNumber.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Detects the card brand from the IIN (the first digits of the card number).
+ * @param {string} cardNumber - The card number, or the start of it.
+ * @returns {string} - The brand key in CARD_BRANDS (e.g. "visa"), or "" if unknown.
+ */
+function detectCardBrand(cardNumber) {
+    const brandKey = Object.keys(CARD_BRANDS).find(key => CARD_BRANDS[key].iinPattern.test(cardNumber));
+    return brandKey || "";
+}
+
+/**
+ * Checks whether a card number's prefix contradicts the selected card type.
+ * @param {string} cardType - The selected card type (a CARD_BRANDS key, or "" or an unknown value).
+ * @param {string} cardNumber - The card number, or the start of it.
+ * @returns {string} - The mismatch error message, or "" if there is no mismatch.
+ */
+function getCardBrandMismatch(cardType, cardNumber) {
+    const detectedBrand = detectCardBrand(cardNumber);
+    // An unknown card type is reported on the card type field, not here
+    if (!CARD_BRANDS[cardType] || detectedBrand === "" || detectedBrand === cardType) {
+        return "";
+    }
+    return t("validation.cardNumber.brandMismatch", {
+        detected: CARD_BRANDS[detectedBrand].name,
+        selected: CARD_BRANDS[cardType].name
+    });
+}
+
+/**
+ * Parses a card expiry date in MM/YY format.
+ * @param {string} expiry - The expiry date entered by the user.
+ * @returns {{month: number, year: number}|null} - The month (1-12) and full year, or null if malformed.
+ */
+function parseCardExpiry(expiry) {
+    const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(String(expiry).trim());
+    if (!match) {
+        return null;
+    }
+
+    const month = parseInt(match[1]);
+    if (month < 1 || month > 12) {
+        return null;
+    }
+    return { month: month, year: 2000 + parseInt(match[2]) };
+}
+
+/**
+ * Checks whether a card has expired. Cards are valid until the end of their expiry month.
+ * @param {{month: number, year: number}} expiry - The parsed expiry date.
+ * @param {Date} [today=new Date()] - The date to compare against.
+ * @returns {boolean} - True if the card has expired, false otherwise.
+ */
+function isCardExpired(expiry, today = new Date()) {
+    const currentMonth = today.getFullYear() * 12 + today.getMonth() + 1;
+    return expiry.year * 12 + expiry.month < currentMonth;
+}
+
+/**
+ * Validates a CVV for the selected card type (4 digits for Amex, 3 for others).
+ * @param {string} cvv - The CVV entered.
+ * @param {string} cardType - The selected card type (a CARD_BRANDS key, or "" or an unknown value).
+ * @returns {boolean} - True if valid, false otherwise.
+ */
+function validateCvv(cvv, cardType) {
+    const brand = CARD_BRANDS[cardType];
+    const cvvPattern = brand ? new RegExp(`^\\d{${brand.cvvLength}}$`) : /^\d{3,4}$/;
+    return cvvPattern.test(cvv);
+}
+
+/**
+ * Validates a basic email format.
+ * @param {string} email - The email to validate.
+ * @returns {boolean} - True if valid, false otherwise.
+ */
+function validateEmailFormat(email) {
+    // A simple regex for email validation (not perfect, but sufficient)
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+}
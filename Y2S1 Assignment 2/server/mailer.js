@@ -0,0 +1,42 @@
+/*
+  File: mailer.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Stand-in mailer for the local Sweet Life server.
+  Nothing is actually sent: each email is written to a text file in the outbox folder
+  and logged to the console, so verification codes can be picked up while testing.
+  The outbox defaults to server/data/outbox; set SWEETLIFE_OUTBOX_DIR to use another folder.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const OUTBOX_DIR = process.env.SWEETLIFE_OUTBOX_DIR || path.join(__dirname, "data", "outbox");
+
+/**
+ * "Sends" an email by saving it to the outbox.
+ * Files are named by the time they were sent, so they sort oldest first.
+ * @param {{to: string, subject: string, text: string}} email - The recipient, subject and plain-text body.
+ * @returns {string} - The path of the saved email.
+ */
+function sendEmail(email) {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+    const sentAt = new Date();
+    const fileName = `${sentAt.toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}.txt`;
+    const filePath = path.join(OUTBOX_DIR, fileName);
+    const contents = [
+        `To: ${email.to}`,
+        `Subject: ${email.subject}`,
+        `Date: ${sentAt.toUTCString()}`,
+        "",
+        email.text
+    ].join("\n");
+    fs.writeFileSync(filePath, contents + "\n");
+    console.log(`Email to ${email.to} ("${email.subject}") saved to ${filePath}`);
+    return filePath;
+}
+
+module.exports = { sendEmail, OUTBOX_DIR };
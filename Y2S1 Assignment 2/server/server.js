@@ -0,0 +1,1075 @@
+/*
+  File: server.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Local mock backend for the Sweet Life website.
+  Serves the website and a small JSON API, so the registration and order forms
+  can be tested end to end without an external server.
+  Uses only Node's built-in modules. Start it from the "Y2S1 Assignment 2" folder with:
+      node server/server.js
+  and open http://localhost:3000/ (set PORT to use another port).
+
+  API:
+  - POST /api/register   : register a user (username and email must be unique) and email
+                           them a verification code
+  - GET  /api/username-available?username= : whether a username can be registered
+  - POST /api/verify-email : activate an account with its verification code; logs the user in
+  - POST /api/resend-code  : email a new verification code
+  - POST /api/login      : log in (verified accounts only); sets a session cookie
+  - POST /api/logout     : log out
+  - GET  /api/me         : the logged-in user's profile ({ "user": null } when logged out)
+  - POST /api/orders     : place an order
+  - GET  /api/orders     : the logged-in user's orders, newest first
+  - GET  /api/orders/:id : fetch an order by its order number (the customer who placed it,
+                           logged in, or staff only)
+  - POST /api/track      : an order's status and contents for the tracking page, given its
+                           order number and the email address it was placed with
+  - GET  /api/delivery-slots?date=YYYY-MM-DD : places left in each delivery time slot on a date
+  - GET  /api/stock      : scoops left of each flavour
+  - GET  /api/staff/orders?type=&status=     : (staff only) all orders, newest first,
+                                               optionally only one order type and/or status
+  - POST /api/staff/orders/:id/status        : (staff only) move an order to its next status
+                                               ({ "status": ... }; see js/order-status.js)
+  - GET  /api/staff/report                   : (staff only) anonymous registrations for the
+                                               marketing report (see js/report.js)
+
+  Each flavour's stock starts at its "stock" in js/catalogue.js. An order's scoops are taken
+  off when it is placed (orders for more than is left are turned away by ORDER_SCHEMA), and
+  put back if staff cancel it. To restock, edit "stock" in the data file while the server is stopped.
+
+  New accounts can't log in until their email address is verified. Registering emails a
+  6-digit code (through server/mailer.js, which saves emails to an outbox folder instead of
+  sending them) that must be entered on registration.html within 15 minutes. Accounts that
+  are never verified are removed after a day, freeing their username and email.
+
+  Orders placed while logged in are linked to the user, and can save the contact
+  number and addresses used back to the user's profile ("save-details").
+
+  Staff accounts are ordinary accounts whose usernames are listed (comma-separated)
+  in SWEETLIFE_STAFF, e.g.
+      SWEETLIFE_STAFF=sky node server/server.js
+  They can use the staff dashboard (dashboard.html) and the marketing report (report.html).
+
+  Request bodies are JSON objects of form values, as collected by getFormValues()
+  in script.js. They are validated with the same schemas as the forms (validation.js).
+  Validation failures return 400 (or 409 for duplicates) with
+      { "errors": [ { "field": ..., "errorId": ..., "message": ... } ] }
+  so the page can show each error in the matching "*-error" span.
+*/
+
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const store = require("./store");
+const shared = require("./shared");
+const mailer = require("./mailer");
+
+const PORT = process.env.PORT || 3000;
+const SITE_DIR = path.join(__dirname, "..");
+const MAX_BODY_SIZE = 100 * 1024; // 100 KB is plenty for a form
+const SESSION_COOKIE = "sweetlife_session";
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60; // Stay logged in for a week, in seconds
+const VERIFICATION_CODE_MAX_AGE = 15 * 60; // Verification codes last 15 minutes, in seconds
+const VERIFICATION_MAX_ATTEMPTS = 5; // Wrong codes allowed before a new code is needed
+const VERIFICATION_RESEND_DELAY = 60; // Wait a minute between codes, in seconds
+const PENDING_ACCOUNT_MAX_AGE = 24 * 60 * 60; // Unverified accounts are removed after a day, in seconds
+
+// Usernames of the staff accounts (lowercase), from SWEETLIFE_STAFF
+const STAFF_USERNAMES = (process.env.SWEETLIFE_STAFF || "").split(",")
+    .map(username => username.trim().toLowerCase())
+    .filter(username => username !== "");
+
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon"
+};
+
+
+// --- Helpers ---
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {Object} body - The object to send as JSON.
+ * @param {Object} [headers={}] - Extra response headers (e.g. Set-Cookie).
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({ "Content-Type": MIME_TYPES[".json"] }, headers));
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a single error in the same shape as validation errors.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @param {string} [field="form"] - The field the error belongs to.
+ */
+function sendError(res, status, message, field = "form") {
+    sendJson(res, status, { errors: [{ field: field, errorId: `${field}-error`, message: message }] });
+}
+
+/**
+ * Creates an error whose message comes from the message catalogue (js/i18n.js).
+ * The message is in English; messageKey lets the website show it in the customer's language.
+ * @param {string} field - The field the error belongs to.
+ * @param {string} messageKey - The key of the message in the catalogue.
+ * @returns {{field: string, errorId: string, message: string, messageKey: string}}
+ */
+function createMessageError(field, messageKey) {
+    return { field: field, errorId: `${field}-error`, message: shared.t(messageKey), messageKey: messageKey };
+}
+
+/**
+ * Sends a single error with a message from the message catalogue (see createMessageError()).
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} messageKey - The key of the message in the catalogue.
+ * @param {string} [field="form"] - The field the error belongs to.
+ */
+function sendMessageError(res, status, messageKey, field = "form") {
+    sendJson(res, status, { errors: [createMessageError(field, messageKey)] });
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Object>} - The parsed body. Rejects if it is too large or not a JSON object.
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_SIZE) {
+                reject(new Error("Request body is too large."));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                const parsed = JSON.parse(body || "{}");
+                if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+                    throw new Error("Request body must be a JSON object.");
+                }
+                resolve(parsed);
+            } catch (error) {
+                reject(new Error("Request body must be a JSON object."));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Hashes a password with a random salt (scrypt).
+ * @param {string} password - The plain-text password.
+ * @returns {string} - "salt:hash", both hex encoded.
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString("hex");
+    const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+    return `${salt}:${hash}`;
+}
+
+/**
+ * Checks a password against a hash made by hashPassword().
+ * @param {string} password - The plain-text password.
+ * @param {string} passwordHash - The stored "salt:hash".
+ * @returns {boolean} - True if the password matches.
+ */
+function verifyPassword(password, passwordHash) {
+    const [salt, hash] = passwordHash.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+
+// --- Sessions ---
+
+/**
+ * Hashes a session token, so the data file never holds a token that could be used to log in.
+ * @param {string} token - The session token from the cookie.
+ * @returns {string} - The SHA-256 hash, hex encoded.
+ */
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Reads the session token from the request's cookies.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {string} - The token, or "" if there isn't one.
+ */
+function getSessionToken(req) {
+    const cookies = (req.headers.cookie || "").split(";").map(cookie => cookie.trim().split("="));
+    const sessionCookie = cookies.find(([name]) => name === SESSION_COOKIE);
+    return sessionCookie ? sessionCookie[1] || "" : "";
+}
+
+/**
+ * Starts a session for a user, clearing out expired sessions.
+ * @param {Object} data - The stored data (the caller saves it).
+ * @param {Object} user - The user to log in.
+ * @returns {string} - The session token for the cookie.
+ */
+function createSession(data, user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    data.sessions = data.sessions.filter(session => Date.parse(session.expiresAt) >= now);
+    data.sessions.push({
+        tokenHash: hashToken(token),
+        userId: user.id,
+        expiresAt: new Date(now + SESSION_MAX_AGE * 1000).toISOString()
+    });
+    return token;
+}
+
+/**
+ * Finds the logged-in user for a request. Expired sessions are ignored.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Object|null} - The user, or null if not logged in.
+ */
+function getSessionUser(req) {
+    const token = getSessionToken(req);
+    if (token === "") {
+        return null;
+    }
+    const data = store.getData();
+    const session = data.sessions.find(item => item.tokenHash === hashToken(token));
+    if (!session || Date.parse(session.expiresAt) < Date.now()) {
+        return null;
+    }
+    return data.users.find(user => user.id === session.userId) || null;
+}
+
+/**
+ * Checks whether a user is a member of staff (listed in SWEETLIFE_STAFF).
+ * @param {Object} user - The stored user.
+ * @returns {boolean} - True for staff accounts.
+ */
+function isStaff(user) {
+    return STAFF_USERNAMES.includes(user.username.toLowerCase());
+}
+
+/**
+ * Finds the logged-in member of staff for a request, sending a 401 (not logged in)
+ * or 403 (not staff) error if there isn't one.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @returns {Object|null} - The staff user, or null if an error was sent.
+ */
+function requireStaff(req, res) {
+    const user = getSessionUser(req);
+    if (!user) {
+        sendMessageError(res, 401, "server.staffLoginRequired");
+        return null;
+    }
+    if (!isStaff(user)) {
+        sendMessageError(res, 403, "server.staffOnly");
+        return null;
+    }
+    return user;
+}
+
+/**
+ * Builds the Set-Cookie header for the session cookie.
+ * @param {string} token - The session token ("" to clear the cookie).
+ * @returns {string} - The header value.
+ */
+function getSessionCookie(token) {
+    const maxAge = token === "" ? 0 : SESSION_MAX_AGE;
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}`;
+}
+
+/**
+ * Gets the parts of a user's profile that are sent to the page (never the password hash).
+ * @param {Object} user - The stored user.
+ * @returns {Object} - The public profile.
+ */
+function getPublicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        contactNumber: user.contactNumber || "",
+        deliveryAddress: user.deliveryAddress || null,
+        billingAddress: user.billingAddress || null,
+        staff: isStaff(user)
+    };
+}
+
+/**
+ * Drops values that a form could never have sent (numbers, objects, null...), so
+ * the validation rules only ever see strings, booleans (checkboxes) and arrays of
+ * strings (checkbox lists, whose names end in "[]" like "favs[]"). An array sent for
+ * any other field is dropped too, so what gets validated is exactly what gets stored.
+ * @param {Object} values - The submitted form values.
+ * @returns {Object} - The cleaned-up values.
+ */
+function normalizeValues(values) {
+    const normalized = {};
+    Object.keys(values).forEach(key => {
+        const value = values[key];
+        if (key.endsWith("[]")) {
+            if (Array.isArray(value)) {
+                normalized[key] = value.filter(item => typeof item === "string");
+            }
+        } else if (typeof value === "string" || typeof value === "boolean") {
+            normalized[key] = value;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Keeps only the quantities of flavours that can currently be ordered, so a
+ * hand-crafted request can't order unknown or unavailable flavours.
+ * @param {Object} values - The submitted form values.
+ * @returns {Object} - A copy of the values with only available "flavor-{id}" fields.
+ */
+function sanitizeFlavorValues(values) {
+    const availableIds = shared.FLAVOR_CATALOGUE.filter(flavor => flavor.available).map(flavor => flavor.id);
+    const sanitized = {};
+    Object.keys(values).forEach(key => {
+        if (!key.startsWith("flavor-") || availableIds.includes(key.slice("flavor-".length))) {
+            sanitized[key] = values[key];
+        }
+    });
+    availableIds.forEach(id => {
+        const qty = parseInt(sanitized[`flavor-${id}`]) || 0;
+        sanitized[`flavor-${id}`] = String(Math.max(0, qty));
+    });
+    return sanitized;
+}
+
+/**
+ * Gets the scoops left of each flavour, starting flavours that aren't in the data file yet
+ * at their stock in the catalogue.
+ * @returns {Object<string, number>} - Scoops left keyed by flavour id (the stored object, so changes are saved).
+ */
+function getStock() {
+    const data = store.getData();
+    shared.FLAVOR_CATALOGUE.forEach(flavor => {
+        if (typeof data.stock[flavor.id] !== "number") {
+            data.stock[flavor.id] = flavor.stock;
+        }
+    });
+    return data.stock;
+}
+
+/**
+ * Reads a trimmed string value, treating anything else as "".
+ * @param {Object} values - The submitted form values.
+ * @param {string} key - The field to read.
+ * @returns {string} - The trimmed value.
+ */
+function getText(values, key) {
+    return typeof values[key] === "string" ? values[key].trim() : "";
+}
+
+
+// --- Email Verification ---
+
+/**
+ * Finds a user by username (case-insensitive).
+ * @param {Object} data - The stored data.
+ * @param {string} username - The username.
+ * @returns {Object|null} - The user, or null if there isn't one.
+ */
+function findUser(data, username) {
+    const key = username.toLowerCase();
+    return data.users.find(user => user.username.toLowerCase() === key) || null;
+}
+
+/**
+ * Removes accounts that were never verified once they are older than PENDING_ACCOUNT_MAX_AGE,
+ * so their usernames and emails can be registered again.
+ * @param {Object} data - The stored data (the caller saves it).
+ */
+function removeExpiredPendingUsers(data) {
+    const cutoff = Date.now() - PENDING_ACCOUNT_MAX_AGE * 1000;
+    data.users = data.users.filter(user => user.verified !== false || Date.parse(user.createdAt) >= cutoff);
+}
+
+/**
+ * Gives an unverified user a new 6-digit verification code and emails it to them.
+ * Only a hash of the code is stored.
+ * @param {Object} user - The stored user (changed in place; the caller saves the data).
+ * @param {http.IncomingMessage} req - The request, for the link back to the website.
+ */
+function sendVerificationCode(user, req) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const now = Date.now();
+    user.verification = {
+        codeHash: hashToken(code),
+        sentAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + VERIFICATION_CODE_MAX_AGE * 1000).toISOString(),
+        attempts: 0
+    };
+
+    const link = `http://${req.headers.host || `localhost:${PORT}`}/registration.html?verify=${encodeURIComponent(user.username)}`;
+    mailer.sendEmail({
+        to: user.email,
+        subject: shared.t("email.verify.subject"),
+        text: shared.t("email.verify.body", {
+            username: user.username,
+            code: code,
+            minutes: VERIFICATION_CODE_MAX_AGE / 60,
+            link: link
+        })
+    });
+}
+
+
+// --- API Handlers ---
+
+/**
+ * POST /api/register - Registers a new user.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleRegister(req, res) {
+    const values = normalizeValues(await readJsonBody(req));
+
+    const errors = shared.validateValues(shared.REGISTER_SCHEMA, values);
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    // Usernames and emails must be unique (case-insensitive)
+    const data = store.getData();
+    removeExpiredPendingUsers(data);
+    const username = getText(values, "username");
+    const email = getText(values, "email").toLowerCase();
+    const duplicates = [];
+    if (findUser(data, username)) {
+        duplicates.push(createMessageError("username", "server.usernameTaken"));
+    }
+    if (data.users.some(user => user.email === email)) {
+        duplicates.push(createMessageError("email", "server.emailTaken"));
+    }
+    if (duplicates.length > 0) {
+        sendJson(res, 409, { errors: duplicates });
+        return;
+    }
+
+    const user = {
+        id: crypto.randomUUID(),
+        username: username,
+        email: email,
+        passwordHash: hashPassword(values.password),
+        gender: getText(values, "gender"),
+        favs: values["favs[]"] || [],
+        referral: getText(values, "referral"),
+        createdAt: new Date().toISOString(),
+        verified: false
+    };
+    sendVerificationCode(user, req);
+    data.users.push(user);
+    store.saveData();
+
+    sendJson(res, 201, {
+        user: { id: user.id, username: user.username, email: user.email },
+        verificationRequired: true
+    });
+}
+
+/**
+ * GET /api/username-available?username= - Whether a username can be registered.
+ * Usernames that break the rules in REGISTER_SCHEMA get a 400 with the reason.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleCheckUsername(req, res) {
+    const username = (new URL(req.url, "http://localhost").searchParams.get("username") || "").trim();
+    const usernameSchema = shared.REGISTER_SCHEMA.filter(field => field.field === "username");
+    const errors = shared.validateValues(usernameSchema, { username: username });
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    const data = store.getData();
+    removeExpiredPendingUsers(data);
+    sendJson(res, 200, { username: username, available: !findUser(data, username) });
+}
+
+/**
+ * POST /api/verify-email - Activates an account with the code emailed to it, and logs the user in.
+ * Too many wrong codes use the code up, so codes can't be guessed.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleVerifyEmail(req, res) {
+    const values = normalizeValues(await readJsonBody(req));
+
+    const errors = shared.validateValues(shared.VERIFY_EMAIL_SCHEMA, values);
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    const data = store.getData();
+    removeExpiredPendingUsers(data);
+    const user = findUser(data, getText(values, "verify-username"));
+    if (!user || user.verified !== false) {
+        sendMessageError(res, 400, "server.noPendingVerification");
+        return;
+    }
+
+    const verification = user.verification;
+    if (verification.attempts >= VERIFICATION_MAX_ATTEMPTS) {
+        sendMessageError(res, 429, "server.codeTooManyAttempts", "verification-code");
+        return;
+    }
+    if (Date.parse(verification.expiresAt) < Date.now()) {
+        sendMessageError(res, 400, "server.codeExpired", "verification-code");
+        return;
+    }
+    if (hashToken(getText(values, "verification-code")) !== verification.codeHash) {
+        verification.attempts++;
+        store.saveData();
+        const messageKey = verification.attempts >= VERIFICATION_MAX_ATTEMPTS ? "server.codeTooManyAttempts" : "server.codeIncorrect";
+        sendMessageError(res, 400, messageKey, "verification-code");
+        return;
+    }
+
+    user.verified = true;
+    user.verifiedAt = new Date().toISOString();
+    delete user.verification;
+    const token = createSession(data, user);
+    store.saveData();
+
+    sendJson(res, 200, { user: getPublicUser(user) }, { "Set-Cookie": getSessionCookie(token) });
+}
+
+/**
+ * POST /api/resend-code - Emails a new verification code (replacing the old one)
+ * to an account that hasn't been verified yet. Limited to one code a minute.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleResendCode(req, res) {
+    const values = normalizeValues(await readJsonBody(req));
+
+    const data = store.getData();
+    removeExpiredPendingUsers(data);
+    const user = findUser(data, getText(values, "verify-username"));
+    if (!user || user.verified !== false) {
+        sendMessageError(res, 400, "server.noPendingVerification");
+        return;
+    }
+    if (Date.now() - Date.parse(user.verification.sentAt) < VERIFICATION_RESEND_DELAY * 1000) {
+        sendMessageError(res, 429, "server.codeResendTooSoon");
+        return;
+    }
+
+    sendVerificationCode(user, req);
+    store.saveData();
+
+    // The email address isn't sent back, so usernames can't be used to look up addresses
+    sendJson(res, 200, { sent: true });
+}
+
+/**
+ * POST /api/login - Logs a user in and sets the session cookie.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleLogin(req, res) {
+    const values = normalizeValues(await readJsonBody(req));
+
+    const errors = shared.validateValues(shared.LOGIN_SCHEMA, values);
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    // The same message either way, so the form doesn't reveal which usernames exist
+    const data = store.getData();
+    const user = findUser(data, getText(values, "username"));
+    if (!user || !verifyPassword(values.password, user.passwordHash)) {
+        sendMessageError(res, 401, "server.loginFailed", "password");
+        return;
+    }
+
+    // Accounts from before email verification have no "verified" flag and can log in as before
+    if (user.verified === false) {
+        sendMessageError(res, 403, "server.emailNotVerified");
+        return;
+    }
+
+    const token = createSession(data, user);
+    store.saveData();
+
+    sendJson(res, 200, { user: getPublicUser(user) }, { "Set-Cookie": getSessionCookie(token) });
+}
+
+/**
+ * POST /api/logout - Logs out and clears the session cookie.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleLogout(req, res) {
+    const token = getSessionToken(req);
+    if (token !== "") {
+        const data = store.getData();
+        data.sessions = data.sessions.filter(session => session.tokenHash !== hashToken(token));
+        store.saveData();
+    }
+    sendJson(res, 200, { user: null }, { "Set-Cookie": getSessionCookie("") });
+}
+
+/**
+ * GET /api/me - The logged-in user's profile, or { "user": null }.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleGetMe(req, res) {
+    const user = getSessionUser(req);
+    sendJson(res, 200, { user: user ? getPublicUser(user) : null });
+}
+
+/**
+ * POST /api/orders - Places an order. Totals are recalculated here; the ones
+ * submitted by the page are ignored. Card numbers and CVVs are never stored.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handlePlaceOrder(req, res) {
+    const values = sanitizeFlavorValues(normalizeValues(await readJsonBody(req)));
+
+    // Check the quantities against the stock left right now
+    const stock = getStock();
+    shared.setFlavorStock(stock);
+    const errors = shared.validateValues(shared.ORDER_SCHEMA, values);
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    const orderType = getText(values, "order-type");
+    const payMethod = getText(values, "pay-method");
+    const totals = shared.calculateOrderTotals(shared.getQuantitiesFromValues(values), orderType,
+        getText(values, "promo-code"), getText(values, "delivery-postcode"));
+
+    // The slot may have filled up since the page last checked
+    const slot = orderType === "delivery"
+        ? shared.DELIVERY_SLOTS.find(item => item.id === getText(values, "delivery-slot"))
+        : null;
+    if (slot && countSlotBookings(getText(values, "delivery-date"), slot.id) >= slot.capacity) {
+        sendMessageError(res, 409, "server.slotFull", "delivery-slot");
+        return;
+    }
+    const schedule = slot ? {
+        date: getText(values, "delivery-date"),
+        slot: slot.id,
+        start: slot.start,
+        end: slot.end
+    } : {
+        date: getText(values, "pickup-date"),
+        slot: null,
+        start: getText(values, "pickup-time"),
+        end: null
+    };
+
+    const delivery = orderType === "delivery" ? {
+        street: getText(values, "delivery-street"),
+        suburb: getText(values, "delivery-suburb"),
+        postcode: getText(values, "delivery-postcode"),
+        zone: totals.deliveryZone.id
+    } : null;
+    const billing = values["same-as-delivery"] === true && delivery ? {
+        street: delivery.street,
+        suburb: delivery.suburb,
+        postcode: delivery.postcode
+    } : {
+        street: getText(values, "billing-street"),
+        suburb: getText(values, "billing-suburb"),
+        postcode: getText(values, "billing-postcode")
+    };
+
+    const data = store.getData();
+    const user = getSessionUser(req);
+    const order = {
+        id: `SL-${String(data.nextOrderNumber).padStart(6, "0")}`,
+        createdAt: new Date().toISOString(),
+        userId: user ? user.id : null,
+        status: "received",
+        orderType: orderType,
+        items: totals.lines.map(line => ({
+            flavor: line.flavor.id,
+            name: shared.t(line.flavor.nameKey),
+            quantity: line.quantity,
+            price: line.flavor.price,
+            lineTotal: line.lineTotal
+        })),
+        delivery: delivery,
+        schedule: schedule,
+        billing: billing,
+        contactNumber: shared.toE164(getText(values, "contact-number")), // Already checked by ORDER_SCHEMA
+        smsUpdates: values["sms-updates"] === true,
+        email: getText(values, "email").toLowerCase(),
+        payment: {
+            method: payMethod,
+            // Only the brand and last 4 digits are kept
+            card: payMethod === "online" ? {
+                brand: getText(values, "card-type"),
+                last4: getText(values, "card-number").slice(-4)
+            } : null
+        },
+        remarks: getText(values, "remarks"),
+        promoCode: totals.promo && totals.promo.valid ? totals.promo.code : "",
+        totals: {
+            subtotal: totals.subtotal,
+            discount: totals.discount,
+            deliveryFee: totals.deliveryFee,
+            gst: totals.gst,
+            total: totals.total
+        }
+    };
+    data.nextOrderNumber++;
+    data.orders.push(order);
+    order.items.forEach(item => {
+        stock[item.flavor] -= item.quantity;
+    });
+
+    // Save the contact number and addresses to the customer's profile if they asked to
+    if (user && values["save-details"] === true) {
+        user.contactNumber = order.contactNumber;
+        if (delivery) {
+            user.deliveryAddress = { street: delivery.street, suburb: delivery.suburb, postcode: delivery.postcode };
+        }
+        user.billingAddress = billing;
+    }
+    store.saveData();
+
+    sendJson(res, 201, { order: order });
+}
+
+/**
+ * GET /api/orders/:id - Fetches an order by its order number, for the customer who placed it
+ * (logged in) or staff. Order numbers run in sequence, so anyone else gets the same 404 as for
+ * an order that doesn't exist; guests look their orders up with POST /api/track instead.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} orderId - The order number from the URL.
+ */
+function handleGetOrder(req, res, orderId) {
+    const user = getSessionUser(req);
+    const order = store.getData().orders.find(item => item.id === orderId.toUpperCase());
+    const canSee = order && user && (order.userId === user.id || isStaff(user));
+    if (!canSee) {
+        sendError(res, 404, `Order ${orderId} was not found.`);
+        return;
+    }
+    sendJson(res, 200, { order: order });
+}
+
+/**
+ * POST /api/track - Looks up an order for the tracking page (track.html), given its order number
+ * and the email address it was placed with. A wrong email gets the same 404 as a wrong order number,
+ * so order numbers can't be checked against other people's email addresses.
+ * Only what the page shows is sent: no billing, contact or payment details, and not which
+ * member of staff changed the status.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleTrackOrder(req, res) {
+    const values = normalizeValues(await readJsonBody(req));
+
+    const errors = shared.validateValues(shared.TRACK_ORDER_SCHEMA, values);
+    if (errors.length > 0) {
+        sendJson(res, 400, { errors: errors });
+        return;
+    }
+
+    const orderId = getText(values, "track-order").toUpperCase();
+    const email = getText(values, "track-email").toLowerCase();
+    const order = store.getData().orders.find(item => item.id === orderId && item.email === email);
+    if (!order) {
+        sendMessageError(res, 404, "server.trackNotFound");
+        return;
+    }
+
+    sendJson(res, 200, {
+        order: {
+            id: order.id,
+            createdAt: order.createdAt,
+            status: order.status,
+            orderType: order.orderType,
+            items: order.items,
+            delivery: order.delivery,
+            schedule: order.schedule || null,
+            totals: order.totals,
+            statusHistory: (order.statusHistory || []).map(change => ({ status: change.status, changedAt: change.changedAt }))
+        }
+    });
+}
+
+/**
+ * Counts the delivery orders booked in a time slot on a date. Cancelled orders free up their place.
+ * @param {string} date - The delivery date ("YYYY-MM-DD").
+ * @param {string} slotId - The time slot's id.
+ * @returns {number} - The number of bookings.
+ */
+function countSlotBookings(date, slotId) {
+    return store.getData().orders.filter(order => order.status !== "cancelled"
+        && order.schedule && order.schedule.date === date && order.schedule.slot === slotId).length;
+}
+
+/**
+ * GET /api/delivery-slots?date=YYYY-MM-DD - Lists the delivery time slots on a date,
+ * with the number of places left in each.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleGetDeliverySlots(req, res) {
+    const date = new URL(req.url, "http://localhost").searchParams.get("date") || "";
+    if (!shared.isBookableDate(date)) {
+        sendMessageError(res, 400, "server.dateUnavailable", "delivery-date");
+        return;
+    }
+    const slots = shared.DELIVERY_SLOTS.map(slot => ({
+        id: slot.id,
+        label: slot.label,
+        remaining: Math.max(slot.capacity - countSlotBookings(date, slot.id), 0)
+    }));
+    sendJson(res, 200, { date: date, slots: slots });
+}
+
+/**
+ * GET /api/stock - The scoops left of each flavour.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleGetStock(req, res) {
+    sendJson(res, 200, { stock: getStock() });
+}
+
+/**
+ * GET /api/orders - Lists the logged-in user's orders, newest first.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleListOrders(req, res) {
+    const user = getSessionUser(req);
+    if (!user) {
+        sendMessageError(res, 401, "server.loginRequired");
+        return;
+    }
+    const orders = store.getData().orders.filter(order => order.userId === user.id).reverse();
+    sendJson(res, 200, { orders: orders });
+}
+
+/**
+ * GET /api/staff/orders?type=&status= - (Staff only) Lists all orders, newest first.
+ * "type" ("delivery" or "pickup") and "status" (see js/order-status.js) narrow the list down;
+ * leave them out (or empty) for all orders.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleListAllOrders(req, res) {
+    if (!requireStaff(req, res)) {
+        return;
+    }
+    const params = new URL(req.url, "http://localhost").searchParams;
+    const orderType = params.get("type") || "";
+    const status = params.get("status") || "";
+    if (orderType !== "" && orderType !== "delivery" && orderType !== "pickup") {
+        sendError(res, 400, `Unknown order type "${orderType}".`);
+        return;
+    }
+    if (status !== "" && !shared.ORDER_STATUSES.includes(status)) {
+        sendError(res, 400, `Unknown order status "${status}".`);
+        return;
+    }
+
+    const orders = store.getData().orders
+        .filter(order => (orderType === "" || order.orderType === orderType) && (status === "" || order.status === status))
+        .reverse();
+    sendJson(res, 200, { orders: orders });
+}
+
+/**
+ * POST /api/staff/orders/:id/status - (Staff only) Moves an order to its next status.
+ * Only the changes in the workflow (js/order-status.js) are allowed; each one is
+ * recorded in the order's statusHistory with the time and the member of staff.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} orderId - The order number from the URL.
+ */
+async function handleUpdateOrderStatus(req, res, orderId) {
+    const staffUser = requireStaff(req, res);
+    if (!staffUser) {
+        return;
+    }
+    const status = getText(await readJsonBody(req), "status");
+    const data = store.getData();
+    const order = data.orders.find(item => item.id === orderId.toUpperCase());
+    if (!order) {
+        sendError(res, 404, `Order ${orderId} was not found.`);
+        return;
+    }
+    if (!shared.canChangeOrderStatus(order, status)) {
+        sendMessageError(res, 409, "server.statusChange", "status");
+        return;
+    }
+
+    // Cancelled orders' scoops can be sold again
+    if (status === "cancelled") {
+        const stock = getStock();
+        order.items.forEach(item => {
+            if (item.flavor in stock) {
+                stock[item.flavor] += item.quantity;
+            }
+        });
+    }
+
+    order.status = status;
+    order.statusHistory = (order.statusHistory || []).concat({
+        status: status,
+        changedAt: new Date().toISOString(),
+        changedBy: staffUser.username
+    });
+    store.saveData();
+
+    sendJson(res, 200, { order: order });
+}
+
+/**
+ * GET /api/staff/report - (staff only) The registrations behind the marketing report (report.html),
+ * oldest first: one per verified account, with its answers from registration.html and what it has
+ * ordered, but no username or contact details (see js/report.js).
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleGetReport(req, res) {
+    if (!requireStaff(req, res)) {
+        return;
+    }
+
+    const data = store.getData();
+    const registrations = data.users
+        .filter(user => user.verified !== false)
+        .map(user => {
+            const orders = data.orders.filter(order => order.userId === user.id && order.status !== "cancelled");
+            const scoops = {};
+            orders.forEach(order => order.items.forEach(item => {
+                scoops[item.flavor] = (scoops[item.flavor] || 0) + item.quantity;
+            }));
+            return {
+                registeredAt: user.createdAt,
+                referral: user.referral || "",
+                gender: user.gender || "",
+                favs: user.favs || [],
+                orders: orders.length,
+                scoops: scoops
+            };
+        })
+        .sort((a, b) => a.registeredAt.localeCompare(b.registeredAt));
+    sendJson(res, 200, { registrations: registrations });
+}
+
+// API routes: method, URL pattern (capture groups are passed to the handler) and handler
+const ROUTES = [
+    { method: "POST", pattern: /^\/api\/register$/, handler: handleRegister },
+    { method: "GET", pattern: /^\/api\/username-available$/, handler: handleCheckUsername },
+    { method: "POST", pattern: /^\/api\/verify-email$/, handler: handleVerifyEmail },
+    { method: "POST", pattern: /^\/api\/resend-code$/, handler: handleResendCode },
+    { method: "POST", pattern: /^\/api\/login$/, handler: handleLogin },
+    { method: "POST", pattern: /^\/api\/logout$/, handler: handleLogout },
+    { method: "GET", pattern: /^\/api\/me$/, handler: handleGetMe },
+    { method: "POST", pattern: /^\/api\/orders$/, handler: handlePlaceOrder },
+    { method: "GET", pattern: /^\/api\/orders$/, handler: handleListOrders },
+    { method: "GET", pattern: /^\/api\/orders\/([\w-]+)$/, handler: handleGetOrder },
+    { method: "POST", pattern: /^\/api\/track$/, handler: handleTrackOrder },
+    { method: "GET", pattern: /^\/api\/delivery-slots$/, handler: handleGetDeliverySlots },
+    { method: "GET", pattern: /^\/api\/stock$/, handler: handleGetStock },
+    { method: "GET", pattern: /^\/api\/staff\/orders$/, handler: handleListAllOrders },
+    { method: "POST", pattern: /^\/api\/staff\/orders\/([\w-]+)\/status$/, handler: handleUpdateOrderStatus },
+    { method: "GET", pattern: /^\/api\/staff\/report$/, handler: handleGetReport }
+];
+
+
+// --- Static Files ---
+
+/**
+ * Serves a file from the website folder. The server's own folder is not served.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} pathname - The decoded URL path.
+ */
+function serveStatic(req, res, pathname) {
+    const filePath = path.normalize(path.join(SITE_DIR, pathname === "/" ? "index.html" : pathname));
+    const isInsideSite = filePath.startsWith(SITE_DIR + path.sep);
+    const isServerFile = filePath.startsWith(__dirname + path.sep);
+
+    if (!isInsideSite || isServerFile || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end("Not found");
+        return;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    res.writeHead(200, { "Content-Type": contentType });
+    fs.createReadStream(filePath).pipe(res);
+}
+
+
+// --- Server ---
+
+const server = http.createServer(async (req, res) => {
+    try {
+        const pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+
+        if (pathname.startsWith("/api/")) {
+            const route = ROUTES.find(item => item.method === req.method && item.pattern.test(pathname));
+            if (!route) {
+                sendError(res, 404, "Not found.");
+                return;
+            }
+            await route.handler(req, res, ...pathname.match(route.pattern).slice(1));
+        } else if (req.method === "GET" || req.method === "HEAD") {
+            serveStatic(req, res, pathname);
+        } else {
+            sendError(res, 405, "Method not allowed.");
+        }
+    } catch (error) {
+        // Bad request bodies are the client's fault; anything else is ours
+        const isBadRequest = error.message.startsWith("Request body") || error instanceof URIError;
+        if (!isBadRequest) {
+            console.error(error);
+        }
+        if (!res.headersSent) {
+            if (isBadRequest) {
+                sendError(res, 400, error.message);
+            } else {
+                sendMessageError(res, 500, "server.error");
+            }
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Sweet Life server running at http://localhost:${PORT}/`);
+    });
+}
+
+module.exports = { server };
@@ -0,0 +1,70 @@
+/*
+  File: shared.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Loads the browser scripts the server shares with the website
+  (messages, flavour catalogue, promo rules, delivery zones, pricing, suburbs, phone numbers, validation schemas
+  and the order status workflow), so that the
+  server validates and prices orders with exactly the same rules as the forms.
+  The server passes the current flavour stock to setFlavorStock() before checking an order.
+  The server has no language preference, so its messages are always in English.
+  The scripts are plain browser scripts, so they are run together in one
+  sandbox, the same way the browser runs them on a page.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const JS_DIR = path.join(__dirname, "..", "js");
+
+// Loaded in the same order as the <script> tags on the pages
+const SHARED_SCRIPTS = [
+    "i18n.js",
+    "catalogue.js",
+    "promotions.js",
+    "common-passwords.js",
+    "delivery.js",
+    "pricing.js",
+    "suburbs.js",
+    "phone.js",
+    "validation.js",
+    "order-status.js"
+];
+
+const context = vm.createContext({ console: console });
+SHARED_SCRIPTS.forEach(file => {
+    const source = fs.readFileSync(path.join(JS_DIR, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+});
+
+/**
+ * Gets a top-level function or constant defined by the shared scripts.
+ * @param {string} name - The name of the function or constant.
+ * @returns {*} - Its value.
+ */
+function getShared(name) {
+    return vm.runInContext(name, context);
+}
+
+module.exports = {
+    FLAVOR_CATALOGUE: getShared("FLAVOR_CATALOGUE"),
+    CARD_BRANDS: getShared("CARD_BRANDS"),
+    DELIVERY_SLOTS: getShared("DELIVERY_SLOTS"),
+    REGISTER_SCHEMA: getShared("REGISTER_SCHEMA"),
+    LOGIN_SCHEMA: getShared("LOGIN_SCHEMA"),
+    VERIFY_EMAIL_SCHEMA: getShared("VERIFY_EMAIL_SCHEMA"),
+    TRACK_ORDER_SCHEMA: getShared("TRACK_ORDER_SCHEMA"),
+    ORDER_SCHEMA: getShared("ORDER_SCHEMA"),
+    validateValues: getShared("validateValues"),
+    getQuantitiesFromValues: getShared("getQuantitiesFromValues"),
+    calculateOrderTotals: getShared("calculateOrderTotals"),
+    isBookableDate: getShared("isBookableDate"),
+    t: getShared("t"),
+    toE164: getShared("toE164"),
+    setFlavorStock: getShared("setFlavorStock"),
+    ORDER_STATUSES: getShared("ORDER_STATUSES"),
+    canChangeOrderStatus: getShared("canChangeOrderStatus")
+};
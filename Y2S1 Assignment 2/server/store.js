@@ -0,0 +1,55 @@
+/*
+  File: store.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: JSON file storage for the local Sweet Life server.
+  All data (users, login sessions, orders and flavour stock) is kept in one JSON file, which is read once
+  when the server starts and rewritten after every change.
+  The file defaults to server/data/db.json; set SWEETLIFE_DATA_FILE to use another one.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_FILE = process.env.SWEETLIFE_DATA_FILE || path.join(__dirname, "data", "db.json");
+
+/**
+ * Creates the contents of a new, empty data file.
+ * @returns {{users: Object[], sessions: Object[], orders: Object[], stock: Object<string, number>, nextOrderNumber: number}}
+ */
+function createEmptyData() {
+    return { users: [], sessions: [], orders: [], stock: {}, nextOrderNumber: 1 };
+}
+
+let data = null;
+
+/**
+ * Returns the stored data, reading the data file the first time it is needed.
+ * Missing collections are filled in, so older data files keep working as the store grows.
+ * @returns {{users: Object[], sessions: Object[], orders: Object[], stock: Object<string, number>, nextOrderNumber: number}}
+ */
+function getData() {
+    if (!data) {
+        data = createEmptyData();
+        if (fs.existsSync(DATA_FILE)) {
+            data = Object.assign(data, JSON.parse(fs.readFileSync(DATA_FILE, "utf8")));
+        }
+    }
+    return data;
+}
+
+/**
+ * Writes the stored data back to the data file.
+ * The file is written to a temporary file first and then renamed, so a crash
+ * part way through never leaves a half-written data file behind.
+ */
+function saveData() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(getData(), null, 2));
+    fs.renameSync(tempFile, DATA_FILE);
+}
+
+module.exports = { getData, saveData };
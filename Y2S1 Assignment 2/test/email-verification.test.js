@@ -0,0 +1,202 @@
+/*
+  File: email-verification.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for usernames and email verification in server/server.js (run on a spare
+  port with its own data file and outbox): the username availability check, the code emailed
+  when registering, verifying it, sending a new one, and logging in before and after.
+*/
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { TEST_PASSWORD, startServer, postJson, readEmails, readVerificationCode } = require("./helpers/server");
+
+describe("email verification", () => {
+    let server;
+    let store;
+
+    before(async () => {
+        server = await startServer();
+        // The server's own store, so tests can move its clock-dependent fields into the past
+        store = require("../server/store");
+    });
+
+    after(() => server.stop());
+
+    /**
+     * Registers an account (email "{username}@example.com").
+     * @param {string} username - The username.
+     * @returns {Promise<Response>} - The server's response.
+     */
+    function register(username) {
+        return postJson(server, "/api/register", {
+            "username": username,
+            "password": TEST_PASSWORD,
+            "confirm-password": TEST_PASSWORD,
+            "email": `${username}@example.com`,
+            "gender": "female"
+        });
+    }
+
+    /**
+     * Sends a verification code for an account.
+     * @param {string} username - The username.
+     * @param {string} code - The code.
+     * @returns {Promise<Response>} - The server's response.
+     */
+    function verify(username, code) {
+        return postJson(server, "/api/verify-email", { "verify-username": username, "verification-code": code });
+    }
+
+    /**
+     * Asks the server whether a username can be registered.
+     * @param {string} username - The username.
+     * @returns {Promise<Response>} - The server's response.
+     */
+    function checkUsername(username) {
+        return fetch(`${server.baseUrl}/api/username-available?username=${encodeURIComponent(username)}`);
+    }
+
+    /**
+     * Gets the first error message key in a response.
+     * @param {Response} response - The server's response.
+     * @returns {Promise<string>} - The messageKey.
+     */
+    async function getErrorKey(response) {
+        return (await response.json()).errors[0].messageKey;
+    }
+
+    /**
+     * Finds a stored user.
+     * @param {string} username - The username.
+     * @returns {Object} - The user.
+     */
+    function getStoredUser(username) {
+        return store.getData().users.find(user => user.username === username);
+    }
+
+    it("checks whether usernames are free and follow the rules", async () => {
+        assert.deepEqual(await (await checkUsername("jane")).json(), { username: "jane", available: true });
+
+        for (const [username, message] of [
+            ["jo", "Username must be 3 to 20 characters long."],
+            ["1jane", "Username must start with a letter and contain only letters, numbers, dots (.), hyphens (-) and underscores (_)."],
+            ["Admin", "That username is reserved. Please choose another one."]
+        ]) {
+            const response = await checkUsername(username);
+            assert.equal(response.status, 400, username);
+            assert.equal((await response.json()).errors[0].message, message, username);
+        }
+    });
+
+    it("emails a code when registering, and won't log in until it is entered", async () => {
+        const response = await register("jane");
+        assert.equal(response.status, 201);
+        assert.equal((await response.json()).verificationRequired, true);
+
+        const email = readEmails(server, "jane@example.com").at(-1);
+        assert.match(email, /^Subject: Your Sweet Life verification code$/m);
+        assert.match(email, /\/registration\.html\?verify=jane$/m);
+        const code = readVerificationCode(server, "jane@example.com");
+        assert.match(code, /^\d{6}$/);
+        // Only a hash of the code is kept
+        assert.equal(fs.readFileSync(server.dataFile, "utf8").includes(code), false);
+
+        const login = await postJson(server, "/api/login", { "username": "jane", "password": TEST_PASSWORD });
+        assert.equal(login.status, 403);
+        assert.equal(await getErrorKey(login), "server.emailNotVerified");
+
+        // The username is taken while the account waits to be verified
+        assert.equal((await (await checkUsername("JANE")).json()).available, false);
+        assert.equal((await register("Jane")).status, 409);
+    });
+
+    it("turns away wrong codes, and uses the code up after too many", async () => {
+        await register("mike");
+        const code = readVerificationCode(server, "mike@example.com");
+        const wrongCode = code === "000000" ? "111111" : "000000";
+
+        const wrong = await verify("mike", wrongCode);
+        assert.equal(wrong.status, 400);
+        assert.equal(await getErrorKey(wrong), "server.codeIncorrect");
+        for (let i = 0; i < 4; i++) {
+            await verify("mike", wrongCode);
+        }
+
+        const tooMany = await verify("mike", code);
+        assert.equal(tooMany.status, 429);
+        assert.equal(await getErrorKey(tooMany), "server.codeTooManyAttempts");
+    });
+
+    it("sends a new code at most once a minute", async () => {
+        const tooSoon = await postJson(server, "/api/resend-code", { "verify-username": "mike" });
+        assert.equal(tooSoon.status, 429);
+        assert.equal(await getErrorKey(tooSoon), "server.codeResendTooSoon");
+
+        getStoredUser("mike").verification.sentAt = new Date(Date.now() - 61 * 1000).toISOString();
+        const resent = await postJson(server, "/api/resend-code", { "verify-username": "mike" });
+        assert.equal(resent.status, 200);
+        assert.equal(readEmails(server, "mike@example.com").length, 2);
+
+        // The new code works, even after the old one was used up
+        assert.equal((await verify("mike", readVerificationCode(server, "mike@example.com"))).status, 200);
+    });
+
+    it("turns away expired codes", async () => {
+        await register("ruby");
+        getStoredUser("ruby").verification.expiresAt = new Date(Date.now() - 1000).toISOString();
+        const response = await verify("ruby", readVerificationCode(server, "ruby@example.com"));
+        assert.equal(response.status, 400);
+        assert.equal(await getErrorKey(response), "server.codeExpired");
+    });
+
+    it("activates the account and logs the user in with the right code", async () => {
+        const response = await verify("jane", readVerificationCode(server, "jane@example.com"));
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).user.username, "jane");
+        const cookie = response.headers.get("set-cookie").split(";")[0];
+        const me = await (await fetch(`${server.baseUrl}/api/me`, { headers: { Cookie: cookie } })).json();
+        assert.equal(me.user.username, "jane");
+
+        const login = await postJson(server, "/api/login", { "username": "jane", "password": TEST_PASSWORD });
+        assert.equal(login.status, 200);
+
+        const again = await verify("jane", "123456");
+        assert.equal(again.status, 400);
+        assert.equal(await getErrorKey(again), "server.noPendingVerification");
+    });
+
+    it("turns away fields sent as lists, except the favourite flavours", async () => {
+        const response = await postJson(server, "/api/register", {
+            "username": ["bobby1"],
+            "password": TEST_PASSWORD,
+            "confirm-password": TEST_PASSWORD,
+            "email": ["bob@example.com"],
+            "gender": "male"
+        });
+        assert.equal(response.status, 400);
+        assert.deepEqual((await response.json()).errors.map(error => error.field), ["username", "email"]);
+        assert.equal(store.getData().users.some(user => user.username === "" || user.username === "bobby1"), false);
+        assert.deepEqual(readEmails(server, ""), []);
+
+        const accepted = await postJson(server, "/api/register", {
+            "username": "bobby1",
+            "password": TEST_PASSWORD,
+            "confirm-password": TEST_PASSWORD,
+            "email": "bob@example.com",
+            "gender": "male",
+            "favs[]": ["vanilla", "chocolate"]
+        });
+        assert.equal(accepted.status, 201);
+        assert.deepEqual(getStoredUser("bobby1").favs, ["vanilla", "chocolate"]);
+    });
+
+    it("frees the username and email of accounts that are never verified", async () => {
+        getStoredUser("ruby").createdAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+        assert.equal((await (await checkUsername("ruby")).json()).available, true);
+        assert.equal((await register("ruby")).status, 201);
+    });
+});
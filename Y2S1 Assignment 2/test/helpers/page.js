@@ -0,0 +1,263 @@
+/*
+  File: page.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Test helpers that open the website's pages in jsdom, the way a browser would:
+  the page's <script> tags are run from the js/ folder, so no server or network is needed.
+  - The clock is fixed at TEST_NOW, so date and time rules give the same results every day.
+  - fetch() is replaced by a stub that records each request; the server is never contacted.
+  - Web Crypto (Node's) and IndexedDB (fake-indexeddb) are added, so drafts are encrypted
+    just as they are in a browser.
+  - alert() messages are collected in window.alerts instead of being shown, and confirm()
+    messages in window.confirms (confirm() answers "OK" unless options.confirm is false).
+*/
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { webcrypto } = require("crypto");
+const { TextEncoder, TextDecoder } = require("util");
+const { JSDOM, VirtualConsole, requestInterceptor } = require("jsdom");
+const { IDBFactory } = require("fake-indexeddb");
+
+const SITE_DIR = path.join(__dirname, "..", "..");
+const SITE_URL = "http://localhost/";
+
+// Tuesday 20 October 2026, 1:00 pm (local time): the shop is open from 12:00 to 21:00
+const TEST_NOW = new Date(2026, 9, 20, 13, 0);
+
+/**
+ * Answers the page's requests for its scripts from the js/ folder. Anything else
+ * (the stylesheet) gets an empty response, so nothing goes out to the network.
+ * @param {Request} request - The request jsdom is about to make.
+ * @returns {Promise<Response>} - The response.
+ */
+async function serveLocalFile(request) {
+    const pathname = decodeURIComponent(new URL(request.url).pathname);
+    if (!pathname.endsWith(".js")) {
+        return new Response("", { headers: { "Content-Type": "text/css" } });
+    }
+    return new Response(fs.readFileSync(path.join(SITE_DIR, pathname)), {
+        headers: { "Content-Type": "application/javascript" }
+    });
+}
+
+/**
+ * Opens a page of the website in jsdom and waits for it to finish setting up.
+ * @param {string} page - The page's file name (e.g. "order.html").
+ * @param {Object} [options]
+ * @param {string} [options.search] - A query string to open the page with (e.g. "?verify=jane").
+ * @param {string} [options.hash] - A URL hash to open the page with (e.g. "#step-payment").
+ * @param {Date} [options.now=TEST_NOW] - The time the page's clock is fixed at.
+ * @param {Object<string, string>} [options.localStorage] - Items to put in localStorage before the page loads.
+ * @param {Object<string, string>} [options.sessionStorage] - Items to put in sessionStorage before the page loads.
+ * @param {IDBFactory} [options.indexedDB] - The IndexedDB to give the page (a new, empty one by default).
+ * @param {boolean} [options.confirm=true] - What confirm() answers.
+ * @param {function(string, Object): Object} [options.respond] - Makes the stubbed fetch() response for a
+ *   request: called with the URL and the fetch options, returns { status, body }. By default every
+ *   request gets a 503 (as if the server were down).
+ * @returns {Promise<Window>} - The page's window. window.requests lists the fetch() calls made.
+ */
+async function openPage(page, options = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on("jsdomError", error => {
+        // jsdom can't change pages (e.g. to confirmation.html after an order is placed)
+        if (!/navigation/i.test(error.message)) {
+            console.error(error);
+        }
+    });
+
+    const dom = new JSDOM(fs.readFileSync(path.join(SITE_DIR, page), "utf8"), {
+        url: SITE_URL + page + (options.search || "") + (options.hash || ""),
+        runScripts: "dangerously",
+        resources: { interceptors: [requestInterceptor(serveLocalFile)] },
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            fixClock(window, options.now || TEST_NOW);
+            stubFetch(window, options.respond);
+
+            Object.defineProperty(window, "crypto", { value: webcrypto });
+            window.indexedDB = options.indexedDB || new IDBFactory();
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+
+            window.alerts = [];
+            window.alert = message => window.alerts.push(message);
+            window.confirms = [];
+            window.confirm = message => {
+                window.confirms.push(message);
+                return options.confirm !== false;
+            };
+
+            Object.entries(options.localStorage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            Object.entries(options.sessionStorage || {}).forEach(([key, value]) => window.sessionStorage.setItem(key, value));
+        }
+    });
+
+    const window = dom.window;
+    await new Promise(resolve => window.addEventListener("load", resolve));
+    await settle(); // Let the page finish restoring drafts and checking who is logged in
+    return window;
+}
+
+/**
+ * Reloads a page: closes it and opens it again with the same localStorage, sessionStorage
+ * and IndexedDB, as a browser tab keeps them across a reload.
+ * @param {Window} window - The page's window.
+ * @param {Object} [options] - Any other options for openPage().
+ * @returns {Promise<Window>} - The reloaded page's window.
+ */
+async function reloadPage(window, options = {}) {
+    const copyStorage = storage => {
+        const items = {};
+        for (let i = 0; i < storage.length; i++) {
+            items[storage.key(i)] = storage.getItem(storage.key(i));
+        }
+        return items;
+    };
+    await settle();
+    const page = path.basename(new URL(window.location.href).pathname);
+    const reloadOptions = Object.assign({
+        localStorage: copyStorage(window.localStorage),
+        sessionStorage: copyStorage(window.sessionStorage),
+        indexedDB: window.indexedDB
+    }, options);
+    window.close();
+    return openPage(page, reloadOptions);
+}
+
+/**
+ * Closes a page once it has finished what it was doing (e.g. encrypting a draft),
+ * so nothing runs after its window has gone.
+ * @param {Window} window - The page's window.
+ * @returns {Promise<void>}
+ */
+async function closePage(window) {
+    await settle();
+    window.close();
+}
+
+/**
+ * Fixes the page's clock, so new Date() and Date.now() always give the same time.
+ * @param {Window} window - The page's window.
+ * @param {Date} now - The time to fix the clock at.
+ */
+function fixClock(window, now) {
+    const RealDate = window.Date;
+    const fixedTime = now.getTime();
+    class FixedDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length === 0 ? [fixedTime] : args));
+        }
+
+        static now() {
+            return fixedTime;
+        }
+    }
+    window.Date = FixedDate;
+}
+
+/**
+ * Replaces fetch() with a stub that records each request and answers it with options.respond.
+ * @param {Window} window - The page's window.
+ * @param {function(string, Object): Object} [respond] - Makes the response (see openPage()).
+ */
+function stubFetch(window, respond) {
+    window.requests = [];
+    window.fetch = async (url, fetchOptions = {}) => {
+        const request = {
+            url: String(url),
+            method: fetchOptions.method || "GET",
+            body: fetchOptions.body ? JSON.parse(fetchOptions.body) : null
+        };
+        window.requests.push(request);
+
+        const response = respond ? respond(request.url, request) : { status: 503, body: {} };
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            json: async () => response.body
+        };
+    };
+}
+
+/**
+ * Waits for timers and promises the page has started to finish (e.g. restoring a draft).
+ * @param {number} [ms=100] - How long to wait.
+ * @returns {Promise<void>}
+ */
+function settle(ms = 100) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets one of the page's top-level constants (e.g. ORDER_SCHEMA). Unlike functions, these
+ * aren't properties of window.
+ * @param {Window} window - The page's window.
+ * @param {string} name - The constant's name.
+ * @returns {*} - Its value.
+ */
+function getConstant(window, name) {
+    return window.eval(name);
+}
+
+/**
+ * Sets form fields as if the user had typed or chosen them, firing input and change events.
+ * Checkboxes take true/false, radio buttons are chosen by name and value, and every
+ * other field takes its new value.
+ * @param {Window} window - The page's window.
+ * @param {Object<string, string|boolean>} fields - New values keyed by field id (or name, for radio buttons).
+ */
+function fillFields(window, fields) {
+    const document = window.document;
+    Object.entries(fields).forEach(([key, value]) => {
+        let field = document.getElementById(key);
+        if (!field) {
+            field = document.querySelector(`input[type="radio"][name="${key}"][value="${value}"]`);
+            if (!field) {
+                throw new Error(`No field called "${key}" (with value "${value}")`);
+            }
+            field.checked = true;
+        } else if (field.type === "checkbox") {
+            field.checked = value;
+        } else {
+            field.value = value;
+        }
+        field.dispatchEvent(new window.Event("input", { bubbles: true }));
+        field.dispatchEvent(new window.Event("change", { bubbles: true }));
+    });
+}
+
+/**
+ * Submits a form the way the submit button does, so the page's validation runs.
+ * @param {HTMLFormElement} form - The form.
+ * @returns {Promise<void>} - Resolves once the page has dealt with the submission.
+ */
+async function submitForm(form) {
+    form.requestSubmit();
+    await settle(20);
+}
+
+/**
+ * Gets the error message shown for a field.
+ * @param {Window} window - The page's window.
+ * @param {string} field - The field's id (or name, for radio buttons).
+ * @returns {string} - The message, or "" if there is no error.
+ */
+function getError(window, field) {
+    return window.document.getElementById(`${field}-error`).textContent;
+}
+
+module.exports = {
+    TEST_NOW,
+    openPage,
+    reloadPage,
+    closePage,
+    settle,
+    getConstant,
+    fillFields,
+    submitForm,
+    getError
+};
@@ -0,0 +1,121 @@
+/*
+  File: server.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Test helpers that run the local server (server/server.js) on a spare port,
+  with its own data file and email outbox in a temporary folder, and log in to it the way
+  a customer would: registering, then verifying the email address with the code the server
+  "sent" (saved to the outbox by server/mailer.js).
+  The server reads its settings when it is loaded, so each test file can only start it once.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The password of every account made by logInAs()
+const TEST_PASSWORD = "Sundae#Scoop9";
+
+/**
+ * Starts the server on a spare port.
+ * @param {Object} [options]
+ * @param {Object} [options.data] - The data file to start with (e.g. { orders: [...] }); empty by default.
+ * @param {string} [options.staff=""] - Usernames of the staff accounts, comma-separated (SWEETLIFE_STAFF).
+ * @returns {Promise<{baseUrl: string, dataFile: string, outboxDir: string, stop: function(): void}>}
+ *   The server's URL, its data file and outbox, and a function that stops it and deletes them.
+ */
+async function startServer(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sweetlife-test-"));
+    const dataFile = path.join(dir, "db.json");
+    const outboxDir = path.join(dir, "outbox");
+    process.env.SWEETLIFE_DATA_FILE = dataFile;
+    process.env.SWEETLIFE_OUTBOX_DIR = outboxDir;
+    process.env.SWEETLIFE_STAFF = options.staff || "";
+    if (options.data) {
+        fs.writeFileSync(dataFile, JSON.stringify(options.data));
+    }
+
+    const server = require("../../server/server").server;
+    await new Promise(resolve => server.listen(0, resolve));
+    return {
+        baseUrl: `http://localhost:${server.address().port}`,
+        dataFile: dataFile,
+        outboxDir: outboxDir,
+        stop() {
+            server.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Sends form values to the server as JSON.
+ * @param {{baseUrl: string}} testServer - The server, from startServer().
+ * @param {string} url - The API path (e.g. "/api/login").
+ * @param {Object} values - The form values.
+ * @returns {Promise<Response>} - The server's response.
+ */
+function postJson(testServer, url, values) {
+    return fetch(testServer.baseUrl + url, { method: "POST", body: JSON.stringify(values) });
+}
+
+/**
+ * Reads the emails the server has "sent" to an address, oldest first.
+ * @param {{outboxDir: string}} testServer - The server, from startServer().
+ * @param {string} email - The address.
+ * @returns {string[]} - The emails, headers and all.
+ */
+function readEmails(testServer, email) {
+    if (!fs.existsSync(testServer.outboxDir)) {
+        return [];
+    }
+    return fs.readdirSync(testServer.outboxDir).sort()
+        .map(file => fs.readFileSync(path.join(testServer.outboxDir, file), "utf8"))
+        .filter(text => text.startsWith(`To: ${email}\n`));
+}
+
+/**
+ * Gets the verification code from the latest email sent to an address.
+ * @param {{outboxDir: string}} testServer - The server, from startServer().
+ * @param {string} email - The address.
+ * @returns {string} - The 6-digit code ("" if there is no email with one).
+ */
+function readVerificationCode(testServer, email) {
+    const match = (readEmails(testServer, email).at(-1) || "").match(/verification code is (\d{6})/);
+    return match ? match[1] : "";
+}
+
+/**
+ * Logs in as a user, registering and verifying the account (email "{username}@example.com",
+ * password TEST_PASSWORD) the first time.
+ * @param {Object} testServer - The server, from startServer().
+ * @param {string} username - The username.
+ * @returns {Promise<string>} - The session cookie.
+ */
+async function logInAs(testServer, username) {
+    const account = { "username": username, "password": TEST_PASSWORD };
+    let response = await postJson(testServer, "/api/login", account);
+    if (response.status !== 200) {
+        const email = `${username}@example.com`;
+        await postJson(testServer, "/api/register", Object.assign({ "confirm-password": TEST_PASSWORD, "email": email, "gender": "female" }, account));
+        response = await postJson(testServer, "/api/verify-email", {
+            "verify-username": username,
+            "verification-code": readVerificationCode(testServer, email)
+        });
+    }
+    if (response.status !== 200) {
+        throw new Error(`Couldn't log in as ${username} (${response.status})`);
+    }
+    return response.headers.get("set-cookie").split(";")[0];
+}
+
+module.exports = {
+    TEST_PASSWORD,
+    startServer,
+    postJson,
+    readEmails,
+    readVerificationCode,
+    logInAs
+};
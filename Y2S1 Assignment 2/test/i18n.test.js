@@ -0,0 +1,53 @@
+/*
+  File: i18n.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the Chinese translation (i18n.js): the flavours on the home page,
+  and the order summary, delivery zone and promo code on the order form, with the
+  language set to Chinese before the page loads.
+*/
+
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage, fillFields } = require("./helpers/page");
+
+// The language choice saved by the language switcher
+const CHINESE = { locale: "zh" };
+
+describe("Chinese translation", () => {
+    it("shows the flavours on the home page in Chinese", async () => {
+        const window = await openPage("index.html", { localStorage: CHINESE });
+        const card = window.document.querySelector(".menu-item");
+        assert.equal(card.querySelector("h3").textContent, "经典香草豆");
+        assert.equal(card.querySelector("img").alt, "一球香草豆冰淇淋。");
+        assert.match(card.querySelector("p").textContent, /^简单、优雅、经典。/);
+        await closePage(window);
+    });
+
+    it("shows the order summary, delivery zone and promo code in Chinese", async () => {
+        const window = await openPage("order.html", { localStorage: CHINESE });
+        const document = window.document;
+        fillFields(window, {
+            "flavor-vanilla": "2",
+            "flavor-strawberry": "2",
+            "order-type": "delivery",
+            "delivery-postcode": "3122",
+            "promo-code": "SWEET5"
+        });
+        window.updateOrderSummary();
+        window.updateDeliveryZoneInfo();
+
+        assert.deepEqual(Array.from(document.querySelectorAll("#summary-lines tr"), row => row.cells[0].textContent),
+            ["经典香草豆", "草莓园雪葩"]);
+        assert.equal(document.querySelector(".flavor-name").textContent, "经典香草豆");
+        assert.match(document.getElementById("delivery-zone-info").textContent, /^霍索恩及周边：/);
+        assert.equal(document.getElementById("promo-code-status").textContent, "已使用优惠：满 4 份立减 $5。");
+
+        // Past orders show the name the flavour was ordered under once it is off the menu
+        assert.equal(window.getOrderItemName({ flavor: "vanilla", name: "Classic Vanilla Bean" }), "经典香草豆");
+        assert.equal(window.getOrderItemName({ flavor: "mango", name: "Mango Sorbet" }), "Mango Sorbet");
+        await closePage(window);
+    });
+});
@@ -0,0 +1,180 @@
+/*
+  File: marketing-report.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the marketing report: the figures worked out in report.js, the report
+  page (report.html) with the server's responses stubbed, and the staff-only registrations API
+  in server/server.js (run on a spare port with its own data file).
+*/
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage } = require("./helpers/page");
+const { startServer, logInAs } = require("./helpers/server");
+
+// Registrations as sent by GET /api/staff/report, oldest first
+const REGISTRATIONS = [
+    { registeredAt: "2026-07-15T02:00:00.000Z", referral: "friend", gender: "female", favs: ["vanilla", "chocolate"], orders: 2, scoops: { vanilla: 3 } },
+    { registeredAt: "2026-07-20T02:00:00.000Z", referral: "", gender: "male", favs: ["chocolate"], orders: 1, scoops: { chocolate: 2, strawberry: 1 } },
+    { registeredAt: "2026-09-10T02:00:00.000Z", referral: "social", gender: "female", favs: ["chocolate", "mint"], orders: 0, scoops: {} },
+    { registeredAt: "2026-09-12T02:00:00.000Z", referral: "friend", gender: "", favs: [], orders: 1, scoops: { vanilla: 4 } }
+];
+
+describe("report figures", () => {
+    let window;
+
+    before(async () => {
+        window = await openPage("report.html");
+    });
+
+    after(() => closePage(window));
+
+    it("counts registrations by month and referral source, including months with none", () => {
+        const referrals = window.countReferralsByMonth(REGISTRATIONS);
+        assert.deepEqual(Array.from(referrals.months), ["2026-07", "2026-08", "2026-09"]);
+        assert.equal(referrals.counts["2026-07"].friend, 1);
+        assert.equal(referrals.counts["2026-07"]["not-given"], 1);
+        assert.equal(Object.values(referrals.counts["2026-08"]).reduce((sum, count) => sum + count, 0), 0);
+        assert.equal(referrals.counts["2026-09"].social, 1);
+        assert.deepEqual(JSON.parse(JSON.stringify(referrals.totals)), { "friend": 2, "search": 0, "social": 1, "walk-in": 0, "none": 0, "not-given": 1 });
+        assert.deepEqual(Array.from(window.countReferralsByMonth([]).months), []);
+    });
+
+    it("compares favourite flavours with the flavours ordered", () => {
+        const flavors = window.compareFavoritesWithOrders(REGISTRATIONS);
+        assert.deepEqual(Array.from(flavors, entry => entry.flavor.id), ["chocolate", "vanilla", "strawberry"]);
+
+        const [chocolate, vanilla, strawberry] = flavors;
+        assert.equal(chocolate.favourites, 3);
+        assert.equal(chocolate.favouriteShare, 0.75);
+        assert.equal(chocolate.fansWhoOrdered, 1);
+        assert.equal(chocolate.scoops, 2);
+        assert.equal(vanilla.favourites, 1);
+        assert.equal(vanilla.fansWhoOrderedShare, 1);
+        assert.equal(vanilla.scoops, 7);
+        assert.equal(vanilla.scoopShare, 0.7);
+        assert.equal(strawberry.favourites, 0);
+        assert.equal(strawberry.fansWhoOrderedShare, 0);
+    });
+
+    it("exports every registration as CSV", () => {
+        const lines = window.buildReportCsv(REGISTRATIONS).split("\r\n");
+        assert.equal(lines[0], "registered,referral,gender,favourites,orders,scoops_vanilla,scoops_chocolate,scoops_strawberry");
+        assert.equal(lines[1], "2026-07-15T02:00:00.000Z,friend,female,vanilla;chocolate,2,3,0,0");
+        assert.equal(lines[2], "2026-07-20T02:00:00.000Z,not-given,male,chocolate,1,0,2,1");
+        // Unknown flavours and answers the form doesn't offer are left out
+        assert.equal(lines[3], "2026-09-10T02:00:00.000Z,social,female,chocolate,0,0,0,0");
+        assert.equal(lines.length, REGISTRATIONS.length + 2); // Ends with a line break
+        assert.equal(window.buildReportCsv([{ registeredAt: "a,\"b\"", referral: "=HYPERLINK()", gender: "x", favs: [], orders: 0, scoops: {} }]).split("\r\n")[1],
+            "\"a,\"\"b\"\"\",not-given,,,0,0,0,0");
+    });
+});
+
+describe("report page", () => {
+    /**
+     * Makes a stubbed server for the report page (see openPage()'s respond option).
+     * @param {Object} user - The logged-in user.
+     * @returns {function(string): Object} - The respond function.
+     */
+    function respondAs(user) {
+        return url => {
+            if (url === "/api/me") {
+                return { status: 200, body: { user: user } };
+            }
+            if (url === "/api/staff/report") {
+                return user.staff ? { status: 200, body: { registrations: REGISTRATIONS } } : { status: 403, body: {} };
+            }
+            return { status: 503, body: {} };
+        };
+    }
+
+    it("shows staff the charts and tables", async () => {
+        const window = await openPage("report.html", { respond: respondAs({ username: "sky", staff: true }) });
+        const document = window.document;
+        assert.equal(document.getElementById("report-content").hidden, false);
+        assert.match(document.getElementById("report-summary").textContent, /^4 registrations, from /);
+
+        // Referrals: one stacked bar per source in each of the 3 months
+        assert.equal(document.querySelectorAll("#referral-chart rect.chart-bar").length, 3 * 6);
+        assert.equal(document.querySelectorAll("#referral-chart .chart-legend li").length, 6);
+        const monthRows = Array.from(document.querySelectorAll("#referral-table tbody tr"));
+        assert.deepEqual(monthRows.map(row => row.cells[0].textContent), ["July 2026", "Aug 2026", "Sept 2026"]);
+        assert.equal(monthRows[0].cells[7].textContent, "2");
+        const totalRow = document.querySelector("#referral-table tfoot tr");
+        assert.equal(totalRow.cells[1].textContent, "2");
+        assert.equal(totalRow.cells[7].textContent, "4");
+
+        // Favourites: two bars per flavour
+        assert.equal(document.querySelectorAll("#flavor-chart rect.chart-bar").length, 3 * 2);
+        const firstFlavor = document.querySelector("#flavor-lines tr");
+        assert.deepEqual(Array.from(firstFlavor.cells).map(cell => cell.textContent),
+            ["Decadent Dark Chocolate", "3 (75%)", "1 (33%)", "2 (20%)"]);
+
+        // Staff get a link to the report in the nav
+        assert.ok(document.querySelector('nav a[href="report.html"].active-link'));
+        await closePage(window);
+    });
+
+    it("is only for staff", async () => {
+        const window = await openPage("report.html", { respond: respondAs({ username: "jane", staff: false }) });
+        assert.equal(window.document.getElementById("report-message").textContent, "This page is for Sweet Life staff only.");
+        assert.equal(window.document.getElementById("report-content").hidden, true);
+        assert.equal(window.requests.some(request => request.url === "/api/staff/report"), false);
+        await closePage(window);
+    });
+});
+
+describe("registrations API", () => {
+    let server;
+
+    before(async () => {
+        const user = (id, createdAt, extra) => Object.assign({
+            id: id, username: id, email: `${id}@example.com`, passwordHash: "x:y", gender: "female",
+            favs: ["strawberry"], referral: "search", createdAt: createdAt
+        }, extra);
+        const order = (userId, status, flavor, quantity) => ({
+            id: `SL-${userId}-${status}`, userId: userId, status: status, orderType: "pickup",
+            items: [{ flavor: flavor, name: flavor, quantity: quantity, price: 5.5, lineTotal: 5.5 * quantity }]
+        });
+        server = await startServer({
+            staff: "sky",
+            data: {
+                users: [
+                    user("amy", "2026-09-01T00:00:00.000Z"),
+                    user("ben", "2026-08-01T00:00:00.000Z", { referral: "walk-in", favs: [] }),
+                    user("cat", "2026-10-01T00:00:00.000Z", { verified: false })
+                ],
+                orders: [
+                    order("amy", "completed", "strawberry", 2),
+                    order("amy", "received", "vanilla", 1),
+                    order("amy", "cancelled", "chocolate", 5),
+                    order(null, "received", "vanilla", 3)
+                ]
+            }
+        });
+    });
+
+    after(() => server.stop());
+
+    it("only lets staff see the registrations", async () => {
+        assert.equal((await fetch(`${server.baseUrl}/api/staff/report`)).status, 401);
+        const cookie = await logInAs(server, "jane");
+        assert.equal((await fetch(`${server.baseUrl}/api/staff/report`, { headers: { Cookie: cookie } })).status, 403);
+    });
+
+    it("sends verified registrations, oldest first, with what they ordered but no contact details", async () => {
+        const cookie = await logInAs(server, "sky");
+        const response = await fetch(`${server.baseUrl}/api/staff/report`, { headers: { Cookie: cookie } });
+        assert.equal(response.status, 200);
+        const registrations = (await response.json()).registrations;
+
+        // ben and amy, then the accounts made by logInAs() (cat hasn't verified their email)
+        assert.equal(registrations.length, 4);
+        assert.deepEqual(registrations[0], { registeredAt: "2026-08-01T00:00:00.000Z", referral: "walk-in", gender: "female", favs: [], orders: 0, scoops: {} });
+        // The cancelled order doesn't count
+        assert.deepEqual(registrations[1], { registeredAt: "2026-09-01T00:00:00.000Z", referral: "search", gender: "female", favs: ["strawberry"], orders: 2, scoops: { strawberry: 2, vanilla: 1 } });
+        assert.equal(JSON.stringify(registrations).includes("@example.com"), false);
+    });
+});
@@ -0,0 +1,134 @@
+/*
+  File: order-drafts.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the order form's saved draft (drafts.js, and saveFormDataToSession()
+  and restoreFormData() in script.js): what is typed survives a reload through sessionStorage,
+  personal details are encrypted, card numbers and CVVs are never saved, and old drafts are thrown away.
+*/
+
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { TEST_NOW, openPage, reloadPage, closePage, settle, fillFields, submitForm } = require("./helpers/page");
+
+// A pickup order paid online, filled in but not yet placed (the cart has 4 scoops, enough for SWEET5)
+const FILLED_IN = {
+    "order-type": "pickup",
+    "pickup-date": "2026-10-21",
+    "pickup-time": "15:00",
+    "billing-street": "2 Power St",
+    "billing-suburb": "Hawthorn",
+    "billing-postcode": "3122",
+    "contact-number": "0412 345 678",
+    "sms-updates": true,
+    "email": "jane@example.com",
+    "remarks": "Extra sprinkles",
+    "pay-method": "online",
+    "card-type": "visa",
+    "card-name": "Jane Citizen",
+    "card-number": "4111111111111111",
+    "card-expiry": "12/30",
+    "card-cvv": "123",
+    "promo-code": "SWEET5"
+};
+
+describe("order form drafts", () => {
+    let window;
+
+    beforeEach(async () => {
+        window = await openPage("order.html", { localStorage: { cart: JSON.stringify({ vanilla: 4 }) } });
+        fillFields(window, FILLED_IN);
+        await settle(); // Let the draft finish encrypting
+    });
+
+    afterEach(() => closePage(window));
+
+    /**
+     * Reads the draft as it is kept in sessionStorage.
+     * @returns {Object} - The saved draft.
+     */
+    function getSavedDraft() {
+        return JSON.parse(window.sessionStorage.getItem("orderFormData"));
+    }
+
+    it("restores what was entered after a reload", async () => {
+        window = await reloadPage(window);
+        const document = window.document;
+        assert.equal(document.querySelector('input[name="order-type"]:checked').value, "pickup");
+        assert.equal(document.getElementById("pickup-details").style.display, "block");
+        assert.equal(document.getElementById("pickup-date").value, "2026-10-21");
+        assert.equal(document.getElementById("pickup-time").value, "15:00");
+        assert.equal(document.getElementById("billing-street").value, "2 Power St");
+        assert.equal(document.getElementById("billing-suburb").value, "Hawthorn");
+        assert.equal(document.getElementById("billing-postcode").value, "3122");
+        assert.equal(document.getElementById("contact-number").value, "0412 345 678");
+        assert.equal(document.getElementById("sms-updates").checked, true);
+        assert.equal(document.getElementById("email").value, "jane@example.com");
+        assert.equal(document.getElementById("remarks").value, "Extra sprinkles");
+        assert.equal(document.getElementById("card-type").value, "visa");
+        assert.equal(document.getElementById("card-name").value, "Jane Citizen");
+        assert.equal(document.getElementById("card-expiry").value, "12/30");
+        assert.equal(document.getElementById("promo-code").value, "SWEET5");
+        assert.equal(document.getElementById("qty-vanilla").textContent, "[4]");
+    });
+
+    it("never saves the card number or CVV", async () => {
+        const savedText = window.sessionStorage.getItem("orderFormData");
+        assert.doesNotMatch(savedText, /4111111111111111/);
+        assert.doesNotMatch(savedText, /card-number|card-cvv/);
+
+        window = await reloadPage(window);
+        assert.equal(window.document.getElementById("card-number").value, "");
+        assert.equal(window.document.getElementById("card-cvv").value, "");
+    });
+
+    it("encrypts personal details and keeps everything else readable", () => {
+        const draft = getSavedDraft();
+        assert.equal(draft.fields["pickup-date"], "2026-10-21");
+        assert.equal(draft.fields["pay-method"], "online");
+        assert.equal(draft.fields["sms-updates"], true);
+        for (const field of ["billing-street", "contact-number", "email", "remarks", "card-name", "card-expiry"]) {
+            assert.equal(field in draft.fields, false, field);
+        }
+        assert.ok(draft.encrypted.iv);
+        assert.doesNotMatch(JSON.stringify(draft), /jane@example\.com|Power St|0412/);
+    });
+
+    it("throws away drafts more than 30 minutes old", async () => {
+        window = await reloadPage(window, { now: new Date(TEST_NOW.getTime() + 31 * 60 * 1000) });
+        assert.equal(window.document.getElementById("email").value, "");
+        assert.equal(window.document.querySelector('input[name="order-type"]:checked').value, "delivery");
+        assert.equal(window.sessionStorage.getItem("orderFormData"), null);
+    });
+
+    it("throws away drafts saved by another version of the form", async () => {
+        const draft = getSavedDraft();
+        draft.version = 1;
+        window.sessionStorage.setItem("orderFormData", JSON.stringify(draft));
+
+        window = await reloadPage(window);
+        assert.equal(window.document.getElementById("pickup-date").value, "");
+        assert.equal(window.sessionStorage.getItem("orderFormData"), null);
+    });
+
+    it("keeps the readable fields if the encryption key has gone", async () => {
+        window = await reloadPage(window, { indexedDB: undefined });
+        assert.equal(window.document.getElementById("pickup-date").value, "2026-10-21");
+        assert.equal(window.document.getElementById("email").value, "");
+    });
+
+    it("deletes the draft once the order has been placed", async () => {
+        window = await reloadPage(window, {
+            respond: url => url === "/api/orders"
+                ? { status: 201, body: { order: { id: "SL-000001" } } }
+                : { status: 503, body: {} }
+        });
+        fillFields(window, { "card-number": "4111111111111111", "card-cvv": "123" });
+        await submitForm(window.document.getElementById("order-form"));
+        await settle();
+        assert.equal(window.sessionStorage.getItem("orderFormData"), null);
+        assert.equal(window.sessionStorage.getItem("lastOrder"), JSON.stringify({ id: "SL-000001" }));
+    });
+});
@@ -0,0 +1,244 @@
+/*
+  File: order-form.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the order form's enhancements (order.html, script.js): showing and
+  hiding the delivery/pickup and payment sections, "Same as delivery address",
+  the adaptive card number and CVV length, and the flavour quantity buttons.
+*/
+
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage, fillFields, submitForm, getError } = require("./helpers/page");
+
+const DELIVERY_ADDRESS = {
+    "delivery-street": "1 Glenferrie Rd",
+    "delivery-suburb": "Hawthorn",
+    "delivery-postcode": "3122"
+};
+
+describe("order form", () => {
+    let window;
+    let document;
+
+    beforeEach(async () => {
+        window = await openPage("order.html");
+        document = window.document;
+    });
+
+    afterEach(() => closePage(window));
+
+    /**
+     * Checks whether an element is shown (not hidden with style="display: none").
+     * @param {string} id - The element's id.
+     * @returns {boolean} - True if it is shown.
+     */
+    function isShown(id) {
+        return document.getElementById(id).style.display !== "none";
+    }
+
+    describe("delivery or pickup", () => {
+        it("shows the delivery address and 'Same as delivery address' for delivery orders", () => {
+            fillFields(window, { "order-type": "delivery" });
+            assert.equal(isShown("delivery-details"), true);
+            assert.equal(isShown("pickup-details"), false);
+            assert.equal(document.getElementById("same-as-delivery").closest(".form-group").style.display, "block");
+        });
+
+        it("shows the pickup date and time for pickup orders", () => {
+            fillFields(window, { "order-type": "pickup" });
+            assert.equal(isShown("delivery-details"), false);
+            assert.equal(isShown("pickup-details"), true);
+            assert.equal(document.getElementById("same-as-delivery").closest(".form-group").style.display, "none");
+        });
+
+        it("clears a billing address copied from the delivery address when switching to pickup", () => {
+            fillFields(window, DELIVERY_ADDRESS);
+            fillFields(window, { "same-as-delivery": true });
+            fillFields(window, { "order-type": "pickup" });
+            assert.equal(document.getElementById("same-as-delivery").checked, false);
+            assert.equal(document.getElementById("billing-street").value, "");
+            assert.equal(document.getElementById("billing-postcode").value, "");
+        });
+
+        it("only checks the fields for the chosen order type", async () => {
+            const form = document.getElementById("order-form");
+            fillFields(window, { "order-type": "pickup" });
+            await submitForm(form);
+            assert.equal(getError(window, "delivery-street"), "");
+            assert.equal(getError(window, "pickup-date"), "Please choose a pickup date.");
+
+            fillFields(window, { "order-type": "delivery" });
+            await submitForm(form);
+            assert.equal(getError(window, "delivery-street"), "Delivery street is required.");
+            assert.equal(getError(window, "pickup-date"), "");
+        });
+    });
+
+    describe("payment method", () => {
+        it("shows the card details when paying online", () => {
+            fillFields(window, { "pay-method": "online" });
+            assert.equal(isShown("payment-details"), true);
+        });
+
+        it("hides the card details when paying on pickup", () => {
+            fillFields(window, { "pay-method": "pickup" });
+            assert.equal(isShown("payment-details"), false);
+        });
+
+        it("only checks the card details when paying online", async () => {
+            const form = document.getElementById("order-form");
+            fillFields(window, { "pay-method": "pickup" });
+            await submitForm(form);
+            assert.equal(getError(window, "card-number"), "");
+
+            fillFields(window, { "pay-method": "online" });
+            await submitForm(form);
+            assert.equal(getError(window, "card-number"), "Card number is required.");
+        });
+    });
+
+    describe("same as delivery address", () => {
+        it("copies the delivery address to the billing address", () => {
+            fillFields(window, DELIVERY_ADDRESS);
+            fillFields(window, { "same-as-delivery": true });
+            assert.equal(document.getElementById("billing-street").value, "1 Glenferrie Rd");
+            assert.equal(document.getElementById("billing-suburb").value, "Hawthorn");
+            assert.equal(document.getElementById("billing-postcode").value, "3122");
+        });
+
+        it("clears the billing address when unticked", () => {
+            fillFields(window, DELIVERY_ADDRESS);
+            fillFields(window, { "same-as-delivery": true });
+            fillFields(window, { "same-as-delivery": false });
+            assert.equal(document.getElementById("billing-street").value, "");
+            assert.equal(document.getElementById("billing-suburb").value, "");
+            assert.equal(document.getElementById("billing-postcode").value, "");
+        });
+
+        it("asks for the delivery address first if it isn't complete", () => {
+            fillFields(window, { "delivery-street": "1 Glenferrie Rd", "same-as-delivery": true });
+            assert.deepEqual(window.alerts, ["Please enter your delivery address first."]);
+            assert.equal(document.getElementById("same-as-delivery").checked, false);
+            assert.equal(document.getElementById("billing-street").value, "");
+        });
+
+        it("doesn't copy a suburb and postcode that don't match", () => {
+            fillFields(window, Object.assign({}, DELIVERY_ADDRESS, { "delivery-postcode": "3000" }));
+            fillFields(window, { "same-as-delivery": true });
+            assert.deepEqual(window.alerts, ["Your delivery suburb and postcode don't match. Please check them first."]);
+            assert.equal(getError(window, "delivery-postcode"), "Postcode 3000 doesn't match Hawthorn (expected 3122).");
+            assert.equal(document.getElementById("same-as-delivery").checked, false);
+            assert.equal(document.getElementById("billing-postcode").value, "");
+        });
+    });
+
+    describe("card number and CVV length", () => {
+        /**
+         * Gets the limits currently set on the card number and CVV fields.
+         * @returns {Object} - The max lengths and placeholders.
+         */
+        function getCardLimits() {
+            const cardNumber = document.getElementById("card-number");
+            const cvv = document.getElementById("card-cvv");
+            return {
+                numberLength: cardNumber.maxLength,
+                numberHint: cardNumber.placeholder,
+                cvvLength: cvv.maxLength,
+                cvvHint: cvv.placeholder
+            };
+        }
+
+        it("allows 16 digits and a 3-digit CVV for Visa and MasterCard", () => {
+            for (const cardType of ["visa", "mastercard"]) {
+                fillFields(window, { "card-type": cardType });
+                assert.deepEqual(getCardLimits(), { numberLength: 16, numberHint: "16 digits", cvvLength: 3, cvvHint: "3 digits" }, cardType);
+            }
+        });
+
+        it("allows 15 digits and a 4-digit CVV for American Express", () => {
+            fillFields(window, { "card-type": "amex" });
+            assert.deepEqual(getCardLimits(), { numberLength: 15, numberHint: "15 digits", cvvLength: 4, cvvHint: "4 digits" });
+        });
+
+        it("allows either length until a card type is chosen", () => {
+            fillFields(window, { "card-type": "amex" });
+            fillFields(window, { "card-type": "" });
+            assert.deepEqual(getCardLimits(), { numberLength: 19, numberHint: "15-16 digits", cvvLength: 4, cvvHint: "3-4 digits" });
+        });
+
+        it("picks the card type from the number when none is chosen", () => {
+            fillFields(window, { "card-type": "", "card-number": "3782" });
+            assert.equal(document.getElementById("card-type").value, "amex");
+            assert.equal(getCardLimits().numberLength, 15);
+        });
+    });
+
+    describe("flavour quantity buttons", () => {
+        /**
+         * Clicks a flavour's + or - button.
+         * @param {string} flavor - The flavour id.
+         * @param {"up"|"down"} direction - Which button to click.
+         */
+        function clickQuantity(flavor, direction) {
+            document.querySelector(`.qty-${direction}[data-flavor="${flavor}"]`).click();
+        }
+
+        /**
+         * Gets whether each flavour's - button is disabled.
+         * @returns {Object<string, boolean>} - Disabled states keyed by flavour id.
+         */
+        function getDownButtonStates() {
+            const states = {};
+            document.querySelectorAll(".qty-down").forEach(button => {
+                states[button.dataset.flavor] = button.disabled;
+            });
+            return states;
+        }
+
+        it("disables every - button while no flavours are chosen", () => {
+            assert.deepEqual(getDownButtonStates(), { vanilla: true, chocolate: true, strawberry: true });
+        });
+
+        it("enables a flavour's - button once it has been added", () => {
+            clickQuantity("chocolate", "up");
+            assert.deepEqual(getDownButtonStates(), { vanilla: true, chocolate: false, strawberry: true });
+            assert.equal(document.getElementById("qty-chocolate").textContent, "[1]");
+            assert.equal(document.getElementById("flavor-chocolate").value, "1");
+        });
+
+        it("disables the - button again when the quantity goes back to 0", () => {
+            clickQuantity("vanilla", "up");
+            clickQuantity("vanilla", "up");
+            clickQuantity("vanilla", "down");
+            assert.equal(getDownButtonStates().vanilla, false);
+            clickQuantity("vanilla", "down");
+            assert.equal(getDownButtonStates().vanilla, true);
+            assert.equal(document.getElementById("qty-vanilla").textContent, "[0]");
+        });
+
+        it("never goes below 0", () => {
+            window.decrementQuantity("strawberry");
+            assert.equal(document.getElementById("flavor-strawberry").value, "0");
+            assert.equal(document.getElementById("qty-strawberry").textContent, "[0]");
+        });
+
+        it("keeps the cart in step with the quantities", () => {
+            clickQuantity("strawberry", "up");
+            clickQuantity("strawberry", "up");
+            assert.deepEqual(JSON.parse(window.localStorage.getItem("cart")), { strawberry: 2 });
+        });
+    });
+});
+
+describe("order form with a cart", () => {
+    it("shows the cart's quantities and enables their - buttons", async () => {
+        const window = await openPage("order.html", { localStorage: { cart: JSON.stringify({ vanilla: 3 }) } });
+        assert.equal(window.document.getElementById("qty-vanilla").textContent, "[3]");
+        assert.equal(window.document.querySelector('.qty-down[data-flavor="vanilla"]').disabled, false);
+        assert.equal(window.document.querySelector('.qty-down[data-flavor="chocolate"]').disabled, true);
+        await closePage(window);
+    });
+});
@@ -0,0 +1,300 @@
+/*
+  File: order-tracking.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for order tracking: the status timeline worked out in order-status.js,
+  the tracking page (track.html) and the links to it from confirmation.html and orders.html
+  with the server's responses stubbed, and the tracking API and who can fetch a whole order
+  in server/server.js (run on a spare port with its own data file).
+*/
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage, settle, fillFields, submitForm, getError, getConstant } = require("./helpers/page");
+const { startServer, postJson, logInAs } = require("./helpers/server");
+
+// A pickup order being prepared, as stored by the server
+const ORDER = {
+    id: "SL-000002",
+    createdAt: "2026-10-20T02:00:00.000Z",
+    userId: null,
+    status: "preparing",
+    orderType: "pickup",
+    items: [{ flavor: "chocolate", name: "Decadent Dark Chocolate", quantity: 3, price: 4.5, lineTotal: 13.5 }],
+    delivery: null,
+    schedule: { date: "2026-10-21", slot: null, start: "15:00", end: null },
+    billing: { street: "2 Power St", suburb: "Hawthorn", postcode: "3122" },
+    contactNumber: "+61398765432",
+    smsUpdates: false,
+    email: "sam@example.com",
+    payment: { method: "online", card: { brand: "visa", last4: "1111" } },
+    remarks: "",
+    promoCode: "",
+    totals: { subtotal: 13.5, discount: 0, deliveryFee: 0, gst: 1.23, total: 13.5 },
+    statusHistory: [{ status: "preparing", changedAt: "2026-10-20T02:10:00.000Z", changedBy: "sky" }]
+};
+
+/**
+ * Copies the order with a later status, as the server would send it once staff have moved it on.
+ * @param {string} status - The new status.
+ * @param {string} changedAt - When it changed (ISO 8601).
+ * @returns {Object} - The updated order.
+ */
+function moveOrderOn(status, changedAt) {
+    return Object.assign({}, ORDER, {
+        status: status,
+        statusHistory: ORDER.statusHistory.concat({ status: status, changedAt: changedAt })
+    });
+}
+
+describe("order timeline", () => {
+    let window;
+
+    before(async () => {
+        window = await openPage("track.html");
+    });
+
+    after(() => closePage(window));
+
+    it("lists each order type's steps, with the times reached so far", () => {
+        const timeline = JSON.parse(JSON.stringify(window.getOrderTimeline(ORDER)));
+        assert.deepEqual(timeline, [
+            { status: "received", changedAt: ORDER.createdAt, state: "done" },
+            { status: "preparing", changedAt: "2026-10-20T02:10:00.000Z", state: "current" },
+            { status: "ready", changedAt: null, state: "upcoming" },
+            { status: "completed", changedAt: null, state: "upcoming" }
+        ]);
+        assert.deepEqual(Array.from(window.getOrderStatusSteps("delivery")), ["received", "preparing", "out-for-delivery", "completed"]);
+    });
+
+    it("ends cancelled orders at the cancellation", () => {
+        const cancelled = moveOrderOn("cancelled", "2026-10-20T02:20:00.000Z");
+        const timeline = JSON.parse(JSON.stringify(window.getOrderTimeline(cancelled)));
+        assert.deepEqual(timeline.map(step => [step.status, step.state]), [
+            ["received", "done"],
+            ["preparing", "done"],
+            ["cancelled", "current"]
+        ]);
+        assert.equal(timeline[2].changedAt, "2026-10-20T02:20:00.000Z");
+    });
+});
+
+describe("tracking page", () => {
+    // The order just placed on this device, as the confirmation page leaves it
+    const LAST_ORDER = { lastOrder: JSON.stringify(ORDER) };
+
+    /**
+     * Makes a stubbed server that knows some orders (see openPage()'s respond option).
+     * @param {function(): Object[]} getOrders - Gets the orders as they are now.
+     * @returns {function(string, Object): Object} - The respond function.
+     */
+    function respondWith(getOrders) {
+        return (url, request) => {
+            if (url === "/api/track") {
+                const order = getOrders().find(item => request.body["track-order"].toUpperCase() === item.id
+                    && request.body["track-email"].toLowerCase() === item.email);
+                return order
+                    ? { status: 200, body: { order: order } }
+                    : { status: 404, body: { errors: [{ field: "form", errorId: "form-error", message: "Not found", messageKey: "server.trackNotFound" }] } };
+            }
+            return { status: 503, body: {} };
+        };
+    }
+
+    it("shows the order followed from the confirmation page, and keeps it up to date", async () => {
+        let order = ORDER;
+        const window = await openPage("track.html", {
+            search: "?order=SL-000002",
+            sessionStorage: LAST_ORDER,
+            respond: respondWith(() => [order])
+        });
+        const document = window.document;
+        assert.equal(document.getElementById("track-order").value, "SL-000002");
+        assert.equal(document.getElementById("track-email").value, "sam@example.com");
+        assert.equal(document.getElementById("tracking").hidden, false);
+        assert.equal(document.getElementById("tracking-heading").textContent, "Order SL-000002");
+        assert.equal(document.getElementById("tracking-status").textContent, "Preparing We're scooping your ice-cream now.");
+        assert.equal(document.getElementById("tracking-estimate-label").textContent, "Estimated Pickup:");
+        assert.equal(document.getElementById("tracking-estimate").textContent, "Wednesday 21 October 2026 at 3:00 pm");
+        const steps = Array.from(document.querySelectorAll("#tracking-timeline li"));
+        assert.deepEqual(steps.map(step => step.querySelector(".timeline-label").textContent),
+            ["Received", "Preparing", "Ready for pickup", "Completed"]);
+        assert.equal(steps[1].getAttribute("aria-current"), "step");
+        assert.equal(steps[2].querySelector("time"), null);
+        assert.deepEqual(Array.from(document.querySelector("#tracking-lines tr").cells, cell => cell.textContent),
+            ["Decadent Dark Chocolate", "3", "$13.50"]);
+
+        // Checking again picks up the new status, and stops once there is nothing more to wait for
+        assert.notEqual(getConstant(window, "trackingTimer"), null);
+        order = moveOrderOn("ready", "2026-10-20T02:30:00.000Z");
+        await window.refreshTrackedOrder();
+        assert.match(document.getElementById("tracking-status").textContent, /^Ready for pickup Your order is ready/);
+        assert.notEqual(getConstant(window, "trackingTimer"), null);
+
+        order = moveOrderOn("completed", "2026-10-20T02:45:00.000Z");
+        await window.refreshTrackedOrder();
+        assert.equal(document.getElementById("tracking-estimate-label").textContent, "Picked Up:");
+        assert.equal(document.querySelector("#tracking-timeline li:last-child").className, "timeline-step timeline-step-current");
+        assert.equal(getConstant(window, "trackingTimer"), null);
+        await closePage(window);
+    });
+
+    it("keeps showing the order if a check for updates fails", async () => {
+        let online = true;
+        const respond = respondWith(() => [ORDER]);
+        const window = await openPage("track.html", {
+            search: "?order=SL-000002",
+            sessionStorage: LAST_ORDER,
+            respond: (url, request) => online ? respond(url, request) : { status: 503, body: {} }
+        });
+        online = false;
+        await window.refreshTrackedOrder();
+        assert.equal(window.document.getElementById("tracking").hidden, false);
+        assert.match(window.document.getElementById("tracking-updated").textContent, /^We couldn't check for updates/);
+        assert.notEqual(getConstant(window, "trackingTimer"), null);
+        await closePage(window);
+    });
+
+    it("ignores a late update for an order that is no longer shown", async () => {
+        const otherOrder = Object.assign({}, ORDER, { id: "SL-000003", status: "received", statusHistory: [] });
+        const window = await openPage("track.html", {
+            search: "?order=SL-000002",
+            sessionStorage: LAST_ORDER,
+            respond: respondWith(() => [moveOrderOn("ready", "2026-10-20T02:30:00.000Z"), otherOrder])
+        });
+
+        // Hold back the reply to the next check of SL-000002 until SL-000003 has been looked up
+        let releaseReply;
+        const replyHeld = new Promise(resolve => {
+            releaseReply = resolve;
+        });
+        const stubbedFetch = window.fetch;
+        window.fetch = async (url, options) => {
+            const response = await stubbedFetch(url, options);
+            if (JSON.parse(options.body)["track-order"] === "SL-000002") {
+                await replyHeld;
+            }
+            return response;
+        };
+        const lateRefresh = window.refreshTrackedOrder();
+
+        fillFields(window, { "track-order": "SL-000003" });
+        await submitForm(window.document.getElementById("track-form"));
+        assert.equal(window.document.getElementById("tracking-heading").textContent, "Order SL-000003");
+        releaseReply();
+        await lateRefresh;
+        await settle(20);
+        assert.equal(window.document.getElementById("tracking-heading").textContent, "Order SL-000003");
+        assert.match(window.document.getElementById("tracking-status").textContent, /^Received /);
+        await closePage(window);
+    });
+
+    it("asks for the email address of orders not placed on this device, without looking them up", async () => {
+        const window = await openPage("track.html", { search: "?order=SL-000002", respond: respondWith(() => [ORDER]) });
+        assert.equal(window.document.getElementById("track-order").value, "SL-000002");
+        assert.equal(window.document.activeElement.id, "track-email");
+        assert.equal(window.requests.some(request => request.url === "/api/track"), false);
+        await closePage(window);
+    });
+
+    it("checks the order number and email, and doesn't find orders with the wrong email", async () => {
+        const window = await openPage("track.html", { respond: respondWith(() => [ORDER]) });
+        const form = window.document.getElementById("track-form");
+
+        fillFields(window, { "track-order": "123", "track-email": "sam@example.com" });
+        await submitForm(form);
+        assert.equal(getError(window, "track-order"), "Order numbers look like SL-000123. You'll find yours on your receipt.");
+        assert.equal(window.requests.some(request => request.url === "/api/track"), false);
+
+        fillFields(window, { "track-order": "sl-000002", "track-email": "someone@example.com" });
+        await submitForm(form);
+        assert.match(window.document.getElementById("form-errors").textContent, /couldn't find an order with that number and email address/);
+        assert.equal(window.document.getElementById("tracking").hidden, true);
+
+        fillFields(window, { "track-email": "Sam@Example.com" });
+        await submitForm(form);
+        assert.equal(window.document.getElementById("tracking").hidden, false);
+        await closePage(window);
+    });
+
+    it("is linked from the confirmation page", async () => {
+        const window = await openPage("confirmation.html", {
+            search: "?order=SL-000002",
+            sessionStorage: { lastOrder: JSON.stringify(ORDER) }
+        });
+        // The email address stays out of the URL; the tracking page gets it from lastOrder
+        assert.equal(window.document.getElementById("track-order-link").getAttribute("href"), "track.html?order=SL-000002");
+        await closePage(window);
+    });
+
+    it("looks up orders placed on this device with their email address, and links them here", async () => {
+        const window = await openPage("orders.html", {
+            // The first entry was saved before email addresses were kept, so can't be looked up
+            localStorage: { orderHistory: JSON.stringify(["SL-000001", { id: "SL-000002", email: "sam@example.com" }]) },
+            respond: respondWith(() => [ORDER])
+        });
+        const lookups = window.requests.filter(request => request.url === "/api/track");
+        assert.deepEqual(lookups.map(request => request.body), [{ "track-order": "SL-000002", "track-email": "sam@example.com" }]);
+        const links = window.document.querySelectorAll("#order-history-lines a");
+        assert.deepEqual(Array.from(links, link => link.getAttribute("href")), ["track.html?order=SL-000002"]);
+        await closePage(window);
+    });
+});
+
+describe("tracking API", () => {
+    let server;
+
+    before(async () => {
+        server = await startServer({ data: { orders: [ORDER] }, staff: "sky" });
+    });
+
+    after(() => server.stop());
+
+    it("sends the order's status and contents when the email matches", async () => {
+        const response = await postJson(server, "/api/track", { "track-order": "sl-000002", "track-email": "SAM@example.com" });
+        assert.equal(response.status, 200);
+        const order = (await response.json()).order;
+        assert.equal(order.status, "preparing");
+        assert.deepEqual(order.items, ORDER.items);
+        assert.deepEqual(order.schedule, ORDER.schedule);
+        // No billing, contact or payment details, and not who changed the status
+        assert.deepEqual(order.statusHistory, [{ status: "preparing", changedAt: "2026-10-20T02:10:00.000Z" }]);
+        for (const field of ["billing", "contactNumber", "email", "payment", "remarks"]) {
+            assert.equal(field in order, false, field);
+        }
+    });
+
+    it("doesn't say whether the order exists when the email is wrong", async () => {
+        for (const values of [
+            { "track-order": "SL-000002", "track-email": "jane@example.com" },
+            { "track-order": "SL-000999", "track-email": "sam@example.com" }
+        ]) {
+            const response = await postJson(server, "/api/track", values);
+            assert.equal(response.status, 404);
+            assert.equal((await response.json()).errors[0].messageKey, "server.trackNotFound");
+        }
+
+        const invalid = await postJson(server, "/api/track", { "track-order": "", "track-email": "sam" });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual((await invalid.json()).errors.map(error => error.field), ["track-order", "track-email"]);
+    });
+
+    it("only lets the customer who placed an order, or staff, fetch all of it by its number", async () => {
+        const getOrder = cookie => fetch(`${server.baseUrl}/api/orders/SL-000002`, { headers: cookie ? { Cookie: cookie } : {} });
+        assert.equal((await getOrder()).status, 404);
+        const samCookie = await logInAs(server, "sam");
+        assert.equal((await getOrder(samCookie)).status, 404);
+
+        // Link the order to sam's account, as if it had been placed while logged in
+        const store = require("../server/store");
+        store.getData().orders[0].userId = store.getData().users.find(user => user.username === "sam").id;
+        const own = await getOrder(samCookie);
+        assert.equal(own.status, 200);
+        assert.deepEqual((await own.json()).order.billing, ORDER.billing);
+
+        assert.equal((await getOrder(await logInAs(server, "jane"))).status, 404);
+        assert.equal((await getOrder(await logInAs(server, "sky"))).status, 200);
+    });
+});
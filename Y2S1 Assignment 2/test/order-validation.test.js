@@ -0,0 +1,237 @@
+/*
+  File: order-validation.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for every rule in ORDER_SCHEMA (validation.js), checked by submitting
+  the order form (order.html). Each test starts from a valid order and changes one thing.
+  The clock is fixed at Tuesday 20 October 2026, 1:00 pm (see helpers/page.js).
+  A few rules can't be broken from the page (e.g. a date the date picker won't accept);
+  those are checked with validateField() against the form's values instead.
+*/
+
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage, getConstant, fillFields, submitForm, getError } = require("./helpers/page");
+
+// A delivery order, paid online, that passes every rule (with 2 vanilla scoops in the cart)
+const VALID_ORDER = {
+    "order-type": "delivery",
+    "delivery-street": "1 Glenferrie Rd",
+    "delivery-suburb": "Hawthorn",
+    "delivery-postcode": "3122",
+    "delivery-date": "2026-10-21",
+    "delivery-slot": "14-16",
+    "billing-street": "2 Power St",
+    "billing-suburb": "Hawthorn",
+    "billing-postcode": "3122",
+    "contact-number": "0412 345 678",
+    "email": "jane@example.com",
+    "pay-method": "online",
+    "card-type": "visa",
+    "card-name": "Jane Citizen",
+    "card-number": "4111111111111111",
+    "card-expiry": "12/30",
+    "card-cvv": "123"
+};
+
+const PICKUP_ORDER = {
+    "order-type": "pickup",
+    "pickup-date": "2026-10-21",
+    "pickup-time": "15:00"
+};
+
+// Each case changes a valid order and expects one field to show one message
+const CASES = [
+    { rule: "flavor: at least one scoop", changes: { "flavor-vanilla": "0" }, field: "flavor",
+        message: "Please select at least one ice cream flavor." },
+    { rule: "flavor: delivery zone minimum order", changes: { "delivery-suburb": "Melbourne", "delivery-postcode": "3000" }, field: "flavor",
+        message: "Delivery to Melbourne CBD and inner north needs an order of at least $15.00 (before discounts)." },
+    { rule: "flavor: per-order maximum", changes: { "flavor-vanilla": "13" }, field: "flavor",
+        message: "You can order up to 12 scoops of each flavour." },
+
+    { rule: "delivery-street: required", changes: { "delivery-street": " " }, field: "delivery-street",
+        message: "Delivery street is required." },
+    { rule: "delivery-suburb: required", changes: { "delivery-suburb": "" }, field: "delivery-suburb",
+        message: "Delivery suburb is required." },
+    { rule: "delivery-postcode: 4 digits", changes: { "delivery-postcode": "31a2" }, field: "delivery-postcode",
+        message: "Delivery postcode must be exactly 4 digits." },
+    { rule: "delivery-postcode: matches the suburb", changes: { "delivery-postcode": "3000" }, field: "delivery-postcode",
+        message: "Postcode 3000 doesn't match Hawthorn (expected 3122)." },
+    { rule: "delivery-postcode: in a delivery zone", changes: { "delivery-suburb": "Geelong", "delivery-postcode": "3220" }, field: "delivery-postcode",
+        message: "Sorry, we don't deliver to postcode 3220 yet." },
+    { rule: "delivery-postcode: zone available", changes: { "delivery-suburb": "Brighton", "delivery-postcode": "3186" }, field: "delivery-postcode",
+        message: "Delivery to Bayside is unavailable at the moment." },
+
+    { rule: "delivery-date: required", changes: { "delivery-date": "" }, field: "delivery-date",
+        message: "Please choose a delivery date." },
+    { rule: "delivery-date: not in the past", changes: { "delivery-date": "2026-10-19" }, field: "delivery-date",
+        message: "That date has already passed." },
+    { rule: "delivery-date: within the booking window", changes: { "delivery-date": "2026-11-04" }, field: "delivery-date",
+        message: "You can only book up to 14 days ahead." },
+    { rule: "delivery-date: shop open", changes: { "delivery-date": "2026-10-26" }, field: "delivery-date",
+        message: "Sorry, we're closed on Mondays. Please choose another day." },
+    { rule: "delivery-slot: required", changes: { "delivery-slot": "" }, field: "delivery-slot",
+        message: "Please choose a delivery time slot." },
+
+    { rule: "pickup-date: required", changes: Object.assign({}, PICKUP_ORDER, { "pickup-date": "" }), field: "pickup-date",
+        message: "Please choose a pickup date." },
+    { rule: "pickup-date: shop open", changes: Object.assign({}, PICKUP_ORDER, { "pickup-date": "2026-10-26" }), field: "pickup-date",
+        message: "Sorry, we're closed on Mondays. Please choose another day." },
+    { rule: "pickup-time: required", changes: Object.assign({}, PICKUP_ORDER, { "pickup-time": "" }), field: "pickup-time",
+        message: "Please choose a pickup time." },
+    { rule: "pickup-time: within opening hours", changes: Object.assign({}, PICKUP_ORDER, { "pickup-time": "10:00" }), field: "pickup-time",
+        message: "On Wednesdays we're open from 12:00 pm to 9:00 pm." },
+    { rule: "pickup-time: far enough away", changes: Object.assign({}, PICKUP_ORDER, { "pickup-date": "2026-10-20", "pickup-time": "13:15" }), field: "pickup-time",
+        message: "Pickup time must be at least 30 minutes from now." },
+
+    { rule: "billing-street: required", changes: { "billing-street": "" }, field: "billing-street",
+        message: "Billing street is required." },
+    { rule: "billing-suburb: required", changes: { "billing-suburb": "" }, field: "billing-suburb",
+        message: "Billing suburb is required." },
+    { rule: "billing-postcode: 4 digits", changes: { "billing-postcode": "312" }, field: "billing-postcode",
+        message: "Billing postcode must be exactly 4 digits." },
+    { rule: "billing-postcode: matches the suburb", changes: { "billing-postcode": "3000" }, field: "billing-postcode",
+        message: "Postcode 3000 doesn't match Hawthorn (expected 3122)." },
+
+    { rule: "contact-number: required", changes: { "contact-number": "" }, field: "contact-number",
+        message: "Contact number is required." },
+    { rule: "contact-number: allowed characters", changes: { "contact-number": "0412 abc" }, field: "contact-number",
+        message: "Phone numbers can only contain digits, spaces, dashes, brackets and a leading +." },
+    { rule: "contact-number: area code", changes: { "contact-number": "9123 4567" }, field: "contact-number",
+        message: "Please include the area code (e.g. 03 9123 4567), or a country code for numbers outside Australia (e.g. +44)." },
+    { rule: "contact-number: real area code", changes: { "contact-number": "05 1234 5678" }, field: "contact-number",
+        message: "05 isn't an Australian area code. Mobile numbers start with 04, and landlines with 02, 03, 07 or 08." },
+    { rule: "contact-number: Australian, too short", changes: { "contact-number": "0412 345" }, field: "contact-number",
+        message: "This phone number is too short. Australian numbers have 10 digits, including the area code." },
+    { rule: "contact-number: Australian, too long", changes: { "contact-number": "0412 345 6789" }, field: "contact-number",
+        message: "This phone number is too long. Australian numbers have 10 digits, including the area code." },
+    { rule: "contact-number: country code", changes: { "contact-number": "+0 20 7946 0958" }, field: "contact-number",
+        message: "Please enter a country code after the + (e.g. +44 for the UK)." },
+    { rule: "contact-number: international, too short", changes: { "contact-number": "+44 2079" }, field: "contact-number",
+        message: "This phone number is too short. International numbers need at least 8 digits, including the country code." },
+    { rule: "contact-number: international, too long", changes: { "contact-number": "+44 2079 4609 5812 34" }, field: "contact-number",
+        message: "This phone number is too long. International numbers have at most 15 digits, including the country code." },
+    { rule: "contact-number: a mobile for SMS updates", changes: { "contact-number": "03 9123 4567", "sms-updates": true }, field: "contact-number",
+        message: "SMS updates can only be sent to an Australian mobile number (e.g. 0412 345 678)." },
+
+    { rule: "email: required", changes: { "email": "" }, field: "email",
+        message: "Email is required." },
+    { rule: "email: format", changes: { "email": "jane@example" }, field: "email",
+        message: "Please enter a valid email address (e.g., name@domain.com)." },
+
+    { rule: "card-type: required", changes: { "card-type": "", "card-number": "" }, field: "card-type",
+        message: "Please select a card type." },
+    { rule: "card-name: required", changes: { "card-name": "" }, field: "card-name",
+        message: "Name on card is required." },
+    { rule: "card-name: letters and spaces", changes: { "card-name": "Jane Citizen 2" }, field: "card-name",
+        message: "Name on card must contain letters and spaces only." },
+    { rule: "card-number: required", changes: { "card-number": "" }, field: "card-number",
+        message: "Card number is required." },
+    { rule: "card-number: digits only", changes: { "card-number": "4111-1111-1111-1111" }, field: "card-number",
+        message: "Card number must contain digits only." },
+    { rule: "card-number: brand matches the card type", changes: { "card-number": "5555555555554444" }, field: "card-number",
+        message: "This looks like a MasterCard number, but Visa is selected." },
+    { rule: "card-number: length for the card type", changes: { "card-number": "411111111111" }, field: "card-number",
+        message: "Visa card numbers must be 16 digits." },
+    { rule: "card-number: Luhn checksum", changes: { "card-number": "4111111111111112" }, field: "card-number",
+        message: "Card number is invalid. Please check it and try again." },
+    { rule: "card-expiry: required", changes: { "card-expiry": "" }, field: "card-expiry",
+        message: "Card expiry date is required." },
+    { rule: "card-expiry: MM/YY", changes: { "card-expiry": "13/30" }, field: "card-expiry",
+        message: "Expiry date must be in MM/YY format (e.g., 08/27)." },
+    { rule: "card-expiry: not expired", changes: { "card-expiry": "09/26" }, field: "card-expiry",
+        message: "This card has expired." },
+    { rule: "card-cvv: required", changes: { "card-cvv": "" }, field: "card-cvv",
+        message: "Card CVV is required." },
+    { rule: "card-cvv: length for the card type", changes: { "card-cvv": "1234" }, field: "card-cvv",
+        message: "CVV must be 3 digits for Visa." },
+
+    { rule: "promo-code: known code", changes: { "promo-code": "NOPE" }, field: "promo-code",
+        message: "Promo code \"NOPE\" is not recognised." },
+    { rule: "promo-code: conditions met", changes: { "promo-code": "PICKUP10" }, field: "promo-code",
+        message: "This code is only valid for pickup orders." }
+];
+
+// Rules that can't be broken from the page, checked with validateField() instead
+const DIRECT_CASES = [
+    { rule: "order-type: required", changes: { "order-type": "" }, field: "order-type",
+        message: "Please choose delivery or pickup." },
+    { rule: "order-type: delivery or pickup", changes: { "order-type": "collect" }, field: "order-type",
+        message: "Please choose delivery or pickup." },
+    { rule: "pay-method: required", changes: { "pay-method": "" }, field: "pay-method",
+        message: "Please choose a payment method." },
+    { rule: "pay-method: online or pickup", changes: { "pay-method": "cash" }, field: "pay-method",
+        message: "Please choose a payment method." },
+    { rule: "delivery-date: a real date", changes: { "delivery-date": "2026-02-30" }, field: "delivery-date",
+        message: "Please enter a valid date." },
+    { rule: "delivery-slot: a known slot", changes: { "delivery-slot": "10-12" }, field: "delivery-slot",
+        message: "Please choose a delivery time slot." },
+    { rule: "delivery-slot: not already started", changes: { "delivery-date": "2026-10-20", "delivery-slot": "12-14" }, field: "delivery-slot",
+        message: "That time slot has already started or is about to. Please choose a later one." },
+    { rule: "pickup-time: a real time", changes: Object.assign({}, PICKUP_ORDER, { "pickup-time": "25:00" }), field: "pickup-time",
+        message: "Please enter a valid time." },
+    { rule: "billing-street: required on pickup orders, even if same-as-delivery is sent",
+        changes: Object.assign({}, PICKUP_ORDER, { "same-as-delivery": true, "billing-street": "" }), field: "billing-street",
+        message: "Billing street is required." },
+    { rule: "card-type: a known card brand", changes: { "card-type": "discover" }, field: "card-type",
+        message: "Please select a card type." },
+    { rule: "card-number: no brand mismatch reported for an unknown card type", changes: { "card-type": "discover" }, field: "card-number",
+        message: "" },
+    { rule: "card-cvv: 3 or 4 digits without a card type", changes: { "card-type": "", "card-cvv": "12" }, field: "card-cvv",
+        message: "CVV must be 3 or 4 digits." },
+    { rule: "card-number: checked without throwing when sent as a list", changes: { "card-number": ["4111111111111112"] }, field: "card-number",
+        message: "Card number is invalid. Please check it and try again." },
+    { rule: "card-cvv: checked without throwing when sent as a list", changes: { "card-cvv": ["12"] }, field: "card-cvv",
+        message: "CVV must be 3 digits for Visa." }
+];
+
+describe("order form validation", () => {
+    let window;
+    let form;
+
+    beforeEach(async () => {
+        window = await openPage("order.html", {
+            localStorage: { cart: JSON.stringify({ vanilla: 2 }) },
+            respond: url => url === "/api/orders"
+                ? { status: 201, body: { order: { id: "SL-000001" } } }
+                : { status: 503, body: {} }
+        });
+        form = window.document.getElementById("order-form");
+    });
+
+    afterEach(() => closePage(window));
+
+    it("accepts a valid delivery order and sends it to the server", async () => {
+        fillFields(window, VALID_ORDER);
+        await submitForm(form);
+        const shownErrors = Array.from(form.querySelectorAll(".error-message")).filter(span => span.textContent !== "");
+        assert.deepEqual(shownErrors.map(span => `${span.id}: ${span.textContent}`), []);
+
+        const request = window.requests.find(sent => sent.url === "/api/orders");
+        assert.equal(request.method, "POST");
+        assert.equal(request.body["flavor-vanilla"], "2");
+        assert.equal(request.body["contact-number"], "+61412345678");
+        // Only the value sent is converted, not what the customer typed
+        assert.equal(window.document.getElementById("contact-number").value, "0412 345 678");
+    });
+
+    for (const { rule, changes, field, message } of CASES) {
+        it(rule, async () => {
+            fillFields(window, Object.assign({}, VALID_ORDER, changes));
+            await submitForm(form);
+            assert.equal(getError(window, field), message);
+            assert.equal(window.requests.filter(request => request.url === "/api/orders").length, 0);
+        });
+    }
+
+    for (const { rule, changes, field, message } of DIRECT_CASES) {
+        it(rule, () => {
+            fillFields(window, VALID_ORDER);
+            const values = Object.assign(window.getFormValues(form), changes);
+            const fieldSchema = getConstant(window, "ORDER_SCHEMA").find(schemaField => schemaField.field === field);
+            assert.equal(window.validateField(fieldSchema, values), message);
+        });
+    }
+});
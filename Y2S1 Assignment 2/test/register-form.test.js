@@ -0,0 +1,279 @@
+/*
+  File: register-form.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the registration and login forms (registration.html, login.html):
+  every rule in REGISTER_SCHEMA and LOGIN_SCHEMA (validation.js), checked by submitting the form,
+  the live "username available" check, and the email verification step after registering.
+*/
+
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage, settle, fillFields, submitForm, getError } = require("./helpers/page");
+
+// A registration that passes every rule
+const VALID_REGISTRATION = {
+    "username": "jane",
+    "password": "Sundae#Scoop9",
+    "confirm-password": "Sundae#Scoop9",
+    "email": "jane@example.com",
+    "gender": "female"
+};
+
+// The verification code the stubbed server accepts
+const VALID_CODE = "123456";
+
+/**
+ * A stubbed server for the registration page (see openPage()'s respond option):
+ * "mike" is the only username taken, and only VALID_CODE verifies the account.
+ * @param {string} url - The request URL.
+ * @param {{body: Object}} request - The request.
+ * @returns {Object} - The response.
+ */
+function respondToRegistration(url, request) {
+    if (url.startsWith("/api/username-available")) {
+        const username = new URLSearchParams(url.split("?")[1]).get("username");
+        return { status: 200, body: { username: username, available: username.toLowerCase() !== "mike" } };
+    }
+    if (url === "/api/register") {
+        return { status: 201, body: { user: { username: "jane", email: "jane@example.com" }, verificationRequired: true } };
+    }
+    if (url === "/api/verify-email") {
+        return request.body["verification-code"] === VALID_CODE
+            ? { status: 200, body: { user: { username: "jane", email: "jane@example.com", staff: false } } }
+            : { status: 400, body: { errors: [{ field: "verification-code", errorId: "verification-code-error", message: "That code isn't right.", messageKey: "server.codeIncorrect" }] } };
+    }
+    if (url === "/api/resend-code") {
+        return { status: 200, body: { sent: true } };
+    }
+    return { status: 200, body: { user: null } };
+}
+
+describe("registration form", () => {
+    let window;
+    let form;
+
+    beforeEach(async () => {
+        window = await openPage("registration.html", { respond: respondToRegistration });
+        form = window.document.getElementById("register-form");
+    });
+
+    afterEach(() => closePage(window));
+
+    /**
+     * Fills in a valid registration with some fields changed, and submits it.
+     * @param {Object<string, string>} changes - Field values to use instead.
+     */
+    async function submitWith(changes) {
+        fillFields(window, Object.assign({}, VALID_REGISTRATION, changes));
+        await submitForm(form);
+    }
+
+    it("sends a valid registration to the server", async () => {
+        await submitWith({});
+        assert.notEqual(window.document.getElementById("form-errors").style.display, "block");
+        assert.equal(window.requests.at(-1).url, "/api/register");
+        assert.equal(window.requests.at(-1).body.username, "jane");
+        assert.equal(form.hidden, true);
+        assert.equal(window.document.getElementById("verify-form").hidden, false);
+        assert.match(window.document.getElementById("verify-intro").textContent, /jane@example\.com/);
+    });
+
+    it("requires a username", async () => {
+        await submitWith({ "username": "  " });
+        assert.equal(getError(window, "username"), "Username is required.");
+    });
+
+    it("requires usernames of 3 to 20 characters", async () => {
+        for (const username of ["jo", "j".repeat(21)]) {
+            await submitWith({ "username": username });
+            assert.equal(getError(window, "username"), "Username must be 3 to 20 characters long.", username);
+        }
+        await submitWith({ "username": "j".repeat(20) });
+        assert.equal(getError(window, "username"), "");
+    });
+
+    it("only allows letters, numbers, dots, hyphens and underscores, starting with a letter", async () => {
+        for (const username of ["1jane", "_jane", "jane smith", "jane@home", "jané"]) {
+            await submitWith({ "username": username });
+            assert.match(getError(window, "username"), /^Username must start with a letter/, username);
+        }
+        await submitWith({ "username": "Jane.Citizen_9-x" });
+        assert.equal(getError(window, "username"), "");
+    });
+
+    it("doesn't allow reserved usernames", async () => {
+        for (const username of ["admin", "Staff", "SWEETLIFE"]) {
+            await submitWith({ "username": username });
+            assert.equal(getError(window, "username"), "That username is reserved. Please choose another one.", username);
+        }
+    });
+
+    it("says whether the username is available once the user stops typing", async () => {
+        const document = window.document;
+        fillFields(window, { "username": "jan" });
+        fillFields(window, { "username": "jane" });
+        await settle(500);
+        const checks = window.requests.filter(request => request.url.startsWith("/api/username-available"));
+        assert.deepEqual(checks.map(request => request.url), ["/api/username-available?username=jane"]);
+        assert.equal(document.getElementById("username-status").textContent, "jane is available.");
+        assert.equal(getError(window, "username"), "");
+
+        fillFields(window, { "username": "mike" });
+        assert.equal(document.getElementById("username-status").textContent, "");
+        await settle(500);
+        assert.equal(getError(window, "username"), "That username is already taken. Please choose another one.");
+
+        // Known to be taken, so the form isn't sent
+        await submitForm(form);
+        assert.equal(window.requests.filter(request => request.url === "/api/register").length, 0);
+    });
+
+    it("doesn't check usernames that break the rules", async () => {
+        fillFields(window, { "username": "ad" });
+        await settle(500);
+        fillFields(window, { "username": "admin" });
+        await settle(500);
+        assert.equal(window.requests.filter(request => request.url.startsWith("/api/username-available")).length, 0);
+    });
+
+    it("requires a password", async () => {
+        await submitWith({ "password": "", "confirm-password": "" });
+        assert.equal(getError(window, "password"), "Password is required.");
+    });
+
+    it("requires passwords of at least 9 characters", async () => {
+        await submitWith({ "password": "Ab#1", "confirm-password": "Ab#1" });
+        assert.equal(getError(window, "password"), "Password must be at least 9 characters long.");
+    });
+
+    it("requires uppercase, lowercase, a number and a symbol in the password", async () => {
+        for (const password of ["sundae#scoop9", "SUNDAE#SCOOP9", "Sundae#Scoop", "SundaeScoop9"]) {
+            await submitWith({ "password": password, "confirm-password": password });
+            assert.equal(getError(window, "password"), "Password must include uppercase, lowercase, number, and symbol.", password);
+        }
+    });
+
+    it("requires the passwords to match", async () => {
+        await submitWith({ "confirm-password": "Sundae#Scoop8" });
+        assert.equal(getError(window, "confirm-password"), "Passwords do not match.");
+    });
+
+    it("requires an email address", async () => {
+        await submitWith({ "email": "" });
+        assert.equal(getError(window, "email"), "Email is required.");
+    });
+
+    it("requires a valid email address", async () => {
+        for (const email of ["jane", "jane@example", "jane@@example.com", "jane smith@example.com"]) {
+            await submitWith({ "email": email });
+            assert.equal(getError(window, "email"), "Please enter a valid email address (e.g., name@domain.com).", email);
+        }
+    });
+
+    it("requires a gender", async () => {
+        fillFields(window, Object.assign({}, VALID_REGISTRATION, { "gender": "female" }));
+        window.document.querySelector('input[name="gender"]:checked').checked = false;
+        await submitForm(form);
+        assert.equal(getError(window, "gender"), "Please select a gender.");
+    });
+
+    it("lists every error in the summary and doesn't send the form", async () => {
+        await submitForm(form);
+        const summary = window.document.getElementById("form-errors");
+        assert.equal(summary.querySelector("h3").textContent, "Please fix the following 4 errors:");
+        assert.equal(summary.querySelectorAll("li").length, 4);
+        assert.equal(window.requests.filter(request => request.method === "POST").length, 0);
+    });
+});
+
+describe("email verification", () => {
+    let window;
+    let form;
+
+    beforeEach(async () => {
+        window = await openPage("registration.html", { respond: respondToRegistration });
+        fillFields(window, VALID_REGISTRATION);
+        await submitForm(window.document.getElementById("register-form"));
+        form = window.document.getElementById("verify-form");
+    });
+
+    afterEach(() => closePage(window));
+
+    it("requires the 6-digit code", async () => {
+        await submitForm(form);
+        assert.equal(getError(window, "verification-code"), "Please enter the verification code we emailed you.");
+
+        for (const code of ["12345", "1234567", "12a456"]) {
+            fillFields(window, { "verification-code": code });
+            await submitForm(form);
+            assert.equal(getError(window, "verification-code"), "The verification code is the 6 digits in the email we sent you.", code);
+        }
+        assert.equal(window.requests.filter(request => request.url === "/api/verify-email").length, 0);
+    });
+
+    it("shows the server's error for a wrong code", async () => {
+        fillFields(window, { "verification-code": "654321" });
+        await submitForm(form);
+        assert.equal(getError(window, "verification-code"), "That code isn't right. Please check the email we sent and try again.");
+        assert.equal(form.hidden, false);
+    });
+
+    it("logs the new user in once the code is accepted", async () => {
+        fillFields(window, { "verification-code": VALID_CODE });
+        await submitForm(form);
+        const request = window.requests.at(-1);
+        assert.equal(request.url, "/api/verify-email");
+        assert.equal(request.body["verify-username"], "jane");
+        assert.equal(request.body["verification-code"], VALID_CODE);
+        assert.equal(form.hidden, true);
+        assert.match(window.document.getElementById("form-status").textContent, /Welcome, jane!/);
+        assert.equal(window.document.querySelector(".nav-user").textContent, "Signed in as jane");
+    });
+
+    it("can send a new code", async () => {
+        window.document.getElementById("resend-code").click();
+        await settle(20);
+        assert.deepEqual(window.requests.at(-1).body, { "verify-username": "jane" });
+        assert.equal(window.document.getElementById("form-status").textContent, "We've sent a new code to the email address you registered with.");
+    });
+
+    it("opens straight to this step from the link in the email", async () => {
+        await closePage(window);
+        window = await openPage("registration.html", { search: "?verify=jane", respond: respondToRegistration });
+        assert.equal(window.document.getElementById("register-form").hidden, true);
+        assert.equal(window.document.getElementById("verify-form").hidden, false);
+        assert.equal(window.document.getElementById("verify-username").value, "jane");
+    });
+});
+
+describe("login form", () => {
+    let window;
+    let form;
+
+    beforeEach(async () => {
+        window = await openPage("login.html");
+        form = window.document.getElementById("login-form");
+    });
+
+    afterEach(() => closePage(window));
+
+    it("requires a username and password", async () => {
+        await submitForm(form);
+        assert.equal(getError(window, "username"), "Username is required.");
+        assert.equal(getError(window, "password"), "Password is required.");
+    });
+
+    it("sends the username and password to the server", async () => {
+        fillFields(window, { "username": "jane", "password": "anything" });
+        await submitForm(form);
+        assert.equal(getError(window, "username"), "");
+        assert.equal(getError(window, "password"), "");
+        const request = window.requests.at(-1);
+        assert.equal(request.url, "/api/login");
+        assert.equal(request.body.username, "jane");
+        assert.equal(request.body.password, "anything");
+    });
+});
@@ -0,0 +1,295 @@
+/*
+  File: staff-dashboard.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the staff dashboard: the order status workflow (order-status.js),
+  the staff-only order API in server/server.js (run on a spare port with its own data file),
+  and the dashboard page (dashboard.html), with the server's responses stubbed.
+*/
+
+"use strict";
+
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { openPage, closePage, settle } = require("./helpers/page");
+const { startServer, logInAs } = require("./helpers/server");
+
+// A delivery order and a pickup order, as stored by the server
+const ORDERS = [
+    {
+        id: "SL-000001",
+        createdAt: "2026-10-20T01:00:00.000Z",
+        userId: null,
+        status: "received",
+        orderType: "delivery",
+        items: [{ flavor: "vanilla", name: "Classic Vanilla Bean", quantity: 2, price: 4.5, lineTotal: 9 }],
+        delivery: { street: "1 Glenferrie Rd", suburb: "Hawthorn", postcode: "3122", zone: "hawthorn" },
+        schedule: { date: "2026-10-21", slot: "14-16", start: "14:00", end: "16:00" },
+        billing: { street: "1 Glenferrie Rd", suburb: "Hawthorn", postcode: "3122" },
+        contactNumber: "+61412345678",
+        smsUpdates: false,
+        email: "jane@example.com",
+        payment: { method: "online", card: { brand: "visa", last4: "1111" } },
+        remarks: "Leave at the door",
+        promoCode: "",
+        totals: { subtotal: 9, discount: 0, deliveryFee: 5, gst: 1.27, total: 14 }
+    },
+    {
+        id: "SL-000002",
+        createdAt: "2026-10-20T02:00:00.000Z",
+        userId: null,
+        status: "preparing",
+        orderType: "pickup",
+        items: [{ flavor: "chocolate", name: "Decadent Dark Chocolate", quantity: 1, price: 4.5, lineTotal: 4.5 }],
+        delivery: null,
+        schedule: { date: "2026-10-21", slot: null, start: "15:00", end: null },
+        billing: { street: "2 Power St", suburb: "Hawthorn", postcode: "3122" },
+        contactNumber: "+61398765432",
+        smsUpdates: false,
+        email: "sam@example.com",
+        payment: { method: "pickup", card: null },
+        remarks: "",
+        promoCode: "",
+        totals: { subtotal: 4.5, discount: 0, deliveryFee: 0, gst: 0.41, total: 4.5 }
+    }
+];
+
+describe("order status workflow", () => {
+    const { canChangeOrderStatus } = require("../server/shared");
+
+    it("moves delivery orders through preparing and out for delivery to completed", () => {
+        const order = { orderType: "delivery", status: "received" };
+        for (const status of ["preparing", "out-for-delivery", "completed"]) {
+            assert.equal(canChangeOrderStatus(order, status), true, status);
+            order.status = status;
+        }
+    });
+
+    it("moves pickup orders through preparing and ready to completed", () => {
+        const order = { orderType: "pickup", status: "received" };
+        for (const status of ["preparing", "ready", "completed"]) {
+            assert.equal(canChangeOrderStatus(order, status), true, status);
+            order.status = status;
+        }
+    });
+
+    it("doesn't skip steps or use the other order type's steps", () => {
+        assert.equal(canChangeOrderStatus({ orderType: "delivery", status: "received" }, "completed"), false);
+        assert.equal(canChangeOrderStatus({ orderType: "delivery", status: "preparing" }, "ready"), false);
+        assert.equal(canChangeOrderStatus({ orderType: "pickup", status: "preparing" }, "out-for-delivery"), false);
+    });
+
+    it("allows cancelling until the order is completed, and nothing after that", () => {
+        for (const status of ["received", "preparing", "ready"]) {
+            assert.equal(canChangeOrderStatus({ orderType: "pickup", status: status }, "cancelled"), true, status);
+        }
+        for (const status of ["completed", "cancelled"]) {
+            assert.equal(canChangeOrderStatus({ orderType: "pickup", status: status }, "cancelled"), false, status);
+            assert.equal(canChangeOrderStatus({ orderType: "pickup", status: status }, "received"), false, status);
+        }
+    });
+});
+
+describe("staff orders API", () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = await startServer({ data: { orders: ORDERS, nextOrderNumber: 3 }, staff: "sky" });
+        baseUrl = server.baseUrl;
+    });
+
+    after(() => server.stop());
+
+    /**
+     * Asks the server to move an order to a new status.
+     * @param {string} cookie - The session cookie.
+     * @param {string} orderId - The order number.
+     * @param {string} status - The new status.
+     * @returns {Promise<Response>} - The server's response.
+     */
+    function changeStatus(cookie, orderId, status) {
+        return fetch(`${baseUrl}/api/staff/orders/${orderId}/status`, {
+            method: "POST",
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ status: status })
+        });
+    }
+
+    it("only lets staff see all orders", async () => {
+        assert.equal((await fetch(`${baseUrl}/api/staff/orders`)).status, 401);
+
+        const customerCookie = await logInAs(server, "jane");
+        const forbidden = await fetch(`${baseUrl}/api/staff/orders`, { headers: { Cookie: customerCookie } });
+        assert.equal(forbidden.status, 403);
+        assert.equal((await changeStatus(customerCookie, "SL-000001", "preparing")).status, 403);
+
+        const staffCookie = await logInAs(server, "sky");
+        const me = await (await fetch(`${baseUrl}/api/me`, { headers: { Cookie: staffCookie } })).json();
+        assert.equal(me.user.staff, true);
+        const allowed = await fetch(`${baseUrl}/api/staff/orders`, { headers: { Cookie: staffCookie } });
+        assert.deepEqual((await allowed.json()).orders.map(order => order.id), ["SL-000002", "SL-000001"]);
+    });
+
+    it("filters the orders by type and status", async () => {
+        const cookie = await logInAs(server, "sky");
+        const listIds = async query => {
+            const response = await fetch(`${baseUrl}/api/staff/orders?${query}`, { headers: { Cookie: cookie } });
+            return (await response.json()).orders.map(order => order.id);
+        };
+        assert.deepEqual(await listIds("type=delivery"), ["SL-000001"]);
+        assert.deepEqual(await listIds("type=pickup&status=preparing"), ["SL-000002"]);
+        assert.deepEqual(await listIds("type=pickup&status=received"), []);
+
+        const badFilter = await fetch(`${baseUrl}/api/staff/orders?status=lost`, { headers: { Cookie: cookie } });
+        assert.equal(badFilter.status, 400);
+    });
+
+    it("moves orders along the workflow and records who did it", async () => {
+        const cookie = await logInAs(server, "sky");
+        const response = await changeStatus(cookie, "SL-000002", "ready");
+        assert.equal(response.status, 200);
+        const order = (await response.json()).order;
+        assert.equal(order.status, "ready");
+        assert.equal(order.statusHistory.at(-1).changedBy, "sky");
+
+        const saved = JSON.parse(fs.readFileSync(server.dataFile, "utf8"));
+        assert.equal(saved.orders.find(item => item.id === "SL-000002").status, "ready");
+    });
+
+    it("turns away changes that aren't in the workflow", async () => {
+        const cookie = await logInAs(server, "sky");
+        const skipped = await changeStatus(cookie, "SL-000001", "completed");
+        assert.equal(skipped.status, 409);
+        assert.equal((await skipped.json()).errors[0].messageKey, "server.statusChange");
+        assert.equal((await changeStatus(cookie, "SL-999999", "preparing")).status, 404);
+    });
+});
+
+describe("staff dashboard page", () => {
+    let window;
+    let orders;
+
+    /**
+     * Answers the dashboard's requests the way the server would for a member of staff.
+     * @param {string} url - The requested URL.
+     * @param {{method: string, body: Object}} request - The request.
+     * @returns {{status: number, body: Object}} - The response.
+     */
+    function respondAsServer(url, request) {
+        if (url === "/api/me") {
+            return { status: 200, body: { user: { username: "sky", staff: true } } };
+        }
+        if (url.startsWith("/api/staff/orders?")) {
+            const params = new URLSearchParams(url.split("?")[1]);
+            const matches = orders.filter(order =>
+                (params.get("type") === "" || order.orderType === params.get("type"))
+                && (params.get("status") === "" || order.status === params.get("status")));
+            return { status: 200, body: { orders: matches.slice().reverse() } };
+        }
+        const statusChange = url.match(/^\/api\/staff\/orders\/([\w-]+)\/status$/);
+        if (statusChange && request.method === "POST") {
+            const order = orders.find(item => item.id === statusChange[1]);
+            order.status = request.body.status;
+            return { status: 200, body: { order: order } };
+        }
+        return { status: 404, body: {} };
+    }
+
+    beforeEach(async () => {
+        orders = JSON.parse(JSON.stringify(ORDERS));
+        window = await openPage("dashboard.html", { respond: respondAsServer });
+    });
+
+    afterEach(() => closePage(window));
+
+    /**
+     * Gets the order numbers shown in the table, top to bottom.
+     * @returns {string[]} - The order numbers.
+     */
+    function getShownOrderIds() {
+        return Array.from(window.document.querySelectorAll("#dashboard-lines tr"), row => row.dataset.order);
+    }
+
+    /**
+     * Gets the row of an order in the table.
+     * @param {string} orderId - The order number.
+     * @returns {HTMLTableRowElement} - The row.
+     */
+    function getRow(orderId) {
+        return window.document.querySelector(`#dashboard-lines tr[data-order="${orderId}"]`);
+    }
+
+    it("lists the orders with their details, newest first", () => {
+        const document = window.document;
+        assert.equal(document.getElementById("dashboard-message").textContent, "2 orders");
+        assert.deepEqual(getShownOrderIds(), ["SL-000002", "SL-000001"]);
+
+        const cells = Array.from(getRow("SL-000001").cells, cell => cell.textContent);
+        assert.equal(cells[2], "2 x Classic Vanilla Bean");
+        assert.equal(cells[3], "Delivery");
+        assert.match(cells[4], /^1 Glenferrie Rd, Hawthorn 3122/);
+        assert.match(cells[5], /\+61 412 345 678/);
+        assert.match(cells[5], /jane@example\.com/);
+        assert.equal(cells[6], "Visa ending in 1111");
+        assert.equal(cells[7], "Leave at the door");
+        assert.equal(cells[8], "Received");
+        assert.equal(getRow("SL-000002").cells[6].textContent, "Pay on pickup");
+    });
+
+    it("filters by order type and status", async () => {
+        const document = window.document;
+        const typeFilter = document.getElementById("filter-type");
+        typeFilter.value = "pickup";
+        typeFilter.dispatchEvent(new window.Event("change", { bubbles: true }));
+        await settle(20);
+        assert.deepEqual(getShownOrderIds(), ["SL-000002"]);
+
+        const statusFilter = document.getElementById("filter-status");
+        statusFilter.value = "received";
+        statusFilter.dispatchEvent(new window.Event("change", { bubbles: true }));
+        await settle(20);
+        assert.deepEqual(getShownOrderIds(), []);
+        assert.equal(document.getElementById("dashboard-message").textContent, "No orders match these filters.");
+        assert.equal(window.requests.at(-1).url, "/api/staff/orders?type=pickup&status=received");
+    });
+
+    it("only offers the next steps for each order", () => {
+        const getButtons = orderId => Array.from(getRow(orderId).querySelectorAll("button"), button => button.textContent);
+        assert.deepEqual(getButtons("SL-000001"), ["Start preparing", "Cancel"]);
+        assert.deepEqual(getButtons("SL-000002"), ["Ready for pickup", "Cancel"]);
+    });
+
+    it("moves an order on to its next status", async () => {
+        getRow("SL-000001").querySelector("button").click();
+        await settle(20);
+        const request = window.requests.find(item => item.method === "POST");
+        assert.equal(request.url, "/api/staff/orders/SL-000001/status");
+        assert.deepEqual(request.body, { status: "preparing" });
+        assert.equal(window.document.getElementById("dashboard-status").textContent, "Order SL-000001 is now Preparing.");
+        assert.equal(getRow("SL-000001").cells[8].textContent, "Preparing");
+    });
+
+    it("asks before cancelling an order", async () => {
+        getRow("SL-000002").querySelector(".cancel-order-btn").click();
+        await settle(20);
+        assert.deepEqual(window.confirms, ["Cancel order SL-000002? This can't be undone."]);
+        assert.equal(getRow("SL-000002").cells[8].textContent, "Cancelled");
+        assert.equal(getRow("SL-000002").querySelectorAll("button").length, 0);
+    });
+});
+
+describe("staff dashboard page for customers", () => {
+    it("tells customers the page is for staff only", async () => {
+        const window = await openPage("dashboard.html", {
+            respond: url => url === "/api/me"
+                ? { status: 200, body: { user: { username: "jane", staff: false } } }
+                : { status: 403, body: {} }
+        });
+        assert.equal(window.document.getElementById("dashboard-message").textContent, "This page is for Sweet Life staff only.");
+        assert.equal(window.document.getElementById("dashboard-filters").hidden, true);
+        assert.equal(window.requests.some(request => request.url.startsWith("/api/staff/")), false);
+        await closePage(window);
+    });
+});
@@ -0,0 +1,231 @@
+/*
+  File: stock.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for flavour stock: the limits on the order form's quantity buttons and the
+  "Add to Order" buttons on the home page, the "sold out" and "only N left" notes, checking the
+  order against the latest stock when it is submitted, and the stock kept by server/server.js
+  (run on a spare port with its own data file).
+*/
+
+"use strict";
+
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { openPage, closePage, fillFields, submitForm, getError } = require("./helpers/page");
+const { startServer, logInAs } = require("./helpers/server");
+
+/**
+ * Makes a stubbed server that reports the given stock (see openPage()'s respond option).
+ * @param {Object<string, number>} stock - Scoops left keyed by flavour id.
+ * @returns {function(string): Object} - The respond function.
+ */
+function respondWithStock(stock) {
+    return url => url === "/api/stock" ? { status: 200, body: { stock: stock } } : { status: 503, body: {} };
+}
+
+describe("order form stock limits", () => {
+    let window;
+
+    afterEach(() => closePage(window));
+
+    /**
+     * Clicks a flavour's + button a number of times.
+     * @param {string} flavor - The flavour id.
+     * @param {number} times - How many clicks.
+     */
+    function clickUp(flavor, times) {
+        for (let i = 0; i < times; i++) {
+            window.document.querySelector(`.qty-up[data-flavor="${flavor}"]`).click();
+        }
+    }
+
+    it("stops at the per-order maximum", async () => {
+        window = await openPage("order.html", { respond: respondWithStock({ vanilla: 60, chocolate: 50, strawberry: 40 }) });
+        clickUp("vanilla", 14);
+        const document = window.document;
+        assert.equal(document.getElementById("qty-vanilla").textContent, "[12]");
+        assert.equal(document.querySelector('.qty-up[data-flavor="vanilla"]').disabled, true);
+        assert.equal(document.getElementById("stock-note-vanilla").textContent, "Limit of 12 per order reached");
+        assert.equal(document.querySelector('.qty-up[data-flavor="chocolate"]').disabled, false);
+    });
+
+    it("still applies the per-order maximum when the stock can't be loaded", async () => {
+        window = await openPage("order.html");
+        clickUp("chocolate", 13);
+        assert.equal(window.document.getElementById("qty-chocolate").textContent, "[12]");
+        assert.equal(window.document.querySelector('.qty-up[data-flavor="chocolate"]').disabled, true);
+    });
+
+    it("stops at the stock left and says how many are left", async () => {
+        window = await openPage("order.html", { respond: respondWithStock({ vanilla: 60, chocolate: 3, strawberry: 40 }) });
+        const document = window.document;
+        assert.equal(document.getElementById("stock-note-chocolate").textContent, "Only 3 left");
+        clickUp("chocolate", 5);
+        assert.equal(document.getElementById("qty-chocolate").textContent, "[3]");
+        assert.equal(document.querySelector('.qty-up[data-flavor="chocolate"]').disabled, true);
+    });
+
+    it("shows sold-out flavours and doesn't let them be added", async () => {
+        window = await openPage("order.html", { respond: respondWithStock({ vanilla: 60, chocolate: 50, strawberry: 0 }) });
+        const document = window.document;
+        assert.equal(document.getElementById("stock-note-strawberry").textContent, "Sold out");
+        assert.equal(document.querySelector('.qty-up[data-flavor="strawberry"]').disabled, true);
+        clickUp("strawberry", 1);
+        assert.equal(document.getElementById("flavor-strawberry").value, "0");
+        assert.equal(document.getElementById("stock-note-vanilla").textContent, "");
+    });
+
+    it("checks the order against the stock left when it is submitted", async () => {
+        const stock = { vanilla: 60, chocolate: 50, strawberry: 40 };
+        window = await openPage("order.html", {
+            localStorage: { cart: JSON.stringify({ strawberry: 4 }) },
+            respond: respondWithStock(stock)
+        });
+
+        // Someone else buys most of the strawberry before this order is placed
+        stock.strawberry = 2;
+        await submitForm(window.document.getElementById("order-form"));
+        assert.equal(getError(window, "flavor"), "Sorry, there are only 2 scoops of Strawberry Fields Sorbet left.");
+        assert.equal(window.document.getElementById("stock-note-strawberry").textContent, "Only 2 left");
+
+        stock.strawberry = 0;
+        await submitForm(window.document.getElementById("order-form"));
+        assert.equal(getError(window, "flavor"), "Sorry, Strawberry Fields Sorbet has sold out. Please take it out of your order.");
+    });
+});
+
+describe("home page stock", () => {
+    it("disables \"Add to Order\" for sold-out flavours and at the limit", async () => {
+        const window = await openPage("index.html", {
+            localStorage: { cart: JSON.stringify({ vanilla: 12, chocolate: 1 }) },
+            respond: respondWithStock({ vanilla: 60, chocolate: 4, strawberry: 0 })
+        });
+        const document = window.document;
+        assert.equal(document.getElementById("add-to-cart-vanilla").disabled, true);
+        assert.equal(document.getElementById("add-to-cart-chocolate").disabled, false);
+        assert.equal(document.getElementById("stock-note-chocolate").textContent, "Only 4 left");
+        assert.equal(document.getElementById("add-to-cart-strawberry").disabled, true);
+        assert.equal(document.getElementById("stock-note-strawberry").textContent, "Sold out");
+        await closePage(window);
+    });
+});
+
+describe("stock on the server", () => {
+    const shared = require("../server/shared");
+    let server;
+    let baseUrl;
+    let dateKey;
+
+    before(async () => {
+        // The server checks dates against the real clock, so orders are for the next day the shop is open
+        const day = new Date();
+        do {
+            day.setDate(day.getDate() + 1);
+            dateKey = [day.getFullYear(), String(day.getMonth() + 1).padStart(2, "0"), String(day.getDate()).padStart(2, "0")].join("-");
+        } while (!shared.isBookableDate(dateKey));
+
+        // The 12-14 delivery slot (4 places) has 3 bookings, one of them cancelled
+        const booking = (id, status) => ({
+            id: id, status: status, orderType: "delivery", items: [],
+            schedule: { date: dateKey, slot: "12-14", start: "12:00", end: "14:00" }
+        });
+        server = await startServer({
+            data: {
+                stock: { strawberry: 5 },
+                orders: [booking("SL-100001", "received"), booking("SL-100002", "preparing"), booking("SL-100003", "cancelled")]
+            },
+            staff: "sky"
+        });
+        baseUrl = server.baseUrl;
+    });
+
+    after(() => server.stop());
+
+    /**
+     * Gets the stock from the server.
+     * @returns {Promise<Object<string, number>>} - Scoops left keyed by flavour id.
+     */
+    async function getStock() {
+        return (await (await fetch(`${baseUrl}/api/stock`)).json()).stock;
+    }
+
+    /**
+     * Places a pickup order, paid on pickup, for the next day the shop is open.
+     * @param {Object<string, string>} flavors - Quantities keyed by "flavor-{id}".
+     * @returns {Promise<Response>} - The server's response.
+     */
+    function placeOrder(flavors) {
+        return fetch(`${baseUrl}/api/orders`, {
+            method: "POST",
+            body: JSON.stringify(Object.assign({
+                "order-type": "pickup",
+                "pickup-date": dateKey,
+                "pickup-time": "15:00",
+                "billing-street": "2 Power St",
+                "billing-suburb": "Hawthorn",
+                "billing-postcode": "3122",
+                "contact-number": "0412 345 678",
+                "email": "jane@example.com",
+                "pay-method": "pickup"
+            }, flavors))
+        });
+    }
+
+    it("starts each flavour at its catalogue stock unless the data file says otherwise", async () => {
+        assert.deepEqual(await getStock(), { vanilla: 60, chocolate: 50, strawberry: 5 });
+    });
+
+    it("takes an order's scoops off the stock when it is placed", async () => {
+        const response = await placeOrder({ "flavor-vanilla": "2", "flavor-strawberry": "3" });
+        assert.equal(response.status, 201);
+        assert.deepEqual(await getStock(), { vanilla: 58, chocolate: 50, strawberry: 2 });
+
+        const saved = JSON.parse(fs.readFileSync(server.dataFile, "utf8"));
+        assert.equal(saved.stock.strawberry, 2);
+    });
+
+    it("turns away orders for more than is left", async () => {
+        const response = await placeOrder({ "flavor-strawberry": "3" });
+        assert.equal(response.status, 400);
+        const error = (await response.json()).errors[0];
+        assert.equal(error.field, "flavor");
+        assert.equal(error.message, "Sorry, there are only 2 scoops of Strawberry Fields Sorbet left.");
+        assert.equal((await getStock()).strawberry, 2);
+    });
+
+    it("puts the scoops back when staff cancel the order", async () => {
+        const orderId = (await (await placeOrder({ "flavor-chocolate": "4" })).json()).order.id;
+        assert.equal((await getStock()).chocolate, 46);
+
+        const cookie = await logInAs(server, "sky");
+        const response = await fetch(`${baseUrl}/api/staff/orders/${orderId}/status`, {
+            method: "POST",
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ status: "cancelled" })
+        });
+        assert.equal(response.status, 200);
+        assert.equal((await getStock()).chocolate, 50);
+    });
+
+    it("turns away card details sent as lists without taking any stock", async () => {
+        const response = await placeOrder({
+            "flavor-vanilla": "1",
+            "pay-method": "online",
+            "card-type": "visa",
+            "card-name": "Jane Citizen",
+            "card-number": ["4111111111111111"],
+            "card-expiry": "12/30",
+            "card-cvv": ["123"]
+        });
+        assert.equal(response.status, 400);
+        assert.deepEqual((await response.json()).errors.map(error => error.field), ["card-number", "card-cvv"]);
+        assert.equal((await getStock()).vanilla, 58);
+    });
+
+    it("doesn't count cancelled orders against a delivery slot's places", async () => {
+        const slots = (await (await fetch(`${baseUrl}/api/delivery-slots?date=${dateKey}`)).json()).slots;
+        assert.equal(slots.find(slot => slot.id === "12-14").remaining, 2);
+    });
+});
@@ -0,0 +1,59 @@
+/*
+  File: validators.test.js
+  Author: Sky
+  Date: 19/10/2026
+  Description: Tests for the validation helpers in validation.js (validatePostcode(),
+  validateStrongPassword() and validateEmailFormat()), called directly on a loaded page,
+  and for loading script.js as a module under Node.
+*/
+
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { openPage, closePage } = require("./helpers/page");
+
+describe("validation helpers", () => {
+    let window;
+
+    before(async () => {
+        window = await openPage("order.html");
+    });
+
+    after(() => closePage(window));
+
+    it("validatePostcode() accepts exactly 4 digits", () => {
+        for (const postcode of ["3122", "0800", "3000"]) {
+            assert.equal(window.validatePostcode(postcode), true, postcode);
+        }
+        for (const postcode of ["", "312", "31222", "31a2", " 3122", "3122 "]) {
+            assert.equal(window.validatePostcode(postcode), false, postcode);
+        }
+    });
+
+    it("validateStrongPassword() needs uppercase, lowercase, a number and a symbol", () => {
+        assert.equal(window.validateStrongPassword("Sundae#Scoop9"), true);
+        for (const password of ["sundae#scoop9", "SUNDAE#SCOOP9", "Sundae#Scoop", "SundaeScoop9", ""]) {
+            assert.equal(window.validateStrongPassword(password), false, password);
+        }
+    });
+
+    it("validateEmailFormat() needs a name, an @ and a domain with a dot", () => {
+        for (const email of ["jane@example.com", "jane.citizen+orders@mail.example.com.au"]) {
+            assert.equal(window.validateEmailFormat(email), true, email);
+        }
+        for (const email of ["", "jane", "jane@example", "@example.com", "jane@@example.com", "jane smith@example.com"]) {
+            assert.equal(window.validateEmailFormat(email), false, email);
+        }
+    });
+});
+
+describe("script.js under Node", () => {
+    it("can be loaded with require() without a page", () => {
+        const script = require("../js/script.js");
+        for (const name of ["init", "validateOrderForm", "copyDeliveryToBilling", "updateCardLength", "updateQuantityButtonStates", "saveFormDataToSession", "restoreFormData"]) {
+            assert.equal(typeof script[name], "function", name);
+        }
+        assert.equal(script.formatAddress({ street: "1 Main St", suburb: "Hawthorn", postcode: "3122" }), "1 Main St, Hawthorn 3122");
+    });
+});